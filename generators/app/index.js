@@ -4,6 +4,11 @@ var generators = require('yeoman-generator');
 var chalk = require('chalk');
 var yosay = require('yosay');
 var extend = require('deep-extend');
+var answers = require('../lib/answers');
+var listOptions = require('../lib/listOptions');
+var manifestMetadata = require('../lib/manifestMetadata');
+var projectConfig = require('../lib/projectConfig');
+var _ = require('lodash');
 
 module.exports = generators.Base.extend({
   constructor: function(){
@@ -29,44 +34,172 @@ module.exports = generators.Base.extend({
       required: false
     });
 
+    this.option('package-manager', {
+      type: String,
+      desc: 'Package manager installing the front-end libraries (bower or npm)',
+      required: false
+    });
+
+    this.option('host', {
+      type: String,
+      desc: 'Host name of the dev server (default: localhost)',
+      required: false
+    });
+
+    this.option('port', {
+      type: Number,
+      desc: 'Port of the dev server (default: 8443)',
+      required: false
+    });
+
+    this.option('type', {
+      type: String,
+      desc: 'Type of Office Add-in (mail, taskpane or content)',
+      required: false
+    });
+
     this.option('tech', {
       type: String,
-      desc: 'Technology to use for the project (html = HTML; ng = Angular)',
+      desc: 'Technology to use for the project (html = HTML; ts = HTML & TypeScript; ng = Angular; ' +
+        'ng-ts = Angular & TypeScript; react = React)',
       required: false
     });
 
     this.option('clients', {
-      type: String,
-      desc: 'Office client product that can host the add-in',
+      type: listOptions.TYPE,
+      desc: 'Office client products that can host the add-in (comma separated or repeated; word, excel, ...)',
       required: false
     });
 
     this.option('outlookForm', {
-      type: String,
-      desc: 'Supported Outlook forms',
+      type: listOptions.TYPE,
+      desc: 'Supported Outlook forms (comma separated or repeated; mail-read, mail-compose, ...)',
       required: false
     });
     
+    this.option('commands', {
+      type: Boolean,
+      desc: 'Add ribbon buttons (add-in commands) to mail & task pane Add-ins',
+      required: false
+    });
+
+    this.option('knownEntities', {
+      type: String,
+      desc: 'Only activate mail Add-ins for items containing these entities (comma separated)',
+      required: false
+    });
+
+    this.option('regExMatches', {
+      type: String,
+      desc: 'Only activate mail Add-ins for items matching regular expressions (name=pattern separated by ;)',
+      required: false
+    });
+
+    this.option('regExProperty', {
+      type: String,
+      desc: 'Item property the regular expressions are matched against',
+      required: false
+    });
+
+    this.option('attachment', {
+      type: Boolean,
+      desc: 'Only activate mail Add-ins for items with attachments',
+      required: false
+    });
+
+    this.option('ruleMode', {
+      type: String,
+      desc: 'Activate when the item matches any (Or) or all (And) of the conditions',
+      required: false
+    });
+
+    this.option('permissions', {
+      type: String,
+      desc: 'Permissions requested by the Add-in',
+      required: false
+    });
+
+    this.option('requirements', {
+      type: String,
+      desc: 'Requirement sets required by the Add-in (comma separated, Name:MinVersion)',
+      required: false
+    });
+
+    this.option('methods', {
+      type: String,
+      desc: 'Methods required by task pane & content Add-ins (comma separated)',
+      required: false
+    });
+
     this.option('appId', {
       type: String,
       desc: 'Application ID as registered in Azure AD',
       required: false
     });
 
+    // provider, description, icons, support URL & version of the Add-in
+    manifestMetadata.addOptions(this);
+
+    // answers file replacing the prompts
+    answers.addOption(this);
+
+    // re-apply the templates using the answers saved in .yo-rc.json
+    projectConfig.addOption(this);
+
   }, // constructor()
 
   /**
    * Generator initalization
    */
-  initializing: function(){
-    this.log(yosay('Welcome to the ' +
-      chalk.red('Office Project') +
-      ' generator, by ' +
-      chalk.red('@OfficeDev') +
-      '! Let\'s create a project together!'));
-
-    // generator configuration
-    this.genConfig = {};
+  initializing: {
+
+    welcome: function(){
+      this.log(yosay('Welcome to the ' +
+        chalk.red('Office Project') +
+        ' generator, by ' +
+        chalk.red('@OfficeDev') +
+        '! Let\'s create a project together!'));
+
+      // generator configuration
+      this.genConfig = {};
+    }, // welcome()
+
+    /**
+     * If an answers file was specified (or the project is regenerated from
+     * the answers saved in .yo-rc.json), use it instead of prompting.
+     */
+    loadAnswers: function(){
+      var regenerateError = projectConfig.regenerate(this, 'app');
+      if (regenerateError) {
+        this.env.error(chalk.red(regenerateError));
+      }
+
+      if (this.options.answers === undefined) {
+        return;
+      }
+
+      var done = this.async();
+
+      answers.load(this.options.answers, function(error, json){
+        error = error || answers.validate(json, 'app');
+        if (error) {
+          this.env.error(chalk.red(error));
+        }
+
+        // the subgenerator answers its own prompts from the same answers
+        this.answers = _.omit(json, 'type');
+        answers.apply(this, json);
+        done();
+      }.bind(this));
+    }, // loadAnswers()
+
+    /**
+     * Use the answers saved when the project was created as defaults.
+     */
+    loadSavedAnswers: function(){
+      projectConfig.useAsDefaults(this, 'app');
+    } // loadSavedAnswers()
+
   }, // initializing()
 
   /**
@@ -75,6 +208,14 @@ module.exports = generators.Base.extend({
   prompting: {
 
     askFor: function(){
+      // Office clients & Outlook forms specified as options: comma separated or repeated, aliases allowed
+      _.forEach(['clients', 'outlookForm'], function(name){
+        var listError = listOptions.normalizeOption(this.options, name);
+        if (listError) {
+          this.env.error(chalk.red(listError));
+        }
+      }, this);
+
       var done = this.async();
 
       var prompts = [
@@ -109,6 +250,7 @@ module.exports = generators.Base.extend({
           name: 'type',
           message: 'Office project type:',
           type: 'list',
+          when: this.options.type === undefined,
           choices: [
             {
               name: 'Mail Add-in (read & compose forms)',
@@ -134,12 +276,21 @@ module.exports = generators.Base.extend({
             {
               name: 'HTML, CSS & JavaScript',
               value: 'html'
+            }, {
+              name: 'HTML, CSS & TypeScript',
+              value: 'ts'
             }, {
               name: 'Angular',
               value: 'ng'
+            }, {
+              name: 'Angular & TypeScript',
+              value: 'ng-ts'
             }, {
               name: 'Angular ADAL',
               value: 'ng-adal'
+            }, {
+              name: 'React',
+              value: 'react'
             }, {
               name: 'Manifest.xml only (no application source files)',
               value: 'manifest-only'
@@ -292,14 +443,26 @@ module.exports = generators.Base.extend({
       case 'mail':
         // execute subgenerator
         this.composeWith('office:mail', {
-          options: {
+          options: extend({
             name: this.genConfig.name,
             'root-path': this.genConfig['root-path'],
             tech: this.genConfig.tech,
+            'package-manager': this.options['package-manager'],
+            host: this.options.host,
+            port: this.options.port,
             outlookForm: this.genConfig.outlookForm,
+            knownEntities: this.options.knownEntities,
+            regExMatches: this.options.regExMatches,
+            regExProperty: this.options.regExProperty,
+            attachment: this.options.attachment,
+            ruleMode: this.options.ruleMode,
+            commands: this.options.commands,
             appId: this.genConfig.appId,
+            permissions: this.options.permissions,
+            requirements: this.options.requirements,
+            answers: this.answers,
             'skip-install': this.options['skip-install']
-          }
+          }, manifestMetadata.selectOptions(this.options))
         }, {
             local: require.resolve('../mail')
           });
@@ -309,14 +472,22 @@ module.exports = generators.Base.extend({
       case 'taskpane':
         // execute subgenerator
         this.composeWith('office:taskpane', {
-          options: {
+          options: extend({
             name: this.genConfig.name,
             'root-path': this.genConfig['root-path'],
             tech: this.genConfig.tech,
+            'package-manager': this.options['package-manager'],
+            host: this.options.host,
+            port: this.options.port,
             appId: this.genConfig.appId,            
             clients: this.genConfig.clients,
+            commands: this.options.commands,
+            permissions: this.options.permissions,
+            requirements: this.options.requirements,
+            methods: this.options.methods,
+            answers: this.answers,
             'skip-install': this.options['skip-install']
-          }
+          }, manifestMetadata.selectOptions(this.options))
         }, {
             local: require.resolve('../taskpane')
           });
@@ -325,14 +496,21 @@ module.exports = generators.Base.extend({
       case 'content':
         // execute subgenerator
         this.composeWith('office:content', {
-          options: {
+          options: extend({
             name: this.genConfig.name,
             'root-path': this.genConfig['root-path'],
             tech: this.genConfig.tech,
+            'package-manager': this.options['package-manager'],
+            host: this.options.host,
+            port: this.options.port,
             appId: this.genConfig.appId,
             clients: this.genConfig.clients,
+            permissions: this.options.permissions,
+            requirements: this.options.requirements,
+            methods: this.options.methods,
+            answers: this.answers,
             'skip-install': this.options['skip-install']
-          }
+          }, manifestMetadata.selectOptions(this.options))
         }, {
             local: require.resolve('../content')
           });
@@ -0,0 +1,73 @@
+(function(){
+  'use strict';
+
+  // The initialize function must be run each time a new page is loaded
+  Office.initialize = function(reason){
+    jQuery(document).ready(function(){
+      app.initialize();
+<% if (allows.readDocument) { -%>
+      jQuery('#get-data-from-selection').click(getDataFromSelection);
+<% } -%>
+<% if (allows.writeDocument) { -%>
+      jQuery('#set-data-to-selection').click(setDataToSelection);
+<% } -%>
+<% if (!allows.readDocument && !allows.writeDocument) { -%>
+      jQuery('#show-display-language').click(showDisplayLanguage);
+<% } -%>
+    });
+  };
+<% if (allows.readDocument) { -%>
+
+  // Reads data from current document selection and displays a notification
+  function getDataFromSelection(): void {
+<% if (guards.TextCoercion) { -%>
+    // TextCoercion isn't required by the add-in, so check the host supports it
+    if (!Office.context.requirements.isSetSupported('TextCoercion', '1.1')) {
+      app.showNotification('Error:', 'Reading the selection is not supported by this host.');
+      return;
+    }
+
+<% } -%>
+    Office.context.document.getSelectedDataAsync(Office.CoercionType.Text,
+      function(result){
+        if (result.status === Office.AsyncResultStatus.Succeeded) {
+          app.showNotification('The selected text is:', '"' + result.value + '"');
+        } else {
+          app.showNotification('Error:', result.error.message);
+        }
+      }
+    );
+  }
+<% } -%>
+<% if (allows.writeDocument) { -%>
+
+  // Writes data to the current document selection and displays a notification
+  function setDataToSelection(): void {
+<% if (guards.TextCoercion) { -%>
+    // TextCoercion isn't required by the add-in, so check the host supports it
+    if (!Office.context.requirements.isSetSupported('TextCoercion', '1.1')) {
+      app.showNotification('Error:', 'Writing to the selection is not supported by this host.');
+      return;
+    }
+
+<% } -%>
+    Office.context.document.setSelectedDataAsync('Hello world!',
+      function(result){
+        if (result.status === Office.AsyncResultStatus.Succeeded) {
+          app.showNotification('Done:', 'The text was written to the selection.');
+        } else {
+          app.showNotification('Error:', result.error.message);
+        }
+      }
+    );
+  }
+<% } -%>
+<% if (!allows.readDocument && !allows.writeDocument) { -%>
+
+  // Restricted add-ins cannot access the document, so display the
+  //  language of the Office application instead
+  function showDisplayLanguage(): void {
+    app.showNotification('The display language is:', Office.context.displayLanguage);
+  }
+<% } -%>
+})();
@@ -0,0 +1,1018 @@
+'use strict';
+
+var generators = require('yeoman-generator');
+var chalk = require('chalk');
+var fs = require('fs');
+var path = require('path');
+var extend = require('deep-extend');
+var _ = require('lodash');
+var answers = require('./answers');
+var dependencies = require('./dependencies');
+var devServer = require('./devServer');
+var listOptions = require('./listOptions');
+var manifestEditor = require('./manifestEditor');
+var manifestMetadata = require('./manifestMetadata');
+var permissions = require('./permissions');
+var projectConfig = require('./projectConfig');
+var projectFiles = require('./projectFiles');
+var requirements = require('./requirements');
+var siteRoot = require('./siteRoot');
+
+/**
+ * Base generator of the addins (mail, taskpane & content): the options,
+ * prompts, configuration & files shared by all types of addins. A type of
+ * addin is declared by a descriptor & its own templates (manifest, sample code
+ * of each technology), which take precedence over the shared templates in
+ * lib/templates (gulpfile, config files, bower & tsd packages, images...).
+ *
+ * The sample code of a technology is copied as is to the root path of the
+ * addin: <tech>/app/home/home.html => <root-path>/app/home/home.html. Files
+ * starting with _ & the manifest aren't copied. The TypeScript technologies
+ * (ts, ng-ts) only have scripts: their pages & styles are the ones of the
+ * JavaScript technology they're based on (html, ng), without its scripts.
+ * The entry point of each page of the React technology (<folder>/app.jsx) is
+ * bundled with its modules & libraries by gulp bundle.
+ *
+ * Descriptor:
+ *   name          - Name of the generator (answers file & .yo-rc.json).
+ *   manifestType  - Type of addin in the manifest (TaskPaneApp, ContentApp or MailApp).
+ *   description   - Default description of the addin.
+ *   permissions   - Default permissions of the addin.
+ *   hosts         - List option selecting the hosts: option name & desc, prompt
+ *                   message, choices & error when none is selected.
+ *   commands      - True if the addin supports add-in commands.
+ *   sampleSets    - Requirement sets used by the sample code (optional).
+ *   startPages    - Start pages of each technology, relative to the root path,
+ *                   keyed by the name used in the manifest template.
+ *   entryFolders  - Function returning the folders of the sample code to copy
+ *                   (optional, default: all).
+ *   addOptions    - Function adding the options of the type of addin (optional).
+ *   prompts       - Function returning additional prompts (optional).
+ *   configure     - Function configuring the type of addin (optional).
+ *   updateManifest - Function updating the hosts of the manifest (manifestEditor document).
+ * Functions are called with the generator as 'this'.
+ *
+ * Usage (generators/<type>/index.js):
+ *   module.exports = addinGenerator.create({name: 'taskpane', manifestType: 'TaskPaneApp', ...}, {
+ *     _buildCommandsHost: function(officeClient){ ... }
+ *   });
+ */
+
+/**
+ * Folder of the templates shared by all types of addins.
+ */
+var SHARED_TEMPLATES = path.join(__dirname, 'templates');
+
+/**
+ * Technologies of the addins (prompt choices).
+ */
+var TECHNOLOGIES = [
+  {name: 'HTML, CSS & JavaScript', value: 'html'},
+  {name: 'HTML, CSS & TypeScript', value: 'ts'},
+  {name: 'Angular', value: 'ng'},
+  {name: 'Angular & TypeScript', value: 'ng-ts'},
+  {name: 'Angular ADAL', value: 'ng-adal'},
+  {name: 'React', value: 'react'},
+  {name: 'Manifest.xml only (no application source files)', value: 'manifest-only'}
+];
+
+/**
+ * TypeScript technologies & the JavaScript technology they're based on.
+ */
+var TYPESCRIPT_TECHS = {
+  ts: 'html',
+  'ng-ts': 'ng'
+};
+
+/**
+ * bower packages existing projects need for each technology.
+ */
+var BOWER_PACKAGES = {
+  html: {
+    'microsoft.office.js': '*',
+    jquery: '~1.9.1'
+  },
+  ng: {
+    'microsoft.office.js': '*',
+    angular: '~1.4.4',
+    'angular-route': '~1.4.4',
+    'angular-sanitize': '~1.4.4'
+  },
+  'ng-adal': {
+    'microsoft.office.js': '*',
+    angular: '~1.4.4',
+    'angular-route': '~1.4.4',
+    'angular-sanitize': '~1.4.4',
+    'adal-angular': '~1.0.5'
+  },
+  react: {
+    'microsoft.office.js': '*',
+    'office-ui-fabric': '*'
+  }
+};
+
+/**
+ * Type definitions (commit of DefinitelyTyped) existing projects need for each
+ * technology; angular & ng-adal are the same as there is no typedef for adal-angular.
+ */
+var TSD_DEFINITIONS = {
+  html: {
+    'office-js/office-js.d.ts': '62eedc3121a5e28c50473d2e4a9cefbcb9c3957f',
+    'jquery/jquery.d.ts': '04a025ada3492a22df24ca2d8521c911697721b3'
+  },
+  ng: {
+    'office-js/office-js.d.ts': '62eedc3121a5e28c50473d2e4a9cefbcb9c3957f',
+    'angularjs/angular.d.ts': '04a025ada3492a22df24ca2d8521c911697721b3',
+    'angularjs/angular-route.d.ts': '04a025ada3492a22df24ca2d8521c911697721b3',
+    'angularjs/angular-sanitize.d.ts': '04a025ada3492a22df24ca2d8521c911697721b3'
+  },
+  react: {
+    'office-js/office-js.d.ts': '62eedc3121a5e28c50473d2e4a9cefbcb9c3957f',
+    'react/react.d.ts': '04a025ada3492a22df24ca2d8521c911697721b3',
+    'react/react-dom.d.ts': '04a025ada3492a22df24ca2d8521c911697721b3'
+  }
+};
+TSD_DEFINITIONS['ng-adal'] = TSD_DEFINITIONS.ng;
+
+exports.SHARED_TEMPLATES = SHARED_TEMPLATES;
+exports.create = create;
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+/**
+ * Creates the generator of a type of addin.
+ *
+ * @param {Object} descriptor - Descriptor of the type of addin.
+ * @param {Object} [methods]  - Additional methods of the generator (private
+ *                              helpers used by the descriptor functions).
+ * @return {Function} The Yeoman generator.
+ */
+function create(descriptor, methods){
+  return generators.Base.extend(_.extend({
+    /**
+     * Setup the generator
+     */
+    constructor: function(){
+      generators.Base.apply(this, arguments);
+
+      addOptions(this, descriptor);
+
+      // templates of the type of addin take precedence over the shared templates
+      var ownTemplatePath = this.templatePath;
+      this.templatePath = function(){
+        var file = ownTemplatePath.apply(this, arguments);
+        return fs.existsSync(file) ? file : path.join.apply(path, [SHARED_TEMPLATES].concat(_.toArray(arguments)));
+      };
+
+      // create global config object on this generator
+      this.genConfig = {};
+    }, // constructor()
+
+    initializing: {
+      /**
+       * If an answers file was specified (or the project is regenerated from
+       * the answers saved in .yo-rc.json), use it instead of prompting.
+       */
+      loadAnswers: function(){
+        var regenerateError = projectConfig.regenerate(this, descriptor.name);
+        if (regenerateError) {
+          this.env.error(chalk.red(regenerateError));
+        }
+
+        if (this.options.answers === undefined) {
+          return;
+        }
+
+        var done = this.async();
+
+        answers.load(this.options.answers, function(error, json){
+          error = error || answers.validate(json, descriptor.name);
+          if (error) {
+            this.env.error(chalk.red(error));
+          }
+
+          answers.apply(this, json);
+          done();
+        }.bind(this));
+      }, // loadAnswers()
+
+      /**
+       * Use the answers saved when the project was created as defaults.
+       */
+      loadSavedAnswers: function(){
+        projectConfig.useAsDefaults(this, descriptor.name);
+      } // loadSavedAnswers()
+
+    }, // initializing()
+
+    /**
+     * Prompt users for options
+     */
+    prompting: {
+
+      askFor: function(){
+        // hosts specified as options: comma separated or repeated, aliases allowed
+        var listError = listOptions.normalizeOption(this.options, descriptor.hosts.option);
+        if (listError) {
+          this.env.error(chalk.red(listError));
+        }
+
+        var done = this.async();
+
+        // trigger prompts
+        this.prompt(basePrompts(this, descriptor), function(responses){
+          this.genConfig = extend(this.genConfig, this.options);
+          this.genConfig = extend(this.genConfig, responses);
+          done();
+        }.bind(this));
+
+      }, // askFor()
+
+      /**
+       * Prompt for the options of the type of addin.
+       */
+      askForAddinOptions: function(){
+        var prompts = descriptor.prompts ? descriptor.prompts.call(this) : [];
+        if (prompts.length === 0) {
+          return;
+        }
+
+        var done = this.async();
+
+        // trigger prompts
+        this.prompt(prompts, function(responses){
+          this.genConfig = extend(this.genConfig, responses);
+          done();
+        }.bind(this));
+
+      }, // askForAddinOptions()
+
+      askForAdalConfig: function(){
+        // if it's not an ADAL app, don't ask the questions
+        if (this.genConfig.tech !== 'ng-adal') {
+          return;
+        }
+
+        var done = this.async();
+
+        // office client application that can host the addin
+        var prompts = [{
+          name: 'appId',
+          message: 'Application ID as registered in Azure AD:',
+          default: '00000000-0000-0000-0000-000000000000',
+          when: this.options.appId === undefined
+        }];
+
+        // trigger prompts
+        this.prompt(prompts, function(responses){
+          this.genConfig = extend(this.genConfig, responses);
+          done();
+        }.bind(this));
+
+      }, // askForAdalConfig()
+
+      /**
+       * If user specified tech:manifest-only, prompt for start page.
+       */
+      askForStartPage: function(){
+        if (this.genConfig.tech !== 'manifest-only') {
+          return;
+        }
+
+        var done = this.async();
+
+        var prompts = [
+          // if tech = manifest only, prompt for start page
+          {
+            name: 'startPage',
+            message: 'Add-in start URL:',
+            when: this.options.startPage === undefined
+          }];
+
+        // trigger prompts
+        this.prompt(prompts, function(responses){
+          this.genConfig = extend(this.genConfig, responses);
+          done();
+        }.bind(this));
+
+      }, // askForStartPage()
+
+      /**
+       * Prompt for the metadata written into the manifest.
+       */
+      askForMetadata: function(){
+        var done = this.async();
+
+        // the provider defaults to the developer (git user) or else the project
+        var providerName = (this.user.git.name() || this.genConfig.name || '').trim();
+
+        var prompts = manifestMetadata.prompts(this.options,
+          manifestMetadata.defaults(this.genConfig.tech, descriptor.description,
+                                    devServer.url(this.genConfig.host, this.genConfig.port), providerName));
+
+        // trigger prompts
+        this.prompt(prompts, function(responses){
+          this.genConfig = extend(this.genConfig, responses);
+          done();
+        }.bind(this));
+
+      }, // askForMetadata()
+
+      /**
+       * Prompt for the requirement sets & methods hosts must support.
+       */
+      askForRequirements: function(){
+        var done = this.async();
+
+        var prompts = requirements.prompts(descriptor.manifestType, this.options, this.genConfig);
+
+        // trigger prompts
+        this.prompt(prompts, function(responses){
+          this.genConfig = extend(this.genConfig, responses);
+          done();
+        }.bind(this));
+
+      } // askForRequirements()
+
+    }, // prompting()
+
+    /**
+     * save configurations & config project
+     */
+    configuring: function(){
+      // take name submitted and strip everything out non-alphanumeric or space
+      var projectName = this.genConfig.name;
+      projectName = projectName.replace(/[^\w\s\-]/g, '');
+      projectName = projectName.replace(/\s{2,}/g, ' ');
+      projectName = projectName.trim();
+
+      // add the result of the question to the generator configuration object
+      this.genConfig.projectInternalName = projectName.toLowerCase().replace(/ /g, '-');
+      this.genConfig.projectDisplayName = projectName;
+
+      // root of the site: web root of the dev server, containing the bower components
+      this.genConfig['root-path'] = siteRoot.normalize(this.genConfig['root-path'], this.destinationRoot());
+      this._assertValid(siteRoot.validate(this.genConfig['root-path']));
+      this.genConfig.rootPath = this.genConfig['root-path'];
+      this.genConfig.serverRoot = siteRoot.serverRoot(this.genConfig.rootPath);
+      this.genConfig.bowerDirectory = siteRoot.join(this.genConfig.rootPath, 'bower_components');
+
+      // address of the dev server, base URL of the pages & icons of the manifest
+      this._assertValid(devServer.validate(this.genConfig.host, this.genConfig.port));
+      if (this.genConfig.port !== undefined) {
+        this.genConfig.port = Number(this.genConfig.port);
+      }
+      this.genConfig.serverUrl = devServer.url(this.genConfig.host, this.genConfig.port);
+
+      // front-end libraries installed by bower or by npm & copied to the site
+      this.genConfig['package-manager'] = this.genConfig['package-manager'] || 'bower';
+      this._assertValid(dependencies.validatePackageManager(this.genConfig['package-manager']));
+      this.genConfig.packageManager = this.genConfig['package-manager'];
+      this.genConfig.libraries = dependencies.libraries(this.genConfig.tech);
+
+      // TypeScript sites are compiled into the build folder
+      this.genConfig.typescript = _.has(TYPESCRIPT_TECHS, this.genConfig.tech);
+
+      // React pages are bundled with their libraries
+      this.genConfig.react = this.genConfig.tech === 'react';
+
+      // only generate sample code calling the APIs the permissions allow
+      if (!permissions.isValid(descriptor.manifestType, this.genConfig.permissions)) {
+        this.env.error(chalk.red('Invalid permissions \'' + this.genConfig.permissions + '\'; ' +
+                                 'valid values: ' + permissions.levels(descriptor.manifestType).join(', ')));
+      }
+      this.genConfig.allows = permissions.allows(this.genConfig.permissions);
+
+      // options of the type of addin
+      if (descriptor.configure) {
+        descriptor.configure.call(this);
+      }
+
+      // requirement sets & methods written into the manifest
+      this.genConfig.requirements = this.options.requirements === undefined ?
+        requirements.fromAnswers(this.genConfig) : requirements.parse(this.options.requirements);
+      this.genConfig.methods = requirements.parseMethods(this.genConfig.methods);
+      this._assertValid(requirements.validate(descriptor.manifestType, this.genConfig.requirements,
+                                              this.genConfig.methods));
+      this.genConfig.guards = requirements.guards(this.genConfig.requirements, descriptor.sampleSets);
+
+      // the metadata is written into the manifest so it must pass validation
+      manifestMetadata.normalize(this.genConfig);
+      this._assertValid(manifestMetadata.validate(this.genConfig));
+
+      // add-in commands require source files to host the function file
+      if (descriptor.commands) {
+        this.genConfig.commands = this.genConfig.commands === true &&
+                                  this.genConfig.tech !== 'manifest-only';
+      }
+
+      // keep the ID of the addin & save the answers for the next run
+      this.genConfig.projectId = projectConfig.projectId(this, this._manifestFilename());
+      projectConfig.save(this, descriptor.name, this.genConfig);
+    }, // configuring()
+
+    /**
+     * write generator specific files
+     */
+    writing: {
+      /**
+       * If there is already a package.json in the root of this project,
+       * get the name of the project from that file as that should be used
+       * in bower.json & update packages.
+       */
+      upsertPackage: function(){
+        if (this.genConfig.tech !== 'manifest-only') {
+          // default name for the root project = addin project
+          this.genConfig.rootProjectName = this.genConfig.projectInternalName;
+
+          // create package.json or merge the packages of the addin into the existing one
+          var packageJson = projectFiles.upsertPackage(this, 'common/_package.json');
+
+          // .. get it's name property
+          this.genConfig.rootProjectName = packageJson.name;
+        }
+      }, // upsertPackage()
+
+      /**
+       * If bower.json already exists in the root of this project, update it
+       * with the necessary addin packages. When npm installs the libraries,
+       * the packages it replaces are removed from it instead.
+       */
+      upsertBower: function(){
+        if (this.genConfig.tech === 'manifest-only') {
+          return;
+        }
+
+        var pathToBowerJson = this.destinationPath('bower.json');
+        if (this.genConfig.packageManager === 'npm') {
+          this._migrateToNpm(pathToBowerJson, dependencies.migrateBower);
+          return;
+        }
+
+        // if doesn't exist...
+        if (!this.fs.exists(pathToBowerJson)) {
+          // copy bower.json => project
+          this.fs.copyTpl(this.templatePath(baseTech(this.genConfig.tech) + '/_bower.json'), pathToBowerJson,
+                          this.genConfig);
+          return;
+        }
+
+        // verify the necessary package references are present in bower.json...
+        //  if not, add them
+        var bowerJson = this.fs.readJSON(pathToBowerJson, 'utf8');
+        _.forEach(BOWER_PACKAGES[baseTech(this.genConfig.tech)], function(version, name){
+          /* istanbul ignore else */
+          if (!bowerJson.dependencies[name]) {
+            bowerJson.dependencies[name] = version;
+          }
+        });
+
+        // overwrite existing bower.json
+        this.log(chalk.yellow('Adding additional packages to bower.json'));
+        this.fs.writeJSON(pathToBowerJson, bowerJson);
+      }, // upsertBower()
+
+      /**
+       * If tsd.json already exists in the root of this project, update it
+       * with the necessary addin packages. When npm installs the type
+       * definitions (@types), the definitions it replaces are removed from it
+       * instead.
+       */
+      upsertTsd: function(){
+        if (this.genConfig.tech === 'manifest-only') {
+          return;
+        }
+
+        var pathToTsdJson = this.destinationPath('tsd.json');
+        if (this.genConfig.packageManager === 'npm') {
+          this._migrateToNpm(pathToTsdJson, dependencies.migrateTsd);
+          return;
+        }
+
+        // if doesn't exist...
+        if (!this.fs.exists(pathToTsdJson)) {
+          // copy tsd.json => project
+          this.fs.copyTpl(this.templatePath(baseTech(this.genConfig.tech) + '/_tsd.json'), pathToTsdJson,
+                          this.genConfig);
+          return;
+        }
+
+        // verify the necessary type definitions are present in tsd.json...
+        //  if not, add them
+        var tsdJson = this.fs.readJSON(pathToTsdJson, 'utf8');
+        _.forEach(TSD_DEFINITIONS[baseTech(this.genConfig.tech)], function(commit, name){
+          /* istanbul ignore else */
+          if (!tsdJson.installed[name]) {
+            tsdJson.installed[name] = {commit: commit};
+          }
+        });
+
+        // overwrite existing tsd.json
+        this.log(chalk.yellow('Adding additional packages to tsd.json'));
+        this.fs.writeJSON(pathToTsdJson, tsdJson);
+      }, // upsertTsd()
+
+      app: function(){
+        // start pages of the addin
+        this._setStartPages();
+
+        if (this.genConfig.tech !== 'manifest-only') {
+          this._writeSite();
+        }
+
+        // create the manifest file; an existing manifest is only updated with the changes
+        var manifestPath = this.destinationPath(this._manifestFilename());
+        this.existingManifest = this.fs.exists(manifestPath) ? this.fs.read(manifestPath) : null;
+
+        var manifestTemplate = this.genConfig.tech + '/manifest.xml';
+        if (!fs.existsSync(this.templatePath(manifestTemplate))) {
+          manifestTemplate = 'common/manifest.xml';
+        }
+        this.fs.copyTpl(this.templatePath(manifestTemplate), manifestPath, this.genConfig);
+      }, // app()
+
+      /**
+       * Update the manifest.xml with the hosts (Office clients or Outlook
+       * forms) supported by this addin & their add-in commands. If the
+       * project already had the manifest, the new manifest is merged into
+       * it: comments, formatting & unchanged elements (hosts, rules...) are
+       * kept & elements only the existing manifest contains aren't removed.
+       */
+      updateManifest: function(){
+        var manifestPath = this.destinationPath(this._manifestFilename());
+
+        // load manifest.xml
+        var manifest = manifestEditor.parse(this.fs.read(manifestPath));
+
+        descriptor.updateManifest.call(this, manifest);
+
+        if (this.existingManifest) {
+          try {
+            manifest = manifestEditor.merge(manifestEditor.parse(this.existingManifest), manifest);
+          } catch (err) {
+            this.env.error(chalk.red('Unable to update ' + this._manifestFilename() + ': ' + err.message));
+          }
+        }
+
+        // write updated manifest
+        this.fs.write(manifestPath, manifest.toString());
+      } // updateManifest()
+
+    }, // writing()
+
+    /**
+     * conflict resolution
+     */
+    // conflicts: { },
+
+    /**
+     * run installations (bower, npm, tsd, etc)
+     */
+    install: function(){
+
+      if (!this.options['skip-install'] && this.genConfig.tech !== 'manifest-only') {
+        this.npmInstall();
+      }
+
+    }, // install ()
+
+    /**
+     * last cleanup, goodbye, etc
+     */
+    // end: { }
+
+    /**
+     * Gets the name of the manifest of the addin.
+     *
+     * @return {string} The name of the manifest file.
+     */
+    _manifestFilename: function(){
+      return 'manifest-' + this.genConfig.projectInternalName + '.xml';
+    }, // _manifestFilename()
+
+    /**
+     * Stops the generator if a validation failed.
+     *
+     * @param {?string} error - Validation error or null if the value is valid.
+     */
+    _assertValid: function(error){
+      if (error) {
+        this.env.error(chalk.red(error));
+      }
+    }, // _assertValid()
+
+    /**
+     * Sets the start pages of the addin: the pages of the sample code served
+     * by the dev server or, for manifest-only addins, the start URL.
+     */
+    _setStartPages: function(){
+      var genConfig = this.genConfig;
+      var manifestOnly = genConfig.tech === 'manifest-only';
+
+      _.forEach(descriptor.startPages[manifestOnly ? 'html' : baseTech(genConfig.tech)], function(page, name){
+        genConfig[name] = manifestOnly ? genConfig.startPage : genConfig.serverUrl + page;
+      });
+    }, // _setStartPages()
+
+    /**
+     * Writes the site of the addin: config files, gulpfile, common assets,
+     * function file of the add-in commands & sample code of the technology.
+     */
+    _writeSite: function(){
+      var folders = descriptor.entryFolders ? descriptor.entryFolders.call(this) : null;
+
+      // entry points of the addin, whose pages the dev server of the gulpfile reloads
+      this.genConfig.entries = folders || ['app'];
+
+      // entry points of the React pages bundled by the gulpfile
+      this.genConfig.bundles = _.map(this.genConfig.entries, function(folder){
+        return folder + '/app.jsx';
+      });
+
+      // pages whose scripts & styles are bundled by the dist task of the gulpfile
+      var startPages = _.values(descriptor.startPages[baseTech(this.genConfig.tech)]);
+      this.genConfig.pages = _.filter(startPages, function(page){
+        return !folders || _.includes(folders, page.split('/')[0]);
+      });
+      if (this.genConfig.commands) {
+        this.genConfig.pages.push('functions/functions.html');
+      }
+
+      // create .bowerrc or merge it into the existing one
+      if (this.genConfig.packageManager === 'bower') {
+        projectFiles.upsertJson(this, 'common/_bowerrc', '.bowerrc',
+                                {directory: this.genConfig.bowerDirectory});
+      }
+
+      // create jsconfig & tsconfig files or merge them into the existing ones
+      projectFiles.upsertJson(this, 'common/_jsconfig.json', 'jsconfig.json');
+      projectFiles.upsertJson(this, 'common/_tsconfig.json', 'tsconfig.json');
+
+      // create the environments of the manifests of the dist task or merge them into the existing ones;
+      // the dev environment is the dev server
+      var environments = this.fs.readJSON(this.templatePath('common/_environments.json'));
+      environments.dev.url = _.trimRight(this.genConfig.serverUrl, '/');
+      projectFiles.upsertJson(this, 'common/_environments.json', 'environments.json', environments);
+
+      // keep the bundles of the React pages, written next to their entry point, out of version control
+      if (this.genConfig.react) {
+        projectFiles.upsertIgnore(this, ['*.bundle.js']);
+      }
+
+      // create common assets
+      projectFiles.upsertGulpfile(this, 'common/gulpfile.js');
+      this.fs.copy(this.templatePath('common/manifest.xsd'),
+                   this.destinationPath('manifest.xsd'));
+      this.fs.copy(this.templatePath('common/content/Office.css'),
+                   this.destinationPath(this._parseTargetPath('content/Office.css')));
+      this.fs.copy(this.templatePath('common/images/close.png'),
+                   this.destinationPath(this._parseTargetPath('images/close.png')));
+      this.fs.copy(this.templatePath('common/images/icon-*.png'),
+                   this.destinationPath(this._parseTargetPath('images')));
+      this.fs.copy(this.templatePath('common/scripts/MicrosoftAjax.js'),
+                   this.destinationPath(this._parseTargetPath('scripts/MicrosoftAjax.js')));
+
+      // create add-in command assets (schema of the VersionOverrides of the addin & function file)
+      if (this.genConfig.commands) {
+        var versionOverridesSchema = descriptor.manifestType + 'VersionOverridesV1_0.xsd';
+        this.fs.copy(this.templatePath('common/' + versionOverridesSchema),
+                     this.destinationPath(versionOverridesSchema));
+
+        this.genConfig.functionFilePage = this.genConfig.serverUrl + 'functions/functions.html';
+
+        this.fs.copy(this.templatePath('common/functions/functions.html'),
+                     this.destinationPath(this._parseTargetPath('functions/functions.html')));
+        var functionsScript = 'functions/functions.' + (this.genConfig.typescript ? 'ts' : 'js');
+        this.fs.copyTpl(this.templatePath('common/' + functionsScript),
+                        this.destinationPath(this._parseTargetPath(functionsScript)),
+                        this.genConfig);
+      }
+
+      // copy addin files
+      _.forEach(sampleTemplates(this, folders), function(template, file){
+        this.fs.copyTpl(template,
+                        this.destinationPath(this._parseTargetPath(file)),
+                        this.genConfig);
+      }, this);
+    }, // _writeSite()
+
+    /**
+     * Removes the entries npm replaces from the bower.json or tsd.json of an
+     * existing project.
+     *
+     * @param {string}   filePath - Path of bower.json or tsd.json.
+     * @param {Function} migrate  - Removes the entries from the content of the
+     *                              file & returns their names.
+     */
+    _migrateToNpm: function(filePath, migrate){
+      if (!this.fs.exists(filePath)) {
+        return;
+      }
+
+      var json = this.fs.readJSON(filePath, 'utf8');
+      var removed = migrate(json);
+      if (removed.length === 0) {
+        return;
+      }
+
+      _.forEach(removed, function(name){
+        this.log(chalk.yellow(path.basename(filePath) + ': removed ' + name + ' (installed by npm)'));
+      }, this);
+      this.fs.writeJSON(filePath, json);
+    }, // _migrateToNpm()
+
+    /**
+     * Builds the path of a file of the site off the root path.
+     *
+     * @param {string} file - Path of the file relative to the root path.
+     * @return {string} The path of the file relative to the project.
+     */
+    _parseTargetPath: function(file){
+      return path.join(this.genConfig['root-path'], file);
+    }, // _parseTargetPath()
+
+    /**
+     * Updates the manifest.xml <Hosts> element with the selected Office
+     * client hosts supported by this addin.
+     *
+     * @param {Object} manifest - Manifest (manifestEditor document).
+     */
+    _updateManifestHosts: function(manifest){
+      // create host entry for each of the selected Office products
+      var hosts = manifest.root.child('Hosts').empty();
+      _.forEach(this.genConfig.clients, function(officeClient){
+        hosts.append(manifestEditor.build('Host', {
+          '$': {
+            Name: officeClient
+          }
+        }));
+      });
+    } // _updateManifestHosts()
+
+  }, methods));
+}
+
+/**
+ * Adds the options of an addin generator.
+ *
+ * @param {Object} yoGenerator - Yeoman generator.
+ * @param {Object} descriptor  - Descriptor of the type of addin.
+ */
+function addOptions(yoGenerator, descriptor){
+  yoGenerator.option('skip-install', {
+    type: Boolean,
+    required: false,
+    defaults: false,
+    desc: 'Skip running package managers (NPM, bower, etc) post scaffolding'
+  });
+
+  yoGenerator.option('name', {
+    type: String,
+    desc: 'Title of the Office Add-in',
+    required: false
+  });
+
+  yoGenerator.option('root-path', {
+    type: String,
+    desc: 'Relative path where the Add-in should be created (blank = current directory)',
+    required: false
+  });
+
+  yoGenerator.option('tech', {
+    type: String,
+    desc: 'Technology to use for the Add-in (html = HTML; ts = HTML & TypeScript; ng = Angular; ' +
+      'ng-ts = Angular & TypeScript; react = React)',
+    required: false
+  });
+
+  yoGenerator.option('package-manager', {
+    type: String,
+    desc: 'Package manager installing the front-end libraries (bower or npm)',
+    required: false
+  });
+
+  yoGenerator.option('host', {
+    type: String,
+    desc: 'Host name of the dev server (default: localhost)',
+    required: false
+  });
+
+  // parsed as a string, so that nopt doesn't drop the invalid ports before they're validated
+  yoGenerator.option('port', {
+    type: String,
+    desc: 'Port of the dev server (default: 8443)',
+    required: false
+  });
+
+  yoGenerator.option(descriptor.hosts.option, {
+    type: listOptions.TYPE,
+    desc: descriptor.hosts.desc,
+    required: false
+  });
+
+  if (descriptor.commands) {
+    yoGenerator.option('commands', {
+      type: Boolean,
+      desc: 'Add ribbon buttons (add-in commands) to the Add-in',
+      required: false
+    });
+  }
+
+  // options of the type of addin
+  if (descriptor.addOptions) {
+    descriptor.addOptions.call(yoGenerator);
+  }
+
+  yoGenerator.option('permissions', {
+    type: String,
+    desc: 'Permissions requested by the Add-in',
+    required: false
+  });
+
+  yoGenerator.option('appId', {
+    type: String,
+    desc: 'Application ID as registered in Azure AD',
+    required: false
+  });
+
+  yoGenerator.option('requirements', {
+    type: String,
+    desc: 'Requirement sets required by the Add-in (comma separated, Name:MinVersion)',
+    required: false
+  });
+
+  // mail addins can only require requirement sets
+  if (descriptor.manifestType !== 'MailApp') {
+    yoGenerator.option('methods', {
+      type: String,
+      desc: 'Methods required by the Add-in (comma separated)',
+      required: false
+    });
+  }
+
+  // provider, description, icons, support URL & version of the Add-in
+  manifestMetadata.addOptions(yoGenerator);
+
+  // answers file replacing the prompts
+  answers.addOption(yoGenerator);
+
+  // re-apply the templates using the answers saved in .yo-rc.json
+  projectConfig.addOption(yoGenerator);
+}
+
+/**
+ * Builds the prompts shared by all addins for the options not specified.
+ *
+ * @param {Object} yoGenerator - Yeoman generator.
+ * @param {Object} descriptor  - Descriptor of the type of addin.
+ * @return {Object[]} The prompts (inquirer format).
+ */
+function basePrompts(yoGenerator, descriptor){
+  var options = yoGenerator.options;
+
+  return _.compact([
+    // friendly name of the generator
+    {
+      name: 'name',
+      message: 'Project name (display name):',
+      default: 'My Office Add-in',
+      when: options.name === undefined
+    },
+    // root path where the addin should be created; should go in current folder where
+    //  generator is being executed, or within a subfolder?
+    {
+      name: 'root-path',
+      message: 'Root folder of project?'
+      + ' Default to current directory\n (' + yoGenerator.destinationRoot() + '), or specify relative path\n'
+      + '  from current (src / public): ',
+      default: 'current folder',
+      when: options['root-path'] === undefined,
+      filter: /* istanbul ignore next */ function(response){
+        if (response === 'current folder') {
+          return '';
+        } else {
+          return response;
+        }
+      }
+    },
+    // technology used to create the addin (html / angular / etc)
+    {
+      name: 'tech',
+      message: 'Technology to use:',
+      type: 'list',
+      when: options.tech === undefined,
+      choices: TECHNOLOGIES
+    },
+    // hosts of the addin (office client applications or outlook forms)
+    {
+      name: descriptor.hosts.option,
+      message: descriptor.hosts.message,
+      type: 'checkbox',
+      choices: descriptor.hosts.choices,
+      when: options[descriptor.hosts.option] === undefined,
+      validate: /* istanbul ignore next */ function(hostsAnswer){
+        if (hostsAnswer.length < 1) {
+          return descriptor.hosts.error;
+        }
+        return true;
+      }
+    },
+    // add ribbon buttons (add-in commands) to the addin
+    descriptor.commands && {
+      name: 'commands',
+      message: 'Add ribbon buttons (add-in commands)?',
+      type: 'confirm',
+      default: false,
+      when: function(answers){
+        var tech = answers.tech || options.tech;
+        return options.commands === undefined && tech !== 'manifest-only';
+      }
+    },
+    // permissions requested by the addin
+    {
+      name: 'permissions',
+      message: 'Permissions requested by the Add-in:',
+      type: 'list',
+      choices: permissions.choices(descriptor.manifestType),
+      default: descriptor.permissions,
+      when: options.permissions === undefined
+    }
+  ]);
+}
+
+/**
+ * Lists the files of the sample code of a technology: the files of the
+ * technology folder except the files starting with _ & the manifest, limited
+ * to the entry folders.
+ *
+ * @param {string}   techPath  - Folder of the templates of the technology.
+ * @param {string[]} [folders] - Entry folders to include (default: all).
+ * @return {string[]} Paths of the files relative to the technology folder.
+ */
+function sampleFiles(techPath, folders){
+  if (!fs.existsSync(techPath)) {
+    return [];
+  }
+
+  return _.filter(listFiles(techPath, ''), function(file){
+    var segments = file.split('/');
+    if (segments.length === 1) {
+      return file !== 'manifest.xml' && !_.startsWith(file, '_');
+    }
+    return !folders || _.includes(folders, segments[0]);
+  });
+}
+
+/**
+ * Gets the templates of the sample code of the technology of an addin; the
+ * scripts of a TypeScript technology replace the scripts of the JavaScript
+ * technology it's based on.
+ *
+ * @param {Object}   yoGenerator - Yeoman generator.
+ * @param {string[]} [folders]   - Folders to copy (default: all).
+ * @return {Object} The paths of the templates keyed by path relative to the root path.
+ */
+function sampleTemplates(yoGenerator, folders){
+  var tech = yoGenerator.genConfig.tech;
+  var templates = {};
+
+  if (TYPESCRIPT_TECHS[tech]) {
+    var basePath = yoGenerator.templatePath(TYPESCRIPT_TECHS[tech]);
+    _.forEach(sampleFiles(basePath, folders), function(file){
+      if (path.extname(file) !== '.js') {
+        templates[file] = path.join(basePath, file);
+      }
+    });
+  }
+
+  var techPath = yoGenerator.templatePath(tech);
+  _.forEach(sampleFiles(techPath, folders), function(file){
+    templates[file] = path.join(techPath, file);
+  });
+
+  return templates;
+}
+
+/**
+ * Gets the JavaScript technology a technology is based on.
+ *
+ * @param {string} tech - Technology of the addin.
+ * @return {string} The JavaScript technology (the technology itself unless it's TypeScript).
+ */
+function baseTech(tech){
+  return TYPESCRIPT_TECHS[tech] || tech;
+}
+
+/**
+ * Lists the files of a folder & its subfolders.
+ *
+ * @param {string} root   - Root folder.
+ * @param {string} folder - Folder relative to the root.
+ * @return {string[]} Paths of the files relative to the root (forward slashes).
+ */
+function listFiles(root, folder){
+  return _.flatten(_.map(fs.readdirSync(path.join(root, folder)).sort(), function(name){
+    var file = folder ? folder + '/' + name : name;
+    return fs.statSync(path.join(root, file)).isDirectory() ? listFiles(root, file) : [file];
+  }));
+}
@@ -0,0 +1,390 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var _ = require('lodash');
+var dependencies = require('./dependencies');
+var listOptions = require('./listOptions');
+var manifestMetadata = require('./manifestMetadata');
+var permissions = require('./permissions');
+
+/**
+ * Answers file (--answers <file.json>, or --answers - to read stdin) used to
+ * create a project without prompting. The answers use the names of the
+ * command line options & are validated against the fields each generator
+ * supports; missing or invalid fields are reported together. Questions the
+ * answers don't cover are answered with their defaults, never interactively.
+ *
+ * Usage (in a generator):
+ *   answers.addOption(this);
+ *   answers.load(this.options.answers, function(error, json){
+ *     error = error || answers.validate(json, 'mail');
+ *     answers.apply(this, json);
+ *   }.bind(this));
+ */
+
+/**
+ * Type of addin (xsi:type of <OfficeApp>) created by each generator.
+ */
+var ADDIN_TYPES = {
+  mail: 'MailApp',
+  taskpane: 'TaskPaneApp',
+  content: 'ContentApp'
+};
+
+/**
+ * Fields of the answers: type of value (string, boolean or list = array or
+ * string separated by separator), allowed values, list option whose aliases
+ * are accepted, types of addins they apply to (all by default) & whether they
+ * are required.
+ */
+var FIELDS = {
+  type: {type: 'string', values: _.keys(ADDIN_TYPES), required: true, appOnly: true},
+  name: {type: 'string', required: true},
+  'root-path': {type: 'string'},
+  tech: {type: 'string', values: ['html', 'ts', 'ng', 'ng-ts', 'ng-adal', 'react', 'manifest-only'], required: true},
+  'package-manager': {type: 'string', values: dependencies.PACKAGE_MANAGERS},
+  host: {type: 'string'},
+  port: {type: 'number'},
+  clients: {
+    type: 'list',
+    values: listOptions.values('clients'),
+    listOption: 'clients',
+    addinTypes: ['TaskPaneApp', 'ContentApp'],
+    required: true
+  },
+  outlookForm: {
+    type: 'list',
+    values: listOptions.values('outlookForm'),
+    listOption: 'outlookForm',
+    addinTypes: ['MailApp'],
+    required: true
+  },
+  startPage: {
+    type: 'string',
+    required: function(json){
+      return json.tech === 'manifest-only';
+    }
+  },
+  appId: {type: 'string'},
+  commands: {type: 'boolean', addinTypes: ['MailApp', 'TaskPaneApp']},
+  permissions: {
+    type: 'string',
+    values: function(addinType){
+      return permissions.levels(addinType);
+    }
+  },
+  requirements: {type: 'list'},
+  methods: {type: 'list', addinTypes: ['TaskPaneApp', 'ContentApp']},
+  knownEntities: {type: 'list', addinTypes: ['MailApp']},
+  regExMatches: {type: 'list', separator: ';', addinTypes: ['MailApp']},
+  regExProperty: {type: 'string', addinTypes: ['MailApp']},
+  attachment: {type: 'boolean', addinTypes: ['MailApp']},
+  ruleMode: {type: 'string', values: ['Or', 'And'], addinTypes: ['MailApp']}
+};
+
+// provider, description, icons, support URL & version of the addin
+_.forEach(manifestMetadata.fieldNames(), function(name){
+  FIELDS[name] = {type: 'string'};
+});
+
+exports.addOption = addOption;
+exports.load = load;
+exports.validate = validate;
+exports.apply = apply;
+exports.prompt = prompt;
+exports.fromConfig = fromConfig;
+exports.separator = separator;
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+/**
+ * Adds the answers option to a generator.
+ *
+ * @param {Object} yoGenerator - Yeoman generator.
+ */
+function addOption(yoGenerator){
+  yoGenerator.option('answers', {
+    type: String,
+    desc: 'JSON file answering all prompts (- = read from stdin)',
+    required: false
+  });
+}
+
+/**
+ * Loads the answers.
+ *
+ * @param {string|Object} source   - Path of the JSON file, - for stdin or the
+ *                                   answers (passed on by the app generator).
+ * @param {Function}      callback - Called with the error message (or null) &
+ *                                   the answers.
+ */
+function load(source, callback){
+  if (_.isPlainObject(source)) {
+    callback(null, source);
+    return;
+  }
+
+  if (source === '-') {
+    readStream(process.stdin, function(content){
+      callback.apply(null, parse(content, 'stdin'));
+    });
+    return;
+  }
+
+  var content;
+  try {
+    content = fs.readFileSync(path.resolve(String(source)), 'utf8');
+  } catch (error) {
+    callback('Unable to read the answers file ' + source + ': ' + error.message);
+    return;
+  }
+  callback.apply(null, parse(content, source));
+}
+
+/**
+ * Validates the answers for a generator.
+ *
+ * @param {Object} json      - Answers.
+ * @param {string} generator - Name of the generator (app, mail, taskpane or content).
+ * @return {?string} Error listing the missing & invalid fields or null if the answers are valid.
+ */
+function validate(json, generator){
+  var addinType = ADDIN_TYPES[generator === 'app' ? json.type : generator];
+  var errors = [];
+
+  _.forEach(json, function(value, name){
+    var field = FIELDS[name];
+    if (!field || !appliesTo(field, generator, addinType || field.addinTypes)) {
+      errors.push(name + ': unknown field');
+      return;
+    }
+    var error = validateValue(field, value, addinType);
+    if (error) {
+      errors.push(name + ': ' + error);
+    }
+  });
+
+  _.forEach(FIELDS, function(field, name){
+    var required = _.isFunction(field.required) ? field.required(json) : field.required;
+    if (required && json[name] === undefined && appliesTo(field, generator, addinType)) {
+      errors.push(name + ': missing');
+    }
+  });
+
+  return errors.length > 0 ? 'Invalid answers:\n  ' + errors.join('\n  ') : null;
+}
+
+/**
+ * Applies the answers to a generator: adds them to the options (options
+ * specified on the command line take precedence) & answers the prompts with
+ * their defaults.
+ *
+ * @param {Object} yoGenerator - Yeoman generator.
+ * @param {Object} json        - Validated answers.
+ */
+function apply(yoGenerator, json){
+  _.forEach(json, function(value, name){
+    if (yoGenerator.options[name] === undefined) {
+      yoGenerator.options[name] = FIELDS[name].type === 'list' ? toList(value, FIELDS[name].separator) : value;
+    }
+  });
+
+  yoGenerator.prompt = prompt;
+}
+
+/**
+ * Answers prompts with their defaults; replaces the interactive prompt of a
+ * generator. Skips the questions whose when is false, like inquirer does.
+ *
+ * @param {Object[]} questions - Questions (inquirer format).
+ * @param {Function} callback  - Called with the answers.
+ */
+function prompt(questions, callback){
+  var responses = {};
+
+  _.forEach(_.flatten([questions]), function(question){
+    var when = _.isFunction(question.when) ? question.when(responses) : question.when;
+    if (when === false) {
+      return;
+    }
+
+    var value = _.isFunction(question.default) ? question.default(responses) : question.default;
+    if (value === undefined) {
+      value = defaultChoice(question);
+    }
+    responses[question.name] = question.filter ? question.filter(value) : value;
+  });
+
+  callback(responses);
+}
+
+/**
+ * Extracts the answers from the configuration of a generator; the values
+ * of list fields are converted into arrays.
+ *
+ * @param {Object} genConfig - Configuration of the generator.
+ * @param {string} generator - Name of the generator (mail, taskpane or content).
+ * @return {Object} The answers.
+ */
+function fromConfig(genConfig, generator){
+  var json = {};
+
+  _.forEach(FIELDS, function(field, name){
+    var value = genConfig[name];
+    if (value !== undefined && value !== null && appliesTo(field, generator, ADDIN_TYPES[generator])) {
+      json[name] = field.type === 'list' ? toList(value, field.separator) : value;
+    }
+  });
+
+  return json;
+}
+
+/**
+ * Gets the separator of the values of a list field.
+ *
+ * @param {string} name - Name of the field.
+ * @return {string} The separator (default comma).
+ */
+function separator(name){
+  return (FIELDS[name] && FIELDS[name].separator) || ',';
+}
+
+/**
+ * Validates the value of a field.
+ *
+ * @param {Object} field     - Field of the answers.
+ * @param {*}      value     - Value to validate.
+ * @param {string} addinType - Type of addin (undefined if unknown).
+ * @return {?string} The validation error or null if the value is valid.
+ */
+function validateValue(field, value, addinType){
+  var isList = field.type === 'list';
+
+  if (!hasType(field, value)) {
+    return 'must be a ' + (isList ? 'list (array or string)' : field.type);
+  }
+
+  var values = _.isFunction(field.values) ? (addinType && field.values(addinType)) : field.values;
+  var invalid = values ? _.difference(isList ? listItems(field, value) : [value], values) : [];
+  if (invalid.length > 0) {
+    return 'invalid value \'' + invalid.join(', ') + '\'; valid values: ' + values.join(', ');
+  }
+
+  return null;
+}
+
+/**
+ * Determines if a field applies to a generator & type of addin.
+ *
+ * @param {Object}          field     - Field of the answers.
+ * @param {string}          generator - Name of the generator.
+ * @param {string|string[]} addinType - Type(s) of addin (undefined if unknown).
+ * @return {boolean} True if the field applies.
+ */
+function appliesTo(field, generator, addinType){
+  if (field.appOnly && generator !== 'app') {
+    return false;
+  }
+  return !field.addinTypes || _.intersection(field.addinTypes, _.flatten([addinType])).length > 0;
+}
+
+/**
+ * Determines if a value has the type of a field.
+ *
+ * @param {Object} field - Field of the answers.
+ * @param {*}      value - Value to check.
+ * @return {boolean} True if the value has the type of the field.
+ */
+function hasType(field, value){
+  if (field.type === 'list') {
+    return _.isString(value) || (_.isArray(value) && _.every(value, _.isString));
+  }
+  return typeof value === field.type;
+}
+
+/**
+ * Gets the values of a list field, resolving the aliases of list options.
+ *
+ * @param {Object}          field - Field of the answers.
+ * @param {string|string[]} value - Value of the field.
+ * @return {string[]} The values.
+ */
+function listItems(field, value){
+  return field.listOption ? listOptions.normalize(field.listOption, value) : toList(value);
+}
+
+/**
+ * Parses the content of an answers file.
+ *
+ * @param {string} content - Content of the file.
+ * @param {string} source  - Name of the file used in the error message.
+ * @return {Array} The error message (or null) & the answers.
+ */
+function parse(content, source){
+  var json;
+  try {
+    json = JSON.parse(content);
+  } catch (error) {
+    return ['Unable to parse the answers in ' + source + ': ' + error.message];
+  }
+
+  if (!_.isPlainObject(json)) {
+    return ['The answers in ' + source + ' must be a JSON object'];
+  }
+  return [null, json];
+}
+
+/**
+ * Reads a stream to the end.
+ *
+ * @param {Stream}   stream   - Readable stream.
+ * @param {Function} callback - Called with the content of the stream.
+ */
+function readStream(stream, callback){
+  var content = '';
+  stream.setEncoding('utf8');
+  stream.on('data', function(chunk){
+    content += chunk;
+  });
+  stream.on('end', function(){
+    callback(content);
+  });
+  stream.resume();
+}
+
+/**
+ * Gets the default answer of a question without a default: the checked
+ * choices of a checkbox, the first choice of a list, false for a confirmation
+ * & blank otherwise.
+ *
+ * @param {Object} question - Question (inquirer format).
+ * @return {*} The default answer.
+ */
+function defaultChoice(question){
+  var choiceValue = function(choice){
+    return _.isObject(choice) ? choice.value : choice;
+  };
+
+  switch (question.type) {
+    case 'checkbox':
+      return _.map(_.filter(question.choices, 'checked'), choiceValue);
+    case 'list':
+      return choiceValue(_.first(question.choices));
+    case 'confirm':
+      return false;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Converts a separated string into a list of trimmed, non-empty values.
+ *
+ * @param {string|string[]} value     - Value to convert.
+ * @param {string}          separator - Separator of the values (default comma).
+ * @return {string[]} List of values.
+ */
+function toList(value, separator){
+  return _.compact(_.map(_.flatten([value]).join(separator || ',').split(separator || ','), _.trim));
+}
@@ -0,0 +1,412 @@
+'use strict';
+
+var semver = require('semver');
+var _ = require('lodash');
+
+/**
+ * npm packages of the addins: the devDependencies required by the gulpfile
+ * for each technology & the npm scripts running the main gulp tasks. The same
+ * manifest creates the package.json of new projects & is merged into the
+ * package.json of existing projects, where packages already present (in any
+ * dependencies section) are kept & reported when their version conflicts with
+ * the version required by the addin.
+ *
+ * The front-end libraries are installed by bower (& their type definitions by
+ * tsd) or, with --package-manager npm, by npm: the libraries are dependencies
+ * copied to the lib folder of the site (gulp copy-libs) & the type definitions
+ * are @types devDependencies. The bower & tsd entries npm replaces are removed
+ * from the bower.json & tsd.json of existing projects. The libraries of the
+ * React addins are bundled into their scripts (gulp bundle) so npm always
+ * installs them, whatever the package manager.
+ *
+ * Usage:
+ *   dependencies.devDependencies('html', 'npm');      // => {chalk: '^1.1.1', '@types/jquery': '^1.10.0', ...}
+ *   dependencies.libraries('html');                   // => ['jquery', 'office-ui-fabric']
+ *   var changes = dependencies.merge(packageJson, 'html', 'bower');
+ *   var removed = dependencies.migrateBower(bowerJson);  // => ['jquery', ...]
+ *   dependencies.isCompatible('^3.9.1', '^3.9.0');    // => true
+ */
+
+/**
+ * Package managers installing the front-end libraries.
+ */
+var PACKAGE_MANAGERS = ['bower', 'npm'];
+
+/**
+ * devDependencies of the gulpfile, common to all technologies.
+ */
+var COMMON_DEV_DEPENDENCIES = {
+  chalk: '^1.1.1',
+  del: '^2.1.0',
+  gulp: '^3.9.0',
+  'gulp-if': '^2.0.1',
+  'gulp-load-plugins': '^1.0.0',
+  'gulp-minify-css': '^1.2.2',
+  'gulp-rev': '^7.1.2',
+  'gulp-rev-replace': '^0.4.3',
+  'gulp-sourcemaps': '^1.6.0',
+  'gulp-task-listing': '^1.0.1',
+  'gulp-uglify': '^1.5.1',
+  'gulp-useref': '^3.1.2',
+  'gulp-util': '^3.0.7',
+  'gulp-webserver': '^0.9.1',
+  'gulp-zip': '^3.2.0',
+  lazypipe: '^1.0.1',
+  'merge-stream': '^1.0.0',
+  minimist: '^1.2.0',
+  'node-forge': '^0.6.46',
+  'run-sequence': '^1.1.5',
+  'tiny-lr': '^0.2.1',
+  xmllint: 'git+https://github.com/kripken/xml.js.git'
+};
+
+/**
+ * Additional devDependencies of each technology.
+ */
+var TECH_DEV_DEPENDENCIES = {
+  html: {},
+  ts: {
+    typescript: '^2.0.3',
+    'gulp-typescript': '^3.0.2'
+  },
+  ng: {},
+  'ng-ts': {
+    typescript: '^2.0.3',
+    'gulp-typescript': '^3.0.2'
+  },
+  'ng-adal': {},
+  react: {
+    babelify: '^7.3.0',
+    'babel-preset-es2015': '^6.16.0',
+    'babel-preset-react': '^6.16.0',
+    browserify: '^13.1.0',
+    'vinyl-source-stream': '^1.1.0'
+  }
+};
+
+/**
+ * Additional devDependencies of the TypeScript technologies when bower installs
+ * the libraries: tsd installs the type definitions the scripts are compiled with.
+ */
+var TSD_DEV_DEPENDENCIES = {
+  tsd: '^0.6.5'
+};
+
+/**
+ * Front-end libraries of each technology bundled into the scripts of the site,
+ * installed by npm whatever the package manager.
+ */
+var BUNDLED_LIBRARIES = {
+  react: {
+    react: '^15.3.2',
+    'react-dom': '^15.3.2'
+  }
+};
+
+/**
+ * Front-end libraries of each technology installed by npm. office.js isn't
+ * published on npm; the pages load it from the CDN.
+ */
+var NPM_LIBRARIES = {
+  html: {
+    jquery: '~1.9.1',
+    'office-ui-fabric': '^2.0.0'
+  },
+  ng: {
+    angular: '~1.4.4',
+    'angular-route': '~1.4.4',
+    'angular-sanitize': '~1.4.4',
+    'office-ui-fabric': '^2.0.0'
+  },
+  'ng-adal': {
+    angular: '~1.4.4',
+    'angular-route': '~1.4.4',
+    'angular-sanitize': '~1.4.4',
+    'adal-angular': '~1.0.5',
+    'office-ui-fabric': '^2.0.0'
+  },
+  react: {
+    'office-ui-fabric': '^2.0.0'
+  }
+};
+NPM_LIBRARIES.ts = NPM_LIBRARIES.html;
+NPM_LIBRARIES['ng-ts'] = NPM_LIBRARIES.ng;
+
+/**
+ * Type definitions of each technology installed by npm; ng-adal is the same
+ * as angular as there is no typedef for adal-angular. The office-js typedefs
+ * stay on 0.0.x: 1.x requires a more recent TypeScript than the one installed.
+ */
+var NPM_TYPES = {
+  html: {
+    '@types/office-js': '^0.0.166',
+    '@types/jquery': '^1.10.0'
+  },
+  ng: {
+    '@types/office-js': '^0.0.166',
+    '@types/angular': '^1.5.0',
+    '@types/angular-route': '^1.3.0',
+    '@types/angular-sanitize': '^1.3.0'
+  },
+  react: {
+    '@types/office-js': '^0.0.166',
+    '@types/react': '^0.14.39',
+    '@types/react-dom': '^0.14.18'
+  }
+};
+NPM_TYPES.ts = NPM_TYPES.html;
+NPM_TYPES['ng-ts'] = NPM_TYPES.ng;
+NPM_TYPES['ng-adal'] = NPM_TYPES.ng;
+
+/**
+ * bower packages of the addins replaced by npm (microsoft.office.js isn't
+ * needed as office.js is loaded from the CDN).
+ */
+var BOWER_REPLACED = [
+  'microsoft.office.js',
+  'jquery',
+  'angular',
+  'angular-route',
+  'angular-sanitize',
+  'adal-angular',
+  'office-ui-fabric'
+];
+
+/**
+ * tsd type definitions of the addins replaced by @types packages.
+ */
+var TSD_REPLACED = [
+  'office-js/office-js.d.ts',
+  'jquery/jquery.d.ts',
+  'angularjs/angular.d.ts',
+  'angularjs/angular-route.d.ts',
+  'angularjs/angular-sanitize.d.ts',
+  'react/react.d.ts',
+  'react/react-dom.d.ts'
+];
+
+/**
+ * npm scripts running the main gulp tasks.
+ */
+var SCRIPTS = {
+  serve: 'gulp serve-static',
+  validate: 'gulp validate-xml',
+  dist: 'gulp dist',
+  package: 'gulp package'
+};
+
+/**
+ * Additional npm scripts when npm installs the front-end libraries.
+ */
+var NPM_SCRIPTS = {
+  postinstall: 'gulp copy-libs'
+};
+
+/**
+ * Sections of package.json where a package counts as already present.
+ */
+var DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+exports.PACKAGE_MANAGERS = PACKAGE_MANAGERS;
+exports.SCRIPTS = SCRIPTS;
+exports.validatePackageManager = validatePackageManager;
+exports.dependencies = dependencies;
+exports.devDependencies = devDependencies;
+exports.libraries = libraries;
+exports.scripts = scripts;
+exports.isCompatible = isCompatible;
+exports.merge = merge;
+exports.migrateBower = migrateBower;
+exports.migrateTsd = migrateTsd;
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+/**
+ * Validates a package manager (--package-manager).
+ *
+ * @param {string} packageManager - Package manager.
+ * @return {?string} The validation error or null if the package manager is valid.
+ */
+function validatePackageManager(packageManager){
+  if (!_.includes(PACKAGE_MANAGERS, packageManager)) {
+    return 'Invalid package manager \'' + packageManager + '\'; valid values: ' + PACKAGE_MANAGERS.join(', ');
+  }
+
+  return null;
+}
+
+/**
+ * Gets the dependencies of an addin: the bundled front-end libraries & the
+ * other front-end libraries when npm installs them.
+ *
+ * @param {string} tech             - Technology of the addin.
+ * @param {string} [packageManager] - Package manager of the front-end libraries (default bower).
+ * @return {Object} The versions keyed by package name.
+ */
+function dependencies(tech, packageManager){
+  return _.extend({}, BUNDLED_LIBRARIES[tech], packageManager === 'npm' ? NPM_LIBRARIES[tech] : {});
+}
+
+/**
+ * Gets the devDependencies of an addin.
+ *
+ * @param {string} tech             - Technology of the addin.
+ * @param {string} [packageManager] - Package manager of the front-end libraries (default bower).
+ * @return {Object} The versions keyed by package name.
+ */
+function devDependencies(tech, packageManager){
+  var typeDefinitions = packageManager === 'npm' ? NPM_TYPES[tech] :
+    (isTypeScript(tech) ? TSD_DEV_DEPENDENCIES : {});
+
+  return _.extend({}, COMMON_DEV_DEPENDENCIES, TECH_DEV_DEPENDENCIES[tech], typeDefinitions);
+}
+
+/**
+ * Gets the front-end libraries npm installs for a technology (copied to the
+ * lib folder of the site by gulp copy-libs).
+ *
+ * @param {string} tech - Technology of the addin.
+ * @return {string[]} The names of the packages.
+ */
+function libraries(tech){
+  return _.keys(NPM_LIBRARIES[tech]);
+}
+
+/**
+ * Gets the npm scripts of an addin.
+ *
+ * @param {string} [packageManager] - Package manager of the front-end libraries (default bower).
+ * @return {Object} The commands keyed by script name.
+ */
+function scripts(packageManager){
+  return _.extend({}, SCRIPTS, packageManager === 'npm' ? NPM_SCRIPTS : {});
+}
+
+/**
+ * Determines if the version of a package present in a project is compatible
+ * with the version required by the addin: one of the versions is in the range
+ * of the other. Versions that aren't semver ranges (URLs, tags) are only
+ * compatible when they're identical.
+ *
+ * @param {string} existing - Version of the project.
+ * @param {string} required - Version required by the addin.
+ * @return {boolean} True if the versions are compatible.
+ */
+function isCompatible(existing, required){
+  var existingRange = semver.validRange(existing);
+  var requiredRange = semver.validRange(required);
+  if (!existingRange || !requiredRange) {
+    return existing === required;
+  }
+
+  var existingMin = minVersion(existingRange);
+  var requiredMin = minVersion(requiredRange);
+  return !existingMin || !requiredMin ||
+    semver.satisfies(existingMin, requiredRange) || semver.satisfies(requiredMin, existingRange);
+}
+
+/**
+ * Merges the dependencies, devDependencies & scripts of an addin into a
+ * package.json: missing packages & scripts are added, existing ones are kept.
+ *
+ * @param {Object} packageJson      - Content of package.json, updated.
+ * @param {string} tech             - Technology of the addin.
+ * @param {string} [packageManager] - Package manager of the front-end libraries (default bower).
+ * @return {string[]} The changes: added packages & scripts, kept packages with
+ *                    conflicting versions & kept scripts that differ.
+ */
+function merge(packageJson, tech, packageManager){
+  var changes = [];
+
+  mergePackages(packageJson, 'dependencies', dependencies(tech, packageManager), changes);
+  mergePackages(packageJson, 'devDependencies', devDependencies(tech, packageManager), changes);
+
+  _.forEach(scripts(packageManager), function(command, name){
+    packageJson.scripts = packageJson.scripts || {};
+    if (packageJson.scripts[name] === undefined) {
+      packageJson.scripts[name] = command;
+      changes.push('added scripts.' + name + ' = ' + command);
+    } else if (packageJson.scripts[name] !== command) {
+      changes.push('kept scripts.' + name + ' = ' + packageJson.scripts[name] + ' (the add-in uses ' + command + ')');
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Removes the packages npm replaces from a bower.json.
+ *
+ * @param {Object} bowerJson - Content of bower.json, updated.
+ * @return {string[]} The names of the removed packages.
+ */
+function migrateBower(bowerJson){
+  var removed = _.filter(_.keys(bowerJson.dependencies), function(name){
+    return _.includes(BOWER_REPLACED, name);
+  });
+
+  bowerJson.dependencies = _.omit(bowerJson.dependencies, removed);
+  return removed;
+}
+
+/**
+ * Removes the type definitions @types packages replace from a tsd.json.
+ *
+ * @param {Object} tsdJson - Content of tsd.json, updated.
+ * @return {string[]} The names of the removed type definitions.
+ */
+function migrateTsd(tsdJson){
+  var removed = _.filter(_.keys(tsdJson.installed), function(name){
+    return _.includes(TSD_REPLACED, name);
+  });
+
+  tsdJson.installed = _.omit(tsdJson.installed, removed);
+  return removed;
+}
+
+/**
+ * Merges packages into a section of a package.json: missing packages are
+ * added to the section, packages present in any section are kept.
+ *
+ * @param {Object}   packageJson - Content of package.json, updated.
+ * @param {string}   target      - Section the missing packages are added to.
+ * @param {Object}   packages    - Versions keyed by package name.
+ * @param {string[]} changes     - Changes, updated.
+ */
+function mergePackages(packageJson, target, packages, changes){
+  _.forEach(packages, function(version, name){
+    var section = _.find(DEPENDENCY_SECTIONS, function(key){
+      return packageJson[key] && packageJson[key][name] !== undefined;
+    });
+
+    if (!section) {
+      packageJson[target] = packageJson[target] || {};
+      packageJson[target][name] = version;
+      changes.push('added ' + target + '.' + name + ' = ' + version);
+    } else if (!isCompatible(packageJson[section][name], version)) {
+      changes.push('kept ' + section + '.' + name + ' = ' + packageJson[section][name] +
+        ' (conflicts with ' + version + ' required by the add-in)');
+    }
+  });
+}
+
+/**
+ * Determines if a technology compiles TypeScript.
+ *
+ * @param {string} tech - Technology of the addin.
+ * @return {boolean} True if the technology depends on typescript.
+ */
+function isTypeScript(tech){
+  return _.has(TECH_DEV_DEPENDENCIES[tech], 'typescript');
+}
+
+/**
+ * Gets the lowest version of a normalized semver range.
+ *
+ * @param {string} range - Range returned by semver.validRange().
+ * @return {?string} The lowest version or null if the range has no lower bound.
+ */
+function minVersion(range){
+  var match = /\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?/.exec(range);
+  return match && !/^</.test(range) ? match[0] : null;
+}
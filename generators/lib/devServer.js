@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Address of the dev server of an addin (--host & --port): the URLs of the
+ * manifest (start pages, icons, function file) & the dev environment of the
+ * gulpfile, whose URL serve-static listens on.
+ *
+ * Usage:
+ *   var error = devServer.validate(this.genConfig.host, this.genConfig.port);
+ *   devServer.url();                     // => 'https://localhost:8443/'
+ *   devServer.url('addins.local', 9443);  // => 'https://addins.local:9443/'
+ */
+
+/**
+ * Host & port of the dev server when not specified.
+ */
+var DEFAULT_HOST = 'localhost';
+var DEFAULT_PORT = 8443;
+
+exports.DEFAULT_HOST = DEFAULT_HOST;
+exports.DEFAULT_PORT = DEFAULT_PORT;
+exports.url = url;
+exports.validate = validate;
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+/**
+ * Gets the base URL of the dev server.
+ *
+ * @param {string}        [host] - Host name (default: localhost).
+ * @param {number|string} [port] - Port (default: 8443).
+ * @return {string} The URL, with a trailing slash.
+ */
+function url(host, port){
+  return 'https://' + (host || DEFAULT_HOST) + ':' + (port || DEFAULT_PORT) + '/';
+}
+
+/**
+ * Validates the host & port of the dev server.
+ *
+ * @param {string}        [host] - Host name.
+ * @param {number|string} [port] - Port.
+ * @return {?string} Error message, null when valid.
+ */
+function validate(host, port){
+  if (host && !/^[a-z0-9]([a-z0-9\-.]*[a-z0-9])?$/i.test(host)) {
+    return 'Invalid host \'' + host + '\'; use a host name or an IP address';
+  }
+  if (port !== undefined && !(/^\d+$/.test(port) && port >= 1 && port <= 65535)) {
+    return 'Invalid port \'' + port + '\'; the port must be a number from 1 to 65535';
+  }
+
+  return null;
+}
@@ -0,0 +1,123 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * Options holding lists of known values (Office clients & Outlook forms).
+ * On the command line they can be specified comma separated
+ * (--clients word,excel) or by repeating the option (--clients word
+ * --clients excel); values are matched case insensitively, including
+ * friendly aliases, and normalized into an array of the values written into
+ * the manifest.
+ *
+ * Usage:
+ *   this.option('clients', {type: listOptions.TYPE, ...});
+ *   var error = listOptions.normalizeOption(this.options, 'clients');
+ *   listOptions.normalize('clients', 'word, Excel');  // => ['Document', 'Workbook']
+ */
+
+/**
+ * Type of list options: nopt collects repeated options into an array.
+ */
+var TYPE = [String, Array];
+
+/**
+ * Known values of each list option & their aliases.
+ */
+var LISTS = {
+  clients: {
+    description: 'Office client',
+    values: {
+      Document: ['word'],
+      Workbook: ['excel'],
+      Presentation: ['powerpoint', 'ppt'],
+      Project: []
+    }
+  },
+  outlookForm: {
+    description: 'Outlook form',
+    values: {
+      'mail-read': ['message-read'],
+      'mail-compose': ['mail-edit', 'message-compose', 'message-edit'],
+      'appointment-read': ['meeting-read'],
+      'appointment-compose': ['appointment-edit', 'meeting-compose', 'meeting-edit']
+    }
+  }
+};
+
+exports.TYPE = TYPE;
+exports.values = values;
+exports.normalize = normalize;
+exports.validate = validate;
+exports.normalizeOption = normalizeOption;
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+/**
+ * Gets the known values of a list option.
+ *
+ * @param {string} name - Name of the option (clients or outlookForm).
+ * @return {string[]} The known values.
+ */
+function values(name){
+  return _.keys(LISTS[name].values);
+}
+
+/**
+ * Normalizes the value of a list option into an array of known values.
+ * Unknown values are kept as specified so they can be reported.
+ *
+ * @param {string}          name  - Name of the option (clients or outlookForm).
+ * @param {string|string[]} value - Comma separated string or list of values.
+ * @return {string[]} The values, without duplicates.
+ */
+function normalize(name, value){
+  var items = _.compact(_.map(_.flatten([value]).join(',').split(','), _.trim));
+
+  return _.uniq(_.map(items, function(item){
+    return _.findKey(LISTS[name].values, function(aliases, knownValue){
+      return _.includes([knownValue.toLowerCase()].concat(aliases), item.toLowerCase());
+    }) || item;
+  }));
+}
+
+/**
+ * Validates the normalized value of a list option: it must contain at least
+ * one value & only known values.
+ *
+ * @param {string}   name  - Name of the option (clients or outlookForm).
+ * @param {string[]} items - Normalized values.
+ * @return {?string} The validation error or null if the values are valid.
+ */
+function validate(name, items){
+  var list = LISTS[name];
+  var unknown = _.difference(items, values(name));
+
+  if (unknown.length > 0) {
+    return 'Unknown ' + list.description + ' \'' + unknown.join(', ') + '\'; valid values: ' +
+      _.map(list.values, function(aliases, knownValue){
+        return aliases.length > 0 ? knownValue + ' (' + aliases.join(', ') + ')' : knownValue;
+      }).join(', ');
+  }
+  if (items.length === 0) {
+    return 'Must specify at least one ' + list.description;
+  }
+
+  return null;
+}
+
+/**
+ * Normalizes a list option passed to a generator, if specified.
+ *
+ * @param {Object} options - Options passed to the generator.
+ * @param {string} name    - Name of the option (clients or outlookForm).
+ * @return {?string} The validation error or null if the option is valid or not specified.
+ */
+function normalizeOption(options, name){
+  if (options[name] === undefined) {
+    return null;
+  }
+
+  options[name] = normalize(name, options[name]);
+  return validate(name, options[name]);
+}
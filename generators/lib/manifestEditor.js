@@ -0,0 +1,784 @@
+'use strict';
+
+/**
+ * Lightweight XML editor used to make targeted changes to Office Add-in
+ * manifests. Unlike converting the manifest to JSON & rebuilding it, every
+ * node keeps the exact source text it was parsed from, so comments, attribute
+ * order & quoting, indentation and the XML declaration are preserved and only
+ * the elements that are changed show up in a diff.
+ *
+ * Usage:
+ *   var manifest = manifestEditor.parse(xml);
+ *   var hosts = manifest.root.child('Hosts');
+ *   hosts.append('<Host Name="Workbook" />');
+ *   hosts.append(manifestEditor.build('Host', {'$': {Name: 'Document'}}));
+ *   manifest.toString();
+ */
+
+var Xml2Js = require('xml2js');
+
+var DEFAULT_INDENT = '  ';
+
+/**
+ * Markup that is kept as is; order matters as '<!' also starts comments & CDATA.
+ */
+var RAW_MARKUP = [
+  {start: '<!--', end: '-->', type: 'comment'},
+  {start: '<![CDATA[', end: ']]>', type: 'cdata'},
+  {start: '<?', end: '?>', type: 'instruction'},
+  {start: '<!', end: '>', type: 'doctype'}
+];
+
+exports.parse = parse;
+exports.build = build;
+exports.merge = merge;
+exports.escape = escapeXml;
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+/**
+ * Parses an XML string into an editable document.
+ *
+ * @param {string} xml - XML to parse.
+ * @return {XmlDocument} The editable document.
+ */
+function parse(xml){
+  var document = new XmlDocument();
+  document.children = parseNodes(xml, document);
+  document.root = null;
+  document.children.forEach(function(node){
+    if (!document.root && node instanceof XmlElement) {
+      document.root = node;
+    }
+  });
+
+  if (!document.root) {
+    throw new Error('XML does not contain a root element');
+  }
+
+  return document;
+}
+
+/**
+ * Builds the XML of a new element from its xml2js representation.
+ *
+ * @param {string} name - Name of the element.
+ * @param {Object} json - xml2js representation of the element's attributes & children.
+ * @return {string} XML of the element.
+ */
+function build(name, json){
+  var xmlBuilder = new Xml2Js.Builder({headless: true, rootName: name});
+  return xmlBuilder.buildObject(json);
+}
+
+/**
+ * Applies a newly generated version of a document to an existing one so only
+ * the changes show up in a diff. Elements with the same content (ignoring
+ * formatting & comments) are kept as they are. The children of elements
+ * whose start tag is unchanged are reconciled: children that aren't in the
+ * new version are removed & missing ones are inserted. Other elements are
+ * replaced. Children of the root element only the existing document
+ * contains are kept.
+ *
+ * @param {XmlDocument} target - Existing document, updated in place.
+ * @param {XmlDocument} source - Newly generated document.
+ * @return {XmlDocument} The existing document.
+ */
+function merge(target, source){
+  attributeNames(source.root).forEach(function(name){
+    if (target.root.attr(name) !== source.root.attr(name)) {
+      target.root.setAttr(name, source.root.attr(name));
+    }
+  });
+
+  mergeChildren(target.root, source.root, function(element){
+    return element.name;
+  }, false);
+
+  return target;
+}
+
+/**
+ * Escapes a value for use in XML text or an attribute value.
+ *
+ * @param {string} value - Value to escape.
+ * @return {string} Escaped value.
+ */
+function escapeXml(value){
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Reverses the escaping of the predefined XML entities & character references.
+ *
+ * @param {string} value - Value to unescape.
+ * @return {string} Unescaped value.
+ */
+function unescapeXml(value){
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#x([0-9a-f]+);/gi, function(match, hex){
+      return String.fromCharCode(parseInt(hex, 16));
+    })
+    .replace(/&#([0-9]+);/g, function(match, dec){
+      return String.fromCharCode(parseInt(dec, 10));
+    })
+    .replace(/&amp;/g, '&');
+}
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+/*                                 parser                                    */
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+/**
+ * Parses XML into a list of nodes. Each node keeps its source text.
+ *
+ * @param {string} xml    - XML to parse.
+ * @param {Object} parent - Node the top level nodes belong to.
+ * @return {Object[]} Parsed nodes.
+ */
+function parseNodes(xml, parent){
+  var nodes = [];
+  var stack = [{element: parent, children: nodes}];
+  var position = 0;
+
+  var current = function(){
+    return stack[stack.length - 1];
+  };
+
+  var addNode = function(node){
+    node.parent = current().element;
+    current().children.push(node);
+  };
+
+  var closeElement = function(closeTag){
+    var closeName = closeTag.substring(2, closeTag.length - 1).trim();
+    if (stack.length === 1 || current().element.name !== closeName) {
+      throw new Error('Unexpected closing tag </' + closeName + '> at position ' + position);
+    }
+    current().element.endTag = closeTag;
+    stack.pop();
+  };
+
+  while (position < xml.length) {
+    var end;
+    var markup = rawMarkupAt(xml, position);
+
+    if (xml.charAt(position) !== '<') {
+      end = xml.indexOf('<', position);
+      end = end < 0 ? xml.length : end;
+      addNode(new XmlRaw('text', xml.substring(position, end)));
+    } else if (markup) {
+      end = findEnd(xml, position, markup.end);
+      addNode(new XmlRaw(markup.type, xml.substring(position, end)));
+    } else if (xml.substr(position, 2) === '</') {
+      end = findEnd(xml, position, '>');
+      closeElement(xml.substring(position, end));
+    } else {
+      end = findTagEnd(xml, position);
+      var element = new XmlElement(xml.substring(position, end));
+      addNode(element);
+      if (!element.isSelfClosing()) {
+        stack.push({element: element, children: element.children});
+      }
+    }
+
+    position = end;
+  }
+
+  if (stack.length > 1) {
+    throw new Error('Missing closing tag for <' + current().element.name + '>');
+  }
+
+  return nodes;
+}
+
+/**
+ * Gets the markup (other than elements) starting at a position.
+ *
+ * @param {string} xml      - XML being parsed.
+ * @param {number} position - Position to check.
+ * @return {Object} Type & end token of the markup or undefined if an element or text starts there.
+ */
+function rawMarkupAt(xml, position){
+  for (var index = 0; index < RAW_MARKUP.length; index++) {
+    if (xml.substr(position, RAW_MARKUP[index].start.length) === RAW_MARKUP[index].start) {
+      return RAW_MARKUP[index];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Finds the position just after the next occurrence of a token.
+ *
+ * @param {string} xml      - XML being parsed.
+ * @param {number} position - Position to start searching at.
+ * @param {string} token    - Token that ends the construct.
+ * @return {number} Position after the token.
+ */
+function findEnd(xml, position, token){
+  var index = xml.indexOf(token, position);
+  if (index < 0) {
+    throw new Error('Unterminated markup at position ' + position);
+  }
+  return index + token.length;
+}
+
+/**
+ * Finds the position just after the end of a start tag, skipping over
+ * quoted attribute values that may contain '>'.
+ *
+ * @param {string} xml      - XML being parsed.
+ * @param {number} position - Position of the '<' starting the tag.
+ * @return {number} Position after the '>' ending the tag.
+ */
+function findTagEnd(xml, position){
+  var quote = null;
+  for (var index = position + 1; index < xml.length; index++) {
+    var character = xml.charAt(index);
+    if (quote) {
+      if (character === quote) {
+        quote = null;
+      }
+    } else if (character === '"' || character === '\'') {
+      quote = character;
+    } else if (character === '>') {
+      return index + 1;
+    }
+  }
+  throw new Error('Unterminated tag at position ' + position);
+}
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+/*                                  nodes                                    */
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+/**
+ * Parsed XML document.
+ */
+function XmlDocument(){
+  this.children = [];
+  this.root = null;
+}
+
+/**
+ * Serializes the document back to XML.
+ *
+ * @return {string} The XML.
+ */
+XmlDocument.prototype.toString = function(){
+  return serializeNodes(this.children);
+};
+
+/**
+ * Text, comment, CDATA, processing instruction or doctype node which is
+ * never changed, only moved or removed.
+ *
+ * @param {string} type   - Type of node.
+ * @param {string} source - Source text of the node.
+ */
+function XmlRaw(type, source){
+  this.type = type;
+  this.source = source;
+  this.parent = null;
+}
+
+/**
+ * Serializes the node back to XML.
+ *
+ * @return {string} The XML.
+ */
+XmlRaw.prototype.toString = function(){
+  return this.source;
+};
+
+/**
+ * Determines if the node is a whitespace only text node.
+ *
+ * @return {boolean} True if the node only contains whitespace.
+ */
+XmlRaw.prototype.isWhitespace = function(){
+  return this.type === 'text' && /^\s*$/.test(this.source);
+};
+
+/**
+ * XML element.
+ *
+ * @param {string} startTag - Source text of the start tag.
+ */
+function XmlElement(startTag){
+  this.type = 'element';
+  this.startTag = startTag;
+  this.endTag = '';
+  this.name = /^<\s*([^\s\/>]+)/.exec(startTag)[1];
+  this.children = [];
+  this.parent = null;
+}
+
+/**
+ * Serializes the element back to XML.
+ *
+ * @return {string} The XML.
+ */
+XmlElement.prototype.toString = function(){
+  return this.startTag + serializeNodes(this.children) + this.endTag;
+};
+
+/**
+ * Determines if the element is self closing (<Element />).
+ *
+ * @return {boolean} True if self closing.
+ */
+XmlElement.prototype.isSelfClosing = function(){
+  return /\/\s*>$/.test(this.startTag);
+};
+
+/**
+ * Gets the value of an attribute.
+ *
+ * @param {string} name - Name of the attribute (including any prefix).
+ * @return {string} Value of the attribute or undefined if not present.
+ */
+XmlElement.prototype.attr = function(name){
+  var match = attributePattern(name).exec(this.startTag);
+  return match ? unescapeXml(match[2].substring(1, match[2].length - 1)) : undefined;
+};
+
+/**
+ * Sets the value of an attribute. Existing attributes are updated in place,
+ * new attributes are added after the last attribute.
+ *
+ * @param {string} name  - Name of the attribute (including any prefix).
+ * @param {string} value - Value of the attribute.
+ * @return {XmlElement} This element.
+ */
+XmlElement.prototype.setAttr = function(name, value){
+  var pattern = attributePattern(name);
+  var escaped = escapeXml(value);
+
+  if (pattern.test(this.startTag)) {
+    this.startTag = this.startTag.replace(pattern, function(match, prefix, quotedValue){
+      var quote = quotedValue.charAt(0);
+      var escapedValue = quote === '\'' ? escaped.replace(/'/g, '&apos;') : escaped;
+      return prefix + quote + escapedValue + quote;
+    });
+  } else {
+    this.startTag = this.startTag.replace(/\s*\/?\s*>$/, function(tagEnd){
+      return ' ' + name + '="' + escaped + '"' + tagEnd;
+    });
+  }
+
+  return this;
+};
+
+/**
+ * Removes an attribute.
+ *
+ * @param {string} name - Name of the attribute (including any prefix).
+ * @return {XmlElement} This element.
+ */
+XmlElement.prototype.removeAttr = function(name){
+  this.startTag = this.startTag.replace(attributePattern(name), '');
+  return this;
+};
+
+/**
+ * Gets the child elements, optionally only those with the specified name.
+ *
+ * @param {string} [name] - Name of the child elements.
+ * @return {XmlElement[]} The child elements.
+ */
+XmlElement.prototype.elements = function(name){
+  return this.children.filter(function(node){
+    return node instanceof XmlElement && (name === undefined || node.name === name);
+  });
+};
+
+/**
+ * Gets the first child element with the specified name.
+ *
+ * @param {string} name - Name of the child element.
+ * @return {XmlElement} The child element or undefined if not present.
+ */
+XmlElement.prototype.child = function(name){
+  return this.elements(name)[0];
+};
+
+/**
+ * Gets the (unescaped) text content of the element.
+ *
+ * @return {string} The text content.
+ */
+XmlElement.prototype.text = function(){
+  return unescapeXml(this.children.map(function(node){
+    if (node instanceof XmlElement) {
+      return '';
+    }
+    if (node.type === 'cdata') {
+      return node.source.substring(9, node.source.length - 3);
+    }
+    return node.type === 'text' ? node.source : '';
+  }).join(''));
+};
+
+/**
+ * Replaces the content of the element with the specified text.
+ *
+ * @param {string} value - Text content.
+ * @return {XmlElement} This element.
+ */
+XmlElement.prototype.setText = function(value){
+  this._open();
+  var text = new XmlRaw('text', escapeXml(value));
+  text.parent = this;
+  this.children = [text];
+  return this;
+};
+
+/**
+ * Appends a new child element after the last child element, indented
+ * to match the existing children.
+ *
+ * @param {string} xml - XML of the new element.
+ * @return {XmlElement} The new element.
+ */
+XmlElement.prototype.append = function(xml){
+  var elements = this.elements();
+  var lastElement = elements[elements.length - 1];
+
+  if (lastElement) {
+    return this._insertAt(this.children.indexOf(lastElement) + 1, xml, indentationOf(lastElement));
+  }
+
+  // no child elements yet... put the new element on its own line after any comments
+  var indentation = indentationOf(this);
+  this._open();
+  var lastNode = this.children[this.children.length - 1];
+  if (lastNode && lastNode.isWhitespace()) {
+    this.children.pop();
+  }
+  var element = this._insertAt(this.children.length, xml, indentation + DEFAULT_INDENT);
+  var closingText = new XmlRaw('text', '\n' + indentation);
+  closingText.parent = this;
+  this.children.push(closingText);
+
+  return element;
+};
+
+/**
+ * Inserts a new sibling element before this element, using the same indentation.
+ *
+ * @param {string} xml - XML of the new element.
+ * @return {XmlElement} The new element.
+ */
+XmlElement.prototype.insertBefore = function(xml){
+  var siblings = this.parent.children;
+  var index = siblings.indexOf(this);
+  var previous = siblings[index - 1];
+
+  // insert before the whitespace that indents this element so the new element gets its own line
+  if (previous && previous.isWhitespace && previous.isWhitespace()) {
+    index--;
+  }
+
+  return this.parent._insertAt(index, xml, indentationOf(this));
+};
+
+/**
+ * Inserts a new sibling element after this element, using the same indentation.
+ *
+ * @param {string} xml - XML of the new element.
+ * @return {XmlElement} The new element.
+ */
+XmlElement.prototype.insertAfter = function(xml){
+  return this.parent._insertAt(this.parent.children.indexOf(this) + 1, xml, indentationOf(this));
+};
+
+/**
+ * Replaces this element with a new element.
+ *
+ * @param {string} xml - XML of the new element.
+ * @return {XmlElement} The new element.
+ */
+XmlElement.prototype.replaceWith = function(xml){
+  var siblings = this.parent.children;
+  var fragment = parseFragment(xml, indentationOf(this), this.parent);
+  siblings.splice.apply(siblings, [siblings.indexOf(this), 1].concat(fragment));
+  return fragment[0];
+};
+
+/**
+ * Gets the XML of this element with its own indentation removed from
+ * nested lines, suitable for inserting the element somewhere else.
+ *
+ * @return {string} XML of the element.
+ */
+XmlElement.prototype.toFragment = function(){
+  return this.toString().split('\n' + indentationOf(this)).join('\n');
+};
+
+/**
+ * Removes this element along with the whitespace indenting it.
+ */
+XmlElement.prototype.remove = function(){
+  var siblings = this.parent.children;
+  var index = siblings.indexOf(this);
+  var previous = siblings[index - 1];
+
+  if (previous && previous.isWhitespace && previous.isWhitespace()) {
+    siblings.splice(index - 1, 2);
+  } else {
+    siblings.splice(index, 1);
+  }
+
+  this.parent = null;
+};
+
+/**
+ * Removes all child elements & text, leaving the element open on its own
+ * line. Comments are kept along with the whitespace indenting them.
+ *
+ * @return {XmlElement} This element.
+ */
+XmlElement.prototype.empty = function(){
+  if (this.isSelfClosing()) {
+    return this;
+  }
+
+  var children = this.children;
+  var comments = [];
+  children.forEach(function(node, index){
+    if (node.type === 'comment') {
+      var previous = children[index - 1];
+      if (previous && previous.isWhitespace && previous.isWhitespace()) {
+        comments.push(previous);
+      }
+      comments.push(node);
+    }
+  });
+
+  var closingText = new XmlRaw('text', '\n' + indentationOf(this));
+  closingText.parent = this;
+  this.children = comments.concat(closingText);
+
+  return this;
+};
+
+/**
+ * Inserts a new element at the specified position in the children,
+ * preceded by a new line & indentation.
+ *
+ * @param {number} index       - Position to insert the element at.
+ * @param {string} xml         - XML of the new element.
+ * @param {string} indentation - Indentation of the new element.
+ * @return {XmlElement} The new element.
+ */
+XmlElement.prototype._insertAt = function(index, xml, indentation){
+  var whitespace = new XmlRaw('text', '\n' + indentation);
+  whitespace.parent = this;
+
+  var fragment = parseFragment(xml, indentation, this);
+  this.children.splice.apply(this.children, [index, 0, whitespace].concat(fragment));
+
+  return fragment[0];
+};
+
+/**
+ * Converts a self closing element into one with a start & end tag.
+ */
+XmlElement.prototype._open = function(){
+  if (this.isSelfClosing()) {
+    this.startTag = this.startTag.replace(/\s*\/\s*>$/, '>');
+    this.endTag = '</' + this.name + '>';
+  }
+};
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+/*                             utility methods                               */
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+/**
+ * Reconciles the child elements of an existing element with the children of
+ * its newly generated version (see merge). Missing children are inserted
+ * after the child preceding them in the new version.
+ *
+ * @param {XmlElement} target      - Existing element.
+ * @param {XmlElement} source      - Newly generated element.
+ * @param {function}   keyOf       - Gets the key matching a child to its new version.
+ * @param {boolean}    removeExtra - True to remove the children that aren't in the new version.
+ */
+function mergeChildren(target, source, keyOf, removeExtra){
+  var existing = target.elements();
+  var matched = [];
+  var previous = null;
+
+  source.elements().forEach(function(sourceChild){
+    var key = keyOf(sourceChild);
+    var targetChild = existing.filter(function(element){
+      return matched.indexOf(element) < 0 && keyOf(element) === key;
+    })[0];
+
+    if (targetChild) {
+      matched.push(targetChild);
+      previous = mergeElement(targetChild, sourceChild);
+    } else if (previous) {
+      previous = previous.insertAfter(sourceChild.toFragment());
+    } else if (existing.length > 0) {
+      previous = existing[0].insertBefore(sourceChild.toFragment());
+    } else {
+      previous = target.append(sourceChild.toFragment());
+    }
+  });
+
+  if (removeExtra) {
+    existing.forEach(function(element){
+      if (matched.indexOf(element) < 0) {
+        element.remove();
+      }
+    });
+  }
+}
+
+/**
+ * Applies the newly generated version of an element to the existing element
+ * (see merge).
+ *
+ * @param {XmlElement} target - Existing element.
+ * @param {XmlElement} source - Newly generated element.
+ * @return {XmlElement} The updated element (a new element if it was replaced).
+ */
+function mergeElement(target, source){
+  if (canonicalXml(target) === canonicalXml(source)) {
+    return target;
+  }
+
+  if (source.elements().length > 0 && canonicalStartTag(target) === canonicalStartTag(source)) {
+    mergeChildren(target, source, canonicalStartTag, true);
+    return target;
+  }
+
+  return target.replaceWith(source.toFragment());
+}
+
+/**
+ * Serializes a node without formatting & comments, to compare content.
+ *
+ * @param {Object} node - Node to serialize.
+ * @return {string} The canonical XML.
+ */
+function canonicalXml(node){
+  if (node instanceof XmlElement) {
+    return canonicalStartTag(node) + node.children.map(canonicalXml).join('') + '</' + node.name + '>';
+  }
+  if (node.type === 'text') {
+    return node.source.trim();
+  }
+  return node.type === 'cdata' ? node.source : '';
+}
+
+/**
+ * Serializes the start tag of an element with its attributes sorted, double
+ * quoted & without formatting, to compare elements.
+ *
+ * @param {XmlElement} element - Element.
+ * @return {string} The canonical start tag.
+ */
+function canonicalStartTag(element){
+  return '<' + element.name + attributeNames(element).sort().map(function(name){
+    return ' ' + name + '="' + escapeXml(element.attr(name)) + '"';
+  }).join('') + '>';
+}
+
+/**
+ * Lists the names of the attributes of an element.
+ *
+ * @param {XmlElement} element - Element.
+ * @return {string[]} Names of the attributes (including any prefix).
+ */
+function attributeNames(element){
+  var pattern = /\s([^\s=\/>]+)\s*=\s*("[^"]*"|'[^']*')/g;
+  var names = [];
+  var match;
+  while ((match = pattern.exec(element.startTag)) !== null) {
+    names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Serializes a list of nodes.
+ *
+ * @param {Object[]} nodes - Nodes to serialize.
+ * @return {string} The XML.
+ */
+function serializeNodes(nodes){
+  return nodes.map(function(node){
+    return node.toString();
+  }).join('');
+}
+
+/**
+ * Parses an XML fragment containing a single element, indenting all
+ * of its lines (after the first) by the specified indentation.
+ *
+ * @param {string} xml         - XML of the element.
+ * @param {string} indentation - Indentation to apply.
+ * @param {Object} parent      - Parent of the new element.
+ * @return {XmlElement[]} List containing the new element.
+ */
+function parseFragment(xml, indentation, parent){
+  var indented = xml.trim().split(/\r?\n/).join('\n' + indentation);
+  var nodes = parseNodes(indented, parent).filter(function(node){
+    return node instanceof XmlElement;
+  });
+
+  if (nodes.length !== 1) {
+    throw new Error('XML fragment must contain exactly one element');
+  }
+
+  return nodes;
+}
+
+/**
+ * Determines the indentation of an element from the whitespace preceding it.
+ *
+ * @param {XmlElement} element - Element to get the indentation of.
+ * @return {string} The indentation.
+ */
+function indentationOf(element){
+  if (!element.parent || !element.parent.children) {
+    return '';
+  }
+
+  var siblings = element.parent.children;
+  var previous = siblings[siblings.indexOf(element) - 1];
+  if (previous && previous.type === 'text') {
+    var match = /\n([ \t]*)$/.exec(previous.source);
+    if (match) {
+      return match[1];
+    }
+  }
+
+  // no whitespace before the element... base it off the parent
+  return element.parent instanceof XmlElement ? indentationOf(element.parent) + DEFAULT_INDENT : '';
+}
+
+/**
+ * Creates a pattern matching an attribute in a start tag.
+ * Groups: 1 = whitespace, name & equals sign; 2 = quoted value.
+ *
+ * @param {string} name - Name of the attribute.
+ * @return {RegExp} The pattern.
+ */
+function attributePattern(name){
+  var escapedName = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp('(\\s+' + escapedName + '\\s*=\\s*)("[^"]*"|\'[^\']*\')');
+}
@@ -0,0 +1,255 @@
+'use strict';
+
+/**
+ * Metadata written into the manifest of every type of Office Add-in
+ * (provider, description, icons, support page & version) along with the
+ * options, prompts & validation rules shared by the mail, taskpane & content
+ * subgenerators. The validation rules mirror the types used by manifest.xsd
+ * so a generated manifest passes `gulp validate-xml`.
+ *
+ * Usage (in a subgenerator):
+ *   manifestMetadata.addOptions(this);
+ *   var defaults = manifestMetadata.defaults(tech, 'Description of the add-in', 'https://localhost:8443/',
+ *                                            this.user.git.name() || projectName);
+ *   this.prompt(manifestMetadata.prompts(this.options, defaults), ...);
+ *   manifestMetadata.normalize(this.genConfig);
+ *   var error = manifestMetadata.validate(this.genConfig);
+ */
+
+/**
+ * Maximum length of a ShortString (ProviderName).
+ */
+var SHORT_STRING_LENGTH = 125;
+
+/**
+ * Maximum length of a LongString (Description).
+ */
+var LONG_STRING_LENGTH = 250;
+
+/**
+ * Maximum length of a URL (IconUrl, HighResolutionIconUrl & SupportUrl).
+ */
+var URL_LENGTH = 2048;
+
+/**
+ * Format of the <Version> element.
+ */
+var VERSION_PATTERN = /^([0-9]{1,5})(\.[0-9]{1,5}){0,3}$/;
+
+/**
+ * Metadata fields: name of the option / prompt, description used in the
+ * prompt & option help and the function validating a value.
+ */
+var FIELDS = [
+  {
+    name: 'providerName',
+    message: 'Provider name (company or developer):',
+    validate: function(value){
+      return validateString(value, SHORT_STRING_LENGTH, 'Provider name');
+    }
+  },
+  {
+    name: 'description',
+    message: 'Add-in description:',
+    validate: function(value){
+      return validateString(value, LONG_STRING_LENGTH, 'Description');
+    }
+  },
+  {
+    name: 'iconUrl',
+    message: 'Icon URL (https, blank for none):',
+    validate: function(value){
+      return validateUrl(value, 'Icon URL');
+    }
+  },
+  {
+    name: 'highResIconUrl',
+    message: 'High resolution icon URL (https, blank for none):',
+    validate: function(value){
+      return validateUrl(value, 'High resolution icon URL');
+    }
+  },
+  {
+    name: 'supportUrl',
+    message: 'Support URL (https, blank for none):',
+    validate: function(value){
+      return validateUrl(value, 'Support URL');
+    }
+  },
+  {
+    name: 'addinVersion',
+    message: 'Add-in version:',
+    validate: function(value){
+      return VERSION_PATTERN.test(value) ||
+        'Version must be up to four numbers separated by periods (1.0.0.0)';
+    }
+  }
+];
+
+exports.addOptions = addOptions;
+exports.fieldNames = fieldNames;
+exports.defaults = defaults;
+exports.prompts = prompts;
+exports.selectOptions = selectOptions;
+exports.normalize = normalize;
+exports.validate = validate;
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+/**
+ * Adds the metadata options to a generator.
+ *
+ * @param {Object} yoGenerator - Yeoman generator.
+ */
+function addOptions(yoGenerator){
+  FIELDS.forEach(function(field){
+    yoGenerator.option(field.name, {
+      type: String,
+      desc: field.message.replace(/:$/, ''),
+      required: false
+    });
+  });
+}
+
+/**
+ * Gets the names of the metadata options.
+ *
+ * @return {string[]} The names of the options.
+ */
+function fieldNames(){
+  return FIELDS.map(function(field){
+    return field.name;
+  });
+}
+
+/**
+ * Selects the metadata options passed to a generator, used to pass them on
+ * to a subgenerator.
+ *
+ * @param {Object} options - Options passed to the generator.
+ * @return {Object} The metadata options that were specified.
+ */
+function selectOptions(options){
+  var selected = {};
+  FIELDS.forEach(function(field){
+    if (options[field.name] !== undefined) {
+      selected[field.name] = options[field.name];
+    }
+  });
+  return selected;
+}
+
+/**
+ * Gets the default metadata for a new addin. The default icons are the ones
+ * created along with the addin source files, so there are none when only
+ * creating the manifest.
+ *
+ * @param {string} tech         - Technology used for the addin.
+ * @param {string} description  - Default description of the addin.
+ * @param {string} serverUrl    - Base URL of the dev server serving the icons.
+ * @param {string} providerName - Default provider (git user or project name).
+ * @return {Object} Default value of each field, keyed by field name.
+ */
+function defaults(tech, description, serverUrl, providerName){
+  var hasIcons = tech !== 'manifest-only';
+
+  return {
+    providerName: providerName,
+    description: description,
+    iconUrl: hasIcons ? serverUrl + 'images/icon-32.png' : '',
+    highResIconUrl: hasIcons ? serverUrl + 'images/icon-80.png' : '',
+    supportUrl: '',
+    addinVersion: '1.0.0.0'
+  };
+}
+
+/**
+ * Builds the prompts for the metadata not specified as options.
+ *
+ * @param {Object} options  - Options passed to the generator.
+ * @param {Object} defaults - Default value of each field, keyed by field name.
+ * @return {Object[]} The prompts.
+ */
+function prompts(options, defaults){
+  return FIELDS.map(function(field){
+    return {
+      name: field.name,
+      message: field.message,
+      default: defaults[field.name],
+      when: options[field.name] === undefined,
+      validate: /* istanbul ignore next */ function(value){
+        return field.validate(value.trim());
+      },
+      filter: /* istanbul ignore next */ function(value){
+        return value.trim();
+      }
+    };
+  });
+}
+
+/**
+ * Normalizes the metadata of the addin: values specified as options are
+ * trimmed, the same way the prompts trim the answers.
+ *
+ * @param {Object} genConfig - Generator configuration containing the metadata.
+ */
+function normalize(genConfig){
+  FIELDS.forEach(function(field){
+    if (typeof genConfig[field.name] === 'string') {
+      genConfig[field.name] = genConfig[field.name].trim();
+    }
+  });
+}
+
+/**
+ * Validates the metadata of the addin.
+ *
+ * @param {Object} genConfig - Generator configuration containing the metadata.
+ * @return {?string} The first validation error or null if all values are valid.
+ */
+function validate(genConfig){
+  for (var index = 0; index < FIELDS.length; index++) {
+    var field = FIELDS[index];
+    var result = field.validate(String(genConfig[field.name] || ''));
+    if (result !== true) {
+      return result;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validates a required string value against a maximum length.
+ *
+ * @param {string} value       - Value to validate.
+ * @param {number} maxLength   - Maximum number of characters.
+ * @param {string} description - Description of the value used in the error message.
+ * @return {boolean|string} True if valid, otherwise the error message.
+ */
+function validateString(value, maxLength, description){
+  if (value.length < 1 || value.length > maxLength) {
+    return description + ' must contain between 1 and ' + maxLength + ' characters';
+  }
+  return true;
+}
+
+/**
+ * Validates an optional URL which must use https.
+ *
+ * @param {string} value       - Value to validate (blank = not specified).
+ * @param {string} description - Description of the value used in the error message.
+ * @return {boolean|string} True if valid, otherwise the error message.
+ */
+function validateUrl(value, description){
+  if (value === '') {
+    return true;
+  }
+  if (!/^https:\/\/[^\s\/]+/i.test(value) || /\s/.test(value)) {
+    return description + ' must be an https:// URL';
+  }
+  if (value.length > URL_LENGTH) {
+    return description + ' must not exceed ' + URL_LENGTH + ' characters';
+  }
+  return true;
+}
@@ -0,0 +1,413 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * Activation rules of mail addins (<Rule> element of the manifest). Besides
+ * the Outlook forms (ItemIs rules) a contextual addin is only activated when
+ * the item contains known entities (ItemHasKnownEntity), matches regular
+ * expressions (ItemHasRegularExpressionMatch) or has attachments
+ * (ItemHasAttachment). Outlook only evaluates contextual rules on read forms,
+ * so they are combined with the read forms only:
+ *
+ *   Or(ItemIs compose forms.., And(Or(ItemIs read forms..), Mode(contextual rules..)))
+ *
+ * Usage (in the mail subgenerator):
+ *   var rules = outlookRules.fromConfig(this.genConfig);
+ *   var error = outlookRules.validate(rules, outlookForm, allows);
+ *   manifestEditor.build('Rule', outlookRules.build(outlookForm, rules));
+ */
+
+/**
+ * Outlook form types & the <Rule xsi:type="ItemIs"> they map to.
+ */
+var OUTLOOK_FORMS = {
+  'mail-read': {ItemType: 'Message', FormType: 'Read'},
+  'mail-compose': {ItemType: 'Message', FormType: 'Edit'},
+  'appointment-read': {ItemType: 'Appointment', FormType: 'Read'},
+  'appointment-compose': {ItemType: 'Appointment', FormType: 'Edit'}
+};
+
+/**
+ * Known entity types: property of the object returned by item.getEntities()
+ * holding the entities, property of an entity holding its text (none for
+ * entities returned as strings) & whether Restricted addins can use them.
+ */
+var KNOWN_ENTITIES = [
+  {value: 'Address', name: 'Addresses', property: 'addresses', restricted: true},
+  {value: 'Contact', name: 'Contacts', property: 'contacts', textProperty: 'personName'},
+  {value: 'EmailAddress', name: 'E-mail addresses', property: 'emailAddresses'},
+  {value: 'MeetingSuggestion', name: 'Meeting suggestions', property: 'meetingSuggestions',
+   textProperty: 'meetingString'},
+  {value: 'PhoneNumber', name: 'Phone numbers', property: 'phoneNumbers', textProperty: 'originalPhoneString',
+   restricted: true},
+  {value: 'TaskSuggestion', name: 'Task suggestions', property: 'taskSuggestions', textProperty: 'taskString'},
+  {value: 'Url', name: 'URLs', property: 'urls', restricted: true}
+];
+
+/**
+ * Properties of the item regular expressions can be matched against.
+ */
+var REGEX_PROPERTIES = ['BodyAsPlaintext', 'BodyAsHTML', 'Subject', 'SenderSMTPAddress'];
+
+/**
+ * Modes used to combine the contextual rules.
+ */
+var MODES = ['Or', 'And'];
+
+/**
+ * Format of the name of a regular expression; also used in the sample code.
+ */
+var REGEX_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+exports.entityChoices = entityChoices;
+exports.prompts = prompts;
+exports.parseRegExMatches = parseRegExMatches;
+exports.fromConfig = fromConfig;
+exports.validate = validate;
+exports.build = build;
+exports.sampleMatches = sampleMatches;
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+/**
+ * Gets the prompt choices for the known entity types.
+ *
+ * @return {Object[]} The prompt choices.
+ */
+function entityChoices(){
+  return _.map(KNOWN_ENTITIES, function(entity){
+    return {name: entity.name, value: entity.value};
+  });
+}
+
+/**
+ * Builds the prompts for the contextual rules not specified as options.
+ *
+ * @param {Object} options - Options passed to the generator.
+ * @return {Object[]} The prompts.
+ */
+function prompts(options){
+  return [
+    {
+      name: 'knownEntities',
+      message: 'Only activate for items containing (select none to always activate):',
+      type: 'checkbox',
+      choices: entityChoices(),
+      default: [],
+      when: options.knownEntities === undefined
+    },
+    {
+      name: 'regExMatches',
+      message: 'Only activate for items matching regular expressions ' +
+        '(name=pattern separated by ;, blank for none):',
+      default: '',
+      when: options.regExMatches === undefined,
+      validate: /* istanbul ignore next */ function(answer){
+        return validateRegExMatches(parseRegExMatches(answer)) || true;
+      }
+    },
+    {
+      name: 'regExProperty',
+      message: 'Match the regular expressions against:',
+      type: 'list',
+      choices: REGEX_PROPERTIES,
+      default: REGEX_PROPERTIES[0],
+      when: /* istanbul ignore next */ function(answers){
+        return options.regExProperty === undefined &&
+          parseRegExMatches(answers.regExMatches || options.regExMatches).length > 0;
+      }
+    },
+    {
+      name: 'attachment',
+      message: 'Only activate for items with attachments?',
+      type: 'confirm',
+      default: false,
+      when: options.attachment === undefined
+    },
+    {
+      name: 'ruleMode',
+      message: 'Activate when the item matches:',
+      type: 'list',
+      choices: [
+        {name: 'Any of the conditions', value: 'Or'},
+        {name: 'All of the conditions', value: 'And'}
+      ],
+      default: 'Or',
+      when: /* istanbul ignore next */ function(answers){
+        var config = _.extend({}, options, answers);
+        return options.ruleMode === undefined && contextualRules(fromConfig(config)).length > 1;
+      }
+    }
+  ];
+}
+
+/**
+ * Parses a list of regular expressions in the form name=pattern separated by
+ * semicolons (patterns often contain commas).
+ *
+ * @param {string|string[]} value - Semicolon separated string or list of regular expressions.
+ * @return {Object[]} Regular expressions with name & pattern properties.
+ */
+function parseRegExMatches(value){
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  return _.map(_.compact(_.map(_.flatten([value]).join(';').split(';'), _.trim)), function(item){
+    var separator = item.indexOf('=');
+    return {
+      name: separator < 0 ? item : _.trim(item.substring(0, separator)),
+      pattern: separator < 0 ? '' : _.trim(item.substring(separator + 1))
+    };
+  });
+}
+
+/**
+ * Gets the contextual rules from the generator configuration (answers & options).
+ *
+ * @param {Object} genConfig - Generator configuration.
+ * @return {Object} Rules: knownEntities, regExMatches, regExProperty, attachment & mode.
+ */
+function fromConfig(genConfig){
+  return {
+    knownEntities: _.compact(_.map(_.flatten([genConfig.knownEntities || []]).join(',').split(','), _.trim)),
+    regExMatches: parseRegExMatches(genConfig.regExMatches),
+    regExProperty: genConfig.regExProperty || REGEX_PROPERTIES[0],
+    attachment: genConfig.attachment === true,
+    mode: genConfig.ruleMode || 'Or'
+  };
+}
+
+/**
+ * Validates the contextual rules of an addin.
+ *
+ * @param {Object}   rules  - Contextual rules.
+ * @param {string[]} forms  - Outlook form types.
+ * @param {Object}   allows - APIs allowed by the permissions of the addin.
+ * @return {?string} The first validation error or null if the rules are valid.
+ */
+function validate(rules, forms, allows){
+  var error = validateValues(rules) || validateRegExMatches(rules.regExMatches) ||
+    (!allows.readItem && validateRestricted(rules));
+  if (error) {
+    return error;
+  }
+  if (contextualRules(rules).length > 0 && readForms(forms).length === 0) {
+    return 'Contextual rules only apply to read forms; select mail-read or appointment-read';
+  }
+
+  return null;
+}
+
+/**
+ * Builds the activation rule of an addin.
+ *
+ * @param {string[]} forms - Outlook form types.
+ * @param {Object}   rules - Contextual rules.
+ * @return {Object} xml2js representation of the root <Rule> element.
+ */
+function build(forms, rules){
+  var conditions = contextualRules(rules);
+  var knownForms = _.filter(forms, function(form){
+    return OUTLOOK_FORMS[form];
+  });
+
+  if (conditions.length === 0) {
+    return collection('Or', _.map(knownForms, itemIs));
+  }
+
+  var readRule = collection('And', [
+    collection('Or', _.map(readForms(knownForms), itemIs)),
+    collection(rules.mode, conditions)
+  ]);
+  return collection('Or', [readRule].concat(_.map(_.difference(knownForms, readForms(knownForms)), itemIs)));
+}
+
+/**
+ * Describes the values matched by the contextual rules the sample code of the
+ * read form displays.
+ *
+ * @param {Object} rules - Contextual rules.
+ * @return {Object[]} Matches with id (of the element displaying them), label,
+ *                    regExName or entityType, property & textProperty of the
+ *                    entities.
+ */
+function sampleMatches(rules){
+  var entities = _.map(_.filter(KNOWN_ENTITIES, function(entity){
+    return _.includes(rules.knownEntities, entity.value);
+  }), function(entity){
+    return {
+      id: _.kebabCase(entity.property),
+      label: entity.name,
+      entityType: entity.value,
+      property: entity.property,
+      textProperty: entity.textProperty
+    };
+  });
+  var regExMatches = _.map(rules.regExMatches, function(regEx){
+    return {
+      id: 'regex-' + _.kebabCase(regEx.name),
+      label: regEx.name,
+      regExName: regEx.name
+    };
+  });
+
+  return entities.concat(regExMatches);
+}
+
+/**
+ * Builds the contextual rules (ItemHasKnownEntity, ItemHasRegularExpressionMatch
+ * & ItemHasAttachment).
+ *
+ * @param {Object} rules - Contextual rules.
+ * @return {Object[]} xml2js representation of the <Rule> elements.
+ */
+function contextualRules(rules){
+  var result = _.map(rules.knownEntities, function(entityType){
+    return {'$': {'xsi:type': 'ItemHasKnownEntity', EntityType: entityType}};
+  });
+
+  _.forEach(rules.regExMatches, function(regEx){
+    result.push({'$': {
+      'xsi:type': 'ItemHasRegularExpressionMatch',
+      RegExName: regEx.name,
+      RegExValue: regEx.pattern,
+      PropertyName: rules.regExProperty
+    }});
+  });
+
+  if (rules.attachment) {
+    result.push({'$': {'xsi:type': 'ItemHasAttachment'}});
+  }
+
+  return result;
+}
+
+/**
+ * Validates the entity types, item property & mode of the contextual rules
+ * are known values.
+ *
+ * @param {Object} rules - Contextual rules.
+ * @return {?string} The first validation error or null if all are valid.
+ */
+function validateValues(rules){
+  var validEntities = _.map(KNOWN_ENTITIES, 'value');
+  var invalidEntities = _.difference(rules.knownEntities, validEntities);
+
+  if (invalidEntities.length > 0) {
+    return 'Unknown entity type \'' + invalidEntities.join(', ') + '\'; valid values: ' + validEntities.join(', ');
+  }
+  if (!_.includes(REGEX_PROPERTIES, rules.regExProperty)) {
+    return 'Unknown item property \'' + rules.regExProperty + '\'; valid values: ' + REGEX_PROPERTIES.join(', ');
+  }
+  if (!_.includes(MODES, rules.mode)) {
+    return 'Unknown rule mode \'' + rules.mode + '\'; valid values: ' + MODES.join(', ');
+  }
+
+  return null;
+}
+
+/**
+ * Validates the contextual rules of a Restricted addin: regular expressions,
+ * attachments & entities other than addresses, phone numbers & URLs require
+ * ReadItem permissions.
+ *
+ * @param {Object} rules - Contextual rules.
+ * @return {?string} The first validation error or null if all are allowed.
+ */
+function validateRestricted(rules){
+  var restrictedEntities = _.map(_.filter(KNOWN_ENTITIES, 'restricted'), 'value');
+  var forbiddenEntities = _.difference(rules.knownEntities, restrictedEntities);
+
+  if (rules.regExMatches.length > 0) {
+    return 'Regular expression rules require ReadItem permissions or higher';
+  }
+  if (rules.attachment) {
+    return 'Attachment rules require ReadItem permissions or higher';
+  }
+  if (forbiddenEntities.length > 0) {
+    return 'Entity type \'' + forbiddenEntities.join(', ') + '\' requires ReadItem permissions or higher; ' +
+      'Restricted add-ins can only use ' + restrictedEntities.join(', ');
+  }
+
+  return null;
+}
+
+/**
+ * Validates regular expressions: names must be unique identifiers & patterns
+ * valid regular expressions.
+ *
+ * @param {Object[]} regExMatches - Regular expressions with name & pattern properties.
+ * @return {?string} The first validation error or null if all are valid.
+ */
+function validateRegExMatches(regExMatches){
+  var names = [];
+
+  for (var index = 0; index < regExMatches.length; index++) {
+    var regEx = regExMatches[index];
+
+    if (!REGEX_NAME_PATTERN.test(regEx.name) || _.includes(names, regEx.name)) {
+      return 'Regular expression names must be unique & start with a letter followed by letters, ' +
+        'digits or _ (' + regEx.name + ')';
+    }
+    names.push(regEx.name);
+
+    if (!isValidRegExp(regEx.pattern)) {
+      return 'Invalid regular expression \'' + regEx.pattern + '\' (' + regEx.name + ')';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Determines if a pattern is a valid, non-empty regular expression.
+ *
+ * @param {string} pattern - Pattern of the regular expression.
+ * @return {boolean} True if the pattern is valid.
+ */
+function isValidRegExp(pattern){
+  try {
+    return pattern !== '' && new RegExp(pattern) instanceof RegExp;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Gets the read form types.
+ *
+ * @param {string[]} forms - Outlook form types.
+ * @return {string[]} The read form types.
+ */
+function readForms(forms){
+  return _.filter(forms, function(form){
+    return OUTLOOK_FORMS[form] && OUTLOOK_FORMS[form].FormType === 'Read';
+  });
+}
+
+/**
+ * Builds the ItemIs rule of an Outlook form type.
+ *
+ * @param {string} form - Outlook form type.
+ * @return {Object} xml2js representation of the <Rule> element.
+ */
+function itemIs(form){
+  return {'$': _.extend({'xsi:type': 'ItemIs'}, OUTLOOK_FORMS[form])};
+}
+
+/**
+ * Combines rules in a RuleCollection; a single rule doesn't need one.
+ *
+ * @param {string}   mode  - Mode of the collection (Or / And).
+ * @param {Object[]} rules - xml2js representation of the <Rule> elements.
+ * @return {Object} xml2js representation of the <Rule> element.
+ */
+function collection(mode, rules){
+  if (rules.length === 1) {
+    return rules[0];
+  }
+
+  return {'$': {'xsi:type': 'RuleCollection', Mode: mode}, Rule: rules};
+}
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Permission levels an Office Add-in can request in the <Permissions> element
+ * of its manifest. The subgenerators use the APIs each level allows to only
+ * generate sample code the add-in is permitted to run.
+ *
+ * Usage:
+ *   this.prompt([{type: 'list', choices: permissions.choices('MailApp'), ...}]);
+ *   permissions.isValid('MailApp', 'ReadItem');  // => true
+ *   permissions.allows('ReadItem').readItem;     // => true
+ */
+
+/**
+ * Permission levels of task pane & content addins, least privileged first.
+ */
+var DOCUMENT_LEVELS = [
+  {
+    value: 'Restricted',
+    name: 'Restricted (no access to the document)'
+  },
+  {
+    value: 'ReadDocument',
+    name: 'ReadDocument (read the selection)'
+  },
+  {
+    value: 'ReadAllDocument',
+    name: 'ReadAllDocument (read the entire document)'
+  },
+  {
+    value: 'WriteDocument',
+    name: 'WriteDocument (write to the selection only)'
+  },
+  {
+    value: 'ReadWriteDocument',
+    name: 'ReadWriteDocument (read & write the document)'
+  }
+];
+
+/**
+ * Permission levels of mail addins, least privileged first.
+ */
+var MAIL_LEVELS = [
+  {
+    value: 'Restricted',
+    name: 'Restricted (entities in the current item only)'
+  },
+  {
+    value: 'ReadItem',
+    name: 'ReadItem (read the current item)'
+  },
+  {
+    value: 'ReadWriteItem',
+    name: 'ReadWriteItem (read & write the current item)'
+  },
+  {
+    value: 'ReadWriteMailbox',
+    name: 'ReadWriteMailbox (read & write the entire mailbox)'
+  }
+];
+
+/**
+ * Permission levels keyed by type of addin (xsi:type of <OfficeApp>).
+ */
+var LEVELS = {
+  MailApp: MAIL_LEVELS,
+  TaskPaneApp: DOCUMENT_LEVELS,
+  ContentApp: DOCUMENT_LEVELS
+};
+
+/**
+ * APIs allowed by each permission level.
+ */
+var ALLOWED_APIS = {
+  Restricted: {},
+  ReadDocument: {readDocument: true},
+  ReadAllDocument: {readDocument: true},
+  WriteDocument: {writeDocument: true},
+  ReadWriteDocument: {readDocument: true, writeDocument: true},
+  ReadItem: {readItem: true},
+  ReadWriteItem: {readItem: true, writeItem: true},
+  ReadWriteMailbox: {readItem: true, writeItem: true}
+};
+
+exports.levels = levels;
+exports.choices = choices;
+exports.isValid = isValid;
+exports.allows = allows;
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+/**
+ * Gets the permission levels supported by a type of addin.
+ *
+ * @param {string} addinType - Type of addin (MailApp, TaskPaneApp or ContentApp).
+ * @return {string[]} The permission levels.
+ */
+function levels(addinType){
+  return (LEVELS[addinType] || []).map(function(level){
+    return level.value;
+  });
+}
+
+/**
+ * Gets the prompt choices for the permission levels of a type of addin.
+ *
+ * @param {string} addinType - Type of addin (MailApp, TaskPaneApp or ContentApp).
+ * @return {Object[]} The prompt choices.
+ */
+function choices(addinType){
+  return LEVELS[addinType].map(function(level){
+    return {name: level.name, value: level.value};
+  });
+}
+
+/**
+ * Determines if a permission level is supported by a type of addin.
+ *
+ * @param {string} addinType - Type of addin (MailApp, TaskPaneApp or ContentApp).
+ * @param {string} level     - Permission level.
+ * @return {boolean} True if the level is supported.
+ */
+function isValid(addinType, level){
+  return levels(addinType).indexOf(level) > -1;
+}
+
+/**
+ * Gets the APIs a permission level allows the addin to call.
+ *
+ * @param {string} level - Permission level.
+ * @return {Object} Flags for each group of APIs allowed: readDocument,
+ *                  writeDocument, readItem & writeItem.
+ */
+function allows(level){
+  var apis = ALLOWED_APIS[level] || {};
+
+  return {
+    readDocument: apis.readDocument === true,
+    writeDocument: apis.writeDocument === true,
+    readItem: apis.readItem === true,
+    writeItem: apis.writeItem === true
+  };
+}
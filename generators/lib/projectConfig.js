@@ -0,0 +1,193 @@
+'use strict';
+
+var guid = require('uuid');
+var _ = require('lodash');
+var answers = require('./answers');
+var manifestEditor = require('./manifestEditor');
+var requirements = require('./requirements');
+
+/**
+ * Configuration of a project saved in .yo-rc.json: the generator that
+ * created it, the ID of the addin & the answers it was created with (in the
+ * format of the answers file). The saved answers are the defaults of the
+ * prompts on the next run; --regenerate re-applies the current templates
+ * using the saved answers without prompting, overwriting the files of the
+ * project (like --force). The ID of the addin is kept in both cases.
+ *
+ * Usage (in a generator):
+ *   projectConfig.addOption(this);
+ *   var error = projectConfig.regenerate(this, 'taskpane');  // --regenerate: saved answers => this.options.answers
+ *   projectConfig.useAsDefaults(this, 'taskpane');
+ *   this.genConfig.projectId = projectConfig.projectId(this, manifestFilename);
+ *   projectConfig.save(this, 'taskpane', this.genConfig);
+ */
+
+exports.addOption = addOption;
+exports.savedAnswers = savedAnswers;
+exports.regenerate = regenerate;
+exports.useAsDefaults = useAsDefaults;
+exports.projectId = projectId;
+exports.save = save;
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+/**
+ * Adds the regenerate option to a generator.
+ *
+ * @param {Object} yoGenerator - Yeoman generator.
+ */
+function addOption(yoGenerator){
+  yoGenerator.option('regenerate', {
+    type: Boolean,
+    desc: 'Re-apply the templates to the project using the answers saved in .yo-rc.json ' +
+      '(overwrites the files without prompting)',
+    required: false
+  });
+}
+
+/**
+ * Gets the answers saved when the project was created by a generator.
+ *
+ * @param {Object} yoGenerator - Yeoman generator.
+ * @param {string} generator   - Name of the generator (app, mail, taskpane or
+ *                               content); app answers include the type.
+ * @return {Object} The saved answers or undefined if the project wasn't
+ *                  created by the generator.
+ */
+function savedAnswers(yoGenerator, generator){
+  var config = yoGenerator.config.getAll();
+  if (!config.answers || (generator !== 'app' && config.generator !== generator)) {
+    return undefined;
+  }
+
+  return generator === 'app' ? _.extend({type: config.generator}, config.answers) : config.answers;
+}
+
+/**
+ * When the project is regenerated, answers the prompts of a generator with
+ * the saved answers & overwrites the files without asking.
+ *
+ * @param {Object} yoGenerator - Yeoman generator.
+ * @param {string} generator   - Name of the generator.
+ * @return {?string} The error if no answers were saved by the generator or null.
+ */
+function regenerate(yoGenerator, generator){
+  if (!yoGenerator.options.regenerate) {
+    return null;
+  }
+
+  var json = savedAnswers(yoGenerator, generator);
+  if (!json) {
+    return 'Unable to regenerate the project: .yo-rc.json contains no answers saved by yo office' +
+      (generator === 'app' ? '' : ':' + generator);
+  }
+
+  yoGenerator.options.answers = json;
+  yoGenerator.conflicter.force = true;
+  return null;
+}
+
+/**
+ * Uses the saved answers as the defaults of the prompts of a generator.
+ *
+ * @param {Object} yoGenerator - Yeoman generator.
+ * @param {string} generator   - Name of the generator.
+ */
+function useAsDefaults(yoGenerator, generator){
+  var json = savedAnswers(yoGenerator, generator);
+  if (!json) {
+    return;
+  }
+
+  var defaults = promptDefaults(json);
+  var prompt = yoGenerator.prompt;
+
+  yoGenerator.prompt = function(questions, callback){
+    return prompt.call(yoGenerator, _.map(_.flatten([questions]), function(question){
+      return defaults[question.name] === undefined ? question : withDefault(question, defaults[question.name]);
+    }), callback);
+  };
+}
+
+/**
+ * Gets the ID of the addin: the saved ID, otherwise the ID in the existing
+ * manifest or a new ID.
+ *
+ * @param {Object} yoGenerator      - Yeoman generator.
+ * @param {string} manifestFilename - Name of the manifest of the project.
+ * @return {string} The ID of the addin.
+ */
+function projectId(yoGenerator, manifestFilename){
+  var savedId = yoGenerator.config.get('projectId');
+  if (savedId) {
+    return savedId;
+  }
+
+  var manifestPath = yoGenerator.destinationPath(manifestFilename);
+  var idElement = yoGenerator.fs.exists(manifestPath) &&
+    manifestEditor.parse(yoGenerator.fs.read(manifestPath)).root.child('Id');
+
+  return (idElement && _.trim(idElement.text())) || guid.v4();
+}
+
+/**
+ * Saves the configuration of the project.
+ *
+ * @param {Object} yoGenerator - Yeoman generator.
+ * @param {string} generator   - Name of the generator (mail, taskpane or content).
+ * @param {Object} genConfig   - Configuration of the generator.
+ */
+function save(yoGenerator, generator, genConfig){
+  yoGenerator.config.set({
+    generator: generator,
+    projectId: genConfig.projectId,
+    answers: answers.fromConfig(_.extend({}, genConfig, {
+      requirements: requirements.format(genConfig.requirements)
+    }), generator)
+  });
+}
+
+/**
+ * Converts saved answers into the defaults of the prompts: the requirements
+ * are answered with the requirementSets & minVersion<Set> prompts.
+ *
+ * @param {Object} json - Saved answers.
+ * @return {Object} Defaults keyed by prompt name.
+ */
+function promptDefaults(json){
+  var result = _.omit(json, 'requirements');
+
+  if (json.requirements !== undefined) {
+    var sets = requirements.parse(json.requirements);
+    result.requirementSets = _.map(sets, 'name');
+    _.forEach(sets, function(set){
+      result['minVersion' + set.name] = set.minVersion;
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Copies a question with a new default. The choices of checkboxes are checked
+ * when they are part of the default; lists are joined for other questions.
+ *
+ * @param {Object} question - Question (inquirer format).
+ * @param {*}      value    - Default value.
+ * @return {Object} The question with the default.
+ */
+function withDefault(question, value){
+  if (question.type !== 'checkbox') {
+    return _.extend({}, question, {
+      default: _.isArray(value) ? value.join(answers.separator(question.name) + ' ') : value
+    });
+  }
+
+  var values = _.flatten([value]);
+  return _.extend({}, question, {
+    default: values,
+    choices: _.map(question.choices, function(choice){
+      return _.isObject(choice) ? _.extend({}, choice, {checked: _.includes(values, choice.value)}) : choice;
+    })
+  });
+}
@@ -0,0 +1,253 @@
+'use strict';
+
+var chalk = require('chalk');
+var _ = require('lodash');
+var dependencies = require('./dependencies');
+
+/**
+ * Integration of the addin into existing projects: configuration files
+ * (jsconfig.json, tsconfig.json, .bowerrc) are created from their template or
+ * merged into the existing file, keeping its values, package.json gets the
+ * devDependencies & npm scripts of the addin, .gitignore gets the files the
+ * addin builds into the site & existing gulpfiles get the Office tasks as a
+ * separate module (gulpfile.office.js) registered at the top of the gulpfile,
+ * so the tasks of the project take precedence. Every change made to an
+ * existing file is reported.
+ *
+ * Usage (in a generator):
+ *   var packageJson = projectFiles.upsertPackage(this, 'common/_package.json');
+ *   projectFiles.upsertJson(this, 'common/_tsconfig.json', 'tsconfig.json');
+ *   projectFiles.upsertJson(this, 'common/_bowerrc', '.bowerrc', {directory: 'bower_components'});
+ *   projectFiles.upsertIgnore(this, ['*.bundle.js']);
+ *   projectFiles.upsertGulpfile(this, 'common/gulpfile.js');
+ */
+
+/**
+ * Name of the module containing the Office tasks of existing gulpfiles.
+ */
+var GULP_MODULE = 'gulpfile.office.js';
+
+/**
+ * Task only defined by the gulpfile created by the generator.
+ */
+var OFFICE_TASK = 'validate-xml';
+
+exports.GULP_MODULE = GULP_MODULE;
+exports.mergeJson = mergeJson;
+exports.upsertJson = upsertJson;
+exports.upsertPackage = upsertPackage;
+exports.upsertIgnore = upsertIgnore;
+exports.definedTasks = definedTasks;
+exports.registerGulpModule = registerGulpModule;
+exports.upsertGulpfile = upsertGulpfile;
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+/**
+ * Deep merges values into a JSON object without overwriting its values:
+ * missing properties are added, arrays get the missing items & different
+ * values are kept.
+ *
+ * @param {Object} json      - JSON object, updated.
+ * @param {Object} additions - Values to merge.
+ * @param {string} [prefix]  - Path of the JSON object (used in the changes).
+ * @return {string[]} The changes: added values & kept values that differ.
+ */
+function mergeJson(json, additions, prefix){
+  var changes = [];
+
+  _.forEach(additions, function(value, key){
+    var name = prefix ? prefix + '.' + key : key;
+    var current = json[key];
+
+    if (current === undefined) {
+      json[key] = value;
+      changes.push('added ' + name + ' = ' + JSON.stringify(value));
+    } else if (_.isPlainObject(current) && _.isPlainObject(value)) {
+      changes = changes.concat(mergeJson(current, value, name));
+    } else if (_.isArray(current) && _.isArray(value)) {
+      _.forEach(_.difference(value, current), function(item){
+        current.push(item);
+        changes.push('added ' + JSON.stringify(item) + ' to ' + name);
+      });
+    } else if (!_.isEqual(current, value)) {
+      changes.push('kept ' + name + ' = ' + JSON.stringify(current) + ' (the add-in uses ' +
+        JSON.stringify(value) + ')');
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Creates a JSON configuration file from its template or merges the values of
+ * the template into the existing file.
+ *
+ * @param {Object} yoGenerator - Yeoman generator.
+ * @param {string} template    - Path of the template (relative to the templates).
+ * @param {string} file        - Path of the file (relative to the project).
+ * @param {Object} [additions] - Values merged into an existing file (default:
+ *                               the content of the template).
+ */
+function upsertJson(yoGenerator, template, file, additions){
+  var filePath = yoGenerator.destinationPath(file);
+
+  if (!yoGenerator.fs.exists(filePath)) {
+    yoGenerator.fs.copyTpl(yoGenerator.templatePath(template), filePath, yoGenerator.genConfig);
+    return;
+  }
+
+  var json = yoGenerator.fs.readJSON(filePath);
+  var changes = mergeJson(json, additions || yoGenerator.fs.readJSON(yoGenerator.templatePath(template)));
+
+  report(yoGenerator, file, changes);
+  if (_.some(changes, isAddition)) {
+    yoGenerator.fs.writeJSON(filePath, json);
+  }
+}
+
+/**
+ * Creates package.json from its template or uses the existing file, & merges
+ * the dependencies, devDependencies & npm scripts of the addin into it. The changes made to
+ * an existing file are reported.
+ *
+ * @param {Object} yoGenerator - Yeoman generator.
+ * @param {string} template    - Path of the template (relative to the templates).
+ * @return {Object} The content of package.json.
+ */
+function upsertPackage(yoGenerator, template){
+  var filePath = yoGenerator.destinationPath('package.json');
+  var exists = yoGenerator.fs.exists(filePath);
+
+  if (!exists) {
+    yoGenerator.fs.copyTpl(yoGenerator.templatePath(template), filePath, yoGenerator.genConfig);
+  }
+
+  var packageJson = yoGenerator.fs.readJSON(filePath);
+  var changes = dependencies.merge(packageJson, yoGenerator.genConfig.tech, yoGenerator.genConfig.packageManager);
+
+  if (exists) {
+    report(yoGenerator, 'package.json', changes);
+  }
+  if (_.some(changes, isAddition)) {
+    yoGenerator.fs.writeJSON(filePath, packageJson);
+  }
+  return packageJson;
+}
+
+/**
+ * Creates .gitignore or adds the missing patterns to the existing file.
+ *
+ * @param {Object}   yoGenerator - Yeoman generator.
+ * @param {string[]} patterns    - Patterns of the files kept out of version control.
+ */
+function upsertIgnore(yoGenerator, patterns){
+  var filePath = yoGenerator.destinationPath('.gitignore');
+  var content = yoGenerator.fs.exists(filePath) ? yoGenerator.fs.read(filePath) : '';
+  var missing = _.difference(patterns, _.map(content.split('\n'), _.trim));
+
+  if (missing.length === 0) {
+    return;
+  }
+  if (content) {
+    report(yoGenerator, '.gitignore', _.map(missing, function(pattern){
+      return 'added ' + pattern;
+    }));
+  }
+  yoGenerator.fs.write(filePath, content.replace(/([^\n])$/, '$1\n') + missing.join('\n') + '\n');
+}
+
+/**
+ * Gets the names of the tasks defined by a gulpfile.
+ *
+ * @param {string} content - Content of the gulpfile.
+ * @return {string[]} The names of the tasks.
+ */
+function definedTasks(content){
+  var pattern = /\.task\(\s*(['"])([^'"]+)\1/g;
+  var result = [];
+  var match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    result.push(match[2]);
+  }
+  return _.uniq(result);
+}
+
+/**
+ * Registers the module containing the Office tasks at the top of a gulpfile,
+ * after the leading comments & 'use strict'.
+ *
+ * @param {string} content - Content of the gulpfile.
+ * @return {string} The content registering the module (unchanged if it's already registered).
+ */
+function registerGulpModule(content){
+  if (content.indexOf('./' + GULP_MODULE) > -1) {
+    return content;
+  }
+
+  var header = /^(?:\s*(?:\/\/[^\n]*|\/\*[\s\S]*?\*\/|(['"])use strict\1;?)[ \t]*(?:\r?\n|$))*\s*/.exec(content)[0];
+  return header +
+    '// Office Add-in tasks; tasks defined in this file take precedence\n' +
+    'require(\'./' + GULP_MODULE + '\');\n\n' +
+    content.substring(header.length);
+}
+
+/**
+ * Creates the gulpfile containing the Office tasks. An existing gulpfile (not
+ * created by the generator) gets the tasks as a separate module.
+ *
+ * @param {Object} yoGenerator - Yeoman generator.
+ * @param {string} template    - Path of the gulpfile template (relative to the templates).
+ */
+function upsertGulpfile(yoGenerator, template){
+  var gulpfilePath = yoGenerator.destinationPath('gulpfile.js');
+  var content = yoGenerator.fs.exists(gulpfilePath) ? yoGenerator.fs.read(gulpfilePath) : null;
+  var isOfficeGulpfile = content !== null && content.indexOf('./' + GULP_MODULE) < 0 &&
+    _.includes(definedTasks(content), OFFICE_TASK);
+
+  if (content === null || isOfficeGulpfile) {
+    yoGenerator.fs.copyTpl(yoGenerator.templatePath(template), gulpfilePath,
+      _.extend({}, yoGenerator.genConfig, {gulpModule: false}));
+    return;
+  }
+
+  var modulePath = yoGenerator.destinationPath(GULP_MODULE);
+  yoGenerator.fs.copyTpl(yoGenerator.templatePath(template), modulePath,
+    _.extend({}, yoGenerator.genConfig, {gulpModule: true}));
+
+  var changes = [];
+  var registered = registerGulpModule(content);
+  if (registered !== content) {
+    yoGenerator.fs.write(gulpfilePath, registered);
+    changes.push('added require(\'./' + GULP_MODULE + '\') with the Office Add-in tasks');
+  }
+  _.forEach(_.intersection(definedTasks(content), definedTasks(yoGenerator.fs.read(modulePath))), function(task){
+    changes.push('kept task \'' + task + '\' (overrides the task of ' + GULP_MODULE + ')');
+  });
+
+  report(yoGenerator, 'gulpfile.js', changes);
+}
+
+/**
+ * Logs the changes made to an existing file.
+ *
+ * @param {Object}   yoGenerator - Yeoman generator.
+ * @param {string}   file        - Path of the file.
+ * @param {string[]} changes     - Changes made to the file.
+ */
+function report(yoGenerator, file, changes){
+  _.forEach(changes, function(change){
+    yoGenerator.log(chalk.yellow(file + ': ' + change));
+  });
+}
+
+/**
+ * Determines if a change added a value.
+ *
+ * @param {string} change - Change reported by mergeJson() or dependencies.merge().
+ * @return {boolean} True if the change added a value.
+ */
+function isAddition(change){
+  return _.startsWith(change, 'added ');
+}
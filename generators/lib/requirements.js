@@ -0,0 +1,322 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * Requirement sets & methods of the JavaScript API for Office an Office
+ * Add-in can require in the <Requirements> element of its manifest. Hosts
+ * that don't support the requirements don't offer the add-in, so the sample
+ * code only has to guard the APIs of the sets the add-in doesn't require.
+ *
+ * Usage:
+ *   this.prompt(requirements.prompts('TaskPaneApp', this.options, {clients: ['Workbook']}), ...);
+ *   var sets = requirements.parse('ExcelApi:1.2, DialogApi');
+ *   var error = requirements.validate('TaskPaneApp', sets, methods);
+ *   requirements.guards(sets, [{name: 'TextCoercion', minVersion: '1.1'}]).TextCoercion;  // => true
+ */
+
+/**
+ * Format of the MinVersion attribute (ShortVersion in manifest.xsd).
+ */
+var VERSION_PATTERN = /^[0-9]{1,5}\.[0-9]{1,5}$/;
+
+/**
+ * Version assumed when a set doesn't specify a MinVersion.
+ */
+var DEFAULT_VERSION = '1.1';
+
+/**
+ * Known requirement sets: versions available, type of addins that can require
+ * them & the Office clients (task pane & content addins) that support them.
+ * Sets without clients are supported by all clients.
+ */
+var KNOWN_SETS = [
+  {name: 'Mailbox', versions: ['1.1', '1.2', '1.3', '1.4', '1.5'], addinTypes: ['MailApp']},
+  {name: 'ExcelApi', versions: ['1.1', '1.2', '1.3'], addinTypes: ['TaskPaneApp', 'ContentApp'],
+   clients: ['Workbook']},
+  {name: 'WordApi', versions: ['1.1', '1.2'], addinTypes: ['TaskPaneApp'], clients: ['Document']},
+  {name: 'DialogApi', versions: ['1.1'], addinTypes: ['TaskPaneApp', 'ContentApp']},
+  {name: 'TextCoercion', versions: ['1.1'], addinTypes: ['TaskPaneApp', 'ContentApp']},
+  {name: 'HtmlCoercion', versions: ['1.1'], addinTypes: ['TaskPaneApp', 'ContentApp'], clients: ['Document']},
+  {name: 'OoxmlCoercion', versions: ['1.1'], addinTypes: ['TaskPaneApp', 'ContentApp'], clients: ['Document']},
+  {name: 'ImageCoercion', versions: ['1.1'], addinTypes: ['TaskPaneApp', 'ContentApp']},
+  {name: 'MatrixCoercion', versions: ['1.1'], addinTypes: ['TaskPaneApp', 'ContentApp']},
+  {name: 'TableCoercion', versions: ['1.1'], addinTypes: ['TaskPaneApp', 'ContentApp']},
+  {name: 'Selection', versions: ['1.1'], addinTypes: ['TaskPaneApp', 'ContentApp']},
+  {name: 'Settings', versions: ['1.1'], addinTypes: ['TaskPaneApp', 'ContentApp']},
+  {name: 'File', versions: ['1.1'], addinTypes: ['TaskPaneApp', 'ContentApp']},
+  {name: 'DocumentEvents', versions: ['1.1'], addinTypes: ['TaskPaneApp', 'ContentApp']}
+];
+
+/**
+ * Default requirement sets of each type of addin (xsi:type of <OfficeApp>).
+ */
+var DEFAULT_SETS = {
+  MailApp: [{name: 'Mailbox', minVersion: '1.1'}],
+  TaskPaneApp: [],
+  ContentApp: []
+};
+
+exports.parse = parse;
+exports.format = format;
+exports.parseMethods = parseMethods;
+exports.defaults = defaults;
+exports.prompts = prompts;
+exports.fromAnswers = fromAnswers;
+exports.validate = validate;
+exports.isRequired = isRequired;
+exports.guards = guards;
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+/**
+ * Parses a list of requirement sets in the form Name or Name:MinVersion.
+ * Known sets are renamed to their canonical casing.
+ *
+ * @param {string|string[]} value - Comma separated string or list of sets.
+ * @return {Object[]} Requirement sets with name & minVersion properties.
+ */
+function parse(value){
+  return _.map(toList(value), function(item){
+    var parts = item.split(':');
+    var known = findKnownSet(_.trim(parts[0]));
+    return {
+      name: known ? known.name : _.trim(parts[0]),
+      minVersion: parts[1] ? _.trim(parts[1]) : undefined
+    };
+  });
+}
+
+/**
+ * Formats requirement sets as a comma separated list of Name:MinVersion.
+ *
+ * @param {Object[]} sets - Requirement sets with name & minVersion properties.
+ * @return {string} Formatted requirement sets.
+ */
+function format(sets){
+  return _.map(sets, function(set){
+    return set.minVersion ? set.name + ':' + set.minVersion : set.name;
+  }).join(', ');
+}
+
+/**
+ * Parses a list of method names (Document.getSelectedDataAsync).
+ *
+ * @param {string|string[]} value - Comma separated string or list of methods.
+ * @return {string[]} Names of the methods.
+ */
+function parseMethods(value){
+  return toList(value);
+}
+
+/**
+ * Gets the requirement sets a new addin requires by default.
+ *
+ * @param {string} addinType - Type of addin (MailApp, TaskPaneApp or ContentApp).
+ * @return {Object[]} The default requirement sets.
+ */
+function defaults(addinType){
+  return _.cloneDeep(DEFAULT_SETS[addinType] || []);
+}
+
+/**
+ * Builds the prompts for the requirement sets & methods not specified as
+ * options: a list of the sets supported by the type of addin (& clients),
+ * the MinVersion of each selected set with more than one version &, except
+ * for mail addins, the methods.
+ *
+ * @param {string} addinType - Type of addin (MailApp, TaskPaneApp or ContentApp).
+ * @param {Object} options   - Options passed to the generator.
+ * @param {Object} answers   - Previous answers; clients limits the sets offered.
+ * @return {Object[]} The prompts.
+ */
+function prompts(addinType, options, answers){
+  var clients = toList(answers.clients);
+  var defaultSets = defaults(addinType);
+  var available = _.filter(KNOWN_SETS, function(set){
+    return _.includes(set.addinTypes, addinType) &&
+      (!set.clients || clients.length === 0 || _.intersection(set.clients, clients).length > 0);
+  });
+
+  var result = [{
+    name: 'requirementSets',
+    message: 'Requirement sets (hosts must support them to offer the Add-in):',
+    type: 'checkbox',
+    choices: _.map(available, function(set){
+      return {name: set.name, value: set.name};
+    }),
+    default: _.map(defaultSets, 'name'),
+    when: options.requirements === undefined,
+    validate: /* istanbul ignore next */ function(answer){
+      return validateSets(addinType, parse(answer));
+    }
+  }];
+
+  _.forEach(available, function(set){
+    if (set.versions.length < 2) {
+      return;
+    }
+    var defaultSet = _.find(defaultSets, {name: set.name});
+    result.push({
+      name: 'minVersion' + set.name,
+      message: 'Minimum version of ' + set.name + ':',
+      type: 'list',
+      choices: set.versions,
+      default: defaultSet ? defaultSet.minVersion : DEFAULT_VERSION,
+      when: /* istanbul ignore next */ function(answers){
+        return _.includes(answers.requirementSets, set.name);
+      }
+    });
+  });
+
+  // mail addins can only require sets
+  if (addinType !== 'MailApp') {
+    result.push({
+      name: 'methods',
+      message: 'Required methods (comma separated, blank for none):',
+      default: '',
+      when: options.methods === undefined
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Converts the answers of the requirement prompts into requirement sets.
+ *
+ * @param {Object} answers - Answers to the prompts.
+ * @return {Object[]} Requirement sets with name & minVersion properties.
+ */
+function fromAnswers(answers){
+  return _.map(answers.requirementSets, function(name){
+    return {name: name, minVersion: answers['minVersion' + name] || DEFAULT_VERSION};
+  });
+}
+
+/**
+ * Validates the requirement sets & methods of an addin.
+ *
+ * @param {string}   addinType - Type of addin (MailApp, TaskPaneApp or ContentApp).
+ * @param {Object[]} sets      - Requirement sets with name & minVersion properties.
+ * @param {string[]} methods   - Names of the required methods.
+ * @return {?string} The first validation error or null if all values are valid.
+ */
+function validate(addinType, sets, methods){
+  var result = validateSets(addinType, sets);
+  if (result !== true) {
+    return result;
+  }
+
+  if (addinType === 'MailApp' && methods.length > 0) {
+    return 'Mail add-ins cannot require methods, only requirement sets';
+  }
+
+  return null;
+}
+
+/**
+ * Determines if an addin requires a set, in at least the specified version.
+ *
+ * @param {Object[]} sets       - Requirement sets of the addin.
+ * @param {string}   name       - Name of the set.
+ * @param {string}   minVersion - Minimum version of the set.
+ * @return {boolean} True if the set is required.
+ */
+function isRequired(sets, name, minVersion){
+  return _.some(sets, function(set){
+    return set.name.toLowerCase() === name.toLowerCase() &&
+      compareVersions(set.minVersion || DEFAULT_VERSION, minVersion || DEFAULT_VERSION) >= 0;
+  });
+}
+
+/**
+ * Determines which sets used by the sample code must be checked at runtime
+ * with Office.context.requirements.isSetSupported() as the addin doesn't
+ * require them.
+ *
+ * @param {Object[]} sets     - Requirement sets of the addin.
+ * @param {Object[]} usedSets - Sets used by the sample code.
+ * @return {Object} True for each used set that must be checked, keyed by set name.
+ */
+function guards(sets, usedSets){
+  var result = {};
+  _.forEach(usedSets, function(set){
+    result[set.name] = !isRequired(sets, set.name, set.minVersion);
+  });
+  return result;
+}
+
+/**
+ * Validates requirement sets: the versions must be valid & known sets must
+ * be supported by the type of addin. Mail addins must require the Mailbox set.
+ *
+ * @param {string}   addinType - Type of addin (MailApp, TaskPaneApp or ContentApp).
+ * @param {Object[]} sets      - Requirement sets with name & minVersion properties.
+ * @return {boolean|string} True if valid, otherwise the error message.
+ */
+function validateSets(addinType, sets){
+  for (var index = 0; index < sets.length; index++) {
+    var set = sets[index];
+    var known = findKnownSet(set.name);
+
+    if (set.minVersion !== undefined && !VERSION_PATTERN.test(set.minVersion)) {
+      return 'Invalid version \'' + set.minVersion + '\' of requirement set ' + set.name +
+        '; use two numbers separated by a period (1.1)';
+    }
+    if (known && !_.includes(known.addinTypes, addinType)) {
+      return 'Requirement set ' + known.name + ' is not supported by this type of add-in';
+    }
+  }
+
+  if (addinType === 'MailApp' && !isRequired(sets, 'Mailbox')) {
+    return 'Mail add-ins must require the Mailbox requirement set';
+  }
+
+  return true;
+}
+
+/**
+ * Finds a known requirement set by (case insensitive) name.
+ *
+ * @param {string} name - Name of the set.
+ * @return {Object} The known set or undefined.
+ */
+function findKnownSet(name){
+  return _.find(KNOWN_SETS, function(set){
+    return set.name.toLowerCase() === name.toLowerCase();
+  });
+}
+
+/**
+ * Compares two versions (1.1) numerically.
+ *
+ * @param {string} left  - First version.
+ * @param {string} right - Second version.
+ * @return {number} Negative, zero or positive like Array.prototype.sort.
+ */
+function compareVersions(left, right){
+  var leftParts = left.split('.');
+  var rightParts = right.split('.');
+  for (var index = 0; index < Math.max(leftParts.length, rightParts.length); index++) {
+    var difference = (parseInt(leftParts[index], 10) || 0) - (parseInt(rightParts[index], 10) || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Converts a comma separated string into a list of trimmed, non-empty values.
+ *
+ * @param {string|string[]} value - Value to convert.
+ * @return {string[]} List of values.
+ */
+function toList(value){
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  return _.compact(_.map(_.flatten([value]).join(',').split(','), _.trim));
+}
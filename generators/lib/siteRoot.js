@@ -0,0 +1,88 @@
+'use strict';
+
+var path = require('path');
+var _ = require('lodash');
+
+/**
+ * Root of the site of an addin (--root-path): the folder, relative to the
+ * project, containing the files served by the dev server. The URLs in the
+ * manifest (start page, icons, function file) are relative to this folder,
+ * which is the web root of the dev server (serve-static), contains the bower
+ * components & is copied by the dist tasks.
+ *
+ * Usage:
+ *   var rootPath = siteRoot.normalize('./src/public/', this.destinationRoot());  // => 'src/public'
+ *   var error = siteRoot.validate(rootPath);
+ *   siteRoot.serverRoot(rootPath);                   // => './src/public'
+ *   siteRoot.join(rootPath, 'bower_components');     // => 'src/public/bower_components'
+ */
+
+/**
+ * Answer of the root path prompt meaning the root of the project.
+ */
+var CURRENT_FOLDER = 'current folder';
+
+exports.normalize = normalize;
+exports.validate = validate;
+exports.serverRoot = serverRoot;
+exports.join = join;
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+/**
+ * Normalizes a root path into a path relative to the project using forward
+ * slashes, without leading ./ or trailing slash. Absolute paths are made
+ * relative to the project.
+ *
+ * @param {string} value       - Root path as specified (blank or 'current folder' for the project root).
+ * @param {string} projectRoot - Absolute path of the project.
+ * @return {string} The normalized root path (blank for the project root).
+ */
+function normalize(value, projectRoot){
+  var rootPath = _.trim(value);
+  if (!rootPath || rootPath === CURRENT_FOLDER) {
+    return '';
+  }
+
+  if (path.isAbsolute(rootPath)) {
+    rootPath = path.relative(projectRoot, rootPath);
+  }
+
+  rootPath = path.posix.normalize(rootPath.replace(/\\/g, '/')).replace(/\/+$/, '');
+  return rootPath === '.' ? '' : rootPath;
+}
+
+/**
+ * Validates a normalized root path: it must be inside the project.
+ *
+ * @param {string} rootPath - Normalized root path.
+ * @return {?string} The validation error or null if the root path is valid.
+ */
+function validate(rootPath){
+  if (rootPath === '..' || _.startsWith(rootPath, '../')) {
+    return 'Invalid root path \'' + rootPath + '\'; the root path must be inside the project';
+  }
+
+  return null;
+}
+
+/**
+ * Gets the folder served by the dev server, relative to the gulpfile.
+ *
+ * @param {string} rootPath - Normalized root path.
+ * @return {string} The folder (. for the project root).
+ */
+function serverRoot(rootPath){
+  return rootPath ? './' + rootPath : '.';
+}
+
+/**
+ * Gets the path, relative to the project, of a file of the site.
+ *
+ * @param {string} rootPath - Normalized root path.
+ * @param {string} file     - Path of the file relative to the root path.
+ * @return {string} The path of the file using forward slashes.
+ */
+function join(rootPath, file){
+  return rootPath ? rootPath + '/' + file : file;
+}
@@ -0,0 +1,1310 @@
+'use script';
+
+var gulp = require('gulp');
+var webserver = require('gulp-webserver');
+var fs = require('fs');
+var os = require('os');
+var crypto = require('crypto');
+var childProcess = require('child_process');
+var minimist = require('minimist');
+var chalk = require('chalk');
+var $ = require('gulp-load-plugins')({ lazy: true });
+var del = require('del');
+var runSequence = require('run-sequence');
+var path = require('path');
+var net = require('net');
+var url = require('url');
+var merge = require('merge-stream');
+var lazypipe = require('lazypipe');
+var forge = require('node-forge');
+var tinylr = require('tiny-lr');
+<% if (react) { -%>
+var browserify = require('browserify');
+var source = require('vinyl-source-stream');
+<% } -%>
+
+var config = {
+<% if (typescript) { -%>
+  source: '<%= serverRoot %>',
+  root: './build',
+<% } else { -%>
+  root: '<%= serverRoot %>',
+<% } -%>
+<% if (packageManager === 'npm') { -%>
+  libs: [<%- libraries.map(function (lib) { return '\'' + lib + '\''; }).join(', ') %>],
+<% } -%>
+  environments: './environments.json',
+  certificates: path.join(os.homedir(), '.office-addin-dev-certs'),
+  reloadPort: 35729,
+  release: './dist'
+};
+
+// sizes of the icons of the site (images/icon-<size>.png) required by the Office Store
+config.iconSizes = [16, 32, 80];
+
+// hosts the add-in is redirected to (sign-in), which the AppDomains of the manifest must list
+config.redirectHosts = [<% if (tech === 'ng-adal') { %>'login.windows.net', 'login.microsoftonline.com'<% } %>];
+
+// pages whose build blocks (scripts & styles) are bundled into the dist folder
+config.pages = [
+<%- pages.map(function (page) { return '  \'' + page + '\''; }).join(',\n') %>
+];
+
+// entry points whose open pages the dev server reloads when the files of their folder or the shared files of
+// the site change (false: reload the pages by hand)
+config.reload = {
+<%- entries.map(function (entry) { return '  ' + entry + ': true'; }).join(',\n') %>
+};
+
+// files of the site served that reload the pages when they change
+config.watched = [
+  config.root + '/*.html',
+  config.root + '/app*/**/*',
+  config.root + '/functions/**/*',
+  config.root + '/content/**/*',
+  config.root + '/images/**/*',
+<% if (react) { -%>
+  config.root + '/scripts/**/*',
+  '!' + config.root + '/**/*.jsx'
+<% } else { -%>
+  config.root + '/scripts/**/*'
+<% } -%>
+];
+<% if (typescript) { -%>
+
+// scripts compiled & other files of the site copied into the build folder (root)
+config.scripts = [
+  config.source + '/app*/**/*.ts',
+  config.source + '/functions/**/*.ts'
+];
+config.assets = [
+  config.source + '/app*/**/*',
+  config.source + '/functions/**/*',
+<% if (packageManager === 'bower') { -%>
+  config.source + '/bower_components/**/*',
+<% } -%>
+  config.source + '/content/**/*',
+  config.source + '/images/**/*',
+  config.source + '/scripts/**/*',
+  config.source + '/index.html',
+  '!' + config.source + '/**/*.ts'
+];
+<% } -%>
+<% if (react) { -%>
+
+// entry points of the pages bundled with their modules & libraries (app.jsx => app.bundle.js)
+config.bundles = [
+<%- bundles.map(function (bundle) { return '  config.root + \'/' + bundle + '\''; }).join(',\n') %>
+];
+config.scripts = [
+  config.root + '/app*/**/*.jsx'
+];
+<% } -%>
+
+<% if (!gulpModule) { -%>
+gulp.task('help', $.taskListing.withFilters(function (task) {
+  var mainTasks = ['default', 'help', 'serve-static', 'validate-xml', 'dist', 'package'<% if (typescript) { %>, 'compile', 'watch'<% } %><% if (react) { %>, 'bundle', 'watch'<% } %>];
+  var isSubTask = mainTasks.indexOf(task) < 0;
+  return isSubTask;
+}));
+gulp.task('default', ['help']);
+<% } -%>
+
+/** +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ **/
+
+/**
+ * Startup static webserver on the URL of the dev environment or --host &
+ * --port, using the localhost certificate of the local certificate authority
+ * or --cert & --key, in watch mode: <% if (typescript || react) { %>rebuilds the
+ * site when its scripts change (watch), <% } %>validates the manifests again when
+ * they change & reloads the open pages of the entry points of config.reload.
+ */
+gulp.task('serve-static', <% if (typescript || react) { %>['watch'], <% } %>function (cb) {
+  var server, certificate;
+
+  try {
+    server = url.parse(_devServerUrl());
+    certificate = _certificate(server.hostname);
+  }
+  catch (err) {
+    return cb(err);
+  }
+
+  gulp.src(config.root)
+    .pipe(webserver({
+      https: certificate,
+      port: server.port,
+      host: server.hostname,
+      directoryListing: true,
+      fallback: 'index.html',
+      middleware: _injectReloadClient
+    }));
+
+  gulp.watch('./manifest-*.xml', function (event) {
+    if (event.type !== 'deleted') {
+      _printValidation(_validationResult(event.path, false));
+    }
+  });
+  _reloadOnChange(certificate);
+  cb();
+});
+
+<% if (typescript) { -%>
+/**
+ * Compiles the TypeScript files of the site & copies its other files into the
+ * build folder, served & distributed as the root of the site.
+ */
+gulp.task('compile', ['compile-ts', 'compile-assets']);
+
+/**
+ * Compiles the TypeScript files into the build folder.
+ */
+gulp.task('compile-ts', function () {
+  var tsProject = $.typescript.createProject('tsconfig.json');
+<% if (packageManager === 'bower') { -%>
+
+  // compile with the type definitions installed by tsd
+  return gulp.src(config.scripts.concat('./typings/**/*.d.ts'), { base: config.source })
+<% } else { -%>
+
+  return gulp.src(config.scripts, { base: config.source })
+<% } -%>
+    .pipe(tsProject())
+    .js.pipe(gulp.dest(config.root));
+});
+
+/**
+ * Copies the other files of the site into the build folder.
+ */
+gulp.task('compile-assets', function () {
+  return gulp.src(config.assets, { base: config.source })
+    .pipe(gulp.dest(config.root));
+});
+
+/**
+ * Compiles the site & recompiles the files that change.
+ */
+gulp.task('watch', ['compile'], function () {
+  gulp.watch(config.scripts, ['compile-ts']);
+  gulp.watch(config.assets, ['compile-assets']);
+});
+
+<% } -%>
+<% if (react) { -%>
+/**
+ * Bundles the entry point of each page with its modules & libraries; fails when
+ * a page doesn't bundle, so dist & package don't ship a stale bundle.
+ */
+gulp.task('bundle', function () {
+  return _bundle(false);
+});
+
+/**
+ * Bundles the pages & rebundles them when their scripts change; the errors are
+ * reported without stopping the watch.
+ */
+gulp.task('watch', function () {
+  gulp.watch(config.scripts, function () {
+    _bundle(true);
+  });
+  return _bundle(true);
+});
+
+<% } -%>
+<% if (packageManager === 'npm') { -%>
+/**
+ * Copies the front-end libraries installed by npm to the lib folder of the site.
+ */
+gulp.task('copy-libs', function () {
+  return gulp.src(config.libs.map(function (lib) {
+    return './node_modules/' + lib + '/**/*';
+  }), { base: './node_modules' })
+    .pipe(gulp.dest(config.root + '/lib'));
+});
+
+<% } -%>
+/**
+ * Validates the Office add-in manifests for submission to the store: XSD schema
+ * & rules of the manifest linter. Validates the manifest-*.xml files of the
+ * project & dist folder, or --xmlfile (repeatable); manifests of the dist
+ * folder (but the dev environment's) or --release are checked as release
+ * builds. Fails when a manifest is
+ * invalid; --json prints the results (--json <file> writes them) & --junit
+ * writes them as a JUnit XML report (validation-report.xml or --junit <file>).
+ */
+gulp.task('validate-xml', function () {
+  var options = minimist(process.argv.slice(2));
+  var xmlFiles = options.xmlfile ? [].concat(options.xmlfile) : _findManifests('.').concat(
+    _findManifests(config.release).map(function (manifest) {
+      return path.join(config.release, manifest);
+    }));
+  var missingFiles = xmlFiles.filter(function (xmlFilePath) {
+    return !fs.existsSync(xmlFilePath);
+  });
+
+  if (xmlFiles.length === 0 || missingFiles.length > 0) {
+    console.log(chalk.red(xmlFiles.length === 0 ? 'No manifest-*.xml to validate' :
+      'Missing manifest ' + missingFiles.join(', ')));
+    process.exitCode = 1;
+    return;
+  }
+
+  var results = xmlFiles.map(function (xmlFilePath) {
+    return _validationResult(xmlFilePath, options.release || _isReleaseManifest(xmlFilePath));
+  });
+  var report = {
+    valid: results.every(function (result) {
+      return result.valid;
+    }),
+    manifests: results
+  };
+
+  if (options.json === true) {
+    console.log(JSON.stringify(report, null, 2));
+  }
+  else {
+    results.forEach(_printValidation);
+  }
+  if (typeof options.json === 'string') {
+    fs.writeFileSync(options.json, JSON.stringify(report, null, 2));
+  }
+  if (options.junit) {
+    fs.writeFileSync(options.junit === true ? 'validation-report.xml' : options.junit, _junitReport(results));
+  }
+  if (!report.valid) {
+    process.exitCode = 1;
+  }
+});
+
+/**
+ * Removes existing dist folder
+ */
+gulp.task('dist-remove', function () {
+  return del(config.release);
+});
+
+/**
+ * Copies the files of the site that aren't bundled to the dist folder
+ */
+gulp.task('dist-copy-files', function() {
+  return gulp.src([
+    config.root + '/app*/**/*',
+    config.root + '/functions/**/*',
+    config.root + '/content/**/*',
+    config.root + '/images/**/*',
+    config.root + '/scripts/**/*',
+    '!' + config.root + '/app*/**/*.{js,jsx,css}',
+    '!' + config.root + '/functions/**/*.js',
+    './package.json'
+  ], { base: './' }).pipe(gulp.dest(config.release));
+});
+
+/**
+ * Concatenates the scripts & styles of the build blocks of each page into
+ * minified bundles, fingerprints them, writes their source maps & replaces
+ * the references of the page with the bundles; the pages are bundled one at a
+ * time (gulp-useref keeps the state of the page it processes)
+ */
+gulp.task('dist-bundle', function (cb) {
+  var pages = config.pages.slice();
+
+  (function bundleNext(err) {
+    if (err || pages.length === 0) {
+      return cb(err);
+    }
+    _bundlePage(pages.shift(), bundleNext);
+  })();
+});
+
+/**
+ * Writes the manifests of each environment of environments.json to the dist
+ * folder (manifest-<name>.<env>.xml): the URLs of the dev environment become
+ * URLs of the environment, the display name gets its suffix & the add-in its
+ * Id (gulp dist --env prod only writes the prod manifests)
+ */
+gulp.task('dist-manifests', function () {
+  var options = minimist(process.argv.slice(2));
+  var environments = JSON.parse(fs.readFileSync(config.environments, 'utf8'));
+  var names = options.env ? [].concat(options.env) : Object.keys(environments);
+  var manifests = _findManifests('.');
+
+  names.forEach(function (name) {
+    if (!environments[name]) {
+      console.log(chalk.red('Unknown environment ' + name + '; environments: ' + Object.keys(environments).join(', ')));
+      process.exitCode = 1;
+      return;
+    }
+
+    manifests.forEach(function (manifest) {
+      var xml = _manifestForEnvironment(fs.readFileSync(manifest, 'utf8'), environments.dev.url, environments[name]);
+      fs.writeFileSync(path.join(config.release, manifest.replace(/\.xml$/, '.' + name + '.xml')), xml);
+    });
+  });
+});
+
+/**
+ * Reports the size of the bundles; fails when one exceeds the budget in kB
+ * (gulp dist --budget 250)
+ */
+gulp.task('dist-size', function () {
+  var options = minimist(process.argv.slice(2));
+  var budget = Number(options.budget) || 0;
+  var total = 0;
+
+  console.log('\nBundle sizes:');
+  _listFiles(config.release).filter(function (file) {
+    return /\.(js|css)$/.test(file);
+  }).forEach(function (file) {
+    var size = fs.statSync(file).size / 1024;
+    var line = '  ' + path.relative(config.release, file) + ' ' + size.toFixed(1) + ' kB';
+    total += size;
+
+    if (budget && size > budget) {
+      console.log(chalk.red(line + ' (budget ' + budget + ' kB)'));
+      process.exitCode = 1;
+    }
+    else {
+      console.log(line);
+    }
+  });
+  console.log('  ' + chalk.blue('total ' + total.toFixed(1) + ' kB'));
+});
+
+/**
+ * Creates a release version of the project
+ */
+gulp.task('dist', function () {
+  runSequence(
+    ['dist-remove'<% if (typescript) { %>, 'compile'<% } %><% if (react) { %>, 'bundle'<% } %>],
+    ['dist-copy-files'],
+    ['dist-bundle', 'dist-manifests'],
+    ['dist-size']
+    );
+});
+
+/**
+ * Packages the manifests of an environment written by gulp dist for the Office
+ * Store or a catalog (gulp package --env test, default prod): validates them,
+ * checks the icons of the site & zips each manifest with the checksums of the
+ * site & manifest (<name>.<env>-<version>.zip)
+ */
+gulp.task('package', function (cb) {
+  var options = minimist(process.argv.slice(2));
+  var suffix = '.' + (options.env || 'prod') + '.xml';
+  var site = path.join(config.release, config.root);
+  var manifests = _findManifests(config.release).filter(function (manifest) {
+    return manifest.slice(-suffix.length) === suffix;
+  });
+
+  if (manifests.length === 0) {
+    console.log(chalk.red('No manifest-*' + suffix + ' in ' + config.release + '; run gulp dist first'));
+    process.exitCode = 1;
+    return cb();
+  }
+
+  var errors = manifests.reduce(function (errors, manifest) {
+    var result = _validateManifest(fs.readFileSync(path.join(config.release, manifest)), true);
+    return errors.concat((result.errors || []).concat(result.lint.filter(_isError).map(_formatProblem))
+      .map(function (e) {
+        return manifest + ': ' + e;
+      }));
+  }, _checkIcons(site));
+
+  if (errors.length > 0) {
+    console.log(chalk.red('Invalid package'));
+    errors.forEach(function (e) {
+      console.log(chalk.red(e));
+    });
+    process.exitCode = 1;
+    return cb();
+  }
+
+  // each zip gets the checksums of its manifest, written to the same checksums.txt
+  (function packageNext(err) {
+    if (err || manifests.length === 0) {
+      return cb(err);
+    }
+    _packageManifest(manifests.shift(), site, packageNext);
+  })();
+});
+
+/** +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ **/
+
+<% if (react) { -%>
+/**
+ * Bundles the entry point of each page into <entry>.bundle.js next to it (kept
+ * out of version control by .gitignore).
+ *
+ * @param {boolean} watching  - True to report the errors & end the bundle
+ *                              (watch mode), else the stream fails.
+ * @return {Stream} The bundles written.
+ */
+function _bundle(watching) {
+  var bundles = merge(config.bundles.map(function (entry) {
+    return browserify(entry, { extensions: ['.jsx'], debug: true })
+      .transform('babelify', { presets: ['es2015', 'react'] })
+      .bundle()
+      .on('error', function (err) {
+        if (!watching) {
+          return bundles.emit('error', new $.util.PluginError('bundle', err.message));
+        }
+        console.log(chalk.red(err.message));
+        this.emit('end');
+      })
+      .pipe(source(path.basename(entry, '.jsx') + '.bundle.js'))
+      .pipe(gulp.dest(path.dirname(entry)));
+  }));
+
+  return bundles;
+}
+
+<% } -%>
+/**
+ * Finds the manifests of a folder (manifest-*.xml).
+ *
+ * @param {string}  folder  - Folder to search.
+ * @return {string[]} Names of the manifests; none when the folder doesn't exist.
+ */
+function _findManifests(folder) {
+  return fs.existsSync(folder) ? fs.readdirSync(folder).filter(function (file) {
+    return /^manifest-.+\.xml$/.test(file);
+  }) : [];
+}
+
+/**
+ * Determines if a manifest is a release build: a manifest of the dist folder
+ * written for another environment than dev (manifest-<name>.dev.xml points to
+ * the dev server).
+ *
+ * @param {string}  xmlFilePath  - Path of the manifest.
+ * @return {boolean} True if the manifest is a release build.
+ */
+function _isReleaseManifest(xmlFilePath) {
+  return path.relative(config.release, xmlFilePath).indexOf('..') !== 0 && !/\.dev\.xml$/.test(xmlFilePath);
+}
+
+/**
+ * Validates a manifest file: XSD schema & rules of the manifest linter.
+ *
+ * @param {string}  xmlFilePath  - Path of the manifest.
+ * @param {boolean} release      - Whether the manifest is a release build.
+ * @return {object} Result of the validation: file, valid, errors of the schema & lint.
+ */
+function _validationResult(xmlFilePath, release) {
+  var result = _validateManifest(fs.readFileSync(xmlFilePath), release);
+
+  return {
+    file: xmlFilePath,
+    valid: result.errors === null && !result.lint.some(_isError),
+    errors: result.errors || [],
+    lint: result.lint
+  };
+}
+
+/**
+ * Prints the result of the validation of a manifest.
+ *
+ * @param {object}  result  - Result of the validation: file, valid, errors of the schema & lint.
+ */
+function _printValidation(result) {
+  console.log('\nValidating ' + chalk.blue(path.basename(result.file)) + ':');
+  if (result.valid) {
+    console.log(chalk.green('Valid'));
+  }
+  else {
+    console.log(chalk.red('Invalid'));
+    result.errors.forEach(function (e) {
+      console.log(chalk.red(e));
+    });
+  }
+  result.lint.forEach(function (problem) {
+    console.log(_formatProblem(problem));
+  });
+}
+
+/**
+ * Builds the JUnit XML report of the validation: a test case per manifest,
+ * failing with the errors of the schema & linter; warnings go to the output.
+ *
+ * @param {object[]}  results  - Results of the validation of the manifests.
+ * @return {string} The JUnit XML report.
+ */
+function _junitReport(results) {
+  var failures = results.filter(function (result) {
+    return !result.valid;
+  }).length;
+  var testCases = results.map(function (result) {
+    var errors = result.errors.concat(result.lint.filter(_isError).map(_describeProblem));
+    var warnings = result.lint.filter(function (problem) {
+      return !_isError(problem);
+    }).map(_describeProblem);
+
+    return '    <testcase classname="manifest" name="' + _escapeXml(result.file) + '">\n' +
+      (errors.length > 0 ? '      <failure message="' + _escapeXml(errors[0]) + '">' +
+        _escapeXml(errors.join('\n')) + '</failure>\n' : '') +
+      (warnings.length > 0 ? '      <system-out>' + _escapeXml(warnings.join('\n')) + '</system-out>\n' : '') +
+      '    </testcase>\n';
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<testsuites name="validate-xml" tests="' + results.length + '" failures="' + failures + '">\n' +
+    '  <testsuite name="validate-xml" tests="' + results.length + '" failures="' + failures + '">\n' +
+    testCases.join('') +
+    '  </testsuite>\n' +
+    '</testsuites>\n';
+}
+
+/**
+ * Escapes the special characters of a text for XML.
+ *
+ * @param {string}  text  - Text to escape.
+ * @return {string} The escaped text.
+ */
+function _escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Validates a manifest against the XSD schema, checks its <HighResolutionIconUrl>
+ * & lints it.
+ *
+ * @param {Buffer}   xml      - Manifest to validate.
+ * @param {boolean}  release  - True if the manifest is a release build.
+ * @return {object} Result of the validation: errors of the schema (null when
+ *                  valid) & problems found by the linter (lint).
+ */
+function _validateManifest(xml, release) {
+  // verify valid XML against the XSD schema & the schemas it imports; xmllint
+  // names the schemas file_<index>.xsd & validates against the last one. The
+  // project only has the VersionOverrides schema of its type of addin (when it
+  // has add-in commands): the imports of the others are dropped, VersionOverrides
+  // being validated laxly
+  var schemas = [];
+  var schema = fs.readFileSync('./manifest.xsd', 'utf8').replace(/<xs:import[^>]*schemaLocation="([^"]+)"[^>]*>/g,
+    function (match, file) {
+      if (!fs.existsSync(file)) {
+        return '';
+      }
+      schemas.push(fs.readFileSync(file));
+      return match.replace('"' + file + '"', '"file_' + (schemas.length - 1) + '.xsd"');
+    });
+  var result = _xmllint(xml, schemas.concat(schema));
+
+  // check the <HighResolutionIconUrl> property
+  _validateHighResolutionIconUrl(xml, result);
+
+  result.lint = _lintManifest(xml.toString(), release);
+  return result;
+}
+
+/**
+ * Validates XML against a schema with xmllint. Once it ran, xmllint (xml.js)
+ * exits the process with its own status, which would stop serve-static or
+ * package & override the exit code of validate-xml: it runs in a child
+ * process, which prints the result as JSON on its last line of output.
+ *
+ * @param {Buffer}        xml     - XML to validate.
+ * @param {Buffer|Array}  schema  - Schema, or schemas (Buffer or string) whose last one is the main schema.
+ * @return {object} Result of xmllint: errors (null when valid).
+ */
+function _xmllint(xml, schema) {
+  var script = [
+    'var input = JSON.parse(require("fs").readFileSync(0, "utf8"));',
+    'var result = require(process.argv[1]).validateXML(input);',
+    'process.stdout.write("\\n" + JSON.stringify(result) + "\\n", function () { process.exit(0); });'
+  ].join('\n');
+  var output = childProcess.execFileSync(process.execPath, ['-e', script, require.resolve('xmllint')], {
+    input: JSON.stringify({ xml: xml.toString(), schema: [].concat(schema).map(String) })
+  }).toString().trim().split('\n');
+
+  return JSON.parse(output[output.length - 1]);
+}
+
+/**
+ * Lints a manifest: each rule (id, severity & check) returns the problems it
+ * finds ({ index, message, severity (optional) }); release rules only check
+ * release builds.
+ *
+ * @param {string}   xml      - Manifest to lint.
+ * @param {boolean}  release  - True if the manifest is a release build.
+ * @return {object[]} The problems (rule, severity, line & message) by line.
+ */
+function _lintManifest(xml, release) {
+  var rules = [
+    { id: 'https-url', severity: 'error', check: _lintHttpsUrls },
+    { id: 'no-localhost', severity: 'error', check: _lintLocalhostUrls, release: true },
+    { id: 'no-placeholder', severity: 'error', check: _lintPlaceholders },
+    { id: 'version-format', severity: 'error', check: _lintVersion },
+    { id: 'id-guid', severity: 'error', check: _lintId },
+    { id: 'app-domains', severity: 'warning', check: _lintAppDomains },
+    { id: 'mail-rule-form', severity: 'error', check: _lintMailRules }
+  ];
+
+  return rules.filter(function (rule) {
+    return release || !rule.release;
+  }).reduce(function (problems, rule) {
+    return problems.concat(rule.check(xml).map(function (problem) {
+      return {
+        rule: rule.id,
+        severity: problem.severity || rule.severity,
+        line: xml.slice(0, problem.index).split('\n').length,
+        message: problem.message
+      };
+    }));
+  }, []).sort(function (a, b) {
+    return a.line - b.line;
+  });
+}
+
+/**
+ * Checks the pages & icons of the manifest are served over https.
+ *
+ * @param {string}  xml  - Manifest.
+ * @return {object[]} The problems.
+ */
+function _lintHttpsUrls(xml) {
+  return _manifestUrls(xml).filter(function (url) {
+    return url.element !== 'SupportUrl' && !/^https:\/\//i.test(url.value);
+  }).map(function (url) {
+    return { index: url.index, message: url.element + ' isn\'t an https URL: ' + url.value };
+  });
+}
+
+/**
+ * Checks the URLs & AppDomains of a release build don't point to the dev server.
+ *
+ * @param {string}  xml  - Manifest.
+ * @return {object[]} The problems.
+ */
+function _lintLocalhostUrls(xml) {
+  return _manifestUrls(xml).concat(_appDomains(xml)).filter(function (url) {
+    return /^(localhost|127\.0\.0\.1)$/.test(_host(url.value));
+  }).map(function (url) {
+    return { index: url.index, message: url.element + ' points to localhost in a release build: ' + url.value };
+  });
+}
+
+/**
+ * Checks the texts & values of the manifest don't contain placeholders such as
+ * [Provider name].
+ *
+ * @param {string}  xml  - Manifest.
+ * @return {object[]} The problems.
+ */
+function _lintPlaceholders(xml) {
+  return _matches(xml, /(?:\b(?:DefaultValue|Value)="|>)[^"<]*(\[[A-Za-z][^\]"<]*\])/g).map(function (match) {
+    return { index: match.index, message: 'Placeholder text ' + match[1] };
+  });
+}
+
+/**
+ * Checks the version of the add-in has the form major[.minor[.build[.revision]]]
+ * (the Version type of the schema).
+ *
+ * @param {string}  xml  - Manifest.
+ * @return {object[]} The problems.
+ */
+function _lintVersion(xml) {
+  return _matches(xml, /<Version>([^<]*)<\/Version>/g).filter(function (match) {
+    return !/^([0-9]{1,5})(\.[0-9]{1,5}){0,3}$/.test(match[1]);
+  }).map(function (match) {
+    return {
+      index: match.index,
+      message: 'Version ' + match[1] + ' isn\'t of the form major[.minor[.build[.revision]]]'
+    };
+  });
+}
+
+/**
+ * Checks the Id of the add-in is a GUID, optionally in braces or prefixed by
+ * urn:uuid: (the UUID type of the schema).
+ *
+ * @param {string}  xml  - Manifest.
+ * @return {object[]} The problems.
+ */
+function _lintId(xml) {
+  var guid = '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}';
+  var uuid = new RegExp('^((urn:uuid:)?' + guid + '|\\{' + guid + '\\})$');
+
+  return _matches(xml, /<Id>([^<]*)<\/Id>/g).filter(function (match) {
+    return !uuid.test(match[1]);
+  }).map(function (match) {
+    return { index: match.index, message: 'Id ' + match[1] + ' isn\'t a GUID' };
+  });
+}
+
+/**
+ * Checks the AppDomains list the hosts the add-in is redirected to: hosts of
+ * the pages other than the host of the first SourceLocation & config.redirectHosts.
+ *
+ * @param {string}  xml  - Manifest.
+ * @return {object[]} The problems.
+ */
+function _lintAppDomains(xml) {
+  var domains = _appDomains(xml).map(function (domain) {
+    return _host(domain.value);
+  });
+  var pages = _manifestUrls(xml).filter(function (url) {
+    return url.element === 'SourceLocation' || url.element === 'bt:Url';
+  });
+  var home = pages.length > 0 ? _host(pages[0].value) : null;
+  var index = Math.max(xml.indexOf('<AppDomains'), 0);
+  var reported = {};
+
+  return pages.map(function (page) {
+    return { index: page.index, host: _host(page.value) };
+  }).concat(config.redirectHosts.map(function (host) {
+    return { index: index, host: host.toLowerCase() };
+  })).filter(function (redirect) {
+    var missing = redirect.host !== home && domains.indexOf(redirect.host) < 0 && !reported[redirect.host];
+    reported[redirect.host] = true;
+    return missing;
+  }).map(function (redirect) {
+    return { index: redirect.index, message: 'AppDomains don\'t list the redirect host ' + redirect.host };
+  });
+}
+
+/**
+ * Checks the activation rules of a mail add-in match its forms: a rule must
+ * activate a form of the manifest (read rules: ItemRead, compose rules:
+ * ItemEdit) & a form must be activated by a rule.
+ *
+ * @param {string}  xml  - Manifest.
+ * @return {object[]} The problems.
+ */
+function _lintMailRules(xml) {
+  if (!/xsi:type="MailApp"/.test(xml)) {
+    return [];
+  }
+
+  var forms = _matches(xml, /<Form xsi:type="(\w+)"/g);
+  var formTypes = forms.map(function (form) {
+    return form[1];
+  });
+  var activated = {};
+  var problems = [];
+
+  _matches(xml, /<Rule xsi:type="(\w+)"([^>]*)>/g).forEach(function (rule) {
+    var formType = (/FormType="(\w+)"/.exec(rule[2]) || [])[1];
+    var needs = rule[1] === 'RuleCollection' ? [] :
+      formType === 'Edit' ? ['ItemEdit'] : formType === 'ReadOrEdit' ? ['ItemRead', 'ItemEdit'] : ['ItemRead'];
+
+    needs.forEach(function (form) {
+      activated[form] = true;
+      if (formTypes.indexOf(form) < 0) {
+        problems.push({ index: rule.index, message: 'Rule ' + rule[1] + ' activates the missing ' + form + ' form' });
+      }
+    });
+  });
+
+  return problems.concat(forms.filter(function (form) {
+    return !activated[form[1]];
+  }).map(function (form) {
+    return { index: form.index, severity: 'warning', message: 'No rule activates the ' + form[1] + ' form' };
+  }));
+}
+
+/**
+ * Finds the URLs of the manifest: DefaultValue of its pages, icons & support URL.
+ *
+ * @param {string}  xml  - Manifest.
+ * @return {object[]} The URLs (element, value & index).
+ */
+function _manifestUrls(xml) {
+  var elements = 'SourceLocation|IconUrl|HighResolutionIconUrl|SupportUrl|bt:Image|bt:Url';
+  var urls = new RegExp('<(' + elements + ')\\b[^>]*?\\sDefaultValue="([^"]*)"', 'g');
+
+  return _matches(xml, urls).map(function (match) {
+    return { element: match[1], value: match[2], index: match.index };
+  });
+}
+
+/**
+ * Finds the AppDomains of the manifest.
+ *
+ * @param {string}  xml  - Manifest.
+ * @return {object[]} The AppDomains (element, value & index).
+ */
+function _appDomains(xml) {
+  return _matches(xml, /<AppDomain>([^<]*)<\/AppDomain>/g).map(function (match) {
+    return { element: 'AppDomain', value: match[1].trim(), index: match.index };
+  });
+}
+
+/**
+ * Gets the host of a URL or domain (https://localhost:8443/app => localhost).
+ *
+ * @param {string}  url  - URL or domain.
+ * @return {string} The host, in lower case.
+ */
+function _host(url) {
+  return ((/^(?:[a-z]+:\/\/)?([^\/:?#]*)/i.exec(url) || [])[1] || '').toLowerCase();
+}
+
+/**
+ * Finds all the matches of a global regular expression.
+ *
+ * @param {string}  text   - Text to search.
+ * @param {RegExp}  regex  - Global regular expression.
+ * @return {Array[]} The matches (with their index).
+ */
+function _matches(text, regex) {
+  var matches = [];
+  var match;
+
+  while ((match = regex.exec(text)) !== null) {
+    matches.push(match);
+  }
+  return matches;
+}
+
+/**
+ * Tells if a problem found by the linter is an error.
+ *
+ * @param {object}  problem  - Problem of the manifest.
+ * @return {boolean} True if the problem is an error.
+ */
+function _isError(problem) {
+  return problem.severity === 'error';
+}
+
+/**
+ * Formats a problem found by the linter: line, severity, message & rule.
+ *
+ * @param {object}  problem  - Problem of the manifest.
+ * @return {string} The problem, colored by severity.
+ */
+function _formatProblem(problem) {
+  var color = _isError(problem) ? chalk.red : chalk.yellow;
+  return color('  line ' + problem.line + '  ' + problem.severity + '  ' + problem.message) +
+    chalk.gray('  (' + problem.rule + ')');
+}
+
+/**
+ * Describes a problem found by the linter in plain text (reports).
+ *
+ * @param {object}  problem  - Problem of the manifest.
+ * @return {string} The line, message & rule of the problem.
+ */
+function _describeProblem(problem) {
+  return 'line ' + problem.line + ': ' + problem.message + ' (' + problem.rule + ')';
+}
+
+/**
+ * Ensures the <HighResolutionIconUrl> element is present and valid.
+ * 
+ * @param {object}  xml     - XML document to process.
+ * @param {object}  result  - Result object from validating the XML.
+ */
+function _validateHighResolutionIconUrl(xml, result) {
+  if (xml && result) {
+    var xmlString = xml.toString();
+
+    if (xmlString.indexOf('<HighResolutionIconUrl ') > -1 &&
+      xmlString.indexOf('<HighResolutionIconUrl DefaultValue="https://') < 0) {
+      if (result.errors === null) {
+        result.errors = [];
+      }
+
+      result.errors.push('The value of the HighResolutionIconUrl attribute contains an unsupported URL.'
+                       + ' You can only use https:// URLs.');
+    }
+  }
+}
+
+/**
+ * Rewrites a manifest for an environment: the URLs of the dev environment in
+ * its attributes (SourceLocation, icons...) & AppDomains are replaced by the
+ * URL of the environment.
+ *
+ * @param {string}  xml          - Manifest to rewrite.
+ * @param {string}  devUrl       - URL of the dev environment.
+ * @param {object}  environment  - Environment: url, displayNameSuffix & id (optional).
+ * @return {string} The manifest of the environment.
+ */
+function _manifestForEnvironment(xml, devUrl, environment) {
+  var escapedUrl = devUrl.replace(/\/$/, '').replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+  var environmentUrl = environment.url.replace(/\/$/, '');
+
+  xml = xml.replace(new RegExp('(DefaultValue="|<AppDomain>)' + escapedUrl, 'g'), function (match, prefix) {
+    return prefix + environmentUrl;
+  });
+  if (environment.displayNameSuffix) {
+    xml = xml.replace(/(<DisplayName DefaultValue="[^"]*)"/, '$1' + environment.displayNameSuffix + '"');
+  }
+  if (environment.id) {
+    xml = xml.replace(/<Id>[^<]*<\/Id>/, '<Id>' + environment.id + '</Id>');
+  }
+  return xml;
+}
+
+/**
+ * Zips a manifest of the dist folder with the checksums of the site & manifest
+ * (checksums.txt) into <name>.<env>-<version>.zip.
+ *
+ * @param {string}    manifest  - Name of the manifest.
+ * @param {string}    site      - Folder of the site.
+ * @param {function}  done      - Called once the zip is written, with the error if any.
+ */
+function _packageManifest(manifest, site, done) {
+  var manifestPath = path.join(config.release, manifest);
+  var checksums = path.join(config.release, 'checksums.txt');
+  var version = (/<Version>([^<]*)<\/Version>/.exec(fs.readFileSync(manifestPath, 'utf8')) || [])[1];
+  var zip = manifest.replace(/^manifest-(.+)\.xml$/, '$1-' + version + '.zip');
+
+  fs.writeFileSync(checksums, _checksums(_siteFiles(site).concat(manifestPath)));
+  console.log('Packaging ' + chalk.blue(zip));
+  gulp.src([manifestPath, checksums])
+    .pipe($.zip(zip))
+    .on('error', done)
+    .pipe(gulp.dest(config.release))
+    .on('error', done)
+    .on('end', function () {
+      done();
+    })
+    .resume();
+}
+
+/**
+ * Lists the files of the site of the dist folder; when the site is the dist
+ * folder itself (empty root path), the files gulp dist & package write next to
+ * it (manifests, package.json, zips & checksums.txt) aren't part of the site.
+ *
+ * @param {string}  site  - Folder of the site.
+ * @return {string[]} Paths of the files of the site.
+ */
+function _siteFiles(site) {
+  return _listFiles(site).filter(function (file) {
+    var name = path.relative(config.release, file);
+
+    return name.indexOf(path.sep) >= 0 || !/^(manifest-.+\.xml|package\.json|checksums\.txt|.+\.zip)$/.test(name);
+  });
+}
+
+/**
+ * Walks a folder to collect the paths of its files.
+ *
+ * @param {string}  folder  - Folder to walk.
+ * @return {string[]} Paths of the files in the folder & its subfolders.
+ */
+function _listFiles(folder) {
+  return fs.readdirSync(folder).reduce(function (files, name) {
+    var file = path.join(folder, name);
+    return files.concat(fs.statSync(file).isDirectory() ? _listFiles(file) : file);
+  }, []);
+}
+
+/**
+ * Checks the icons of the site exist in the sizes required by the Office
+ * Store (config.iconSizes); the size is read from the header of the PNG.
+ *
+ * @param {string}  site  - Folder of the site.
+ * @return {string[]} The missing icons & icons of the wrong size.
+ */
+function _checkIcons(site) {
+  return config.iconSizes.reduce(function (errors, size) {
+    var icon = path.join(site, 'images', 'icon-' + size + '.png');
+
+    if (!fs.existsSync(icon)) {
+      return errors.concat('Missing icon ' + icon);
+    }
+
+    var png = fs.readFileSync(icon);
+    var width = png.readUInt32BE(16);
+    var height = png.readUInt32BE(20);
+    if (width !== size || height !== size) {
+      errors.push('The size of ' + icon + ' is ' + width + 'x' + height + ' instead of ' + size + 'x' + size);
+    }
+    return errors;
+  }, []);
+}
+
+/**
+ * Bundles the build blocks of a page into the dist folder: the source maps are
+ * written once the page references the fingerprinted bundles, so it doesn't
+ * reference the maps.
+ *
+ * @param {string}    page  - Page (relative to the root of the site).
+ * @param {function}  done  - Called once the page & its bundles are written, with the error if any.
+ */
+function _bundlePage(page, done) {
+  var folder = path.dirname(page);
+  var ended = false;
+  var end = function (err) {
+    if (!ended) {
+      ended = true;
+      done(err);
+    }
+  };
+
+  [
+    $.useref({}, lazypipe().pipe($.sourcemaps.init, { loadMaps: true })),
+    $.if('*.js', $.uglify()),
+    $.if('*.css', $.minifyCss()),
+    $.if('!*.html', $.rev()),
+    $.revReplace(),
+    $.sourcemaps.write('.'),
+    gulp.dest(path.join(config.release, config.root, folder))
+  ].reduce(function (stream, plugin) {
+    return stream.pipe(plugin.on('error', end));
+  }, gulp.src(path.join(config.root, page), { base: path.join(config.root, folder) }).on('error', end))
+    .on('end', end)
+    .resume();
+}
+
+/**
+ * Builds the checksum report of files: the SHA-256 hash & path (relative to
+ * the dist folder) of each file, one per line.
+ *
+ * @param {string[]}  files  - Paths of the files.
+ * @return {string} The checksum report.
+ */
+function _checksums(files) {
+  return files.map(function (file) {
+    var hash = crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+    return hash + '  ' + path.relative(config.release, file).replace(/\\/g, '/');
+  }).join('\n') + '\n';
+}
+
+/**
+ * Gets the URL of the dev server: the URL of the dev environment, or --host &
+ * --port, which become the URL of the dev environment & of the manifests of the
+ * project to keep them in sync. They are only rewritten when the address
+ * changes (https://localhost is https://localhost:443).
+ *
+ * @return {string} The URL of the dev server.
+ * @throws {PluginError} If --port isn't a port number.
+ */
+function _devServerUrl() {
+  var options = minimist(process.argv.slice(2), { string: ['host', 'port'] });
+  var environments = JSON.parse(fs.readFileSync(config.environments, 'utf8'));
+  var devUrl = environments.dev.url.replace(/\/$/, '');
+  var devServer = url.parse(devUrl);
+  var currentUrl = devServer.protocol + '//' + devServer.hostname + ':' + (devServer.port || 443);
+  var serverUrl = 'https://' + (options.host || devServer.hostname).toLowerCase() + ':' +
+    (options.port || devServer.port || 443);
+
+  if (options.port && !/^\d+$/.test(options.port)) {
+    throw new $.util.PluginError('serve-static', 'Invalid --port ' + options.port);
+  }
+  if (serverUrl !== currentUrl) {
+    environments.dev.url = serverUrl;
+    fs.writeFileSync(config.environments, JSON.stringify(environments, null, 2) + '\n');
+    _findManifests('.').forEach(function (manifest) {
+      var xml = _manifestForEnvironment(fs.readFileSync(manifest, 'utf8'), devUrl, { url: serverUrl });
+
+      fs.writeFileSync(manifest, xml);
+      console.log(chalk.yellow('Moved ' + manifest + ' to ' + serverUrl + '; load the add-in again in Office'));
+    });
+<% if (tech === 'ng-adal') { -%>
+    console.log(chalk.yellow('Add ' + serverUrl + '/ to the reply URLs of the application in Azure AD'));
+<% } -%>
+  }
+  return serverUrl;
+}
+
+/**
+ * Gets the certificate of the dev server: --cert & --key, or the localhost
+ * certificate issued by the local certificate authority (CA) of the developer.
+ * The CA & certificate are created on first use in config.certificates, outside
+ * of the project, & shared by all the projects; the certificate is issued again
+ * when it expires or doesn't cover the host of the dev server.
+ *
+ * @param {string}  host  - Host of the dev server (name or IP address).
+ * @return {object} Paths of the certificate (cert) & its private key (key).
+ * @throws {PluginError} If only one of --cert & --key is specified.
+ */
+function _certificate(host) {
+  var options = minimist(process.argv.slice(2));
+
+  if (options.cert || options.key) {
+    if (!options.cert || !options.key) {
+      throw new $.util.PluginError('serve-static', '--cert & --key must be used together');
+    }
+    return { cert: options.cert, key: options.key };
+  }
+
+  var ca = _certificateFiles('ca');
+  var localhost = _certificateFiles('localhost');
+
+  if (!fs.existsSync(config.certificates)) {
+    fs.mkdirSync(config.certificates);
+  }
+  if (!fs.existsSync(ca.cert) || !fs.existsSync(ca.key)) {
+    _writeCertificate(ca, _issueCertificate('Office Add-in Dev CA'));
+    console.log(chalk.yellow('Created the local certificate authority ' + ca.cert + '; trust it once on this ' +
+      'machine (see docs/trust-self-signed-cert.md of generator-office)'));
+  }
+  if (!fs.existsSync(localhost.cert) || !fs.existsSync(localhost.key) ||
+    !_isValidFor(forge.pki.certificateFromPem(fs.readFileSync(localhost.cert, 'utf8')), host)) {
+    _writeCertificate(localhost, _issueCertificate('localhost', {
+      cert: forge.pki.certificateFromPem(fs.readFileSync(ca.cert, 'utf8')),
+      key: forge.pki.privateKeyFromPem(fs.readFileSync(ca.key, 'utf8'))
+    }, host));
+  }
+  return localhost;
+}
+
+/**
+ * Gets the paths of a certificate of config.certificates & its private key.
+ *
+ * @param {string}  name  - Name of the certificate (ca or localhost).
+ * @return {object} Paths of the certificate (cert) & its private key (key).
+ */
+function _certificateFiles(name) {
+  return {
+    cert: path.join(config.certificates, name + '.crt'),
+    key: path.join(config.certificates, name + '.key')
+  };
+}
+
+/**
+ * Determines if the certificate of the dev server hasn't expired & covers the
+ * host: one of its subject alternative names is the host name or IP address.
+ *
+ * @param {object}  cert  - Certificate (forge).
+ * @param {string}  host  - Host of the dev server (name or IP address).
+ * @return {boolean} True if the certificate can serve the host.
+ */
+function _isValidFor(cert, host) {
+  var altNames = cert.getExtension('subjectAltName');
+
+  return cert.validity.notAfter >= new Date() && !!altNames && altNames.altNames.some(function (altName) {
+    return altName.ip === host || (altName.type === 2 && altName.value.toLowerCase() === host);
+  });
+}
+
+/**
+ * Issues a certificate with a new RSA key: the certificate of the CA when there
+ * is no issuer (self-signed, valid 10 years), else a certificate of localhost
+ * (& 127.0.0.1 & the host of the dev server) signed by the CA (valid 2 years).
+ *
+ * @param {string}  commonName  - Common name of the subject.
+ * @param {object}  [issuer]    - Certificate (cert) & private key (key) of the CA.
+ * @param {string}  [host]      - Host of the dev server (name or IP address).
+ * @return {object} The certificate (cert) & its private key (key).
+ */
+function _issueCertificate(commonName, issuer, host) {
+  var keys = forge.pki.rsa.generateKeyPair(2048);
+  var cert = forge.pki.createCertificate();
+  var subject = [{ name: 'commonName', value: commonName }];
+
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = '01' + forge.util.bytesToHex(forge.random.getBytesSync(8));
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date();
+  cert.validity.notAfter.setFullYear(cert.validity.notBefore.getFullYear() + (issuer ? 2 : 10));
+  cert.setSubject(subject);
+  cert.setIssuer(issuer ? issuer.cert.subject.attributes : subject);
+  cert.setExtensions(issuer ? [
+    { name: 'basicConstraints', cA: false },
+    { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+    { name: 'extKeyUsage', serverAuth: true },
+    { name: 'subjectAltName', altNames: _altNames(host) }
+  ] : [
+    { name: 'basicConstraints', cA: true },
+    { name: 'keyUsage', keyCertSign: true, cRLSign: true }
+  ]);
+  cert.sign(issuer ? issuer.key : keys.privateKey, forge.md.sha256.create());
+
+  return { cert: cert, key: keys.privateKey };
+}
+
+/**
+ * Builds the subject alternative names of the certificate of the dev server:
+ * localhost, 127.0.0.1 & the host of the dev server when it's another one.
+ *
+ * @param {string}  [host]  - Host of the dev server (name or IP address).
+ * @return {object[]} The alternative names (DNS names & IP addresses).
+ */
+function _altNames(host) {
+  var altNames = [{ type: 2, value: 'localhost' }, { type: 7, ip: '127.0.0.1' }];
+
+  if (host && host !== 'localhost' && host !== '127.0.0.1') {
+    altNames.push(net.isIP(host) ? { type: 7, ip: host } : { type: 2, value: host });
+  }
+  return altNames;
+}
+
+/**
+ * Writes a certificate & its private key (only readable by the developer) as PEM.
+ *
+ * @param {object}  files        - Paths of the certificate (cert) & private key (key).
+ * @param {object}  certificate  - Certificate (cert) & private key (key).
+ */
+function _writeCertificate(files, certificate) {
+  fs.writeFileSync(files.cert, forge.pki.certificateToPem(certificate.cert));
+  fs.writeFileSync(files.key, forge.pki.privateKeyToPem(certificate.key), { mode: parseInt('600', 8) });
+}
+
+/**
+ * Middleware of the dev server injecting the live reload client into the pages
+ * of the entry points reloaded (config.reload); the pages at the root of the
+ * site belong to the app entry point & a folder (/) serves its index.html.
+ *
+ * @param {object}    req   - Request.
+ * @param {object}    res   - Response.
+ * @param {function}  next  - Passes the request to the next middleware.
+ */
+function _injectReloadClient(req, res, next) {
+  var page = decodeURIComponent(req.url.split('?')[0]).slice(1).replace(/(^|\/)$/, '$1index.html');
+  var file = path.join(config.root, page);
+  var entry = page.indexOf('/') < 0 ? 'app' : page.split('/')[0];
+
+  if (!/\.html$/.test(page) || page.indexOf('..') >= 0 || !config.reload[entry] || !fs.existsSync(file)) {
+    return next();
+  }
+  res.setHeader('Content-Type', 'text/html; charset=UTF-8');
+  res.end(fs.readFileSync(file, 'utf8').replace(/<\/body>/i, _reloadClient(entry) + '</body>'));
+}
+
+/**
+ * Builds the live reload client of the pages of an entry point: reloads the
+ * page when the live reload server notifies a change of the entry point or of
+ * the shared files (*).
+ *
+ * @param {string}  entry  - Entry point of the page.
+ * @return {string} Script of the client.
+ */
+function _reloadClient(entry) {
+  return '<script>\n' +
+    '(function () {\n' +
+    '  var socket = new WebSocket(\'wss://\' + location.hostname + \':' + config.reloadPort + '/livereload\');\n' +
+    '  socket.onmessage = function (event) {\n' +
+    '    var message = JSON.parse(event.data);\n' +
+    '    if (message.command === \'reload\' && (message.path === \'' + entry + '\' || message.path === \'*\')) {\n' +
+    '      location.reload();\n' +
+    '    }\n' +
+    '  };\n' +
+    '})();\n' +
+    '</script>\n';
+}
+
+/**
+ * Starts the live reload server (HTTPS, with the certificate of the dev server)
+ * & notifies the pages when the watched files of the site change: the pages of
+ * the entry point of the file, or all pages for the shared files. The changes
+ * of a compilation are notified together once it's done.
+ *
+ * @param {object}  certificate  - Paths of the certificate (cert) & private key (key).
+ */
+function _reloadOnChange(certificate) {
+  var server = tinylr({ cert: fs.readFileSync(certificate.cert), key: fs.readFileSync(certificate.key) });
+  var changes = [];
+  var timer;
+
+  server.listen(config.reloadPort);
+  gulp.watch(config.watched, function (event) {
+    var folder = path.relative(config.root, event.path).split(path.sep)[0];
+    var change = config.reload.hasOwnProperty(folder) ? folder : '*';
+
+    if (changes.indexOf(change) < 0) {
+      changes.push(change);
+    }
+    clearTimeout(timer);
+    timer = setTimeout(function () {
+      server.changed({ body: { files: changes } });
+      changes = [];
+    }, 300);
+  });
+}
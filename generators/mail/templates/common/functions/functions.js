@@ -0,0 +1,39 @@
+(function(){
+  'use strict';
+
+  // The Office initialize function must be run each time a new page is loaded
+  Office.initialize = function(reason){
+  };
+
+  /**
+   * Invoked by the 'Perform an action' button on the ribbon.
+<% if (allows.readItem) { -%>
+   * Adds an informational notification message to the current item.
+<% } else { -%>
+   * The add-in's permissions don't allow accessing the current item;
+   * add the action the command performs here.
+<% } -%>
+   *
+   * @param {Object} event - Add-in command event; must be completed when done.
+   */
+  function showNotification(event){
+<% if (allows.readItem) { -%>
+    Office.context.mailbox.item.notificationMessages.replaceAsync('addinCommand', {
+      type: Office.MailboxEnums.ItemNotificationMessageType.InformationalMessage,
+      message: 'Hello from an add-in command!',
+      icon: 'Icon.16x16',
+      persistent: false
+    }, function(result){
+      // signal the host the command is finished
+      event.completed();
+    });
+<% } else { -%>
+    // signal the host the command is finished
+    event.completed();
+<% } -%>
+  }
+
+  // functions referenced from the manifest must be in the global scope
+  window.showNotification = showNotification;
+
+})();
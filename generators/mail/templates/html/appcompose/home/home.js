@@ -6,21 +6,35 @@
     jQuery(document).ready(function(){
       app.initialize();
 
+<% if (allows.writeItem) { -%>
       jQuery('#set-subject').click(setSubject);
+<% } -%>
+<% if (allows.readItem) { -%>
       jQuery('#get-subject').click(getSubject);
+<% } -%>
+<% if (allows.writeItem) { -%>
       jQuery('#add-to-recipients').click(addToRecipients);
+<% } -%>
+<% if (!allows.readItem) { -%>
+      jQuery('#show-display-language').click(showDisplayLanguage);
+<% } -%>
     });
   };
+<% if (allows.writeItem) { -%>
 
   function setSubject(){
     Office.cast.item.toItemCompose(Office.context.mailbox.item).subject.setAsync('Hello world!');
   }
+<% } -%>
+<% if (allows.readItem) { -%>
 
   function getSubject(){
     Office.cast.item.toItemCompose(Office.context.mailbox.item).subject.getAsync(function(result){
       app.showNotification('The current subject is', result.value);
     });
   }
+<% } -%>
+<% if (allows.writeItem) { -%>
 
   function addToRecipients(){
     var item = Office.context.mailbox.item;
@@ -35,5 +49,14 @@
       Office.cast.item.toAppointmentCompose(item).requiredAttendees.addAsync([addressToAdd]);
     }
   }
+<% } -%>
+<% if (!allows.readItem) { -%>
+
+  // Restricted add-ins cannot access the item, so display the
+  //  language of Outlook instead
+  function showDisplayLanguage(){
+    app.showNotification('The display language is:', Office.context.displayLanguage);
+  }
+<% } -%>
 
 })();
@@ -6,9 +6,47 @@
     jQuery(document).ready(function(){
       app.initialize();
 
+<% if (matches.length > 0) { -%>
+      displayMatches();
+<% } else if (allows.readItem) { -%>
       displayItemDetails();
+<% } else { -%>
+      displayItemEntities();
+<% } -%>
     });
   };
+<% if (matches.length > 0) { -%>
+
+  // Displays the values in the current mail item that matched the rules activating the add-in<% if (!allows.readItem) { %>;
+  //  restricted add-ins can only get the entities of a type (URLs, phone numbers & addresses)<% } %>
+  function displayMatches(){
+    var item = Office.context.mailbox.item;
+<% if (allows.readItem && matches.some(function(match){ return match.property; })) { -%>
+    var entities = item.getEntities();
+<% } -%>
+<% if (matches.some(function(match){ return match.regExName; })) { -%>
+    var regExMatches = item.getRegExMatches();
+<% } -%>
+
+<% matches.forEach(function(match){ -%>
+<% if (match.property && !allows.readItem) { -%>
+    displayValues('#<%= match.id %>', item.getEntitiesByType(Office.MailboxEnums.EntityType.<%= match.entityType %>)<% if (match.textProperty) { %>, '<%= match.textProperty %>'<% } %>);
+<% } else if (match.property) { -%>
+    displayValues('#<%= match.id %>', entities.<%= match.property %><% if (match.textProperty) { %>, '<%= match.textProperty %>'<% } %>);
+<% } else { -%>
+    displayValues('#<%= match.id %>', regExMatches.<%= match.regExName %>);
+<% } -%>
+<% }); -%>
+  }
+
+  // Displays a list of matched values; entities that aren't strings hold
+  //  their text in the specified property
+  function displayValues(selector, values, textProperty){
+    jQuery(selector).text((values || []).map(function(value){
+      return textProperty ? value[textProperty] : value;
+    }).join(', '));
+  }
+<% } else if (allows.readItem) { -%>
 
   // Displays the "Subject" and "From" fields, based on the current mail item
   function displayItemDetails(){
@@ -29,4 +67,19 @@
       });
     }
   }
+<% } else { -%>
+
+  // Displays the URLs and phone numbers found in the current mail item; restricted
+  //  add-ins can only get these entities by type, not the properties of the item
+  function displayItemEntities(){
+    var item = Office.context.mailbox.item;
+    var urls = item.getEntitiesByType(Office.MailboxEnums.EntityType.Url);
+    var phoneNumbers = item.getEntitiesByType(Office.MailboxEnums.EntityType.PhoneNumber);
+
+    jQuery('#urls').text((urls || []).join(', '));
+    jQuery('#phone-numbers').text((phoneNumbers || []).map(function(phoneNumber){
+      return phoneNumber.originalPhoneString;
+    }).join(', '));
+  }
+<% } -%>
 })();
@@ -0,0 +1,25 @@
+(function(){
+  'use strict';
+
+  angular.module('officeAddin')
+         .controller('homeController', ['dataService', homeController]);
+
+  /**
+   * Controller constructor
+   */
+  function homeController(dataService: IDataService): void {
+    var vm = this;
+    vm.title = 'home controller';
+    vm.dataObject = {};
+
+    getDataFromService();
+
+    function getDataFromService(): void {
+      dataService.getData()
+        .then(function(response){
+          vm.dataObject = response;
+        });
+    }
+  }
+
+})();
@@ -0,0 +1,40 @@
+/**
+ * Signature of the custom Angular service.
+ */
+interface IDataService {
+  getData(): ng.IPromise<Object[]>;
+}
+
+(function(){
+  'use strict';
+
+  angular.module('officeAddin')
+         .service('dataService', ['$q', dataService]);
+
+  /**
+   * Custom Angular service.
+   */
+  function dataService($q: ng.IQService): IDataService {
+
+    // public signature of the service
+    return {
+      getData: getData
+    };
+
+    /** *********************************************************** */
+
+    function getData(): ng.IPromise<Object[]> {
+      var deferred = $q.defer<Object[]>();
+
+      deferred.resolve([
+        {
+          propertyOne: 'valueOne',
+          propertyTwo: 'valueTwo',
+        }
+      ]);
+
+      return deferred.promise;
+    }
+
+  }
+})();
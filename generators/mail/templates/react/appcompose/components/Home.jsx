@@ -0,0 +1,87 @@
+import React from 'react';
+
+// Home page of the add-in; displays its results with the common notification
+export default class Home extends React.Component {
+  constructor(props){
+    super(props);
+<% if (allows.readItem) { -%>
+    this.getSubject = this.getSubject.bind(this);
+<% } else { -%>
+    this.showDisplayLanguage = this.showDisplayLanguage.bind(this);
+<% } -%>
+  }
+<% if (allows.writeItem) { -%>
+
+  setSubject(){
+    Office.cast.item.toItemCompose(Office.context.mailbox.item).subject.setAsync('Hello world!');
+  }
+<% } -%>
+<% if (allows.readItem) { -%>
+
+  getSubject(){
+    var showNotification = this.props.showNotification;
+
+    Office.cast.item.toItemCompose(Office.context.mailbox.item).subject.getAsync(function(result){
+      showNotification('The current subject is', result.value);
+    });
+  }
+<% } -%>
+<% if (allows.writeItem) { -%>
+
+  addToRecipients(){
+    var item = Office.context.mailbox.item;
+    var addressToAdd = {
+      displayName: Office.context.mailbox.userProfile.displayName,
+      emailAddress: Office.context.mailbox.userProfile.emailAddress
+    };
+
+    if (item.itemType === Office.MailboxEnums.ItemType.Message) {
+      Office.cast.item.toMessageCompose(item).to.addAsync([addressToAdd]);
+    } else if (item.itemType === Office.MailboxEnums.ItemType.Appointment) {
+      Office.cast.item.toAppointmentCompose(item).requiredAttendees.addAsync([addressToAdd]);
+    }
+  }
+<% } -%>
+<% if (!allows.readItem) { -%>
+
+  // Restricted add-ins cannot access the item, so display the
+  //  language of Outlook instead
+  showDisplayLanguage(){
+    this.props.showNotification('The display language is:', Office.context.displayLanguage);
+  }
+<% } -%>
+
+  render(){
+    return (
+      <div>
+        <div id="content-header">
+          <div className="padding">
+            <h1>Welcome</h1>
+          </div>
+        </div>
+        <div id="content-main">
+          <div className="padding">
+            <p><strong>Add home screen content here.</strong></p>
+            <p>For example:</p>
+<% if (allows.writeItem) { -%>
+            <button onClick={this.setSubject}>Set subject</button>
+<% } -%>
+<% if (allows.readItem) { -%>
+            <button onClick={this.getSubject}>Get subject</button>
+<% } -%>
+<% if (allows.writeItem) { -%>
+            <button onClick={this.addToRecipients}>Add yourself to recipients list</button>
+<% } -%>
+<% if (!allows.readItem) { -%>
+            <button onClick={this.showDisplayLanguage}>Show display language</button>
+<% } -%>
+
+            <p style={{marginTop: '50px'}}>
+              <a target="_blank" href="http://dev.office.com/code-samples#?filters=office%20add-ins">Find more samples online...</a>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+}
@@ -0,0 +1,8 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import App from './components/App';
+
+// The Office initialize function must be run each time a new page is loaded
+Office.initialize = function(reason){
+  ReactDOM.render(<App />, document.getElementById('container'));
+};
@@ -0,0 +1,149 @@
+import React from 'react';
+<% if (matches.length > 0) { -%>
+
+// Joins a list of matched values; entities that aren't strings hold
+//  their text in the specified property
+function joinValues(values, textProperty){
+  return (values || []).map(function(value){
+    return textProperty ? value[textProperty] : value;
+  }).join(', ');
+}
+<% } -%>
+
+// Home page of the add-in; displays its results with the common notification
+export default class Home extends React.Component {
+  constructor(props){
+    super(props);
+<% if (matches.length > 0) { -%>
+    this.state = this.getMatches();
+<% } else if (allows.readItem) { -%>
+    this.state = this.getItemDetails();
+    this.showSender = this.showSender.bind(this);
+<% } else { -%>
+    this.state = this.getItemEntities();
+<% } -%>
+  }
+<% if (matches.length > 0) { -%>
+
+  // Gets the values in the current mail item that matched the rules activating the add-in<% if (!allows.readItem) { %>;
+  //  restricted add-ins can only get the entities of a type (URLs, phone numbers & addresses)<% } %>
+  getMatches(){
+    var item = Office.context.mailbox.item;
+<% if (allows.readItem && matches.some(function(match){ return match.property; })) { -%>
+    var entities = item.getEntities();
+<% } -%>
+<% if (matches.some(function(match){ return match.regExName; })) { -%>
+    var regExMatches = item.getRegExMatches();
+<% } -%>
+
+    return {
+<% matches.forEach(function(match, index){ -%>
+<% if (match.property && !allows.readItem) { -%>
+      '<%= match.id %>': joinValues(item.getEntitiesByType(Office.MailboxEnums.EntityType.<%= match.entityType %>)<% if (match.textProperty) { %>, '<%= match.textProperty %>'<% } %>)<%= index < matches.length - 1 ? ',' : '' %>
+<% } else if (match.property) { -%>
+      '<%= match.id %>': joinValues(entities.<%= match.property %><% if (match.textProperty) { %>, '<%= match.textProperty %>'<% } %>)<%= index < matches.length - 1 ? ',' : '' %>
+<% } else { -%>
+      '<%= match.id %>': joinValues(regExMatches.<%= match.regExName %>)<%= index < matches.length - 1 ? ',' : '' %>
+<% } -%>
+<% }); -%>
+    };
+  }
+<% } else if (allows.readItem) { -%>
+
+  // Gets the "Subject" and "From" fields, based on the current mail item
+  getItemDetails(){
+    var item = Office.cast.item.toItemRead(Office.context.mailbox.item);
+
+    var from = null;
+    if (item.itemType === Office.MailboxEnums.ItemType.Message) {
+      from = Office.cast.item.toMessageRead(item).from;
+    } else if (item.itemType === Office.MailboxEnums.ItemType.Appointment) {
+      from = Office.cast.item.toAppointmentRead(item).organizer;
+    }
+
+    return {subject: item.subject, from: from};
+  }
+
+  // Displays the address of the sender in a notification
+  showSender(){
+    var from = this.state.from;
+    if (from) {
+      this.props.showNotification(from.displayName, from.emailAddress);
+    }
+  }
+<% } else { -%>
+
+  // Gets the URLs and phone numbers found in the current mail item; restricted
+  //  add-ins can only get these entities by type, not the properties of the item
+  getItemEntities(){
+    var item = Office.context.mailbox.item;
+    var urls = item.getEntitiesByType(Office.MailboxEnums.EntityType.Url);
+    var phoneNumbers = item.getEntitiesByType(Office.MailboxEnums.EntityType.PhoneNumber);
+
+    return {
+      urls: (urls || []).join(', '),
+      phoneNumbers: (phoneNumbers || []).map(function(phoneNumber){
+        return phoneNumber.originalPhoneString;
+      }).join(', ')
+    };
+  }
+<% } -%>
+
+  render(){
+    return (
+      <div>
+        <div id="content-main">
+          <div className="padding">
+            <p><strong>Add home screen content here.</strong></p>
+<% if (matches.length > 0) { -%>
+            <p>For example, this app was activated because the current item contains:</p>
+            <table id="details">
+              <tbody>
+<% matches.forEach(function(match){ -%>
+                <tr>
+                  <th><%= match.label %>:</th>
+                  <td>{this.state['<%= match.id %>']}</td>
+                </tr>
+<% }); -%>
+              </tbody>
+            </table>
+<% } else if (allows.readItem) { -%>
+            <p>For example, this app was activated with following details:</p>
+            <table id="details">
+              <tbody>
+                <tr>
+                  <th>Subject:</th>
+                  <td>{this.state.subject}</td>
+                </tr>
+                <tr>
+                  <th>From:</th>
+                  <td onClick={this.showSender}>{this.state.from && this.state.from.displayName}</td>
+                </tr>
+              </tbody>
+            </table>
+<% } else { -%>
+            <p>For example, this app found the following in the current item:</p>
+            <table id="details">
+              <tbody>
+                <tr>
+                  <th>URLs:</th>
+                  <td>{this.state.urls}</td>
+                </tr>
+                <tr>
+                  <th>Phone numbers:</th>
+                  <td>{this.state.phoneNumbers}</td>
+                </tr>
+              </tbody>
+            </table>
+<% } -%>
+          </div>
+        </div>
+        <div id="content-footer">
+          <div className="padding">
+            <a target="_blank" href="http://dev.office.com/code-samples#?filters=office%20add-ins">Find more samples online...</a>
+          </div>
+        </div>
+      </div>
+    );
+  }
+}
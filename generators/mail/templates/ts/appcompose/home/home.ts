@@ -0,0 +1,62 @@
+(function(){
+  'use strict';
+
+  // The initialize function must be run each time a new page is loaded
+  Office.initialize = function(reason){
+    jQuery(document).ready(function(){
+      app.initialize();
+
+<% if (allows.writeItem) { -%>
+      jQuery('#set-subject').click(setSubject);
+<% } -%>
+<% if (allows.readItem) { -%>
+      jQuery('#get-subject').click(getSubject);
+<% } -%>
+<% if (allows.writeItem) { -%>
+      jQuery('#add-to-recipients').click(addToRecipients);
+<% } -%>
+<% if (!allows.readItem) { -%>
+      jQuery('#show-display-language').click(showDisplayLanguage);
+<% } -%>
+    });
+  };
+<% if (allows.writeItem) { -%>
+
+  function setSubject(): void {
+    Office.cast.item.toItemCompose(Office.context.mailbox.item).subject.setAsync('Hello world!');
+  }
+<% } -%>
+<% if (allows.readItem) { -%>
+
+  function getSubject(): void {
+    Office.cast.item.toItemCompose(Office.context.mailbox.item).subject.getAsync(function(result){
+      app.showNotification('The current subject is', result.value);
+    });
+  }
+<% } -%>
+<% if (allows.writeItem) { -%>
+
+  function addToRecipients(): void {
+    var item = Office.context.mailbox.item;
+    var addressToAdd = {
+      displayName: Office.context.mailbox.userProfile.displayName,
+      emailAddress: Office.context.mailbox.userProfile.emailAddress
+    };
+
+    if (item.itemType === Office.MailboxEnums.ItemType.Message) {
+      Office.cast.item.toMessageCompose(item).to.addAsync([addressToAdd]);
+    } else if (item.itemType === Office.MailboxEnums.ItemType.Appointment) {
+      Office.cast.item.toAppointmentCompose(item).requiredAttendees.addAsync([addressToAdd]);
+    }
+  }
+<% } -%>
+<% if (!allows.readItem) { -%>
+
+  // Restricted add-ins cannot access the item, so display the
+  //  language of Outlook instead
+  function showDisplayLanguage(): void {
+    app.showNotification('The display language is:', Office.context.displayLanguage);
+  }
+<% } -%>
+
+})();
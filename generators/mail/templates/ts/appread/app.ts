@@ -0,0 +1,30 @@
+namespace app {
+  'use strict';
+
+  // Common notification function, exposed after initialization
+  export var showNotification: (header: string, text: string) => void;
+
+  // Common initialization function (to be called from each page); a variable
+  //  since the read & compose forms both declare it in the app namespace
+  export var initialize = function(): void {
+    jQuery('body').append(
+      '<div id="notification-message">' +
+      '<div class="padding">' +
+      '<div id="notification-message-close"></div>' +
+      '<div id="notification-message-header"></div>' +
+      '<div id="notification-message-body"></div>' +
+      '</div>' +
+      '</div>');
+
+    jQuery('#notification-message-close').click(function(){
+      jQuery('#notification-message').hide();
+    });
+
+    // After initialization, expose a common notification function
+    showNotification = function(header: string, text: string): void {
+      jQuery('#notification-message-header').text(header);
+      jQuery('#notification-message-body').text(text);
+      jQuery('#notification-message').slideDown('fast');
+    };
+  };
+}
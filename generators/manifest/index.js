@@ -0,0 +1,854 @@
+'use strict';
+
+var generators = require('yeoman-generator');
+var chalk = require('chalk');
+var fs = require('fs');
+var extend = require('deep-extend');
+var Xml2Js = require('xml2js');
+var manifestEditor = require('../lib/manifestEditor');
+var listOptions = require('../lib/listOptions');
+var permissions = require('../lib/permissions');
+var requirements = require('../lib/requirements');
+var _ = require('lodash');
+var TaskpaneGenerator = require('../taskpane');
+var MailGenerator = require('../mail');
+
+/**
+ * Office client hosts that can be added to task pane & content addins.
+ */
+var OFFICE_HOSTS = listOptions.values('clients');
+
+/**
+ * Outlook form types & the <Rule xsi:type="ItemIs"> they map to.
+ */
+var OUTLOOK_FORMS = {
+  'mail-read': {ItemType: 'Message', FormType: 'Read'},
+  'mail-compose': {ItemType: 'Message', FormType: 'Edit'},
+  'appointment-read': {ItemType: 'Appointment', FormType: 'Read'},
+  'appointment-compose': {ItemType: 'Appointment', FormType: 'Edit'}
+};
+
+/**
+ * Add-in command extension points (<ExtensionPoint xsi:type>) of the Outlook forms.
+ */
+var OUTLOOK_COMMAND_SURFACES = {
+  'mail-read': 'MessageReadCommandSurface',
+  'mail-compose': 'MessageComposeCommandSurface',
+  'appointment-read': 'AppointmentAttendeeCommandSurface',
+  'appointment-compose': 'AppointmentOrganizerCommandSurface'
+};
+
+/**
+ * Height (in pixels) of the read forms added.
+ */
+var READ_FORM_HEIGHT = 250;
+
+module.exports = generators.Base.extend({
+  /**
+   * Setup the generator
+   */
+  constructor: function(){
+    generators.Base.apply(this, arguments);
+
+    this.option('manifest', {
+      type: String,
+      desc: 'Manifest file to edit (default: the only manifest-*.xml in the current directory)',
+      required: false
+    });
+
+    this.option('name', {
+      type: String,
+      desc: 'New display name of the Office Add-in',
+      required: false
+    });
+
+    this.option('add-host', {
+      type: listOptions.TYPE,
+      desc: 'Office client hosts to add (comma separated or repeated; word, excel, ...)',
+      required: false
+    });
+
+    this.option('remove-host', {
+      type: listOptions.TYPE,
+      desc: 'Office client hosts to remove (comma separated or repeated)',
+      required: false
+    });
+
+    this.option('add-form', {
+      type: listOptions.TYPE,
+      desc: 'Outlook forms to add (comma separated or repeated; mail-read, mail-compose, ...)',
+      required: false
+    });
+
+    this.option('remove-form', {
+      type: listOptions.TYPE,
+      desc: 'Outlook forms to remove (comma separated or repeated)',
+      required: false
+    });
+
+    this.option('startPage', {
+      type: String,
+      desc: 'Start page used for an Outlook read or compose form being added',
+      required: false
+    });
+
+    this.option('add-app-domain', {
+      type: String,
+      desc: 'App domains to add (comma separated)',
+      required: false
+    });
+
+    this.option('remove-app-domain', {
+      type: String,
+      desc: 'App domains to remove (comma separated)',
+      required: false
+    });
+
+    this.option('permissions', {
+      type: String,
+      desc: 'Permission level requested by the Add-in',
+      required: false
+    });
+
+    this.option('add-requirement', {
+      type: String,
+      desc: 'Requirement sets to add (comma separated, Name or Name:MinVersion)',
+      required: false
+    });
+
+    this.option('remove-requirement', {
+      type: String,
+      desc: 'Requirement sets to remove (comma separated names)',
+      required: false
+    });
+
+    // create global config object on this generator
+    this.genConfig = {};
+  }, // constructor()
+
+  /**
+   * Locate the manifest(s) in the project.
+   */
+  initializing: function(){
+    this.manifestCandidates = _.filter(fs.readdirSync(this.destinationRoot()), function(file){
+      return /^manifest-.+\.xml$/i.test(file);
+    });
+
+    // determine if any of the changes were specified on the command line
+    this.genConfig.interactive = !_.some([
+      'name', 'add-host', 'remove-host', 'add-form', 'remove-form', 'add-app-domain',
+      'remove-app-domain', 'permissions', 'add-requirement', 'remove-requirement'
+    ], function(option){
+      return this.options[option] !== undefined;
+    }, this);
+  }, // initializing()
+
+  /**
+   * Prompt users for options
+   */
+  prompting: {
+
+    /**
+     * If more than one manifest is present & none was specified, ask which to edit.
+     */
+    askForManifest: function(){
+      if (this.options.manifest !== undefined) {
+        this.genConfig.manifest = this.options.manifest;
+        return;
+      }
+
+      if (this.manifestCandidates.length === 0) {
+        this.env.error(chalk.red('No manifest-*.xml file found in ' + this.destinationRoot()));
+        return;
+      }
+
+      if (this.manifestCandidates.length === 1) {
+        this.genConfig.manifest = this.manifestCandidates[0];
+        return;
+      }
+
+      var done = this.async();
+
+      var prompts = [{
+        name: 'manifest',
+        message: 'Manifest to edit:',
+        type: 'list',
+        choices: this.manifestCandidates
+      }];
+
+      // trigger prompts
+      this.prompt(prompts, function(responses){
+        this.genConfig = extend(this.genConfig, responses);
+        done();
+      }.bind(this));
+    }, // askForManifest()
+
+    /**
+     * Load the manifest & read the current values out of it.
+     */
+    loadManifest: function(){
+      var done = this.async();
+
+      // workaround to 'this' context issue
+      var yoGenerator = this;
+
+      var manifestPath = yoGenerator.destinationPath(yoGenerator.genConfig.manifest);
+      if (!yoGenerator.fs.exists(manifestPath)) {
+        yoGenerator.env.error(chalk.red('Manifest not found: ' + manifestPath));
+        return;
+      }
+
+      var parser = new Xml2Js.Parser();
+      var manifestXml = yoGenerator.fs.read(manifestPath);
+      parser.parseString(manifestXml, function(err, manifestJson){
+        if (err || !manifestJson || !manifestJson.OfficeApp) {
+          yoGenerator.env.error(chalk.red('Unable to read the Office Add-in manifest ' +
+                                          yoGenerator.genConfig.manifest));
+          return;
+        }
+
+        yoGenerator.manifest = manifestEditor.parse(manifestXml);
+        yoGenerator.genConfig.addinType = manifestJson.OfficeApp.$['xsi:type'];
+        yoGenerator.current = yoGenerator._readManifestValues(manifestJson.OfficeApp);
+
+        done();
+      });
+    }, // loadManifest()
+
+    /**
+     * If no changes were specified on the command line, prompt for them
+     * using the current manifest values as the defaults.
+     */
+    askForChanges: function(){
+      if (!this.genConfig.interactive) {
+        return;
+      }
+
+      var done = this.async();
+      var current = this.current;
+      var isMail = this.genConfig.addinType === 'MailApp';
+
+      var prompts = [
+        {
+          name: 'name',
+          message: 'Project name (display name):',
+          default: current.name
+        },
+        {
+          name: 'hosts',
+          message: 'Supported Office applications:',
+          type: 'checkbox',
+          when: !isMail,
+          choices: _.map(OFFICE_HOSTS, function(host){
+            return {name: host, value: host, checked: current.hosts.indexOf(host) > -1};
+          }),
+          validate: /* istanbul ignore next */ function(answers){
+            if (answers.length < 1) {
+              return 'Must select at least one Office application';
+            }
+            return true;
+          }
+        },
+        {
+          name: 'forms',
+          message: 'Supported Outlook forms:',
+          type: 'checkbox',
+          when: isMail,
+          choices: _.map(_.keys(OUTLOOK_FORMS), function(form){
+            return {name: form, value: form, checked: current.forms.indexOf(form) > -1};
+          }),
+          validate: /* istanbul ignore next */ function(answers){
+            if (answers.length < 1) {
+              return 'Must select at least one Outlook form type';
+            }
+            return true;
+          }
+        },
+        {
+          name: 'startPage',
+          message: 'Start page for the new Outlook form:',
+          when: /* istanbul ignore next */ function(answers){
+            return isMail && this._needsStartPage(answers.forms);
+          }.bind(this)
+        },
+        {
+          name: 'permissions',
+          message: 'Permissions requested by the Add-in:',
+          type: 'list',
+          choices: permissions.choices(this.genConfig.addinType),
+          default: current.permissions
+        },
+        {
+          name: 'appDomains',
+          message: 'App domains (comma separated):',
+          default: current.appDomains.join(', ')
+        },
+        {
+          name: 'requirements',
+          message: 'Requirement sets (comma separated, Name:MinVersion):',
+          default: requirements.format(current.requirements)
+        }];
+
+      // trigger prompts
+      this.prompt(prompts, function(responses){
+        this.genConfig = extend(this.genConfig, responses);
+        done();
+      }.bind(this));
+    } // askForChanges()
+
+  }, // prompting()
+
+  /**
+   * Determine the final values for the manifest.
+   */
+  configuring: function(){
+    var current = this.current;
+    var isMail = this.genConfig.addinType === 'MailApp';
+
+    if (this.genConfig.interactive) {
+      this.genConfig.hosts = isMail ? current.hosts : this.genConfig.hosts;
+      this.genConfig.forms = isMail ? this.genConfig.forms : current.forms;
+      this.genConfig.appDomains = this._toList(this.genConfig.appDomains);
+      this.genConfig.requirements = requirements.parse(this.genConfig.requirements);
+    } else {
+      this._applyOptions();
+    }
+
+    if (!permissions.isValid(this.genConfig.addinType, this.genConfig.permissions)) {
+      this.env.error(chalk.red('Invalid permissions \'' + this.genConfig.permissions + '\'; ' +
+                               'valid values: ' + permissions.levels(this.genConfig.addinType).join(', ')));
+    }
+
+    var requirementsError = requirements.validate(this.genConfig.addinType, this.genConfig.requirements, []);
+    if (requirementsError) {
+      this.env.error(chalk.red(requirementsError));
+    }
+  }, // configuring()
+
+  /**
+   * write generator specific files
+   */
+  writing: {
+
+    /**
+     * Apply the changes to the manifest & write it back out. The <Id> and
+     * <Version> elements are never modified. Only the elements that change
+     * are rewritten; comments & formatting elsewhere in the manifest are kept.
+     */
+    updateManifest: function(){
+      // workaround to 'this' context issue
+      var yoGenerator = this;
+
+      var officeApp = yoGenerator.manifest.root;
+
+      officeApp.child('DisplayName').setAttr('DefaultValue', yoGenerator.genConfig.name);
+      officeApp.child('Permissions').setText(yoGenerator.genConfig.permissions);
+
+      if (yoGenerator.genConfig.addinType === 'MailApp') {
+        yoGenerator._updateForms(officeApp);
+      } else {
+        yoGenerator._syncElements(officeApp.child('Hosts'), 'Host', yoGenerator.genConfig.hosts,
+          function(host){
+            return host.attr('Name');
+          },
+          function(host){
+            return manifestEditor.build('Host', {'$': {Name: host}});
+          });
+      }
+
+      yoGenerator._addCommands(officeApp);
+      yoGenerator._removeCommands(officeApp);
+
+      // <AppDomains> must come before <Hosts>
+      var appDomains = yoGenerator._getElement(officeApp, 'AppDomains',
+        ['Hosts', 'Requirements', 'DefaultSettings', 'FormSettings', 'Permissions']);
+      yoGenerator._syncElements(appDomains, 'AppDomain', yoGenerator.genConfig.appDomains,
+        function(appDomain){
+          return _.trim(appDomain.text());
+        },
+        function(appDomain){
+          return manifestEditor.build('AppDomain', appDomain);
+        });
+      if (appDomains.elements().length === 0) {
+        appDomains.remove();
+      }
+
+      // <Requirements> must come after <Hosts>
+      var requiredSets = yoGenerator.genConfig.requirements;
+      var findRequirement = function(name){
+        return _.find(requiredSets, function(set){
+          return set.name.toLowerCase() === name.toLowerCase();
+        });
+      };
+      if (requiredSets.length > 0) {
+        var sets = yoGenerator._getElement(
+          yoGenerator._getElement(officeApp, 'Requirements', ['DefaultSettings', 'FormSettings', 'Permissions']),
+          'Sets', ['Methods']);
+        yoGenerator._syncElements(sets, 'Set',
+          _.map(requiredSets, function(set){
+            return set.name.toLowerCase();
+          }),
+          function(setElement){
+            return setElement.attr('Name').toLowerCase();
+          },
+          function(name){
+            return manifestEditor.build('Set', {'$': {Name: findRequirement(name).name}});
+          });
+
+        // update the names & minimum versions in place
+        _.forEach(sets.elements('Set'), function(setElement){
+          var set = findRequirement(setElement.attr('Name'));
+          if (setElement.attr('Name') !== set.name) {
+            setElement.setAttr('Name', set.name);
+          }
+          if (set.minVersion) {
+            setElement.setAttr('MinVersion', set.minVersion);
+          } else {
+            setElement.removeAttr('MinVersion');
+          }
+        });
+      } else if (officeApp.child('Requirements')) {
+        // keep the required methods
+        var requirementsElement = officeApp.child('Requirements');
+        if (requirementsElement.child('Sets')) {
+          requirementsElement.child('Sets').remove();
+        }
+        if (requirementsElement.elements().length === 0) {
+          requirementsElement.remove();
+        }
+      }
+
+      yoGenerator.fs.write(yoGenerator.destinationPath(yoGenerator.genConfig.manifest),
+        yoGenerator.manifest.toString());
+
+      yoGenerator.log(chalk.green('Updated ' + yoGenerator.genConfig.manifest));
+    } // updateManifest()
+
+  }, // writing()
+
+  /**
+   * Applies the changes specified on the command line to the current manifest values.
+   */
+  _applyOptions: function(){
+    var current = this.current;
+
+    this.genConfig.name = this.options.name || current.name;
+    this.genConfig.hosts = this._applyListChanges(current.hosts,
+      this.options['add-host'], this.options['remove-host'], 'clients');
+    this.genConfig.forms = this._applyListChanges(current.forms,
+      this.options['add-form'], this.options['remove-form'], 'outlookForm');
+    this.genConfig.appDomains = this._applyListChanges(current.appDomains,
+      this.options['add-app-domain'], this.options['remove-app-domain']);
+    this.genConfig.permissions = this.options.permissions || current.permissions;
+    this.genConfig.startPage = this.options.startPage;
+
+    // requirement sets are keyed by (case insensitive) name;
+    //  adding an existing set updates its MinVersion
+    var requiredSets = _.cloneDeep(current.requirements);
+    var removeSet = function(name){
+      _.remove(requiredSets, function(set){
+        return set.name.toLowerCase() === name.toLowerCase();
+      });
+    };
+    _.forEach(this._toList(this.options['remove-requirement']), removeSet);
+    _.forEach(requirements.parse(this.options['add-requirement']), function(set){
+      removeSet(set.name);
+      requiredSets.push(set);
+    });
+    this.genConfig.requirements = requiredSets;
+
+    this._validateOptions();
+  }, // _applyOptions()
+
+  /**
+   * Verifies the changes specified on the command line apply to the type of addin
+   * & leave it at least one host or Outlook form.
+   */
+  _validateOptions: function(){
+    var isMail = this.genConfig.addinType === 'MailApp';
+
+    if (!isMail) {
+      if (this.options['add-form'] !== undefined) {
+        this.env.error(chalk.red('Outlook forms can only be added to mail add-ins'));
+      }
+      if (this.genConfig.hosts.length < 1) {
+        this.env.error(chalk.red('Must keep at least one Office application'));
+      }
+      return;
+    }
+
+    if (this.options['add-host'] !== undefined) {
+      this.env.error(chalk.red('Office client hosts can only be added to task pane & content add-ins'));
+    }
+    if (this.genConfig.forms.length < 1) {
+      this.env.error(chalk.red('Must keep at least one Outlook form type'));
+    }
+    if (this._needsStartPage(this.genConfig.forms) && !this.genConfig.startPage) {
+      this.env.error(chalk.red('--startPage is required when adding a new Outlook read or compose form'));
+    }
+  }, // _validateOptions()
+
+  /**
+   * Reads the values this generator can change from the manifest.
+   *
+   * @param {Object} officeApp - xml2js representation of the <OfficeApp> element.
+   * @return {Object} Current display name, hosts, forms, app domains, permissions & requirements.
+   */
+  _readManifestValues: function(officeApp){
+    // empty elements are parsed as strings by xml2js
+    var children = function(parent, child){
+      return parent && typeof parent[0] === 'object' ? parent[0][child] || [] : [];
+    };
+    var hosts = children(officeApp.Hosts, 'Host');
+    var appDomains = children(officeApp.AppDomains, 'AppDomain');
+    var sets = children(children(officeApp.Requirements, 'Sets'), 'Set');
+
+    // walk the rules to find all the ItemIs rules
+    var forms = [];
+    var findForms = function(rules){
+      _.forEach(rules, function(rule){
+        if (rule.$ && rule.$['xsi:type'] === 'ItemIs') {
+          var form = _.findKey(OUTLOOK_FORMS, {ItemType: rule.$.ItemType, FormType: rule.$.FormType});
+          if (form && forms.indexOf(form) < 0) {
+            forms.push(form);
+          }
+        }
+        findForms(rule.Rule);
+      });
+    };
+    findForms(officeApp.Rule);
+
+    return {
+      name: officeApp.DisplayName[0].$.DefaultValue,
+      hosts: _.map(hosts, function(host){
+        return host.$.Name;
+      }),
+      forms: forms,
+      appDomains: _.map(appDomains, _.trim),
+      permissions: officeApp.Permissions[0],
+      requirements: _.map(sets, function(set){
+        return {name: set.$.Name, minVersion: set.$.MinVersion};
+      })
+    };
+  }, // _readManifestValues()
+
+  /**
+   * Updates the <FormSettings> & <Rule> elements of a mail manifest to match
+   * the selected Outlook forms. Rules other than ItemIs rules are left untouched.
+   *
+   * @param {XmlElement} officeApp - The <OfficeApp> element.
+   */
+  _updateForms: function(officeApp){
+    var forms = this.genConfig.forms;
+    var startPage = this.genConfig.startPage;
+    var hasRead = forms.indexOf('mail-read') > -1 || forms.indexOf('appointment-read') > -1;
+    var hasEdit = forms.indexOf('mail-compose') > -1 || forms.indexOf('appointment-compose') > -1;
+
+    // add / remove the <Form> elements
+    var formSettings = officeApp.child('FormSettings');
+    _.forEach(formSettings.elements('Form'), function(formSetting){
+      var formType = formSetting.attr('xsi:type');
+      if ((formType === 'ItemRead' && !hasRead) || (formType === 'ItemEdit' && !hasEdit)) {
+        formSetting.remove();
+      }
+    });
+    _.forEach({ItemRead: hasRead, ItemEdit: hasEdit}, function(required, formType){
+      var exists = _.some(formSettings.elements('Form'), function(formSetting){
+        return formSetting.attr('xsi:type') === formType;
+      });
+      if (required && !exists) {
+        var desktopSettings = {SourceLocation: [{'$': {DefaultValue: startPage}}]};
+        if (formType === 'ItemRead') {
+          desktopSettings.RequestedHeight = [READ_FORM_HEIGHT];
+        }
+        formSettings.append(manifestEditor.build('Form', {
+          '$': {'xsi:type': formType},
+          DesktopSettings: [desktopSettings]
+        }));
+      }
+    });
+
+    // remove the ItemIs rules for forms no longer supported...
+    var existingForms = [];
+    var removeRules = function(rules){
+      _.forEach(rules, function(rule){
+        var form = rule.attr('xsi:type') === 'ItemIs' ?
+          _.findKey(OUTLOOK_FORMS, {ItemType: rule.attr('ItemType'), FormType: rule.attr('FormType')}) :
+          undefined;
+        if (form && forms.indexOf(form) < 0) {
+          rule.remove();
+        } else {
+          if (form) {
+            existingForms.push(form);
+          }
+          removeRules(rule.elements('Rule'));
+        }
+      });
+    };
+    removeRules(officeApp.elements('Rule'));
+
+    var newForms = _.filter(forms, function(form){
+      return existingForms.indexOf(form) < 0;
+    });
+    var rootRule = officeApp.child('Rule');
+    if (rootRule && newForms.length === 0) {
+      return;
+    }
+
+    // ... make sure the top level rule is a collection ...
+    var collection = manifestEditor.build('Rule', {'$': {'xsi:type': 'RuleCollection', Mode: 'Or'}});
+    if (!rootRule) {
+      rootRule = officeApp.child('Permissions').insertAfter(collection);
+    } else if (rootRule.attr('xsi:type') !== 'RuleCollection' || rootRule.attr('Mode') !== 'Or') {
+      var existingRule = rootRule.toFragment();
+      rootRule = rootRule.replaceWith(collection);
+      rootRule.append(existingRule);
+    }
+
+    // ... and add the rules for forms newly supported
+    _.forEach(newForms, function(form){
+      rootRule.append(manifestEditor.build('Rule', {
+        '$': extend({'xsi:type': 'ItemIs'}, OUTLOOK_FORMS[form])
+      }));
+    });
+  }, // _updateForms()
+
+  /**
+   * Adds the add-in commands (<VersionOverrides>) of the hosts or Outlook forms
+   * added to a manifest with add-in commands, built the way the task pane &
+   * mail generators build them.
+   *
+   * @param {XmlElement} officeApp - The <OfficeApp> element.
+   */
+  _addCommands: function(officeApp){
+    var versionOverrides = officeApp.child('VersionOverrides');
+    var hosts = versionOverrides && versionOverrides.child('Hosts');
+    if (!hosts) {
+      return;
+    }
+
+    if (this.genConfig.addinType === 'TaskPaneApp') {
+      this._addCommandsHosts(hosts);
+    } else if (this.genConfig.addinType === 'MailApp') {
+      this._addCommandsExtensionPoints(versionOverrides);
+    }
+  }, // _addCommands()
+
+  /**
+   * Adds a <VersionOverrides> <Host> for each Office client host added.
+   * Project doesn't support add-in commands.
+   *
+   * @param {XmlElement} hosts - The <VersionOverrides> <Hosts> element.
+   */
+  _addCommandsHosts: function(hosts){
+    var newHosts = _.difference(this.genConfig.hosts, this.current.hosts, ['Project']);
+
+    _.forEach(newHosts, function(officeClient){
+      var exists = _.some(hosts.elements('Host'), function(host){
+        return host.attr('xsi:type') === officeClient;
+      });
+      if (!exists) {
+        hosts.append(manifestEditor.build('Host', TaskpaneGenerator.prototype._buildCommandsHost(officeClient)));
+      }
+    });
+  }, // _addCommandsHosts()
+
+  /**
+   * Adds an <ExtensionPoint> to the <VersionOverrides> mail host for each
+   * Outlook form added. The task pane of a new read or compose form opens the
+   * start page of the form.
+   *
+   * @param {XmlElement} versionOverrides - The <VersionOverrides> element.
+   */
+  _addCommandsExtensionPoints: function(versionOverrides){
+    var mailHost = _.find(versionOverrides.child('Hosts').elements('Host'), function(host){
+      return host.attr('xsi:type') === 'MailHost';
+    });
+    var formFactor = mailHost && mailHost.child('DesktopFormFactor');
+    var resources = versionOverrides.child('Resources');
+    var urls = resources && resources.child('bt:Urls');
+    if (!formFactor || !urls) {
+      return;
+    }
+
+    var startPage = this.genConfig.startPage;
+    var newForms = _.difference(this.genConfig.forms, this.current.forms);
+    var hasElement = function(elements, attr, value){
+      return _.some(elements, function(element){
+        return element.attr(attr) === value;
+      });
+    };
+
+    _.forEach(newForms, function(form){
+      if (hasElement(formFactor.elements('ExtensionPoint'), 'xsi:type', OUTLOOK_COMMAND_SURFACES[form])) {
+        return;
+      }
+
+      var extensionPoint = MailGenerator.prototype._buildCommandsExtensionPoint(form);
+      formFactor.append(manifestEditor.build('ExtensionPoint', extensionPoint));
+
+      var urlId = extensionPoint.OfficeTab.Group.Control[0].Action.SourceLocation.$.resid;
+      if (startPage && !hasElement(urls.elements('bt:Url'), 'id', urlId)) {
+        urls.append(manifestEditor.build('bt:Url', {'$': {id: urlId, DefaultValue: startPage}}));
+      }
+    });
+  }, // _addCommandsExtensionPoints()
+
+  /**
+   * Removes the add-in commands (<VersionOverrides>) of the hosts or Outlook
+   * forms no longer supported. <VersionOverrides> is removed when none of its
+   * hosts is left.
+   *
+   * @param {XmlElement} officeApp - The <OfficeApp> element.
+   */
+  _removeCommands: function(officeApp){
+    var versionOverrides = officeApp.child('VersionOverrides');
+    var hosts = versionOverrides && versionOverrides.child('Hosts');
+    if (!hosts) {
+      return;
+    }
+
+    var genConfig = this.genConfig;
+    var surfaceForms = _.invert(OUTLOOK_COMMAND_SURFACES);
+    _.forEach(hosts.elements('Host'), function(host){
+      if (genConfig.addinType !== 'MailApp') {
+        var hostType = host.attr('xsi:type');
+        if (OFFICE_HOSTS.indexOf(hostType) > -1 && genConfig.hosts.indexOf(hostType) < 0) {
+          host.remove();
+        }
+        return;
+      }
+
+      // extension points of the forms removed, then the form factors & hosts left empty
+      _.forEach(host.elements('DesktopFormFactor'), function(formFactor){
+        _.forEach(formFactor.elements('ExtensionPoint'), function(extensionPoint){
+          var form = surfaceForms[extensionPoint.attr('xsi:type')];
+          if (form && genConfig.forms.indexOf(form) < 0) {
+            extensionPoint.remove();
+          }
+        });
+        if (formFactor.elements('ExtensionPoint').length === 0) {
+          formFactor.remove();
+        }
+      });
+      if (host.elements().length === 0) {
+        host.remove();
+      }
+    });
+
+    if (hosts.elements('Host').length === 0) {
+      versionOverrides.remove();
+    }
+  }, // _removeCommands()
+
+  /**
+   * Determines if a start page is needed for the selected forms, which is
+   * the case when a read or compose form is selected that isn't in the manifest.
+   *
+   * @param {string[]} forms - Selected Outlook forms.
+   * @return {boolean} True if a start page is needed.
+   */
+  _needsStartPage: function(forms){
+    var current = this.current.forms;
+    var isNew = function(a, b){
+      return (forms.indexOf(a) > -1 || forms.indexOf(b) > -1) &&
+             current.indexOf(a) < 0 && current.indexOf(b) < 0;
+    };
+
+    return isNew('mail-read', 'appointment-read') || isNew('mail-compose', 'appointment-compose');
+  }, // _needsStartPage()
+
+  /**
+   * Applies values to add & remove to a list of values.
+   *
+   * @param {string[]}        list       - Current values.
+   * @param {string|string[]} add        - Values to add (comma separated or list).
+   * @param {string|string[]} remove     - Values to remove (comma separated or list).
+   * @param {string}          [listName] - If specified, the list option (clients or outlookForm)
+   *                                       normalizing the values; all values added must be known.
+   * @return {string[]} The updated values.
+   */
+  _applyListChanges: function(list, add, remove, listName){
+    if (!listName) {
+      return _.union(_.difference(list, this._toList(remove)), this._toList(add));
+    }
+
+    var toAdd = add === undefined ? [] : listOptions.normalize(listName, add);
+    var toRemove = remove === undefined ? [] : listOptions.normalize(listName, remove);
+
+    var error = toAdd.length > 0 ? listOptions.validate(listName, toAdd) : null;
+    if (error) {
+      this.env.error(chalk.red(error));
+    }
+
+    return _.union(_.difference(list, toRemove), toAdd);
+  }, // _applyListChanges()
+
+  /**
+   * Converts a comma separated string into a list of trimmed, non-empty values.
+   *
+   * @param {string|string[]} value - Value to convert.
+   * @return {string[]} List of values.
+   */
+  _toList: function(value){
+    if (value === undefined || value === null) {
+      return [];
+    }
+
+    return _.compact(_.map(_.flatten([value]).join(',').split(','), _.trim));
+  }, // _toList()
+
+  /**
+   * Gets a child element, creating it if it doesn't exist. New elements
+   * are inserted before the first of the following elements present in order
+   * to keep the sequence required by the manifest schema.
+   *
+   * @param {XmlElement} parent            - Parent element.
+   * @param {string}     name              - Name of the element.
+   * @param {string[]}   followingElements - Elements that must follow this one.
+   * @return {XmlElement} The element.
+   */
+  _getElement: function(parent, name, followingElements){
+    var element = parent.child(name);
+    if (element) {
+      return element;
+    }
+
+    var emptyElement = '<' + name + '></' + name + '>';
+    var following = _.find(parent.elements(), function(child){
+      return followingElements.indexOf(child.name) > -1;
+    });
+
+    return following ? following.insertBefore(emptyElement) : parent.append(emptyElement);
+  }, // _getElement()
+
+  /**
+   * Adds & removes child elements so there is exactly one child for each
+   * of the specified keys. Existing children that are kept are not modified.
+   *
+   * @param {XmlElement} parent - Parent element.
+   * @param {string}     name   - Name of the child elements.
+   * @param {string[]}   keys   - Keys of the children that should exist.
+   * @param {function}   keyOf  - Gets the key of an existing child element.
+   * @param {function}   build  - Builds the XML of a new child element from its key.
+   */
+  _syncElements: function(parent, name, keys, keyOf, build){
+    var existing = [];
+    _.forEach(parent.elements(name), function(element){
+      var key = keyOf(element);
+      if (keys.indexOf(key) < 0 || existing.indexOf(key) > -1) {
+        element.remove();
+      } else {
+        existing.push(key);
+      }
+    });
+
+    _.forEach(keys, function(key){
+      if (existing.indexOf(key) < 0) {
+        parent.append(build(key));
+        existing.push(key);
+      }
+    });
+  } // _syncElements()
+
+});
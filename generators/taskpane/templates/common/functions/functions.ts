@@ -0,0 +1,44 @@
+(function(){
+  'use strict';
+
+  // The Office initialize function must be run each time a new page is loaded
+  Office.initialize = function(reason){
+  };
+
+  /**
+   * Invoked by the 'Perform an action' button on the ribbon.
+<% if (allows.writeDocument) { -%>
+   * Writes a message into the current selection of the document.
+<% } else { -%>
+   * The add-in's permissions don't allow writing to the document;
+   * add the action the command performs here.
+<% } -%>
+   *
+   * @param event - Add-in command event; must be completed when done.
+   */
+  function writeToSelection(event: {completed(): void}): void {
+<% if (allows.writeDocument) { -%>
+<% if (guards.TextCoercion) { -%>
+    // TextCoercion isn't required by the add-in, so check the host supports it
+    if (!Office.context.requirements.isSetSupported('TextCoercion', '1.1')) {
+      event.completed();
+      return;
+    }
+
+<% } -%>
+    Office.context.document.setSelectedDataAsync('Hello from an add-in command!',
+      function(result){
+        // signal the host the command is finished
+        event.completed();
+      }
+    );
+<% } else { -%>
+    // signal the host the command is finished
+    event.completed();
+<% } -%>
+  }
+
+  // functions referenced from the manifest must be in the global scope
+  (<any>window).writeToSelection = writeToSelection;
+
+})();
@@ -0,0 +1,20 @@
+(function(){
+  'use strict';
+
+  var officeAddin = angular.module('officeAddin');
+
+  // load routes
+  officeAddin.config(['$routeProvider', routeConfigurator]);
+
+  function routeConfigurator($routeProvider: ng.route.IRouteProvider): void {
+    $routeProvider
+      .when('/', {
+        templateUrl: 'app/home/home.html',
+        controller: 'homeController',
+        controllerAs: 'vm'
+      });
+
+    $routeProvider.otherwise({redirectTo: '/'});
+  }
+
+})();
@@ -0,0 +1,34 @@
+import React from 'react';
+import Home from './Home';
+import Notification from './Notification';
+
+// Common component of the pages: renders the page & the notification it shows
+export default class App extends React.Component {
+  constructor(props){
+    super(props);
+    this.state = {notification: null};
+    this.showNotification = this.showNotification.bind(this);
+    this.hideNotification = this.hideNotification.bind(this);
+  }
+
+  // Common notification function, passed to the page
+  showNotification(header, text){
+    this.setState({notification: {header: header, text: text}});
+  }
+
+  hideNotification(){
+    this.setState({notification: null});
+  }
+
+  render(){
+    var notification = this.state.notification;
+
+    return (
+      <div>
+        <Home showNotification={this.showNotification} />
+        {notification &&
+          <Notification header={notification.header} text={notification.text} onClose={this.hideNotification} />}
+      </div>
+    );
+  }
+}
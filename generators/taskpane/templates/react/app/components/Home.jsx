@@ -0,0 +1,106 @@
+import React from 'react';
+
+// Home page of the add-in; displays its results with the common notification
+export default class Home extends React.Component {
+  constructor(props){
+    super(props);
+<% if (allows.readDocument) { -%>
+    this.getDataFromSelection = this.getDataFromSelection.bind(this);
+<% } -%>
+<% if (allows.writeDocument) { -%>
+    this.setDataToSelection = this.setDataToSelection.bind(this);
+<% } -%>
+<% if (!allows.readDocument && !allows.writeDocument) { -%>
+    this.showDisplayLanguage = this.showDisplayLanguage.bind(this);
+<% } -%>
+  }
+<% if (allows.readDocument) { -%>
+
+  // Reads data from current document selection and displays a notification
+  getDataFromSelection(){
+    var showNotification = this.props.showNotification;
+<% if (guards.TextCoercion) { -%>
+
+    // TextCoercion isn't required by the add-in, so check the host supports it
+    if (!Office.context.requirements.isSetSupported('TextCoercion', '1.1')) {
+      showNotification('Error:', 'Reading the selection is not supported by this host.');
+      return;
+    }
+<% } -%>
+
+    Office.context.document.getSelectedDataAsync(Office.CoercionType.Text,
+      function(result){
+        if (result.status === Office.AsyncResultStatus.Succeeded) {
+          showNotification('The selected text is:', '"' + result.value + '"');
+        } else {
+          showNotification('Error:', result.error.message);
+        }
+      }
+    );
+  }
+<% } -%>
+<% if (allows.writeDocument) { -%>
+
+  // Writes data to the current document selection and displays a notification
+  setDataToSelection(){
+    var showNotification = this.props.showNotification;
+<% if (guards.TextCoercion) { -%>
+
+    // TextCoercion isn't required by the add-in, so check the host supports it
+    if (!Office.context.requirements.isSetSupported('TextCoercion', '1.1')) {
+      showNotification('Error:', 'Writing to the selection is not supported by this host.');
+      return;
+    }
+<% } -%>
+
+    Office.context.document.setSelectedDataAsync('Hello world!',
+      function(result){
+        if (result.status === Office.AsyncResultStatus.Succeeded) {
+          showNotification('Done:', 'The text was written to the selection.');
+        } else {
+          showNotification('Error:', result.error.message);
+        }
+      }
+    );
+  }
+<% } -%>
+<% if (!allows.readDocument && !allows.writeDocument) { -%>
+
+  // Restricted add-ins cannot access the document, so display the
+  //  language of the Office application instead
+  showDisplayLanguage(){
+    this.props.showNotification('The display language is:', Office.context.displayLanguage);
+  }
+<% } -%>
+
+  render(){
+    return (
+      <div>
+        <div id="content-header">
+          <div className="padding">
+            <h1>Welcome</h1>
+          </div>
+        </div>
+        <div id="content-main">
+          <div className="padding">
+            <p><strong>Add home screen content here.</strong></p>
+            <p>For example:</p>
+<% if (allows.readDocument) { -%>
+            <button onClick={this.getDataFromSelection}>Get data from selection</button>
+<% } -%>
+<% if (allows.writeDocument) { -%>
+            <button onClick={this.setDataToSelection}>Write data to selection</button>
+<% } -%>
+<% if (!allows.readDocument && !allows.writeDocument) { -%>
+            <button onClick={this.showDisplayLanguage}>Show display language</button>
+<% } -%>
+
+            <p style={{marginTop: '50px'}}>
+              <a target="_blank" href="http://dev.office.com/code-samples#?filters=office%20add-ins">Find more samples online...</a>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+}
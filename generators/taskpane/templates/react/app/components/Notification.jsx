@@ -0,0 +1,14 @@
+import React from 'react';
+
+// Common notification, displayed at the bottom of the page until it's closed
+export default function Notification(props){
+  return (
+    <div id="notification-message">
+      <div className="padding">
+        <div id="notification-message-close" onClick={props.onClose}></div>
+        <div id="notification-message-header">{props.header}</div>
+        <div id="notification-message-body">{props.text}</div>
+      </div>
+    </div>
+  );
+}
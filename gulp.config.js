@@ -9,7 +9,9 @@ var GulpConfig = (function(){
       './*.js',
       './generators/**/*.js',
       './test/**/*.js',
-      '!**/scripts/*.js'
+      '!**/scripts/*.js',
+      // EJS templates, not JavaScript until rendered
+      '!./generators/**/templates/**'
     ]
   };
 
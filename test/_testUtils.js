@@ -1,5 +1,9 @@
 var fs = require('fs');
+var path = require('path');
+var stream = require('stream');
 var assert = require('yeoman-assert');
+var mockery = require('mockery');
+var vfs = require('vinyl-fs');
 
 /**
  * Helper function to check contents of object.
@@ -78,3 +82,113 @@ exports.setupExistingProject = function (generator) {
   generator.fs.write(generator.destinationPath('public/content/site.css'), 'foo');
   generator.fs.write(generator.destinationPath('server/server.js'), 'foo');
 };
+
+/**
+ * Runs a task of the gulpfile of the project in the current folder after the
+ * tasks it depends on. gulp 3 doesn't load on recent versions of Node, so the
+ * tasks are run on top of vinyl-fs; the modules of the servers aren't loaded
+ * (the servers never listen).
+ * @param {string}   task - Name of the task.
+ * @param {string[]} args - Arguments of the command line (--xmlfile, etc).
+ * @param {Function} done - Called with the error, the exit code, the output
+ *                          (console.log) of the task & its servers: options of
+ *                          the web server (webserver), files watched (watchers)
+ *                          & changes sent to the live reload server (reloads).
+ */
+exports.runGulpTask = function(task, args, done){
+  var tasks = {};
+  var servers = {webserver: null, watchers: [], reloads: []};
+  var gulp = {
+    task: function(name, deps, fn){
+      tasks[name] = Array.isArray(deps) ? {deps: deps, fn: fn} : {deps: [], fn: deps};
+    },
+    src: vfs.src,
+    dest: vfs.dest,
+    watch: function(glob, fn){
+      servers.watchers.push({glob: glob, fn: fn});
+    }
+  };
+
+  // the project uses the modules of the generator
+  if (!fs.existsSync('node_modules')) {
+    fs.symlinkSync(path.join(__dirname, '../node_modules'), 'node_modules', 'dir');
+  }
+
+  mockery.enable({useCleanCache: true, warnOnReplace: false, warnOnUnregistered: false});
+  mockery.registerMock('gulp', gulp);
+  mockery.registerMock('gulp-webserver', function(options){
+    servers.webserver = options;
+    return new stream.PassThrough({objectMode: true});
+  });
+  mockery.registerMock('tiny-lr', function(){
+    return {
+      listen: function(){},
+      changed: function(change){
+        servers.reloads.push(change.body.files);
+      }
+    };
+  });
+  ['del', 'run-sequence'].forEach(function(name){
+    mockery.registerMock(name, {});
+  });
+  try {
+    require(path.resolve('gulpfile.js'));
+  } finally {
+    mockery.deregisterAll();
+    mockery.disable();
+  }
+
+  var argv = process.argv;
+  var exitCode = process.exitCode;
+  var log = console.log;
+  var output = [];
+  process.argv = argv.slice(0, 2).concat(task, args);
+  console.log = function(){
+    output.push(Array.prototype.join.call(arguments, ' '));
+  };
+  var running = true;
+  var end = function(err){
+    var taskExitCode = process.exitCode;
+    process.argv = argv;
+    process.exitCode = exitCode;
+    console.log = log;
+    running = false;
+    done(err, taskExitCode || 0, output.join('\n'), servers);
+  };
+  try {
+    _runGulpTask(tasks, task, end);
+  } catch (err) {
+    if (!running) {
+      throw err;
+    }
+    end(err);
+  }
+};
+
+function _runGulpTask(tasks, name, done){
+  var deps = tasks[name].deps.slice();
+  var fn = tasks[name].fn;
+
+  (function runNext(err){
+    if (err || deps.length > 0) {
+      return err ? done(err) : _runGulpTask(tasks, deps.shift(), runNext);
+    }
+    if (fn.length > 0) {
+      return fn(done);
+    }
+
+    // like gulp, wait for the stream returned to be consumed
+    var stream = fn();
+    if (!stream || typeof stream.pipe !== 'function') {
+      return done();
+    }
+    var ended = false;
+    var end = function(err){
+      if (!ended) {
+        ended = true;
+        done(err);
+      }
+    };
+    stream.on('error', end).on('end', end).resume();
+  })();
+}
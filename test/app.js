@@ -145,4 +145,60 @@ describe('office:app', function(){
 
   }); // describe('runs content subgenerator')
 
+  describe('uses an answers file', function(){
+
+    beforeEach(function(done){
+      var answers = {
+        type: 'taskpane',
+        name: 'My First Addin',
+        tech: 'html',
+        clients: 'Workbook, Document',
+        providerName: 'Fabrikam'
+      };
+
+      // run the generator without prompt responses
+      helpers.run(path.join(__dirname, '../generators/app'))
+        .inTmpDir(function(dir){
+          fs.writeFileSync(path.join(dir, 'answers.json'), JSON.stringify(answers));
+        })
+        .withOptions({answers: 'answers.json', 'skip-install': true})
+        .on('end', done);
+    });
+
+    it('creates the addin described by the answers', function(done){
+      assert.fileContent(manifestFileName, 'xsi:type="TaskPaneApp"');
+      assert.fileContent(manifestFileName, '<DisplayName DefaultValue="My First Addin" />');
+      assert.fileContent(manifestFileName, '<Host Name="Workbook"/>');
+      assert.fileContent(manifestFileName, '<Host Name="Document"/>');
+      assert.fileContent(manifestFileName, '<ProviderName>Fabrikam</ProviderName>');
+      done();
+    });
+
+    it('uses the defaults for the other prompts', function(done){
+      assert.fileContent(manifestFileName, '<Permissions>ReadWriteDocument</Permissions>');
+      assert.file('app/home/home.html');
+      done();
+    });
+
+  }); // describe('uses an answers file')
+
+  describe('validates the answers file', function(){
+
+    it('fails listing the missing & invalid fields', function(done){
+      helpers.run(path.join(__dirname, '../generators/app'))
+        .inTmpDir(function(dir){
+          fs.writeFileSync(path.join(dir, 'answers.json'), JSON.stringify({type: 'mail', tech: 'vue', clients: []}));
+        })
+        .withOptions({answers: 'answers.json', 'skip-install': true})
+        .on('error', function(err){
+          expect(err.message).to.contain('name: missing');
+          expect(err.message).to.contain('outlookForm: missing');
+          expect(err.message).to.contain('tech: invalid value \'vue\'');
+          expect(err.message).to.contain('clients: unknown field');
+          done();
+        });
+    });
+
+  }); // describe('validates the answers file')
+
 }); // describe('office:app')
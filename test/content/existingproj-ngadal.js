@@ -56,13 +56,24 @@ describe('office:content', function(){
             chalk: '^1.1.1',
             del: '^2.1.0',
             gulp: '^3.9.0',
+            'gulp-if': '^2.0.1',
             'gulp-load-plugins': '^1.0.0',
             'gulp-minify-css': '^1.2.2',
+            'gulp-rev': '^7.1.2',
+            'gulp-rev-replace': '^0.4.3',
+            'gulp-sourcemaps': '^1.6.0',
             'gulp-task-listing': '^1.0.1',
             'gulp-uglify': '^1.5.1',
+            'gulp-useref': '^3.1.2',
+            'gulp-util': '^3.0.7',
             'gulp-webserver': '^0.9.1',
+            'gulp-zip': '^3.2.0',
+            lazypipe: '^1.0.1',
+            'merge-stream': '^1.0.0',
             minimist: '^1.2.0',
+            'node-forge': '^0.6.46',
             'run-sequence': '^1.1.5',
+            'tiny-lr': '^0.2.1',
             xmllint: 'git+https://github.com/kripken/xml.js.git'
           }
         };
@@ -186,13 +197,24 @@ describe('office:content', function(){
             chalk: '^1.1.1',
             del: '^2.1.0',
             gulp: '^3.9.0',
+            'gulp-if': '^2.0.1',
             'gulp-load-plugins': '^1.0.0',
             'gulp-minify-css': '^1.2.2',
+            'gulp-rev': '^7.1.2',
+            'gulp-rev-replace': '^0.4.3',
+            'gulp-sourcemaps': '^1.6.0',
             'gulp-task-listing': '^1.0.1',
             'gulp-uglify': '^1.5.1',
+            'gulp-useref': '^3.1.2',
+            'gulp-util': '^3.0.7',
             'gulp-webserver': '^0.9.1',
+            'gulp-zip': '^3.2.0',
+            lazypipe: '^1.0.1',
+            'merge-stream': '^1.0.0',
             minimist: '^1.2.0',
+            'node-forge': '^0.6.46',
             'run-sequence': '^1.1.5',
+            'tiny-lr': '^0.2.1',
             xmllint: 'git+https://github.com/kripken/xml.js.git'
           }
         };
@@ -402,21 +424,15 @@ describe('office:content', function(){
           done();
         });
         
-        it('contains task \'dist-minify\'', function (done) {
+        it('contains task \'dist-bundle\'', function (done) {
           assert.file('gulpfile.js');
-          assert.fileContent('gulpfile.js', 'gulp.task(\'dist-minify\',');
+          assert.fileContent('gulpfile.js', 'gulp.task(\'dist-bundle\',');
           done();
         });
         
-        it('contains task \'dist-minify-js\'', function (done) {
+        it('contains task \'dist-size\'', function (done) {
           assert.file('gulpfile.js');
-          assert.fileContent('gulpfile.js', 'gulp.task(\'dist-minify-js\',');
-          done();
-        });
-        
-        it('contains task \'dist-minify-css\'', function (done) {
-          assert.file('gulpfile.js');
-          assert.fileContent('gulpfile.js', 'gulp.task(\'dist-minify-css\',');
+          assert.fileContent('gulpfile.js', 'gulp.task(\'dist-size\',');
           done();
         });
         
@@ -0,0 +1,45 @@
+/* jshint expr:true */
+'use strict';
+
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:content', function(){
+
+  /**
+   * Test addin when technology = react
+   */
+  describe('addin technology:react', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/content'))
+        .withOptions({
+          name: 'My Office Add-in',
+          'root-path': '',
+          tech: 'react',
+          clients: ['Document'],
+          'skip-install': true
+        })
+        .on('end', done);
+    });
+
+    it('creates the react sample code', function(done){
+      assert.file(['app/index.html', 'app/app.jsx', 'app/components/Home.jsx', 'app/components/Notification.jsx']);
+      assert.fileContent('app/components/Home.jsx', 'isSetSupported(\'TextCoercion\', \'1.1\')');
+      assert.noFileContent('app/components/Home.jsx', 'content-header');
+      done();
+    });
+
+    it('bundles the page', function(done){
+      assert.fileContent('gulpfile.js', 'config.root + \'/app/app.jsx\'');
+      assert.fileContent('manifest-my-office-add-in.xml', 'https://localhost:8443/app/index.html');
+      done();
+    });
+
+  }); // describe('addin technology:react')
+
+}); // describe('office:content')
@@ -0,0 +1,50 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:content', function(){
+
+  /**
+   * Test addin when technology = html & typescript
+   */
+  describe('addin technology:ts', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/content'))
+        .withOptions({
+          name: 'My Office Add-in',
+          'root-path': '',
+          tech: 'ts',
+          clients: ['Document'],
+          'skip-install': true
+        })
+        .on('end', done);
+    });
+
+    it('creates the typescript sample code', function(done){
+      assert.file(['app/app.ts', 'app/home/home.ts', 'app/home/home.html']);
+      assert.noFile(['app/app.js', 'app/home/home.js', 'functions/functions.ts']);
+      assert.fileContent('app/home/home.ts', 'isSetSupported(\'TextCoercion\', \'1.1\')');
+      done();
+    });
+
+    it('installs the typescript compiler', function(done){
+      var packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+      expect(packageJson.devDependencies).to.include.keys('typescript', 'gulp-typescript', 'tsd');
+      assert.fileContent('gulpfile.js', 'root: \'./build\',');
+      done();
+    });
+
+  }); // describe('addin technology:ts')
+
+}); // describe('office:content')
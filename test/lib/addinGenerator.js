@@ -0,0 +1,55 @@
+/* jshint expr:true */
+'use strict';
+
+var chai = require('chai'),
+  expect = chai.expect;
+var path = require('path');
+var helpers = require('yeoman-test');
+
+var addinGenerator = require('./../../generators/lib/addinGenerator');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('lib:addinGenerator', function(){
+
+  it('queues the run loop methods & adds the additional methods', function(done){
+    var helper = function(){};
+    var Generator = addinGenerator.create({name: 'test', manifestType: 'TaskPaneApp'}, {_helper: helper});
+
+    // yeoman only queues the methods of the immediate prototype
+    var methods = Object.getOwnPropertyNames(Generator.prototype);
+    expect(methods).to.include.members(['initializing', 'prompting', 'configuring', 'writing', 'install']);
+    expect(Generator.prototype._helper).to.equal(helper);
+    done();
+  });
+
+  describe('templates', function(){
+    var generator;
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions({name: 'test', rootPath: '', tech: 'html', clients: ['Document']})
+        .on('ready', function(gen){
+          generator = gen;
+        })
+        .on('end', done);
+    });
+
+    it('uses the templates of the type of addin', function(done){
+      expect(generator.templatePath('common/manifest.xml'))
+        .to.equal(path.join(__dirname, '../../generators/taskpane/templates/common/manifest.xml'));
+      done();
+    });
+
+    it('falls back to the shared templates', function(done){
+      expect(generator.templatePath('common/gulpfile.js'))
+        .to.equal(path.join(addinGenerator.SHARED_TEMPLATES, 'common/gulpfile.js'));
+      expect(generator.templatePath('html', '_bower.json'))
+        .to.equal(path.join(addinGenerator.SHARED_TEMPLATES, 'html/_bower.json'));
+      done();
+    });
+
+  });
+
+});
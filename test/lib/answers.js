@@ -0,0 +1,159 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var chai = require('chai'),
+  expect = chai.expect;
+
+var answers = require('./../../generators/lib/answers');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('lib:answers', function(){
+
+  describe('load()', function(){
+
+    var answersFile = path.join(os.tmpdir(), 'generator-office-answers.json');
+
+    afterEach(function(done){
+      fs.unlink(answersFile, function(){
+        done();
+      });
+    });
+
+    it('reads a JSON file', function(done){
+      fs.writeFileSync(answersFile, '{"name": "Add-in"}');
+      answers.load(answersFile, function(error, json){
+        expect(error).to.be.null;
+        expect(json).to.deep.equal({name: 'Add-in'});
+        done();
+      });
+    });
+
+    it('fails for missing files, invalid JSON & non objects', function(done){
+      answers.load(answersFile, function(error){
+        expect(error).to.contain('Unable to read the answers file');
+
+        fs.writeFileSync(answersFile, '{name: }');
+        answers.load(answersFile, function(error){
+          expect(error).to.contain('Unable to parse the answers');
+
+          fs.writeFileSync(answersFile, '["name"]');
+          answers.load(answersFile, function(error){
+            expect(error).to.contain('must be a JSON object');
+            done();
+          });
+        });
+      });
+    });
+
+  }); // describe('load()')
+
+  describe('validate()', function(){
+
+    it('accepts complete answers', function(done){
+      expect(answers.validate({name: 'Add-in', tech: 'html', outlookForm: ['mail-read']}, 'mail')).to.be.null;
+      expect(answers.validate({name: 'Add-in', tech: 'html', outlookForm: 'message-read, mail-edit'}, 'mail'))
+        .to.be.null;
+      expect(answers.validate({
+        type: 'content',
+        name: 'Add-in',
+        tech: 'manifest-only',
+        clients: 'Workbook',
+        startPage: 'https://localhost:8443/index.html',
+        permissions: 'ReadDocument',
+        description: 'Description'
+      }, 'app')).to.be.null;
+      done();
+    });
+
+    it('accepts the host & port of the dev server', function(done){
+      var json = {name: 'Add-in', tech: 'html', clients: ['Document'], host: 'addins.local', port: 9443};
+      expect(answers.validate(json, 'taskpane')).to.be.null;
+      json.port = '9443';
+      expect(answers.validate(json, 'taskpane')).to.contain('port: must be a number');
+      done();
+    });
+
+    it('lists the missing fields', function(done){
+      var error = answers.validate({tech: 'manifest-only'}, 'taskpane');
+      expect(error).to.contain('name: missing');
+      expect(error).to.contain('clients: missing');
+      expect(error).to.contain('startPage: missing');
+      expect(error).to.not.contain('outlookForm');
+      done();
+    });
+
+    it('lists the invalid & unknown fields', function(done){
+      var error = answers.validate({
+        type: 'mail',
+        name: 42,
+        tech: 'html',
+        outlookForm: ['mail-read', 'mail-draft'],
+        commands: 'yes',
+        permissions: 'ReadDocument',
+        clients: ['Workbook'],
+        colour: 'red'
+      }, 'app');
+      expect(error).to.contain('name: must be a string');
+      expect(error).to.contain('outlookForm: invalid value \'mail-draft\'');
+      expect(error).to.contain('commands: must be a boolean');
+      expect(error).to.contain('permissions: invalid value \'ReadDocument\'');
+      expect(error).to.contain('clients: unknown field');
+      expect(error).to.contain('colour: unknown field');
+      expect(answers.validate({type: 'mail'}, 'mail')).to.contain('type: unknown field');
+      done();
+    });
+
+  }); // describe('validate()')
+
+  describe('apply()', function(){
+
+    it('adds the answers to the options not specified', function(done){
+      var yoGenerator = {options: {name: 'Command line'}};
+      answers.apply(yoGenerator, {name: 'Answers', clients: 'Workbook, Document', regExMatches: 'a=1,2;b=3'});
+
+      expect(yoGenerator.options).to.deep.equal({
+        name: 'Command line',
+        clients: ['Workbook', 'Document'],
+        regExMatches: ['a=1,2', 'b=3']
+      });
+      expect(yoGenerator.prompt).to.equal(answers.prompt);
+      done();
+    });
+
+  }); // describe('apply()')
+
+  describe('prompt()', function(){
+
+    it('answers the questions with their defaults', function(done){
+      answers.prompt([
+        {name: 'skipped', default: 'value', when: false},
+        {name: 'input', default: ' value ', filter: function(value){
+          return value.trim();
+        }},
+        {name: 'blank'},
+        {name: 'list', type: 'list', choices: [{name: 'First', value: 'first'}, 'second']},
+        {name: 'checkbox', type: 'checkbox', choices: [{value: 'a', checked: true}, {value: 'b'}]},
+        {name: 'confirm', type: 'confirm'},
+        {name: 'dependent', default: 'value', when: function(responses){
+          return responses.confirm;
+        }}
+      ], function(responses){
+        expect(responses).to.deep.equal({
+          input: 'value',
+          blank: '',
+          list: 'first',
+          checkbox: ['a'],
+          confirm: false
+        });
+        done();
+      });
+    });
+
+  }); // describe('prompt()')
+
+});
@@ -0,0 +1,118 @@
+/* jshint expr:true */
+'use strict';
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+var dependencies = require('./../../generators/lib/dependencies');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('lib:dependencies', function(){
+
+  it('includes every package required by the gulpfile', function(done){
+    expect(dependencies.devDependencies('html')).to.include.keys(
+      'chalk', 'del', 'gulp', 'gulp-if', 'gulp-load-plugins', 'gulp-minify-css', 'gulp-rev', 'gulp-rev-replace',
+      'gulp-sourcemaps', 'gulp-task-listing', 'gulp-uglify', 'gulp-useref', 'gulp-util', 'gulp-webserver',
+      'gulp-zip', 'lazypipe', 'merge-stream', 'minimist', 'node-forge', 'run-sequence', 'tiny-lr', 'xmllint');
+    done();
+  });
+
+  it('detects conflicting versions', function(done){
+    expect(dependencies.isCompatible('^3.9.1', '^3.9.0')).to.be.true;
+    expect(dependencies.isCompatible('3.8.x', '^3.8.5')).to.be.true;
+    expect(dependencies.isCompatible('*', '^3.9.0')).to.be.true;
+    expect(dependencies.isCompatible('^4.0.0', '^3.9.0')).to.be.false;
+    expect(dependencies.isCompatible('~3.8.0', '^3.9.0')).to.be.false;
+    expect(dependencies.isCompatible('git+https://github.com/kripken/xml.js.git',
+      'git+https://github.com/kripken/xml.js.git')).to.be.true;
+    expect(dependencies.isCompatible('^0.1.0', 'git+https://github.com/kripken/xml.js.git')).to.be.false;
+    done();
+  });
+
+  it('merges the packages & scripts into an existing package.json', function(done){
+    var packageJson = {
+      name: 'ProjectName',
+      scripts: {serve: 'node server.js', dist: 'gulp dist'},
+      dependencies: {chalk: '^1.0.0'},
+      devDependencies: {gulp: '^4.0.0'}
+    };
+    var changes = dependencies.merge(packageJson, 'html');
+
+    expect(packageJson.dependencies).to.deep.equal({chalk: '^1.0.0'});
+    expect(packageJson.devDependencies).to.include({gulp: '^4.0.0', del: '^2.1.0', 'run-sequence': '^1.1.5'});
+    expect(packageJson.devDependencies).to.not.have.property('chalk');
+    expect(packageJson.scripts).to.deep.equal(
+      {serve: 'node server.js', dist: 'gulp dist', validate: 'gulp validate-xml', package: 'gulp package'});
+
+    expect(changes).to.include('kept devDependencies.gulp = ^4.0.0 (conflicts with ^3.9.0 required by the add-in)');
+    expect(changes).to.include('added devDependencies.del = ^2.1.0');
+    expect(changes).to.include('kept scripts.serve = node server.js (the add-in uses gulp serve-static)');
+    expect(changes).to.include('added scripts.validate = gulp validate-xml');
+    expect(changes).to.not.include('added devDependencies.chalk = ^1.1.1');
+    done();
+  });
+
+  it('installs the libraries & type definitions with npm', function(done){
+    expect(dependencies.dependencies('ng', 'bower')).to.be.empty;
+    expect(dependencies.dependencies('ng', 'npm')).to.have.keys(
+      'angular', 'angular-route', 'angular-sanitize', 'office-ui-fabric');
+    expect(dependencies.devDependencies('ng', 'npm')).to.include.keys('gulp', '@types/office-js', '@types/angular');
+    expect(dependencies.devDependencies('ng', 'bower')).to.not.have.property('@types/office-js');
+    expect(dependencies.libraries('html')).to.deep.equal(['jquery', 'office-ui-fabric']);
+    expect(dependencies.scripts('npm')).to.include({postinstall: 'gulp copy-libs'});
+    expect(dependencies.scripts('bower')).to.not.have.property('postinstall');
+    done();
+  });
+
+  it('installs the typescript compiler for the typescript technologies', function(done){
+    expect(dependencies.devDependencies('ts', 'bower')).to.include.keys('typescript', 'gulp-typescript', 'tsd');
+    expect(dependencies.devDependencies('ng-ts', 'npm')).to.include.keys('typescript', '@types/angular');
+    expect(dependencies.devDependencies('ng-ts', 'npm')).to.not.have.property('tsd');
+    expect(dependencies.devDependencies('ng', 'bower')).to.not.have.property('typescript');
+    expect(dependencies.libraries('ng-ts')).to.deep.equal(dependencies.libraries('ng'));
+    done();
+  });
+
+  it('installs the libraries bundled with the react pages with npm', function(done){
+    expect(dependencies.dependencies('react', 'bower')).to.deep.equal({react: '^15.3.2', 'react-dom': '^15.3.2'});
+    expect(dependencies.dependencies('react', 'npm')).to.have.keys('react', 'react-dom', 'office-ui-fabric');
+    expect(dependencies.devDependencies('react')).to.include.keys('browserify', 'babelify', 'vinyl-source-stream');
+    expect(dependencies.libraries('react')).to.deep.equal(['office-ui-fabric']);
+    done();
+  });
+
+  it('validates the package manager', function(done){
+    expect(dependencies.validatePackageManager('npm')).to.be.null;
+    expect(dependencies.validatePackageManager('yarn')).to.equal(
+      'Invalid package manager \'yarn\'; valid values: bower, npm');
+    done();
+  });
+
+  it('merges the libraries into the dependencies of an existing package.json', function(done){
+    var packageJson = {name: 'ProjectName', devDependencies: {jquery: '^2.1.0'}};
+    var changes = dependencies.merge(packageJson, 'ng-adal', 'npm');
+
+    expect(packageJson.dependencies).to.include({angular: '~1.4.4', 'adal-angular': '~1.0.5'});
+    expect(packageJson.devDependencies).to.include({'@types/office-js': '^0.0.166'});
+    expect(changes).to.include('added dependencies.angular = ~1.4.4');
+    expect(changes).to.include('added scripts.postinstall = gulp copy-libs');
+
+    changes = dependencies.merge(packageJson, 'html', 'npm');
+    expect(changes).to.include('kept devDependencies.jquery = ^2.1.0 (conflicts with ~1.9.1 required by the add-in)');
+    done();
+  });
+
+  it('removes the bower packages & type definitions npm replaces', function(done){
+    var bowerJson = {dependencies: {'microsoft.office.js': '*', jquery: '~1.9.1', moment: '~2.10.6'}};
+    expect(dependencies.migrateBower(bowerJson)).to.deep.equal(['microsoft.office.js', 'jquery']);
+    expect(bowerJson.dependencies).to.deep.equal({moment: '~2.10.6'});
+
+    var tsdJson = {installed: {'jquery/jquery.d.ts': {commit: 'abc'}, 'moment/moment.d.ts': {commit: 'def'}}};
+    expect(dependencies.migrateTsd(tsdJson)).to.deep.equal(['jquery/jquery.d.ts']);
+    expect(tsdJson.installed).to.have.keys('moment/moment.d.ts');
+    done();
+  });
+
+}); // describe('lib:dependencies')
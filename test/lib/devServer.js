@@ -0,0 +1,41 @@
+/* jshint expr:true */
+'use strict';
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+var devServer = require('./../../generators/lib/devServer');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('lib:devServer', function(){
+
+  it('serves the add-in on https://localhost:8443 by default', function(done){
+    expect(devServer.url()).to.equal('https://localhost:8443/');
+    expect(devServer.url(undefined, 9443)).to.equal('https://localhost:9443/');
+    expect(devServer.url('addins.local', '9443')).to.equal('https://addins.local:9443/');
+    done();
+  });
+
+  it('accepts host names, IP addresses & ports', function(done){
+    expect(devServer.validate()).to.be.null;
+    expect(devServer.validate('addins.contoso.local', 9443)).to.be.null;
+    expect(devServer.validate('127.0.0.1', '443')).to.be.null;
+    done();
+  });
+
+  it('rejects invalid hosts & ports', function(done){
+    expect(devServer.validate('https://localhost')).to.contain('Invalid host');
+    expect(devServer.validate('local host')).to.contain('Invalid host');
+    expect(devServer.validate('localhost', 'http')).to.contain('Invalid port');
+    expect(devServer.validate('localhost', 70000)).to.contain('Invalid port');
+    expect(devServer.validate('localhost', 8443.5)).to.contain('Invalid port');
+    expect(devServer.validate('localhost', 0)).to.contain('Invalid port');
+    expect(devServer.validate('localhost', '0')).to.contain('Invalid port');
+    expect(devServer.validate('localhost', 'abc')).to.contain('Invalid port');
+    expect(devServer.validate('localhost', '')).to.contain('Invalid port');
+    done();
+  });
+
+}); // describe('lib:devServer')
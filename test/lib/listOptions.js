@@ -0,0 +1,48 @@
+/* jshint expr:true */
+'use strict';
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+var listOptions = require('./../../generators/lib/listOptions');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('lib:listOptions', function(){
+
+  it('normalizes comma separated & repeated options', function(done){
+    expect(listOptions.normalize('clients', 'Document,Workbook')).to.deep.equal(['Document', 'Workbook']);
+    expect(listOptions.normalize('clients', ['Document', 'Workbook, Project'])).to.deep.equal(
+      ['Document', 'Workbook', 'Project']);
+    expect(listOptions.normalize('outlookForm', ' mail-read ,, ')).to.deep.equal(['mail-read']);
+    done();
+  });
+
+  it('resolves aliases case insensitively & removes duplicates', function(done){
+    expect(listOptions.normalize('clients', 'word, EXCEL, PowerPoint, project, document')).to.deep.equal(
+      ['Document', 'Workbook', 'Presentation', 'Project']);
+    expect(listOptions.normalize('outlookForm', ['Mail-Read', 'message-edit', 'meeting-compose'])).to.deep.equal(
+      ['mail-read', 'mail-compose', 'appointment-compose']);
+    done();
+  });
+
+  it('rejects unknown & missing values', function(done){
+    var error = listOptions.validate('clients', listOptions.normalize('clients', 'word, Outlook'));
+    expect(error).to.contain('Unknown Office client \'Outlook\'');
+    expect(error).to.contain('Workbook (excel)');
+    expect(listOptions.validate('outlookForm', ['mail-draft'])).to.contain('Unknown Outlook form \'mail-draft\'');
+    expect(listOptions.validate('outlookForm', [])).to.equal('Must specify at least one Outlook form');
+    expect(listOptions.validate('clients', ['Document'])).to.be.null;
+    done();
+  });
+
+  it('only normalizes the options specified', function(done){
+    var options = {clients: 'excel'};
+    expect(listOptions.normalizeOption(options, 'clients')).to.be.null;
+    expect(listOptions.normalizeOption(options, 'outlookForm')).to.be.null;
+    expect(options).to.deep.equal({clients: ['Workbook']});
+    done();
+  });
+
+}); // describe('lib:listOptions')
@@ -0,0 +1,231 @@
+/* jshint expr:true */
+'use strict';
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+var manifestEditor = require('./../../generators/lib/manifestEditor');
+
+
+var manifestXml = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<!--Created:cb85b80c-f585-40ff-8bfc-12ff4d0e34a9-->',
+  '<OfficeApp xmlns="http://schemas.microsoft.com/office/appforoffice/1.1" xsi:type=\'MailApp\'>',
+  '  <DisplayName DefaultValue="My Office Add-in" />',
+  '  <!-- supported hosts -->',
+  '  <Hosts>',
+  '    <Host Name="Mailbox" />',
+  '  </Hosts>',
+  '  <Requirements/>',
+  '  <Permissions>ReadWriteItem</Permissions>',
+  '</OfficeApp>',
+  ''
+].join('\n');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('lib:manifestEditor', function(){
+
+  var manifest;
+
+  beforeEach(function(done){
+    manifest = manifestEditor.parse(manifestXml);
+    done();
+  });
+
+  it('round trips the manifest unchanged', function(done){
+    expect(manifest.toString()).to.equal(manifestXml);
+    done();
+  });
+
+  it('finds the root element & its children', function(done){
+    expect(manifest.root.name).to.equal('OfficeApp');
+    expect(manifest.root.elements()).to.have.length(4);
+    expect(manifest.root.child('Permissions').text()).to.equal('ReadWriteItem');
+    done();
+  });
+
+  it('reads attributes regardless of quotes', function(done){
+    expect(manifest.root.attr('xsi:type')).to.equal('MailApp');
+    expect(manifest.root.child('DisplayName').attr('DefaultValue')).to.equal('My Office Add-in');
+    expect(manifest.root.attr('Missing')).to.be.undefined;
+    done();
+  });
+
+  it('updates attributes in place', function(done){
+    manifest.root.setAttr('xsi:type', 'TaskPaneApp');
+    manifest.root.child('DisplayName').setAttr('DefaultValue', 'Tom & Jerry');
+
+    var xml = manifest.toString();
+    expect(xml).to.contain('xsi:type=\'TaskPaneApp\'>');
+    expect(xml).to.contain('<DisplayName DefaultValue="Tom &amp; Jerry" />');
+    done();
+  });
+
+  it('adds & removes attributes', function(done){
+    manifest.root.child('DisplayName').setAttr('Override', 'true');
+    manifest.root.removeAttr('xsi:type');
+
+    var xml = manifest.toString();
+    expect(xml).to.contain('<DisplayName DefaultValue="My Office Add-in" Override="true" />');
+    expect(xml).to.contain('<OfficeApp xmlns="http://schemas.microsoft.com/office/appforoffice/1.1">');
+    done();
+  });
+
+  it('appends elements indented to match their siblings', function(done){
+    manifest.root.child('Hosts').append(manifestEditor.build('Host', {'$': {Name: 'Document'}}));
+
+    expect(manifest.toString()).to.contain([
+      '  <Hosts>',
+      '    <Host Name="Mailbox" />',
+      '    <Host Name="Document"/>',
+      '  </Hosts>'
+    ].join('\n'));
+    done();
+  });
+
+  it('appends nested elements to a self closing element', function(done){
+    manifest.root.child('Requirements').append('<Sets>\n  <Set Name="Mailbox" />\n</Sets>');
+
+    expect(manifest.toString()).to.contain([
+      '  <Requirements>',
+      '    <Sets>',
+      '      <Set Name="Mailbox" />',
+      '    </Sets>',
+      '  </Requirements>'
+    ].join('\n'));
+    done();
+  });
+
+  it('inserts elements before a sibling', function(done){
+    manifest.root.child('Hosts').insertBefore('<AppDomains></AppDomains>');
+
+    expect(manifest.toString()).to.contain([
+      '  <!-- supported hosts -->',
+      '  <AppDomains></AppDomains>',
+      '  <Hosts>'
+    ].join('\n'));
+    done();
+  });
+
+  it('removes elements along with their indentation', function(done){
+    manifest.root.child('Requirements').remove();
+
+    expect(manifest.toString()).to.contain([
+      '  </Hosts>',
+      '  <Permissions>ReadWriteItem</Permissions>'
+    ].join('\n'));
+    done();
+  });
+
+  it('replaces the content of an element', function(done){
+    manifest.root.child('Hosts').empty();
+    manifest.root.child('Permissions').setText('ReadItem');
+
+    var xml = manifest.toString();
+    expect(xml).to.contain('  <Hosts>\n  </Hosts>');
+    expect(xml).to.contain('<Permissions>ReadItem</Permissions>');
+    done();
+  });
+
+  it('preserves comments & the XML declaration', function(done){
+    manifest.root.child('Hosts').empty().append('<Host Name="Document" />');
+
+    var xml = manifest.toString();
+    expect(xml.indexOf('<?xml version="1.0" encoding="UTF-8"?>')).to.equal(0);
+    expect(xml).to.contain('<!--Created:cb85b80c-f585-40ff-8bfc-12ff4d0e34a9-->');
+    expect(xml).to.contain('<!-- supported hosts -->');
+    done();
+  });
+
+  it('keeps comments when emptying an element', function(done){
+    var hosts = manifestEditor.parse([
+      '<Hosts>',
+      '  <!-- hosts -->',
+      '  <Host Name="Mailbox" />',
+      '</Hosts>'
+    ].join('\n')).root;
+    hosts.empty().append('<Host Name="Document" />');
+
+    expect(hosts.toString()).to.equal([
+      '<Hosts>',
+      '  <!-- hosts -->',
+      '  <Host Name="Document" />',
+      '</Hosts>'
+    ].join('\n'));
+    done();
+  });
+
+  it('merges only the changes of a new version', function(done){
+    var newVersion = manifestEditor.parse([
+      '<OfficeApp xmlns="http://schemas.microsoft.com/office/appforoffice/1.1" xsi:type="MailApp" xmlns:bt="bt">',
+      '  <DisplayName DefaultValue="New name"/>',
+      '  <Hosts>',
+      '    <Host Name="Mailbox"/>',
+      '    <Host Name="Document"/>',
+      '  </Hosts>',
+      '  <Permissions>ReadWriteItem</Permissions>',
+      '  <Rule xsi:type="ItemIs" ItemType="Message" FormType="Read"/>',
+      '</OfficeApp>'
+    ].join('\n'));
+
+    var xml = manifestEditor.merge(manifest, newVersion).toString();
+    expect(xml).to.equal([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!--Created:cb85b80c-f585-40ff-8bfc-12ff4d0e34a9-->',
+      '<OfficeApp xmlns="http://schemas.microsoft.com/office/appforoffice/1.1" xsi:type=\'MailApp\' xmlns:bt="bt">',
+      '  <DisplayName DefaultValue="New name"/>',
+      '  <!-- supported hosts -->',
+      '  <Hosts>',
+      '    <Host Name="Mailbox" />',
+      '    <Host Name="Document"/>',
+      '  </Hosts>',
+      '  <Requirements/>',
+      '  <Permissions>ReadWriteItem</Permissions>',
+      '  <Rule xsi:type="ItemIs" ItemType="Message" FormType="Read"/>',
+      '</OfficeApp>',
+      ''
+    ].join('\n'));
+    done();
+  });
+
+  it('removes the children missing from the new version', function(done){
+    var existing = manifestEditor.parse([
+      '<OfficeApp>',
+      '  <Rule xsi:type="RuleCollection" Mode="Or">',
+      '    <!-- forms -->',
+      '    <Rule xsi:type="ItemIs" ItemType="Appointment" FormType="Read" />',
+      '    <Rule xsi:type="ItemIs" ItemType="Message" FormType="Read" />',
+      '  </Rule>',
+      '</OfficeApp>'
+    ].join('\n'));
+    var newVersion = manifestEditor.parse([
+      '<OfficeApp>',
+      '  <Rule xsi:type="RuleCollection" Mode="Or">',
+      '    <Rule xsi:type="ItemIs" FormType="Read" ItemType="Message"/>',
+      '    <Rule xsi:type="ItemIs" ItemType="Message" FormType="Edit"/>',
+      '  </Rule>',
+      '</OfficeApp>'
+    ].join('\n'));
+
+    expect(manifestEditor.merge(existing, newVersion).toString()).to.equal([
+      '<OfficeApp>',
+      '  <Rule xsi:type="RuleCollection" Mode="Or">',
+      '    <!-- forms -->',
+      '    <Rule xsi:type="ItemIs" ItemType="Message" FormType="Read" />',
+      '    <Rule xsi:type="ItemIs" ItemType="Message" FormType="Edit"/>',
+      '  </Rule>',
+      '</OfficeApp>'
+    ].join('\n'));
+    done();
+  });
+
+  it('rejects malformed XML', function(done){
+    expect(function(){
+      manifestEditor.parse('<OfficeApp><Hosts></OfficeApp>');
+    }).to.throw(Error);
+    done();
+  });
+
+}); // describe('lib:manifestEditor')
@@ -0,0 +1,104 @@
+/* jshint expr:true */
+'use strict';
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+var manifestMetadata = require('./../../generators/lib/manifestMetadata');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('lib:manifestMetadata', function(){
+
+  var metadata;
+
+  beforeEach(function(done){
+    metadata = manifestMetadata.defaults('html', 'Description', 'https://localhost:8443/', 'Jane Doe');
+    done();
+  });
+
+  it('accepts the defaults', function(done){
+    expect(manifestMetadata.validate(metadata)).to.be.null;
+    metadata = manifestMetadata.defaults('manifest-only', 'Description', 'https://localhost:8443/', 'Jane Doe');
+    expect(manifestMetadata.validate(metadata)).to.be.null;
+    done();
+  });
+
+  it('defaults to the specified provider', function(done){
+    expect(metadata.providerName).to.equal('Jane Doe');
+    done();
+  });
+
+  it('has no default icons when only creating the manifest', function(done){
+    metadata = manifestMetadata.defaults('manifest-only', 'Description', 'https://localhost:8443/', 'Jane Doe');
+    expect(metadata.iconUrl).to.equal('');
+    expect(metadata.highResIconUrl).to.equal('');
+    done();
+  });
+
+  it('requires a provider name of up to 125 characters', function(done){
+    metadata.providerName = '';
+    expect(manifestMetadata.validate(metadata)).to.contain('Provider name');
+
+    metadata.providerName = new Array(127).join('x');
+    expect(manifestMetadata.validate(metadata)).to.contain('between 1 and 125');
+    done();
+  });
+
+  it('requires a description of up to 250 characters', function(done){
+    metadata.description = new Array(252).join('x');
+    expect(manifestMetadata.validate(metadata)).to.contain('between 1 and 250');
+    done();
+  });
+
+  it('only accepts https URLs', function(done){
+    metadata.supportUrl = 'http://contoso.com';
+    expect(manifestMetadata.validate(metadata)).to.equal('Support URL must be an https:// URL');
+
+    metadata.supportUrl = 'https://contoso.com/support page';
+    expect(manifestMetadata.validate(metadata)).to.equal('Support URL must be an https:// URL');
+
+    metadata.supportUrl = 'https://contoso.com/support';
+    expect(manifestMetadata.validate(metadata)).to.be.null;
+    done();
+  });
+
+  it('requires up to four version numbers', function(done){
+    metadata.addinVersion = '1.0.0.0.0';
+    expect(manifestMetadata.validate(metadata)).to.contain('Version');
+
+    metadata.addinVersion = '1.2';
+    expect(manifestMetadata.validate(metadata)).to.be.null;
+    done();
+  });
+
+  it('trims the values before validating them', function(done){
+    metadata.providerName = '  ';
+    metadata.addinVersion = ' 1.2 ';
+    metadata.supportUrl = 'https://contoso.com/support ';
+    manifestMetadata.normalize(metadata);
+
+    expect(metadata.addinVersion).to.equal('1.2');
+    expect(metadata.supportUrl).to.equal('https://contoso.com/support');
+    expect(manifestMetadata.validate(metadata)).to.contain('Provider name');
+    done();
+  });
+
+  it('only prompts for the metadata not specified as options', function(done){
+    var prompts = manifestMetadata.prompts({providerName: 'Contoso'}, metadata);
+
+    expect(prompts[0].name).to.equal('providerName');
+    expect(prompts[0].when).to.be.false;
+    expect(prompts[1].when).to.be.true;
+    expect(prompts[5].default).to.equal('1.0.0.0');
+    done();
+  });
+
+  it('selects the metadata options', function(done){
+    expect(manifestMetadata.selectOptions({name: 'Add-in', supportUrl: 'https://contoso.com'}))
+      .to.eql({supportUrl: 'https://contoso.com'});
+    done();
+  });
+
+}); // describe('lib:manifestMetadata')
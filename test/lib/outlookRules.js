@@ -0,0 +1,114 @@
+/* jshint expr:true */
+'use strict';
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+var outlookRules = require('./../../generators/lib/outlookRules');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('lib:outlookRules', function(){
+
+  var readItem = {readItem: true};
+
+  it('parses regular expressions containing commas', function(done){
+    expect(outlookRules.parseRegExMatches('ticket=TKT-[0-9]{3,6}; order = ORD[0-9]+;')).to.deep.equal([
+      {name: 'ticket', pattern: 'TKT-[0-9]{3,6}'},
+      {name: 'order', pattern: 'ORD[0-9]+'}
+    ]);
+    done();
+  });
+
+  it('only builds ItemIs rules without contextual rules', function(done){
+    var rules = outlookRules.fromConfig({});
+    expect(outlookRules.build(['mail-read'], rules)).to.deep.equal(
+      {'$': {'xsi:type': 'ItemIs', ItemType: 'Message', FormType: 'Read'}});
+    expect(outlookRules.build(['mail-read', 'mail-compose'], rules).$).to.deep.equal(
+      {'xsi:type': 'RuleCollection', Mode: 'Or'});
+    done();
+  });
+
+  it('combines contextual rules with the read forms only', function(done){
+    var rules = outlookRules.fromConfig({knownEntities: 'Address', attachment: true, ruleMode: 'And'});
+    var rule = outlookRules.build(['mail-read', 'mail-compose'], rules);
+
+    expect(rule.$.Mode).to.equal('Or');
+    expect(rule.Rule[0].$).to.deep.equal({'xsi:type': 'RuleCollection', Mode: 'And'});
+    expect(rule.Rule[0].Rule[0].$).to.deep.equal({'xsi:type': 'ItemIs', ItemType: 'Message', FormType: 'Read'});
+    expect(rule.Rule[0].Rule[1].$).to.deep.equal({'xsi:type': 'RuleCollection', Mode: 'And'});
+    expect(rule.Rule[0].Rule[1].Rule).to.deep.equal([
+      {'$': {'xsi:type': 'ItemHasKnownEntity', EntityType: 'Address'}},
+      {'$': {'xsi:type': 'ItemHasAttachment'}}
+    ]);
+    expect(rule.Rule[1].$).to.deep.equal({'xsi:type': 'ItemIs', ItemType: 'Message', FormType: 'Edit'});
+    done();
+  });
+
+  it('accepts valid rules', function(done){
+    var rules = outlookRules.fromConfig({knownEntities: ['Url'], regExMatches: 'ticket=TKT-[0-9]+'});
+    expect(outlookRules.validate(rules, ['mail-read'], readItem)).to.be.null;
+    done();
+  });
+
+  it('rejects invalid rules', function(done){
+    var validate = function(config, forms, allows){
+      return outlookRules.validate(outlookRules.fromConfig(config), forms || ['mail-read'], allows || readItem);
+    };
+
+    expect(validate({knownEntities: 'Street'})).to.contain('Unknown entity type \'Street\'');
+    expect(validate({regExMatches: 'ticket=TKT-[0-9]+', regExProperty: 'Body'})).to.contain('Unknown item property');
+    expect(validate({ruleMode: 'Xor'})).to.contain('Unknown rule mode');
+    expect(validate({regExMatches: '1ticket=TKT'})).to.contain('Regular expression names');
+    expect(validate({regExMatches: 'ticket=TKT; ticket=ORD'})).to.contain('Regular expression names');
+    expect(validate({regExMatches: 'ticket=TKT-[0-9'})).to.contain('Invalid regular expression');
+    expect(validate({regExMatches: 'ticket'})).to.contain('Invalid regular expression');
+    done();
+  });
+
+  it('requires ReadItem permissions for regular expressions', function(done){
+    var rules = outlookRules.fromConfig({regExMatches: 'ticket=TKT-[0-9]+'});
+    expect(outlookRules.validate(rules, ['mail-read'], {})).to.contain('ReadItem');
+    expect(outlookRules.validate(outlookRules.fromConfig({knownEntities: 'Url'}), ['mail-read'], {})).to.be.null;
+    done();
+  });
+
+  it('requires ReadItem permissions for attachments & most entity types', function(done){
+    var validate = function(config){
+      return outlookRules.validate(outlookRules.fromConfig(config), ['mail-read'], {});
+    };
+
+    expect(validate({attachment: true})).to.contain('Attachment rules require ReadItem');
+    ['Contact', 'EmailAddress', 'MeetingSuggestion', 'TaskSuggestion'].forEach(function(entityType){
+      expect(validate({knownEntities: ['Url', entityType]}))
+        .to.contain('Entity type \'' + entityType + '\' requires ReadItem');
+    });
+    expect(validate({knownEntities: 'Address,PhoneNumber,Url'})).to.be.null;
+    expect(outlookRules.validate(outlookRules.fromConfig({knownEntities: 'Contact', attachment: true}),
+                                 ['mail-read'], readItem)).to.be.null;
+    done();
+  });
+
+  it('requires a read form for contextual rules', function(done){
+    var rules = outlookRules.fromConfig({attachment: true});
+    expect(outlookRules.validate(rules, ['mail-compose'], readItem)).to.contain('read forms');
+    done();
+  });
+
+  it('describes the matches displayed by the sample', function(done){
+    var rules = outlookRules.fromConfig({knownEntities: 'PhoneNumber', regExMatches: 'ticket=TKT'});
+    expect(outlookRules.sampleMatches(rules)).to.deep.equal([
+      {
+        id: 'phone-numbers',
+        label: 'Phone numbers',
+        entityType: 'PhoneNumber',
+        property: 'phoneNumbers',
+        textProperty: 'originalPhoneString'
+      },
+      {id: 'regex-ticket', label: 'ticket', regExName: 'ticket'}
+    ]);
+    done();
+  });
+
+});
@@ -0,0 +1,125 @@
+/* jshint expr:true */
+'use strict';
+
+var _ = require('lodash');
+var chai = require('chai'),
+  expect = chai.expect;
+
+var projectConfig = require('./../../generators/lib/projectConfig');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('lib:projectConfig', function(){
+
+  var yoGenerator;
+
+  beforeEach(function(done){
+    var store = {};
+
+    // generator with an in-memory .yo-rc.json
+    yoGenerator = {
+      options: {},
+      conflicter: {force: false},
+      config: {
+        get: function(key){
+          return store[key];
+        },
+        getAll: function(){
+          return _.cloneDeep(store);
+        },
+        set: function(values){
+          _.extend(store, values);
+        }
+      }
+    };
+    done();
+  });
+
+  it('saves the answers in the format of the answers file', function(done){
+    projectConfig.save(yoGenerator, 'taskpane', {
+      name: 'Add-in',
+      tech: 'html',
+      clients: 'Workbook,Document',
+      commands: false,
+      requirements: [{name: 'ExcelApi', minVersion: '1.2'}, {name: 'DialogApi'}],
+      methods: [],
+      projectId: '00000000-0000-0000-0000-000000000001',
+      projectInternalName: 'add-in',
+      knownEntities: ['Url'],
+      appId: undefined
+    });
+
+    expect(yoGenerator.config.getAll()).to.deep.equal({
+      generator: 'taskpane',
+      projectId: '00000000-0000-0000-0000-000000000001',
+      answers: {
+        name: 'Add-in',
+        tech: 'html',
+        clients: ['Workbook', 'Document'],
+        commands: false,
+        requirements: ['ExcelApi:1.2', 'DialogApi'],
+        methods: []
+      }
+    });
+    done();
+  });
+
+  it('only returns the answers saved by the generator', function(done){
+    yoGenerator.config.set({generator: 'mail', answers: {name: 'Add-in'}});
+
+    expect(projectConfig.savedAnswers(yoGenerator, 'mail')).to.deep.equal({name: 'Add-in'});
+    expect(projectConfig.savedAnswers(yoGenerator, 'app')).to.deep.equal({type: 'mail', name: 'Add-in'});
+    expect(projectConfig.savedAnswers(yoGenerator, 'taskpane')).to.be.undefined;
+    done();
+  });
+
+  it('answers the prompts with the saved answers when regenerating', function(done){
+    expect(projectConfig.regenerate(yoGenerator, 'mail')).to.be.null;
+    expect(yoGenerator.conflicter.force).to.be.false;
+
+    yoGenerator.options.regenerate = true;
+    expect(projectConfig.regenerate(yoGenerator, 'mail')).to.contain('no answers saved by yo office:mail');
+
+    yoGenerator.config.set({generator: 'mail', answers: {name: 'Add-in'}});
+    expect(projectConfig.regenerate(yoGenerator, 'mail')).to.be.null;
+    expect(yoGenerator.options.answers).to.deep.equal({name: 'Add-in'});
+    expect(yoGenerator.conflicter.force).to.be.true;
+    done();
+  });
+
+  it('uses the saved answers as defaults of the prompts', function(done){
+    yoGenerator.config.set({
+      generator: 'taskpane',
+      answers: {name: 'Add-in', clients: ['Workbook'], requirements: ['ExcelApi:1.2'], methods: ['A.b', 'C.d']}
+    });
+    yoGenerator.prompt = function(questions, callback){
+      callback(questions);
+    };
+    projectConfig.useAsDefaults(yoGenerator, 'taskpane');
+
+    yoGenerator.prompt([
+      {name: 'name', default: 'My Office Add-in'},
+      {name: 'clients', type: 'checkbox', choices: [
+        {value: 'Document', checked: true},
+        {value: 'Workbook', checked: true}
+      ]},
+      {name: 'requirementSets', type: 'checkbox', choices: [{value: 'ExcelApi'}], default: []},
+      {name: 'minVersionExcelApi', type: 'list', choices: ['1.1', '1.2'], default: '1.1'},
+      {name: 'methods', default: ''},
+      {name: 'permissions', default: 'ReadWriteDocument'}
+    ], function(questions){
+      expect(_.map(questions, 'default')).to.deep.equal(
+        ['Add-in', ['Workbook'], ['ExcelApi'], '1.2', 'A.b, C.d', 'ReadWriteDocument']);
+      expect(_.map(questions[1].choices, 'checked')).to.deep.equal([false, true]);
+      done();
+    });
+  });
+
+  it('keeps the saved ID of the addin', function(done){
+    yoGenerator.config.set({projectId: '00000000-0000-0000-0000-000000000001'});
+    expect(projectConfig.projectId(yoGenerator, 'manifest.xml')).to.equal('00000000-0000-0000-0000-000000000001');
+    done();
+  });
+
+}); // describe('lib:projectConfig')
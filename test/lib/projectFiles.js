@@ -0,0 +1,59 @@
+/* jshint expr:true */
+'use strict';
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+var projectFiles = require('./../../generators/lib/projectFiles');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('lib:projectFiles', function(){
+
+  it('deep merges JSON configurations without overwriting values', function(done){
+    var json = {
+      compilerOptions: {target: 'es6', jsx: 'react'},
+      exclude: ['typings']
+    };
+    var changes = projectFiles.mergeJson(json, {
+      compilerOptions: {target: 'es5', module: 'commonjs'},
+      exclude: ['node_modules', 'typings']
+    });
+
+    expect(json).to.deep.equal({
+      compilerOptions: {target: 'es6', jsx: 'react', module: 'commonjs'},
+      exclude: ['typings', 'node_modules']
+    });
+    expect(changes).to.deep.equal([
+      'kept compilerOptions.target = "es6" (the add-in uses "es5")',
+      'added compilerOptions.module = "commonjs"',
+      'added "node_modules" to exclude'
+    ]);
+    done();
+  });
+
+  it('reports no changes when the configuration contains the values', function(done){
+    expect(projectFiles.mergeJson({directory: 'bower_components'}, {directory: 'bower_components'})).to.be.empty;
+    done();
+  });
+
+  it('gets the tasks defined by a gulpfile', function(done){
+    var content = 'gulp.task(\'dist\', [\'build\']);\ngulp.task( "build", function(){});\ngulp.task(\'dist\');';
+    expect(projectFiles.definedTasks(content)).to.deep.equal(['dist', 'build']);
+    done();
+  });
+
+  it('registers the Office tasks after the header of a gulpfile', function(done){
+    var content = '/* build */\n\'use strict\';\n\nvar gulp = require(\'gulp\');\n';
+    var registered = projectFiles.registerGulpModule(content);
+
+    expect(registered).to.equal('/* build */\n\'use strict\';\n\n' +
+      '// Office Add-in tasks; tasks defined in this file take precedence\n' +
+      'require(\'./gulpfile.office.js\');\n\n' +
+      'var gulp = require(\'gulp\');\n');
+    expect(projectFiles.registerGulpModule(registered)).to.equal(registered);
+    done();
+  });
+
+}); // describe('lib:projectFiles')
@@ -0,0 +1,82 @@
+/* jshint expr:true */
+'use strict';
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+var requirements = require('./../../generators/lib/requirements');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('lib:requirements', function(){
+
+  it('parses & formats requirement sets', function(done){
+    var sets = requirements.parse('excelapi:1.2, DialogApi,');
+    expect(sets).to.deep.equal([
+      {name: 'ExcelApi', minVersion: '1.2'},
+      {name: 'DialogApi', minVersion: undefined}
+    ]);
+    expect(requirements.format(sets)).to.equal('ExcelApi:1.2, DialogApi');
+    done();
+  });
+
+  it('requires the Mailbox set for mail add-ins', function(done){
+    expect(requirements.validate('MailApp', requirements.defaults('MailApp'), [])).to.be.null;
+    expect(requirements.validate('MailApp', [], [])).to.contain('Mailbox');
+    done();
+  });
+
+  it('rejects methods for mail add-ins', function(done){
+    expect(requirements.validate('MailApp', requirements.defaults('MailApp'), ['Document.getSelectedDataAsync']))
+      .to.contain('methods');
+    expect(requirements.validate('TaskPaneApp', [], ['Document.getSelectedDataAsync'])).to.be.null;
+    done();
+  });
+
+  it('rejects invalid versions & sets of other types of add-ins', function(done){
+    expect(requirements.validate('TaskPaneApp', requirements.parse('ExcelApi:1'), [])).to.contain('version');
+    expect(requirements.validate('TaskPaneApp', requirements.parse('Mailbox:1.1'), [])).to.contain('Mailbox');
+    expect(requirements.validate('TaskPaneApp', requirements.parse('CustomApi:1.1'), [])).to.be.null;
+    done();
+  });
+
+  it('only offers the sets supported by the clients', function(done){
+    var prompts = requirements.prompts('TaskPaneApp', {}, {clients: ['Workbook']});
+    var sets = prompts[0].choices.map(function(choice){
+      return choice.value;
+    });
+    expect(sets).to.include('ExcelApi');
+    expect(sets).to.not.include('WordApi');
+    expect(sets).to.not.include('Mailbox');
+    done();
+  });
+
+  it('doesn\'t prompt for the sets specified as options', function(done){
+    var prompts = requirements.prompts('MailApp', {requirements: 'Mailbox:1.3'}, {});
+    expect(prompts[0].when).to.be.false;
+    expect(prompts.map(function(prompt){
+      return prompt.name;
+    })).to.not.include('methods');
+    done();
+  });
+
+  it('converts the answers using the default version', function(done){
+    expect(requirements.fromAnswers({requirementSets: ['ExcelApi', 'DialogApi'], minVersionExcelApi: '1.3'}))
+      .to.deep.equal([
+        {name: 'ExcelApi', minVersion: '1.3'},
+        {name: 'DialogApi', minVersion: '1.1'}
+      ]);
+    done();
+  });
+
+  it('guards the sets not required in the used version', function(done){
+    var used = [{name: 'TextCoercion', minVersion: '1.1'}, {name: 'ExcelApi', minVersion: '1.2'}];
+    var guards = requirements.guards(requirements.parse('textcoercion, ExcelApi:1.1'), used);
+    expect(guards.TextCoercion).to.be.false;
+    expect(guards.ExcelApi).to.be.true;
+    expect(requirements.isRequired(requirements.parse('ExcelApi:1.10'), 'ExcelApi', '1.2')).to.be.true;
+    done();
+  });
+
+});
@@ -0,0 +1,55 @@
+/* jshint expr:true */
+'use strict';
+
+var path = require('path');
+var chai = require('chai'),
+  expect = chai.expect;
+
+var siteRoot = require('./../../generators/lib/siteRoot');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('lib:siteRoot', function(){
+
+  var projectRoot = path.resolve('project');
+
+  it('uses the project root for blank paths & the current folder', function(done){
+    expect(siteRoot.normalize(undefined, projectRoot)).to.equal('');
+    expect(siteRoot.normalize(' ', projectRoot)).to.equal('');
+    expect(siteRoot.normalize('current folder', projectRoot)).to.equal('');
+    expect(siteRoot.normalize('./', projectRoot)).to.equal('');
+    done();
+  });
+
+  it('normalizes nested paths', function(done){
+    expect(siteRoot.normalize('./src/public/', projectRoot)).to.equal('src/public');
+    expect(siteRoot.normalize('src\\public', projectRoot)).to.equal('src/public');
+    expect(siteRoot.normalize('src//site/../public', projectRoot)).to.equal('src/public');
+    done();
+  });
+
+  it('makes absolute paths relative to the project', function(done){
+    expect(siteRoot.normalize(path.join(projectRoot, 'src', 'public'), projectRoot)).to.equal('src/public');
+    expect(siteRoot.normalize(projectRoot, projectRoot)).to.equal('');
+    done();
+  });
+
+  it('rejects paths outside the project', function(done){
+    var rootPath = siteRoot.normalize(path.resolve('public'), projectRoot);
+    expect(siteRoot.validate(rootPath)).to.contain('must be inside the project');
+    expect(siteRoot.validate(siteRoot.normalize('../public', projectRoot))).to.contain('\'../public\'');
+    expect(siteRoot.validate('src/public')).to.be.null;
+    expect(siteRoot.validate('..public')).to.be.null;
+    done();
+  });
+
+  it('derives the paths of the site from the root path', function(done){
+    expect(siteRoot.serverRoot('')).to.equal('.');
+    expect(siteRoot.serverRoot('src/public')).to.equal('./src/public');
+    expect(siteRoot.join('', 'bower_components')).to.equal('bower_components');
+    expect(siteRoot.join('src/public', 'bower_components')).to.equal('src/public/bower_components');
+    done();
+  });
+
+}); // describe('lib:siteRoot')
@@ -0,0 +1,110 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var helpers = require('yeoman-test');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+var manifestFileName = 'manifest-my-office-add-in.xml';
+
+// manifest maintained by the team: comments & formatting of its own
+var existingManifest = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<!--Created:cb85b80c-f585-40ff-8bfc-12ff4d0e34a9-->',
+  '<OfficeApp xmlns="http://schemas.microsoft.com/office/appforoffice/1.1" ' +
+    'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:type="MailApp">',
+  '  <Id>8295bfb7-53d7-44b5-ba45-3343194a7c63</Id>',
+  '  <Version>1.0.0.0</Version>',
+  '  <ProviderName>Contoso</ProviderName>',
+  '  <DefaultLocale>en-US</DefaultLocale>',
+  '  <DisplayName DefaultValue="My Office Add-in" />',
+  '  <Description DefaultValue="Outlook add-in for mail &amp; appointments" />',
+  '  <Hosts>',
+  '    <!-- Outlook only -->',
+  '    <Host Name="Mailbox" />',
+  '  </Hosts>',
+  '  <Requirements>',
+  '    <Sets>',
+  '      <Set Name="Mailbox" MinVersion="1.1" />',
+  '    </Sets>',
+  '  </Requirements>',
+  '  <FormSettings>',
+  '    <Form xsi:type="ItemRead">',
+  '      <DesktopSettings>',
+  '        <SourceLocation DefaultValue="https://localhost:8443/index.html" />',
+  '        <RequestedHeight>250</RequestedHeight>',
+  '      </DesktopSettings>',
+  '    </Form>',
+  '    <Form xsi:type="ItemEdit">',
+  '      <DesktopSettings>',
+  '        <SourceLocation DefaultValue="https://localhost:8443/index.html" />',
+  '      </DesktopSettings>',
+  '    </Form>',
+  '  </FormSettings>',
+  '  <Permissions>ReadWriteItem</Permissions>',
+  '  <Rule xsi:type="RuleCollection" Mode="Or">',
+  '    <!-- messages are read in the reading pane -->',
+  '    <Rule xsi:type="ItemIs" ItemType="Message" FormType="Read" />',
+  '    <!-- TODO: drop appointments -->',
+  '    <Rule xsi:type="ItemIs" ItemType="Appointment" FormType="Read" />',
+  '    <Rule xsi:type="ItemIs" ItemType="Message" FormType="Edit" />',
+  '  </Rule>',
+  '  <DisableEntityHighlighting>false</DisableEntityHighlighting>',
+  '</OfficeApp>',
+  ''
+].join('\n');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:mail', function(){
+
+  /**
+   * Test re-running the generator on the manifest of the project.
+   */
+  describe('run on existing project (manifest)', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .inTmpDir(function(dir){
+          fs.writeFileSync(path.join(dir, manifestFileName), existingManifest);
+        })
+        .withOptions({
+          name: 'My Office Add-in',
+          tech: 'manifest-only',
+          startPage: 'https://localhost:8443/index.html',
+          outlookForm: ['mail-read', 'mail-compose'],
+          providerName: 'Contoso',
+          'skip-install': true
+        })
+        .on('end', done);
+    });
+
+    it('keeps the comments of the hosts & rules', function(done){
+      var manifest = fs.readFileSync(manifestFileName, 'utf8');
+      expect(manifest).to.contain('<!--Created:cb85b80c-f585-40ff-8bfc-12ff4d0e34a9-->');
+      expect(manifest).to.contain([
+        '  <Hosts>',
+        '    <!-- Outlook only -->',
+        '    <Host Name="Mailbox" />',
+        '  </Hosts>'
+      ].join('\n'));
+      expect(manifest).to.contain('<!-- messages are read in the reading pane -->');
+      expect(manifest).to.contain('<!-- TODO: drop appointments -->');
+      done();
+    });
+
+    it('only removes the rules of the forms deselected', function(done){
+      var manifest = fs.readFileSync(manifestFileName, 'utf8');
+      expect(manifest).to.equal(existingManifest.replace(
+        '    <Rule xsi:type="ItemIs" ItemType="Appointment" FormType="Read" />\n', ''));
+      done();
+    });
+
+  }); // describe('run on existing project (manifest)')
+
+}); // describe('office:mail')
@@ -0,0 +1,190 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var _ = require('lodash');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var Xml2Js = require('xml2js');
+var chai = require('chai'),
+  expect = chai.expect;
+
+var util = require('./../_testUtils');
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:mail', function(){
+
+  var projectDisplayName = 'My Office Add-in';
+  var projectEscapedName = 'my-office-add-in';
+  var manifestFileName = 'manifest-' + projectEscapedName + '.xml';
+
+  beforeEach(function(done){
+    options = {
+      name: projectDisplayName,
+      rootPath: '',
+      tech: 'html'
+    };
+    done();
+  });
+
+  /**
+   * Test addin when add-in commands are requested.
+   */
+  describe('add-in commands', function(){
+
+    describe('commands:true', function(){
+      var manifest = {};
+
+      beforeEach(function(done){
+        options.commands = true;
+        options.outlookForm = ['mail-read', 'appointment-compose'];
+
+        // run the generator
+        helpers.run(path.join(__dirname, '../../generators/mail'))
+          .withOptions(options)
+          .on('end', function(){
+            var parser = new Xml2Js.Parser();
+            fs.readFile(manifestFileName, 'utf8', function(err, manifestContent){
+              parser.parseString(manifestContent, function(err, manifestJson){
+                manifest = manifestJson;
+
+                done();
+              });
+            });
+          });
+      });
+
+      it('creates function file & icons', function(done){
+        assert.file([
+          'functions/functions.html',
+          'functions/functions.js',
+          'images/icon-16.png',
+          'images/icon-32.png',
+          'images/icon-80.png'
+        ]);
+        done();
+      });
+
+      it('copies the VersionOverrides schema of mail add-ins', function(done){
+        assert.file('MailAppVersionOverridesV1_0.xsd');
+        assert.noFile('TaskPaneAppVersionOverridesV1_0.xsd');
+        done();
+      });
+
+      it('has <VersionOverrides> with a mail host', function(done){
+        var host = manifest.OfficeApp.VersionOverrides[0].Hosts[0].Host[0];
+
+        expect(manifest.OfficeApp.$['xmlns:bt'])
+          .to.equal('http://schemas.microsoft.com/office/officeappbasictypes/1.0');
+        expect(host.$['xsi:type']).to.equal('MailHost');
+        expect(host.DesktopFormFactor[0].FunctionFile[0].$.resid).to.equal('FunctionFile.Url');
+        done();
+      });
+
+      it('has an extension point for each selected form', function(done){
+        var host = manifest.OfficeApp.VersionOverrides[0].Hosts[0].Host[0];
+        var surfaces = _.map(host.DesktopFormFactor[0].ExtensionPoint, function(extensionPoint){
+          return extensionPoint.$['xsi:type'];
+        });
+
+        expect(surfaces).to.eql(['MessageReadCommandSurface', 'AppointmentOrganizerCommandSurface']);
+        done();
+      });
+
+      it('opens the matching form in the task pane button', function(done){
+        var host = manifest.OfficeApp.VersionOverrides[0].Hosts[0].Host[0];
+        var readControls = host.DesktopFormFactor[0].ExtensionPoint[0].OfficeTab[0].Group[0].Control;
+        var composeControls = host.DesktopFormFactor[0].ExtensionPoint[1].OfficeTab[0].Group[0].Control;
+
+        expect(readControls[0].Action[0].SourceLocation[0].$.resid).to.equal('ReadTaskpane.Url');
+        expect(composeControls[0].Action[0].SourceLocation[0].$.resid).to.equal('ComposeTaskpane.Url');
+        expect(readControls[1].Action[0].FunctionName[0]).to.equal('showNotification');
+        done();
+      });
+
+      it('keeps the mail rules', function(done){
+        expect(manifest.OfficeApp.Rule[0].Rule.length).to.equal(2);
+        done();
+      });
+
+      it('creates a manifest valid against the schema', function(done){
+        this.timeout(30000);
+
+        util.runGulpTask('validate-xml', ['--json', 'report.json'], function(err, exitCode){
+          var report = JSON.parse(fs.readFileSync('report.json', 'utf8'));
+
+          expect(report.manifests[0].errors).to.eql([]);
+          expect(exitCode).to.equal(0);
+          done(err);
+        });
+      });
+
+    }); // describe('commands:true')
+
+    describe('commands:true with read forms only', function(){
+
+      beforeEach(function(done){
+        options.commands = true;
+        options.outlookForm = ['mail-read', 'appointment-read'];
+
+        // run the generator
+        helpers.run(path.join(__dirname, '../../generators/mail'))
+          .withOptions(options)
+          .on('end', done);
+      });
+
+      it('has no resource for the task pane of the compose forms', function(done){
+        assert.fileContent(manifestFileName,
+          '<bt:Url id="ReadTaskpane.Url" DefaultValue="https://localhost:8443/appread/home/home.html" />');
+        assert.noFileContent(manifestFileName, 'ComposeTaskpane.Url');
+        assert.noFileContent(manifestFileName, 'appcompose/');
+        done();
+      });
+
+      it('creates a manifest valid against the schema', function(done){
+        this.timeout(30000);
+
+        util.runGulpTask('validate-xml', ['--json', 'report.json'], function(err, exitCode){
+          var report = JSON.parse(fs.readFileSync('report.json', 'utf8'));
+
+          expect(report.manifests[0].errors).to.eql([]);
+          expect(exitCode).to.equal(0);
+          done(err);
+        });
+      });
+
+    }); // describe('commands:true with read forms only')
+
+    describe('tech:manifest-only', function(){
+
+      beforeEach(function(done){
+        options.tech = 'manifest-only';
+        options.startPage = 'https://localhost:8443/manifest-only/index.html';
+        options.commands = true;
+        options.outlookForm = ['mail-read'];
+
+        // run the generator
+        helpers.run(path.join(__dirname, '../../generators/mail'))
+          .withOptions(options)
+          .on('end', done);
+      });
+
+      it('does not include <VersionOverrides>', function(done){
+        assert.noFile('functions/functions.html');
+        assert.noFileContent(manifestFileName, '<VersionOverrides');
+        done();
+      });
+
+    }); // describe('tech:manifest-only')
+
+  }); // describe('add-in commands')
+
+});
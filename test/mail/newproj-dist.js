@@ -0,0 +1,72 @@
+/* jshint expr:true */
+'use strict';
+
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:mail', function(){
+
+  beforeEach(function(done){
+    options = {
+      name: 'My Office Add-in',
+      'root-path': '',
+      tech: 'html',
+      'skip-install': true
+    };
+    done();
+  });
+
+  /**
+   * Test the production build bundles the pages of both forms.
+   */
+  describe('dist outlookForm:mail-read,mail-compose', function(){
+
+    beforeEach(function(done){
+      options.outlookForm = ['mail-read', 'mail-compose'];
+
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('bundles the start page of each form', function(done){
+      assert.fileContent('gulpfile.js',
+        'config.pages = [\n  \'appread/home/home.html\',\n  \'appcompose/home/home.html\'\n];');
+      assert.fileContent('appread/home/home.html', '<!-- build:js ../app.min.js -->');
+      assert.fileContent('appcompose/home/home.html', '<!-- build:js ../app.min.js -->');
+      done();
+    });
+
+  }); // describe('dist outlookForm:mail-read,mail-compose')
+
+  /**
+   * Test the production build only bundles the pages of the selected forms.
+   */
+  describe('dist outlookForm:mail-compose', function(){
+
+    beforeEach(function(done){
+      options.tech = 'ng';
+      options.outlookForm = ['mail-compose'];
+
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('bundles the start page of the compose form', function(done){
+      assert.fileContent('gulpfile.js', 'config.pages = [\n  \'appcompose/index.html\'\n];');
+      assert.fileContent('appcompose/index.html', '<!-- build:js vendor.min.js -->');
+      done();
+    });
+
+  }); // describe('dist outlookForm:mail-compose')
+
+}); // describe('office:mail')
@@ -0,0 +1,95 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var helpers = require('yeoman-test');
+var Xml2Js = require('xml2js');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:mail', function(){
+
+  var projectDisplayName = 'My Office Add-in';
+  var projectEscapedName = 'my-office-add-in';
+  var manifestFileName = 'manifest-' + projectEscapedName + '.xml';
+
+  beforeEach(function(done){
+    options = {
+      name: projectDisplayName,
+      rootPath: '',
+      tech: 'html'
+    };
+    done();
+  });
+
+  /**
+   * Test Outlook forms specified on the command line as a comma separated string.
+   */
+  describe('outlookForm:command line', function(){
+
+    var manifest = {};
+
+    beforeEach(function(done){
+      options.outlookForm = 'mail-read,appointment-edit';
+
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions(options)
+        .on('end', function(){
+          var parser = new Xml2Js.Parser();
+          fs.readFile(manifestFileName, 'utf8', function(err, manifestContent){
+            parser.parseString(manifestContent, function(err, manifestJson){
+              manifest = manifestJson;
+              done();
+            });
+          });
+        });
+    });
+
+    it('includes a rule for each form', function(done){
+      expect(manifest.OfficeApp.Rule[0].Rule.map(function(rule){
+        return rule.$;
+      })).to.deep.equal([
+        {'xsi:type': 'ItemIs', ItemType: 'Message', FormType: 'Read'},
+        {'xsi:type': 'ItemIs', ItemType: 'Appointment', FormType: 'Edit'}
+      ]);
+      done();
+    });
+
+    it('includes the read & compose forms', function(done){
+      var formSettings = manifest.OfficeApp.FormSettings[0].Form;
+      expect(formSettings.map(function(form){
+        return form.$['xsi:type'];
+      })).to.deep.equal(['ItemRead', 'ItemEdit']);
+      done();
+    });
+
+  }); // describe('outlookForm:command line')
+
+  /**
+   * Test unknown Outlook forms.
+   */
+  describe('outlookForm:unknown', function(){
+
+    it('fails listing the valid forms', function(done){
+      options.outlookForm = 'mail-read,mail-draft';
+
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions(options)
+        .on('error', function(err){
+          expect(err.message).to.contain('Unknown Outlook form \'mail-draft\'');
+          done();
+        });
+    });
+
+  }); // describe('outlookForm:unknown')
+
+}); // describe('office:mail')
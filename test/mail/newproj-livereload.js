@@ -0,0 +1,67 @@
+/* jshint expr:true */
+'use strict';
+
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:mail', function(){
+
+  beforeEach(function(done){
+    options = {
+      name: 'My Office Add-in',
+      'root-path': '',
+      tech: 'html',
+      'skip-install': true
+    };
+    done();
+  });
+
+  /**
+   * Test the dev server reloads the pages of each form.
+   */
+  describe('live reload outlookForm:mail-read,mail-compose', function(){
+
+    beforeEach(function(done){
+      options.outlookForm = ['mail-read', 'mail-compose'];
+
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('reloads the pages of the read & compose entry points', function(done){
+      assert.fileContent('gulpfile.js', 'config.reload = {\n  appread: true,\n  appcompose: true\n};');
+      done();
+    });
+
+  }); // describe('live reload outlookForm:mail-read,mail-compose')
+
+  /**
+   * Test the dev server only reloads the pages of the selected forms.
+   */
+  describe('live reload outlookForm:mail-compose', function(){
+
+    beforeEach(function(done){
+      options.outlookForm = ['mail-compose'];
+
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('reloads the pages of the compose entry point', function(done){
+      assert.fileContent('gulpfile.js', 'config.reload = {\n  appcompose: true\n};');
+      done();
+    });
+
+  }); // describe('live reload outlookForm:mail-compose')
+
+}); // describe('office:mail')
@@ -0,0 +1,145 @@
+/* jshint expr:true */
+'use strict';
+
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:mail', function(){
+
+  var projectDisplayName = 'My Office Add-in';
+  var projectEscapedName = 'my-office-add-in';
+  var manifestFileName = 'manifest-' + projectEscapedName + '.xml';
+
+  beforeEach(function(done){
+    options = {
+      name: projectDisplayName,
+      rootPath: '',
+      tech: 'html',
+      outlookForm: ['mail-read', 'mail-compose']
+    };
+    done();
+  });
+
+  /**
+   * Test addin requesting the default permissions.
+   */
+  describe('permissions:default', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('requests ReadWriteItem', function(done){
+      assert.fileContent(manifestFileName, '<Permissions>ReadWriteItem</Permissions>');
+      done();
+    });
+
+    it('reads & writes the item', function(done){
+      assert.fileContent('appread/home/home.js', 'displayItemDetails');
+      assert.fileContent('appcompose/home/home.js', 'subject.setAsync');
+      assert.fileContent('appcompose/home/home.js', 'subject.getAsync');
+      done();
+    });
+
+  }); // describe('permissions:default')
+
+  /**
+   * Test addin requesting ReadItem.
+   */
+  describe('permissions:ReadItem', function(){
+
+    beforeEach(function(done){
+      options.permissions = 'ReadItem';
+
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('requests ReadItem', function(done){
+      assert.fileContent(manifestFileName, '<Permissions>ReadItem</Permissions>');
+      done();
+    });
+
+    it('only reads the item', function(done){
+      assert.fileContent('appcompose/home/home.js', 'subject.getAsync');
+      assert.noFileContent('appcompose/home/home.js', 'setAsync');
+      assert.noFileContent('appcompose/home/home.js', 'addAsync');
+      assert.noFileContent('appcompose/home/home.html', 'id="set-subject"');
+      done();
+    });
+
+  }); // describe('permissions:ReadItem')
+
+  /**
+   * Test addin requesting Restricted.
+   */
+  describe('permissions:Restricted', function(){
+
+    beforeEach(function(done){
+      options.permissions = 'Restricted';
+
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('only reads the entities of the item by type', function(done){
+      assert.fileContent('appread/home/home.js', 'getEntitiesByType(Office.MailboxEnums.EntityType.Url)');
+      assert.fileContent('appread/home/home.js', 'getEntitiesByType(Office.MailboxEnums.EntityType.PhoneNumber)');
+      assert.noFileContent('appread/home/home.js', 'getEntities()');
+      assert.noFileContent('appread/home/home.js', 'item.subject');
+      assert.fileContent('appread/home/home.html', 'id="urls"');
+      done();
+    });
+
+    it('doesn\'t access the item in the compose form', function(done){
+      assert.noFileContent('appcompose/home/home.js', 'mailbox');
+      done();
+    });
+
+  }); // describe('permissions:Restricted')
+
+  /**
+   * Test addin requesting Restricted activated on known entities.
+   */
+  describe('permissions:Restricted (known entities)', function(){
+
+    ['html', 'ts', 'react'].forEach(function(tech){
+
+      it('only reads the matched entities by type (' + tech + ')', function(done){
+        options.permissions = 'Restricted';
+        options.knownEntities = 'Url,Address';
+        options.tech = tech;
+
+        var homeScript = {
+          html: 'appread/home/home.js',
+          ts: 'appread/home/home.ts',
+          react: 'appread/components/Home.jsx'
+        }[tech];
+
+        helpers.run(path.join(__dirname, '../../generators/mail'))
+          .withOptions(options)
+          .on('end', function(){
+            assert.fileContent(homeScript, 'item.getEntitiesByType(Office.MailboxEnums.EntityType.Url)');
+            assert.fileContent(homeScript, 'item.getEntitiesByType(Office.MailboxEnums.EntityType.Address)');
+            assert.noFileContent(homeScript, 'getEntities()');
+            done();
+          });
+      });
+
+    });
+
+  }); // describe('permissions:Restricted (known entities)')
+
+});
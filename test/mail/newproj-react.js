@@ -0,0 +1,103 @@
+/* jshint expr:true */
+'use strict';
+
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:mail', function(){
+
+  beforeEach(function(done){
+    options = {
+      name: 'My Office Add-in',
+      'root-path': '',
+      tech: 'react',
+      'skip-install': true
+    };
+    done();
+  });
+
+  /**
+   * Test addin when technology = react
+   */
+  describe('addin technology:react', function(){
+
+    beforeEach(function(done){
+      options.outlookForm = ['mail-read', 'mail-compose'];
+
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('creates the react sample code of the forms', function(done){
+      assert.file([
+        'appread/index.html',
+        'appread/app.jsx',
+        'appread/components/App.jsx',
+        'appread/components/Home.jsx',
+        'appread/components/Notification.jsx',
+        'appcompose/index.html',
+        'appcompose/app.jsx',
+        'appcompose/components/App.jsx',
+        'appcompose/components/Home.jsx',
+        'appcompose/components/Notification.jsx'
+      ]);
+      assert.fileContent('appread/components/Home.jsx', '<td>{this.state.subject}</td>');
+      assert.fileContent('appcompose/components/Home.jsx', '<button onClick={this.getSubject}>Get subject</button>');
+      done();
+    });
+
+    it('bundles the entry point of each form', function(done){
+      assert.fileContent('gulpfile.js',
+        'config.root + \'/appread/app.jsx\',\n  config.root + \'/appcompose/app.jsx\'\n];');
+      done();
+    });
+
+    it('sets the start pages of the forms', function(done){
+      var manifest = 'manifest-my-office-add-in.xml';
+      assert.fileContent(manifest, 'https://localhost:8443/appread/index.html');
+      assert.fileContent(manifest, 'https://localhost:8443/appcompose/index.html');
+      done();
+    });
+
+  }); // describe('addin technology:react')
+
+  /**
+   * Test read form activated by rules when technology = react
+   */
+  describe('addin technology:react with rules', function(){
+
+    beforeEach(function(done){
+      options.outlookForm = ['mail-read'];
+      options.knownEntities = 'Url';
+      options.regExMatches = 'ticket=T-[0-9]+';
+
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('only bundles the read form', function(done){
+      assert.noFile('appcompose/app.jsx');
+      assert.fileContent('gulpfile.js', 'config.root + \'/appread/app.jsx\'\n];');
+      done();
+    });
+
+    it('displays the values matching the rules', function(done){
+      assert.fileContent('appread/components/Home.jsx', '\'urls\': joinValues(entities.urls),');
+      assert.fileContent('appread/components/Home.jsx', '\'regex-ticket\': joinValues(regExMatches.ticket)');
+      assert.fileContent('appread/components/Home.jsx', '<td>{this.state[\'regex-ticket\']}</td>');
+      done();
+    });
+
+  }); // describe('addin technology:react with rules')
+
+}); // describe('office:mail')
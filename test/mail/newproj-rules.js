@@ -0,0 +1,144 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+var Xml2Js = require('xml2js');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:mail', function(){
+
+  var projectDisplayName = 'My Office Add-in';
+  var projectEscapedName = 'my-office-add-in';
+  var manifestFileName = 'manifest-' + projectEscapedName + '.xml';
+
+  beforeEach(function(done){
+    options = {
+      name: projectDisplayName,
+      rootPath: '',
+      tech: 'html',
+      outlookForm: ['mail-read', 'mail-compose']
+    };
+    done();
+  });
+
+  /**
+   * Test addin with contextual rules.
+   */
+  describe('rules:contextual', function(){
+
+    var manifest = {};
+
+    beforeEach(function(done){
+      options.knownEntities = 'PhoneNumber,Url';
+      options.regExMatches = 'ticket=TKT-[0-9]{3,6}';
+      options.attachment = true;
+      options.ruleMode = 'And';
+
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions(options)
+        .on('end', function(){
+          var parser = new Xml2Js.Parser();
+          fs.readFile(manifestFileName, 'utf8', function(err, manifestContent){
+            parser.parseString(manifestContent, function(err, manifestJson){
+              manifest = manifestJson;
+              done();
+            });
+          });
+        });
+    });
+
+    it('activates on the compose form or on read forms matching all rules', function(done){
+      var rule = manifest.OfficeApp.Rule[0];
+      expect(rule.$).to.deep.equal({'xsi:type': 'RuleCollection', Mode: 'Or'});
+
+      var readRule = rule.Rule[0];
+      expect(readRule.$).to.deep.equal({'xsi:type': 'RuleCollection', Mode: 'And'});
+      expect(readRule.Rule[0].$).to.deep.equal({'xsi:type': 'ItemIs', ItemType: 'Message', FormType: 'Read'});
+      expect(readRule.Rule[1].$).to.deep.equal({'xsi:type': 'RuleCollection', Mode: 'And'});
+      expect(readRule.Rule[1].Rule.map(function(contextualRule){
+        return contextualRule.$;
+      })).to.deep.equal([
+        {'xsi:type': 'ItemHasKnownEntity', EntityType: 'PhoneNumber'},
+        {'xsi:type': 'ItemHasKnownEntity', EntityType: 'Url'},
+        {
+          'xsi:type': 'ItemHasRegularExpressionMatch',
+          RegExName: 'ticket',
+          RegExValue: 'TKT-[0-9]{3,6}',
+          PropertyName: 'BodyAsPlaintext'
+        },
+        {'xsi:type': 'ItemHasAttachment'}
+      ]);
+
+      expect(rule.Rule[1].$).to.deep.equal({'xsi:type': 'ItemIs', ItemType: 'Message', FormType: 'Edit'});
+      done();
+    });
+
+    it('displays the matched values in the read form', function(done){
+      assert.fileContent('appread/home/home.js', 'item.getEntities()');
+      assert.fileContent('appread/home/home.js', 'item.getRegExMatches()');
+      assert.fileContent('appread/home/home.js', 'displayValues(\'#phone-numbers\', entities.phoneNumbers');
+      assert.fileContent('appread/home/home.js', 'displayValues(\'#regex-ticket\', regExMatches.ticket)');
+      assert.fileContent('appread/home/home.html', 'id="urls"');
+      assert.fileContent('appread/home/home.html', 'id="regex-ticket"');
+      assert.noFileContent('appread/home/home.js', 'displayItemDetails');
+      done();
+    });
+
+  }); // describe('rules:contextual')
+
+  /**
+   * Test addin with regular expressions & restricted permissions.
+   */
+  describe('rules:Restricted', function(){
+
+    it('fails as regular expressions require ReadItem', function(done){
+      options.regExMatches = 'ticket=TKT-[0-9]+';
+      options.permissions = 'Restricted';
+
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions(options)
+        .on('error', function(err){
+          expect(err.message).to.contain('Regular expression rules require ReadItem permissions');
+          done();
+        });
+    });
+
+    it('fails as attachment rules require ReadItem', function(done){
+      options.attachment = true;
+      options.permissions = 'Restricted';
+
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions(options)
+        .on('error', function(err){
+          expect(err.message).to.contain('Attachment rules require ReadItem permissions');
+          done();
+        });
+    });
+
+    it('fails as contact entities require ReadItem', function(done){
+      options.knownEntities = 'Url,Contact';
+      options.permissions = 'Restricted';
+
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions(options)
+        .on('error', function(err){
+          expect(err.message).to.contain('Entity type \'Contact\' requires ReadItem permissions');
+          done();
+        });
+    });
+
+  }); // describe('rules:Restricted')
+
+});
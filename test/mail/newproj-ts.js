@@ -0,0 +1,104 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:mail', function(){
+
+  beforeEach(function(done){
+    options = {
+      name: 'My Office Add-in',
+      'root-path': '',
+      outlookForm: ['mail-read', 'mail-compose'],
+      'skip-install': true
+    };
+    done();
+  });
+
+  /**
+   * Test addin when technology = html & typescript
+   */
+  describe('addin technology:ts', function(){
+
+    beforeEach(function(done){
+      options.tech = 'ts';
+      options.commands = true;
+
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('creates the typescript sample code of the forms', function(done){
+      assert.file([
+        'appread/app.ts',
+        'appread/home/home.ts',
+        'appread/home/home.html',
+        'appcompose/app.ts',
+        'appcompose/home/home.ts',
+        'appcompose/home/home.html',
+        'functions/functions.ts'
+      ]);
+      assert.noFile(['appread/app.js', 'appcompose/home/home.js', 'functions/functions.js']);
+      done();
+    });
+
+    it('installs the typescript compiler', function(done){
+      var packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+      expect(packageJson.devDependencies).to.include.keys('typescript', 'gulp-typescript');
+      assert.fileContent('gulpfile.js', 'config.source + \'/app*/**/*.ts\'');
+      done();
+    });
+
+  }); // describe('addin technology:ts')
+
+  /**
+   * Test addin when technology = angular & typescript
+   */
+  describe('addin technology:ng-ts', function(){
+
+    beforeEach(function(done){
+      options.tech = 'ng-ts';
+
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('creates the typescript sample code of the forms', function(done){
+      assert.file([
+        'appread/index.html',
+        'appread/app.module.ts',
+        'appread/home/home.controller.ts',
+        'appread/services/data.service.ts',
+        'appcompose/index.html',
+        'appcompose/app.module.ts',
+        'appcompose/services/data.service.ts'
+      ]);
+      assert.noFile(['appread/app.module.js', 'appcompose/home/home.controller.js']);
+      done();
+    });
+
+    it('sets the start pages of the forms', function(done){
+      var manifest = 'manifest-my-office-add-in.xml';
+      assert.fileContent(manifest, 'https://localhost:8443/appread/index.html');
+      assert.fileContent(manifest, 'https://localhost:8443/appcompose/index.html');
+      done();
+    });
+
+  }); // describe('addin technology:ng-ts')
+
+}); // describe('office:mail')
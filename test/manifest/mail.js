@@ -0,0 +1,314 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var _ = require('lodash');
+var helpers = require('yeoman-test');
+
+var Xml2Js = require('xml2js');
+var chai = require('chai'),
+  expect = chai.expect;
+
+var util = require('./../_testUtils');
+
+
+// sub:generator options
+var options = {};
+
+// existing mail manifest
+var existingManifest = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<OfficeApp xmlns="http://schemas.microsoft.com/office/appforoffice/1.1" ' +
+    'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:type="MailApp">',
+  '  <Id>7164e750-dc86-49c0-b548-1bac57abdc7c</Id>',
+  '  <Version>1.0.0.0</Version>',
+  '  <ProviderName>Contoso</ProviderName>',
+  '  <DefaultLocale>en-US</DefaultLocale>',
+  '  <DisplayName DefaultValue="My Office Add-in" />',
+  '  <Description DefaultValue="Description"/>',
+  '  <Hosts>',
+  '    <Host Name="Mailbox" />',
+  '  </Hosts>',
+  '  <Requirements>',
+  '    <Sets>',
+  '      <Set Name="MailBox" MinVersion="1.1" />',
+  '    </Sets>',
+  '  </Requirements>',
+  '  <FormSettings>',
+  '    <Form xsi:type="ItemRead">',
+  '      <DesktopSettings>',
+  '        <SourceLocation DefaultValue="https://localhost:8443/appread/home/home.html"/>',
+  '        <RequestedHeight>250</RequestedHeight>',
+  '      </DesktopSettings>',
+  '    </Form>',
+  '  </FormSettings>',
+  '  <Permissions>ReadWriteItem</Permissions>',
+  '  <Rule xsi:type="ItemIs" ItemType="Message" FormType="Read" />',
+  '  <DisableEntityHighlighting>false</DisableEntityHighlighting>',
+  '</OfficeApp>'
+].join('\n');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:manifest', function(){
+
+  var manifestFileName = 'manifest-my-office-add-in.xml';
+
+  /**
+   * Creates a run context against a folder containing the existing manifest.
+   *
+   * @return {RunContext} The generator run context.
+   */
+  function createRunContext(){
+    return helpers.run(path.join(__dirname, '../../generators/manifest'))
+      .inTmpDir(function(dir){
+        fs.writeFileSync(path.join(dir, manifestFileName), existingManifest);
+      })
+      .withOptions(options);
+  }
+
+  /**
+   * Test editing a mail manifest using command line options.
+   */
+  describe('mail manifest with options', function(){
+    var manifest = {};
+
+    beforeEach(function(done){
+      options = {
+        'add-form': 'mail-compose,appointment-read',
+        startPage: 'https://localhost:8443/appcompose/home/home.html',
+        permissions: 'ReadItem',
+        'add-requirement': 'Mailbox:1.3'
+      };
+
+      createRunContext().on('end', function(){
+        var parser = new Xml2Js.Parser();
+        fs.readFile(manifestFileName, 'utf8', function(err, manifestContent){
+          parser.parseString(manifestContent, function(err, manifestJson){
+            manifest = manifestJson;
+            done();
+          });
+        });
+      });
+    });
+
+    it('keeps the Id & Version', function(done){
+      expect(manifest.OfficeApp.Id[0]).to.equal('7164e750-dc86-49c0-b548-1bac57abdc7c');
+      expect(manifest.OfficeApp.Version[0]).to.equal('1.0.0.0');
+      done();
+    });
+
+    it('adds a compose form with the start page', function(done){
+      var form = _.find(manifest.OfficeApp.FormSettings[0].Form, function(formSetting){
+        return formSetting.$['xsi:type'] === 'ItemEdit';
+      });
+
+      expect(form).to.exist;
+      expect(form.DesktopSettings[0].SourceLocation[0].$.DefaultValue)
+        .to.equal('https://localhost:8443/appcompose/home/home.html');
+      done();
+    });
+
+    it('converts the rule into a collection with a rule per form', function(done){
+      var rule = manifest.OfficeApp.Rule[0];
+      var forms = _.map(rule.Rule, function(itemRule){
+        return itemRule.$.ItemType + ':' + itemRule.$.FormType;
+      });
+
+      expect(rule.$).to.eql({'xsi:type': 'RuleCollection', Mode: 'Or'});
+      expect(forms).to.eql(['Message:Read', 'Message:Edit', 'Appointment:Read']);
+      done();
+    });
+
+    it('replaces an existing requirement set', function(done){
+      var sets = manifest.OfficeApp.Requirements[0].Sets[0].Set;
+      expect(sets).to.have.length(1);
+      expect(sets[0].$).to.eql({Name: 'Mailbox', MinVersion: '1.3'});
+      done();
+    });
+
+    it('updates the permissions', function(done){
+      expect(manifest.OfficeApp.Permissions[0]).to.equal('ReadItem');
+      done();
+    });
+
+    it('leaves the unchanged elements as they were', function(done){
+      var manifestContent = fs.readFileSync(manifestFileName, 'utf8');
+
+      expect(manifestContent.indexOf('<?xml version="1.0" encoding="UTF-8"?>\n<OfficeApp ')).to.equal(0);
+      expect(manifestContent).to.contain([
+        '    <Form xsi:type="ItemRead">',
+        '      <DesktopSettings>',
+        '        <SourceLocation DefaultValue="https://localhost:8443/appread/home/home.html"/>',
+        '        <RequestedHeight>250</RequestedHeight>',
+        '      </DesktopSettings>',
+        '    </Form>'
+      ].join('\n'));
+      expect(manifestContent).to.contain('  <Description DefaultValue="Description"/>\n  <Hosts>\n');
+      done();
+    });
+
+  }); // describe('mail manifest with options')
+
+  /**
+   * Test editing the manifest of a mail addin with add-in commands.
+   */
+  describe('mail manifest with add-in commands', function(){
+    var manifest;
+
+    /**
+     * Creates an addin with add-in commands for the forms, then edits its manifest.
+     *
+     * @param {string[]} outlookForm - Forms of the addin.
+     * @param {Function} done        - Called once the manifest has been parsed.
+     */
+    function editManifest(outlookForm, done){
+      helpers.run(path.join(__dirname, '../../generators/mail'))
+        .withOptions({
+          name: 'My Office Add-in',
+          'root-path': '',
+          tech: 'html',
+          outlookForm: outlookForm,
+          commands: true,
+          'skip-install': true
+        })
+        .on('end', function(){
+          helpers.run(path.join(__dirname, '../../generators/manifest'))
+            .cd(process.cwd())
+            .withOptions(options)
+            .on('end', function(){
+              var parser = new Xml2Js.Parser();
+              parser.parseString(fs.readFileSync(manifestFileName, 'utf8'), function(err, manifestJson){
+                manifest = manifestJson;
+                done(err);
+              });
+            });
+        });
+    }
+
+    /**
+     * Validates the manifest with validate-xml.
+     *
+     * @param {Function} done - Called once the manifest has been validated.
+     */
+    function validateManifest(done){
+      util.runGulpTask('validate-xml', ['--json', 'report.json'], function(err, exitCode){
+        var report = JSON.parse(fs.readFileSync('report.json', 'utf8'));
+
+        expect(report.manifests[0].errors).to.eql([]);
+        expect(exitCode).to.equal(0);
+        done(err);
+      });
+    }
+
+    describe('remove-form', function(){
+
+      beforeEach(function(done){
+        this.timeout(10000);
+        options = {'remove-form': 'mail-compose'};
+        editManifest(['mail-read', 'mail-compose'], done);
+      });
+
+      it('removes the extension point of the form', function(done){
+        var host = manifest.OfficeApp.VersionOverrides[0].Hosts[0].Host[0];
+
+        expect(_.map(host.DesktopFormFactor[0].ExtensionPoint, function(extensionPoint){
+          return extensionPoint.$['xsi:type'];
+        })).to.eql(['MessageReadCommandSurface']);
+        done();
+      });
+
+      it('creates a manifest valid against the schema', function(done){
+        this.timeout(30000);
+        validateManifest(done);
+      });
+
+    }); // describe('remove-form')
+
+    describe('add-form of a read form & remove-form', function(){
+
+      beforeEach(function(done){
+        this.timeout(10000);
+        options = {
+          'add-form': 'Meeting-Read',
+          'remove-form': 'mail-compose',
+          startPage: 'https://localhost:8443/appread/home/home.html'
+        };
+        editManifest(['mail-compose'], done);
+      });
+
+      it('adds a read form with its height', function(done){
+        var form = manifest.OfficeApp.FormSettings[0].Form;
+
+        expect(form).to.have.length(1);
+        expect(form[0].$['xsi:type']).to.equal('ItemRead');
+        expect(form[0].DesktopSettings[0].SourceLocation[0].$.DefaultValue)
+          .to.equal('https://localhost:8443/appread/home/home.html');
+        expect(form[0].DesktopSettings[0].RequestedHeight[0]).to.equal('250');
+        done();
+      });
+
+      it('replaces the extension point of the form removed by the one of the form added', function(done){
+        var host = manifest.OfficeApp.VersionOverrides[0].Hosts[0].Host[0];
+
+        expect(_.map(host.DesktopFormFactor[0].ExtensionPoint, function(extensionPoint){
+          return extensionPoint.$['xsi:type'];
+        })).to.eql(['AppointmentAttendeeCommandSurface']);
+        done();
+      });
+
+      it('opens the start page of the read form in the task pane', function(done){
+        var urls = manifest.OfficeApp.VersionOverrides[0].Resources[0]['bt:Urls'][0]['bt:Url'];
+
+        expect(_.find(urls, function(url){
+          return url.$.id === 'ReadTaskpane.Url';
+        }).$.DefaultValue).to.equal('https://localhost:8443/appread/home/home.html');
+        done();
+      });
+
+      it('creates a manifest valid against the schema', function(done){
+        this.timeout(30000);
+        validateManifest(done);
+      });
+
+    }); // describe('add-form of a read form & remove-form')
+
+  }); // describe('mail manifest with add-in commands')
+
+  /**
+   * Test invalid values.
+   */
+  describe('invalid values', function(){
+
+    it('requires a start page for a new compose form', function(done){
+      options = {'add-form': 'mail-compose'};
+
+      createRunContext().on('error', function(err){
+        expect(err.message).to.contain('--startPage');
+        done();
+      });
+    });
+
+    it('fails when all the forms are removed', function(done){
+      options = {'remove-form': 'mail-read'};
+
+      createRunContext().on('error', function(err){
+        expect(err.message).to.contain('at least one Outlook form');
+        done();
+      });
+    });
+
+    it('fails on a permission not valid for mail add-ins', function(done){
+      options = {permissions: 'ReadWriteDocument'};
+
+      createRunContext().on('error', function(err){
+        expect(err.message).to.contain('ReadWriteDocument');
+        done();
+      });
+    });
+
+  }); // describe('invalid values')
+
+});
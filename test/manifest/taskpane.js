@@ -0,0 +1,348 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var _ = require('lodash');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var Xml2Js = require('xml2js');
+var chai = require('chai'),
+  expect = chai.expect;
+
+var util = require('./../_testUtils');
+
+
+// sub:generator options
+var options = {};
+
+// existing task pane manifest
+var existingManifest = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<OfficeApp xmlns="http://schemas.microsoft.com/office/appforoffice/1.1" ' +
+    'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:type="TaskPaneApp">',
+  '  <Id>7164e750-dc86-49c0-b548-1bac57abdc7c</Id>',
+  '  <Version>1.2.0.0</Version>',
+  '  <ProviderName>Contoso</ProviderName>',
+  '  <DefaultLocale>en-US</DefaultLocale>',
+  '  <DisplayName DefaultValue="My Office Add-in" />',
+  '  <Description DefaultValue="Description"/>',
+  '  <Hosts>',
+  '    <Host Name="Document" />',
+  '    <Host Name="Workbook" />',
+  '  </Hosts>',
+  '  <DefaultSettings>',
+  '    <SourceLocation DefaultValue="https://localhost:8443/app/home/home.html" />',
+  '  </DefaultSettings>',
+  '  <Permissions>ReadWriteDocument</Permissions>',
+  '</OfficeApp>'
+].join('\n');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:manifest', function(){
+
+  var manifestFileName = 'manifest-my-office-add-in.xml';
+
+  /**
+   * Runs the generator against a folder containing the existing manifest.
+   *
+   * @param {Function} done - Called once the manifest has been parsed.
+   * @param {Object}   [prompts] - Prompt answers.
+   * @return {Object} Holder for the parsed manifest.
+   */
+  function runGenerator(done, prompts){
+    var result = {};
+
+    helpers.run(path.join(__dirname, '../../generators/manifest'))
+      .inTmpDir(function(dir){
+        fs.writeFileSync(path.join(dir, manifestFileName), existingManifest);
+      })
+      .withOptions(options)
+      .withPrompts(prompts || {})
+      .on('end', function(){
+        var parser = new Xml2Js.Parser();
+        fs.readFile(manifestFileName, 'utf8', function(err, manifestContent){
+          parser.parseString(manifestContent, function(err, manifestJson){
+            result.manifest = manifestJson;
+            done();
+          });
+        });
+      });
+
+    return result;
+  }
+
+  beforeEach(function(done){
+    options = {};
+    done();
+  });
+
+  /**
+   * Test editing a task pane manifest using command line options.
+   */
+  describe('task pane manifest with options', function(){
+    var result;
+
+    beforeEach(function(done){
+      options = {
+        name: 'Renamed Add-in',
+        'add-host': 'Presentation, Project',
+        'remove-host': 'Document',
+        'add-app-domain': 'https://contoso.com',
+        permissions: 'ReadDocument',
+        'add-requirement': 'ExcelApi:1.1,DialogApi'
+      };
+      result = runGenerator(done);
+    });
+
+    it('keeps the Id & Version', function(done){
+      expect(result.manifest.OfficeApp.Id[0]).to.equal('7164e750-dc86-49c0-b548-1bac57abdc7c');
+      expect(result.manifest.OfficeApp.Version[0]).to.equal('1.2.0.0');
+      done();
+    });
+
+    it('updates the display name', function(done){
+      expect(result.manifest.OfficeApp.DisplayName[0].$.DefaultValue).to.equal('Renamed Add-in');
+      done();
+    });
+
+    it('adds & removes hosts', function(done){
+      var hosts = _.map(result.manifest.OfficeApp.Hosts[0].Host, function(host){
+        return host.$.Name;
+      });
+      expect(hosts).to.eql(['Workbook', 'Presentation', 'Project']);
+      done();
+    });
+
+    it('adds app domains before hosts', function(done){
+      var elements = _.keys(result.manifest.OfficeApp);
+      expect(result.manifest.OfficeApp.AppDomains[0].AppDomain).to.eql(['https://contoso.com']);
+      expect(elements.indexOf('AppDomains')).to.equal(elements.indexOf('Hosts') - 1);
+      done();
+    });
+
+    it('adds requirement sets after hosts', function(done){
+      var elements = _.keys(result.manifest.OfficeApp);
+      var sets = result.manifest.OfficeApp.Requirements[0].Sets[0].Set;
+      expect(sets[0].$).to.eql({Name: 'ExcelApi', MinVersion: '1.1'});
+      expect(sets[1].$).to.eql({Name: 'DialogApi'});
+      expect(elements.indexOf('Requirements')).to.equal(elements.indexOf('Hosts') + 1);
+      done();
+    });
+
+    it('updates the permissions', function(done){
+      expect(result.manifest.OfficeApp.Permissions[0]).to.equal('ReadDocument');
+      done();
+    });
+
+  }); // describe('task pane manifest with options')
+
+  /**
+   * Test editing a task pane manifest using prompts.
+   */
+  describe('task pane manifest with prompts', function(){
+    var result;
+
+    beforeEach(function(done){
+      result = runGenerator(done, {
+        hosts: ['Workbook'],
+        appDomains: 'https://contoso.com, https://fabrikam.com',
+        requirements: ''
+      });
+    });
+
+    it('keeps the unchanged values', function(done){
+      expect(result.manifest.OfficeApp.DisplayName[0].$.DefaultValue).to.equal('My Office Add-in');
+      expect(result.manifest.OfficeApp.Permissions[0]).to.equal('ReadWriteDocument');
+      expect(result.manifest.OfficeApp.Requirements).to.not.exist;
+      done();
+    });
+
+    it('updates hosts & app domains', function(done){
+      expect(result.manifest.OfficeApp.Hosts[0].Host).to.have.length(1);
+      expect(result.manifest.OfficeApp.AppDomains[0].AppDomain)
+        .to.eql(['https://contoso.com', 'https://fabrikam.com']);
+      done();
+    });
+
+  }); // describe('task pane manifest with prompts')
+
+  /**
+   * Test editing the manifest of a task pane addin with add-in commands.
+   */
+  describe('task pane manifest with add-in commands', function(){
+    var result;
+
+    /**
+     * Creates an addin with add-in commands, then edits its manifest.
+     *
+     * @param {Function} done - Called once the manifest has been parsed.
+     */
+    function editManifest(done){
+      result = {};
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions({
+          name: 'My Office Add-in',
+          'root-path': '',
+          tech: 'html',
+          clients: ['Document', 'Workbook'],
+          commands: true,
+          'skip-install': true
+        })
+        .on('end', function(){
+          helpers.run(path.join(__dirname, '../../generators/manifest'))
+            .cd(process.cwd())
+            .withOptions(options)
+            .on('end', function(){
+              var parser = new Xml2Js.Parser();
+              parser.parseString(fs.readFileSync(manifestFileName, 'utf8'), function(err, manifestJson){
+                result.manifest = manifestJson;
+                done(err);
+              });
+            });
+        });
+    }
+
+    /**
+     * Validates the manifest with validate-xml.
+     *
+     * @param {Function} done - Called once the manifest has been validated.
+     */
+    function validateManifest(done){
+      util.runGulpTask('validate-xml', ['--json', 'report.json'], function(err, exitCode){
+        var report = JSON.parse(fs.readFileSync('report.json', 'utf8'));
+
+        expect(report.manifests[0].errors).to.eql([]);
+        expect(exitCode).to.equal(0);
+        done(err);
+      });
+    }
+
+    describe('add-host', function(){
+
+      beforeEach(function(done){
+        this.timeout(10000);
+        options = {'add-host': 'ppt, project'};
+        editManifest(done);
+      });
+
+      it('adds the hosts specified by their aliases', function(done){
+        expect(_.map(result.manifest.OfficeApp.Hosts[0].Host, function(host){
+          return host.$.Name;
+        })).to.eql(['Document', 'Workbook', 'Presentation', 'Project']);
+        done();
+      });
+
+      it('adds the commands of the hosts supporting them', function(done){
+        var hosts = result.manifest.OfficeApp.VersionOverrides[0].Hosts[0].Host;
+
+        expect(_.map(hosts, function(host){
+          return host.$['xsi:type'];
+        })).to.eql(['Document', 'Workbook', 'Presentation']);
+        expect(hosts[2].DesktopFormFactor[0].ExtensionPoint[0].CustomTab[0].$.id).to.equal('Addin.Tab');
+        done();
+      });
+
+      it('creates a manifest valid against the schema', function(done){
+        this.timeout(30000);
+        validateManifest(done);
+      });
+
+    }); // describe('add-host')
+
+    describe('remove-host', function(){
+
+      beforeEach(function(done){
+        this.timeout(10000);
+        options = {'remove-host': 'Workbook'};
+        editManifest(done);
+      });
+
+      it('removes the commands of the host', function(done){
+        var hosts = result.manifest.OfficeApp.VersionOverrides[0].Hosts[0].Host;
+
+        expect(_.map(hosts, function(host){
+          return host.$['xsi:type'];
+        })).to.eql(['Document']);
+        done();
+      });
+
+      it('creates a manifest valid against the schema', function(done){
+        this.timeout(30000);
+        validateManifest(done);
+      });
+
+    }); // describe('remove-host')
+
+    describe('remove-host of all the hosts with commands', function(){
+
+      beforeEach(function(done){
+        this.timeout(10000);
+        options = {'add-host': 'Project', 'remove-host': 'Document, Workbook'};
+        editManifest(done);
+      });
+
+      it('removes <VersionOverrides>', function(done){
+        expect(result.manifest.OfficeApp.VersionOverrides).to.not.exist;
+        done();
+      });
+
+      it('creates a manifest valid against the schema', function(done){
+        this.timeout(30000);
+        validateManifest(done);
+      });
+
+    }); // describe('remove-host of all the hosts with commands')
+
+  }); // describe('task pane manifest with add-in commands')
+
+  /**
+   * Test invalid values.
+   */
+  describe('invalid values', function(){
+
+    it('fails on an unknown host', function(done){
+      options = {'add-host': 'Outlook'};
+
+      helpers.run(path.join(__dirname, '../../generators/manifest'))
+        .inTmpDir(function(dir){
+          fs.writeFileSync(path.join(dir, manifestFileName), existingManifest);
+        })
+        .withOptions(options)
+        .on('error', function(err){
+          expect(err.message).to.contain('Unknown Office client \'Outlook\'');
+          done();
+        });
+    });
+
+    it('fails when all the hosts are removed', function(done){
+      options = {'remove-host': 'Document, Workbook'};
+
+      helpers.run(path.join(__dirname, '../../generators/manifest'))
+        .inTmpDir(function(dir){
+          fs.writeFileSync(path.join(dir, manifestFileName), existingManifest);
+        })
+        .withOptions(options)
+        .on('error', function(err){
+          expect(err.message).to.contain('at least one Office application');
+          assert.fileContent(manifestFileName, '<Host Name="Workbook" />');
+          done();
+        });
+    });
+
+    it('fails when no manifest is found', function(done){
+      helpers.run(path.join(__dirname, '../../generators/manifest'))
+        .withOptions({name: 'foo'})
+        .on('error', function(err){
+          expect(err.message).to.contain('No manifest');
+          done();
+        });
+    });
+
+  }); // describe('invalid values')
+
+});
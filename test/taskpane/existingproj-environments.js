@@ -0,0 +1,48 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var helpers = require('yeoman-test');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  /**
+   * Test the environments of an existing project are kept.
+   */
+  describe('run on existing project (environments)', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions({
+          name: 'My Office Add-in',
+          'root-path': 'src',
+          tech: 'html',
+          clients: ['Document'],
+          'skip-install': true
+        })
+        .on('ready', function(gen){
+          gen.fs.writeJSON(gen.destinationPath('environments.json'), {
+            prod: {url: 'https://addin.fabrikam.com', id: 'b3b3c7c5-4f4b-4c3b-9f4e-3f4d1c0b2a19'}
+          });
+        })
+        .on('end', done);
+    });
+
+    it('merges the missing environments', function(done){
+      var environments = JSON.parse(fs.readFileSync('environments.json', 'utf8'));
+      expect(environments).to.have.keys('dev', 'test', 'prod');
+      expect(environments.prod).to.deep.equal(
+        {url: 'https://addin.fabrikam.com', id: 'b3b3c7c5-4f4b-4c3b-9f4e-3f4d1c0b2a19'});
+      done();
+    });
+
+  }); // describe('run on existing project (environments)')
+
+}); // describe('office:taskpane')
@@ -0,0 +1,104 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+// gulpfile of the existing project
+var existingGulpfile = [
+  '\'use strict\';',
+  '',
+  'var gulp = require(\'gulp\');',
+  '',
+  'gulp.task(\'build\', function(){});',
+  'gulp.task(\'dist\', [\'build\']);',
+  ''
+].join('\n');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  /**
+   * Test the addin is integrated into the files of an existing project.
+   */
+  describe('run on existing project (gulpfile & config files)', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions({
+          name: 'My Office Add-in',
+          'root-path': 'src/public',
+          tech: 'html',
+          clients: ['Document'],
+          'skip-install': true
+        })
+        .on('ready', function(gen){
+          gen.fs.write(gen.destinationPath('gulpfile.js'), existingGulpfile);
+          gen.fs.writeJSON(gen.destinationPath('tsconfig.json'), {
+            compilerOptions: {target: 'es6', outDir: 'build'}
+          });
+          gen.fs.writeJSON(gen.destinationPath('.bowerrc'), {directory: 'vendor', json: 'bower.json'});
+          gen.fs.writeJSON(gen.destinationPath('package.json'), {
+            name: 'ProjectName',
+            scripts: {serve: 'node server.js'},
+            devDependencies: {gulp: '^3.9.1', del: '^1.2.0'}
+          });
+        })
+        .on('end', done);
+    });
+
+    it('keeps the existing gulpfile & registers the Office tasks', function(done){
+      var content = fs.readFileSync('gulpfile.js', 'utf8');
+      expect(content).to.equal('\'use strict\';\n\n' +
+        '// Office Add-in tasks; tasks defined in this file take precedence\n' +
+        'require(\'./gulpfile.office.js\');\n\n' +
+        existingGulpfile.substring('\'use strict\';\n\n'.length));
+      done();
+    });
+
+    it('creates the Office tasks as a separate module', function(done){
+      assert.fileContent('gulpfile.office.js', 'gulp.task(\'serve-static\',');
+      assert.fileContent('gulpfile.office.js', 'gulp.task(\'validate-xml\',');
+      assert.noFileContent('gulpfile.office.js', 'gulp.task(\'help\',');
+      assert.noFileContent('gulpfile.office.js', 'gulp.task(\'default\',');
+      done();
+    });
+
+    it('merges the compiler options into the existing tsconfig.json', function(done){
+      assert.jsonFileContent('tsconfig.json', {
+        compilerOptions: {target: 'es6', outDir: 'build', module: 'commonjs', removeComments: true},
+        exclude: ['node_modules']
+      });
+      done();
+    });
+
+    it('keeps the existing bower directory', function(done){
+      assert.jsonFileContent('.bowerrc', {directory: 'vendor', json: 'bower.json'});
+      done();
+    });
+
+    it('adds the missing packages & scripts to the existing package.json', function(done){
+      assert.jsonFileContent('package.json', {
+        name: 'ProjectName',
+        scripts: {serve: 'node server.js', validate: 'gulp validate-xml', dist: 'gulp dist'},
+        devDependencies: {gulp: '^3.9.1', del: '^1.2.0', 'run-sequence': '^1.1.5', 'gulp-uglify': '^1.5.1'}
+      });
+      done();
+    });
+
+    it('creates the missing config files', function(done){
+      assert.jsonFileContent('jsconfig.json', {compilerOptions: {target: 'ES5'}});
+      done();
+    });
+
+  }); // describe('run on existing project (gulpfile & config files)')
+
+}); // describe('office:taskpane')
@@ -0,0 +1,84 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var helpers = require('yeoman-test');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+var manifestFileName = 'manifest-my-office-add-in.xml';
+
+// manifest maintained by the team: comments & formatting of its own
+var existingManifest = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<OfficeApp xmlns="http://schemas.microsoft.com/office/appforoffice/1.1" ' +
+    'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:type="TaskPaneApp">',
+  '  <Id>231e6ea1-5bc0-4ba9-8dac-fb20d6db686c</Id>',
+  '  <Version>1.0.0.0</Version>',
+  '  <ProviderName>Contoso</ProviderName>',
+  '  <DefaultLocale>en-US</DefaultLocale>',
+  '  <DisplayName DefaultValue="My Office Add-in" />',
+  '  <Description DefaultValue="Task pane add-in for Office" />',
+  '  <Hosts>',
+  '    <!-- Word & Excel are tested by QA -->',
+  '    <Host Name="Document" />',
+  '    <Host Name="Workbook" />',
+  '  </Hosts>',
+  '  <DefaultSettings>',
+  '    <SourceLocation DefaultValue="https://localhost:8443/index.html" />',
+  '  </DefaultSettings>',
+  '  <Permissions>ReadWriteDocument</Permissions>',
+  '</OfficeApp>',
+  ''
+].join('\n');
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  /**
+   * Test re-running the generator on the manifest of the project.
+   */
+  describe('run on existing project (manifest)', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .inTmpDir(function(dir){
+          fs.writeFileSync(path.join(dir, manifestFileName), existingManifest);
+        })
+        .withOptions({
+          name: 'My Office Add-in',
+          tech: 'manifest-only',
+          startPage: 'https://localhost:8443/index.html',
+          clients: ['Document', 'Presentation'],
+          providerName: 'Contoso',
+          'skip-install': true
+        })
+        .on('end', done);
+    });
+
+    it('only removes the hosts deselected & appends the missing ones', function(done){
+      expect(fs.readFileSync(manifestFileName, 'utf8')).to.contain([
+        '  <Hosts>',
+        '    <!-- Word & Excel are tested by QA -->',
+        '    <Host Name="Document" />',
+        '    <Host Name="Presentation"/>',
+        '  </Hosts>'
+      ].join('\n'));
+      done();
+    });
+
+    it('leaves the rest of the manifest unchanged', function(done){
+      var manifest = fs.readFileSync(manifestFileName, 'utf8');
+      expect(manifest).to.equal(existingManifest.replace('    <Host Name="Workbook" />',
+                                                         '    <Host Name="Presentation"/>'));
+      done();
+    });
+
+  }); // describe('run on existing project (manifest)')
+
+}); // describe('office:taskpane')
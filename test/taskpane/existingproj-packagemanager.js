@@ -0,0 +1,81 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  /**
+   * Test the bower & tsd entries of an existing project are migrated to npm.
+   */
+  describe('run on existing project (package-manager:npm)', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions({
+          name: 'My Office Add-in',
+          'root-path': '',
+          tech: 'ng',
+          clients: ['Document'],
+          'package-manager': 'npm',
+          'skip-install': true
+        })
+        .on('ready', function(gen){
+          gen.fs.writeJSON(gen.destinationPath('bower.json'), {
+            name: 'ProjectName',
+            dependencies: {'microsoft.office.js': '*', angular: '~1.4.4', lodash: '~3.10.1'}
+          });
+          gen.fs.writeJSON(gen.destinationPath('tsd.json'), {
+            version: 'v4',
+            installed: {
+              'angularjs/angular.d.ts': {commit: '04a025ada3492a22df24ca2d8521c911697721b3'},
+              'lodash/lodash.d.ts': {commit: '04a025ada3492a22df24ca2d8521c911697721b3'}
+            }
+          });
+          gen.fs.writeJSON(gen.destinationPath('package.json'), {
+            name: 'ProjectName',
+            scripts: {postinstall: 'bower install'},
+            dependencies: {angular: '~1.4.8'}
+          });
+        })
+        .on('end', done);
+    });
+
+    it('removes the packages npm installs from bower.json', function(done){
+      var bowerJson = JSON.parse(fs.readFileSync('bower.json', 'utf8'));
+      expect(bowerJson.dependencies).to.deep.equal({lodash: '~3.10.1'});
+      done();
+    });
+
+    it('removes the type definitions npm installs from tsd.json', function(done){
+      var tsdJson = JSON.parse(fs.readFileSync('tsd.json', 'utf8'));
+      expect(tsdJson.installed).to.have.keys('lodash/lodash.d.ts');
+      done();
+    });
+
+    it('adds the libraries & type definitions to package.json', function(done){
+      var packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+      expect(packageJson.dependencies).to.deep.equal(
+        {angular: '~1.4.8', 'angular-route': '~1.4.4', 'angular-sanitize': '~1.4.4', 'office-ui-fabric': '^2.0.0'});
+      expect(packageJson.devDependencies).to.include.keys('@types/office-js', '@types/angular');
+      expect(packageJson.scripts.postinstall).to.equal('bower install');
+      done();
+    });
+
+    it('does not create .bowerrc', function(done){
+      assert.noFile('.bowerrc');
+      done();
+    });
+
+  }); // describe('run on existing project (package-manager:npm)')
+
+}); // describe('office:taskpane')
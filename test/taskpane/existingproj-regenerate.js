@@ -0,0 +1,147 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+// configuration saved in .yo-rc.json when the project was created
+var savedConfig = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  var projectId = '9c8e0f4c-8f2b-4d4e-9a57-3f0c6d1b2a10';
+  var manifestFileName = 'manifest-my-saved-add-in.xml';
+
+  beforeEach(function(done){
+    savedConfig = {
+      generator: 'taskpane',
+      projectId: projectId,
+      answers: {
+        name: 'My Saved Add-in',
+        'root-path': '',
+        tech: 'html',
+        clients: ['Workbook'],
+        requirements: ['ExcelApi:1.2']
+      }
+    };
+    done();
+  });
+
+  /**
+   * Writes .yo-rc.json containing the saved configuration.
+   */
+  function writeConfig(dir){
+    fs.writeFileSync(path.join(dir, '.yo-rc.json'), JSON.stringify({'generator-office': savedConfig}));
+  }
+
+  /**
+   * Test regenerating a project from the saved answers.
+   */
+  describe('regenerate', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .inTmpDir(writeConfig)
+        .withOptions({regenerate: true, 'skip-install': true})
+        .on('end', done);
+    });
+
+    it('re-applies the templates using the saved answers', function(done){
+      assert.fileContent(manifestFileName, '<DisplayName DefaultValue="My Saved Add-in" />');
+      assert.fileContent(manifestFileName, '<Host Name="Workbook"/>');
+      assert.noFileContent(manifestFileName, '<Host Name="Document"/>');
+      assert.fileContent(manifestFileName, '<Set Name="ExcelApi" MinVersion="1.2" />');
+      assert.file('app/home/home.html');
+      done();
+    });
+
+    it('keeps the ID of the addin', function(done){
+      assert.fileContent(manifestFileName, '<Id>' + projectId + '</Id>');
+      assert.jsonFileContent('.yo-rc.json', {'generator-office': {projectId: projectId}});
+      done();
+    });
+
+  }); // describe('regenerate')
+
+  /**
+   * Test regenerating a project whose files changed, without --force.
+   */
+  describe('regenerate:changed files', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .inTmpDir(function(dir){
+          writeConfig(dir);
+          fs.mkdirSync(path.join(dir, 'app'));
+          fs.mkdirSync(path.join(dir, 'app/home'));
+          fs.writeFileSync(path.join(dir, 'app/home/home.html'), '<p>Changed</p>');
+        })
+        .withOptions({regenerate: true, force: false, 'skip-install': true})
+        .on('end', done);
+    });
+
+    it('overwrites the files without prompting', function(done){
+      assert.noFileContent('app/home/home.html', '<p>Changed</p>');
+      assert.fileContent('app/home/home.html', '</html>');
+      done();
+    });
+
+  }); // describe('regenerate:changed files')
+
+  /**
+   * Test the saved answers are the defaults of the prompts.
+   */
+  describe('saved answers', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .inTmpDir(writeConfig)
+        .withOptions({tech: 'manifest-only', startPage: 'https://localhost:8443/index.html', 'skip-install': true})
+        .on('end', done);
+    });
+
+    it('uses the saved answers as defaults', function(done){
+      assert.fileContent(manifestFileName, '<Id>' + projectId + '</Id>');
+      assert.fileContent(manifestFileName, '<Host Name="Workbook"/>');
+      assert.noFileContent(manifestFileName, '<Host Name="Document"/>');
+      done();
+    });
+
+    it('saves the new answers', function(done){
+      var config = JSON.parse(fs.readFileSync('.yo-rc.json', 'utf8'))['generator-office'];
+      expect(config.answers.tech).to.equal('manifest-only');
+      expect(config.answers.clients).to.deep.equal(['Workbook']);
+      done();
+    });
+
+  }); // describe('saved answers')
+
+  /**
+   * Test regenerating a project not created by the generator.
+   */
+  describe('regenerate:unknown project', function(){
+
+    it('fails', function(done){
+      savedConfig.generator = 'mail';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .inTmpDir(writeConfig)
+        .withOptions({regenerate: true, 'skip-install': true})
+        .on('error', function(err){
+          expect(err.message).to.contain('no answers saved by yo office:taskpane');
+          done();
+        });
+    });
+
+  }); // describe('regenerate:unknown project')
+
+}); // describe('office:taskpane')
@@ -0,0 +1,134 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var helpers = require('yeoman-test');
+var forge = require('node-forge');
+var chai = require('chai'),
+  expect = chai.expect;
+
+var util = require('./../_testUtils');
+
+
+/**
+ * Reads a certificate of the certificates folder.
+ * @param {string} name - Name of the certificate (ca or localhost).
+ * @return {object} The certificate (forge).
+ */
+function readCertificate(name){
+  return forge.pki.certificateFromPem(fs.readFileSync(path.join('certificates', name + '.crt'), 'utf8'));
+}
+
+/**
+ * Gets the subject alternative names of a certificate.
+ * @param {object} cert - Certificate (forge).
+ * @return {string[]} The DNS names & IP addresses.
+ */
+function altNames(cert){
+  return cert.getExtension('subjectAltName').altNames.map(function(altName){
+    return altName.ip || altName.value;
+  });
+}
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  /**
+   * Test the certificates of the dev server.
+   */
+  describe('serve-static certificates', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions({
+          name: 'My Office Add-in',
+          'root-path': 'src',
+          tech: 'html',
+          clients: ['Document'],
+          'skip-install': true
+        })
+        .on('end', function(){
+          // keep the certificates of the developer out of the tests
+          fs.writeFileSync('gulpfile.js', fs.readFileSync('gulpfile.js', 'utf8')
+            .replace('path.join(os.homedir(), \'.office-addin-dev-certs\')', 'path.resolve(\'certificates\')'));
+          done();
+        });
+    });
+
+    it('creates the CA & issues the localhost certificate with it', function(done){
+      this.timeout(120000);
+      util.runGulpTask('serve-static', [], function(err, exitCode, output){
+        var ca = readCertificate('ca');
+        var localhost = readCertificate('localhost');
+
+        expect(output).to.contain('Created the local certificate authority ' + path.resolve('certificates/ca.crt'));
+        expect(ca.subject.getField('CN').value).to.equal('Office Add-in Dev CA');
+        expect(ca.getExtension('basicConstraints').cA).to.be.true;
+        expect(localhost.subject.getField('CN').value).to.equal('localhost');
+        expect(localhost.issuer.getField('CN').value).to.equal('Office Add-in Dev CA');
+        expect(ca.verify(localhost)).to.be.true;
+        expect(altNames(localhost)).to.deep.equal(['localhost', '127.0.0.1']);
+        forge.pki.privateKeyFromPem(fs.readFileSync('certificates/localhost.key', 'utf8'));
+        done(err);
+      });
+    });
+
+    it('issues the certificate again for another host with the same CA', function(done){
+      this.timeout(180000);
+      util.runGulpTask('serve-static', [], function(err){
+        expect(err).to.not.be.ok;
+        var caPem = fs.readFileSync('certificates/ca.crt', 'utf8');
+
+        util.runGulpTask('serve-static', ['--host', 'addins.local'], function(err, exitCode, output){
+          var localhost = readCertificate('localhost');
+
+          expect(err).to.not.be.ok;
+          expect(output).to.not.contain('Created the local certificate authority');
+          expect(fs.readFileSync('certificates/ca.crt', 'utf8')).to.equal(caPem);
+          expect(readCertificate('ca').verify(localhost)).to.be.true;
+          expect(altNames(localhost)).to.deep.equal(['localhost', '127.0.0.1', 'addins.local']);
+
+          util.runGulpTask('serve-static', ['--host', '10.0.0.2'], function(err){
+            expect(altNames(readCertificate('localhost'))).to.deep.equal(['localhost', '127.0.0.1', '10.0.0.2']);
+            done(err);
+          });
+        });
+      });
+    });
+
+    it('keeps the certificate while it covers the host', function(done){
+      this.timeout(120000);
+      util.runGulpTask('serve-static', ['--host', 'addins.local'], function(err){
+        expect(err).to.not.be.ok;
+        var localhostPem = fs.readFileSync('certificates/localhost.crt', 'utf8');
+
+        util.runGulpTask('serve-static', ['--host', 'addins.local'], function(err){
+          expect(fs.readFileSync('certificates/localhost.crt', 'utf8')).to.equal(localhostPem);
+          done(err);
+        });
+      });
+    });
+
+    it('reuses an existing CA', function(done){
+      this.timeout(120000);
+      util.runGulpTask('serve-static', [], function(err){
+        expect(err).to.not.be.ok;
+        var caPem = fs.readFileSync('certificates/ca.crt', 'utf8');
+        fs.unlinkSync('certificates/localhost.crt');
+        fs.unlinkSync('certificates/localhost.key');
+
+        util.runGulpTask('serve-static', [], function(err, exitCode, output){
+          expect(output).to.not.contain('Created the local certificate authority');
+          expect(fs.readFileSync('certificates/ca.crt', 'utf8')).to.equal(caPem);
+          expect(readCertificate('ca').verify(readCertificate('localhost'))).to.be.true;
+          done(err);
+        });
+      });
+    });
+
+  }); // describe('serve-static certificates')
+
+}); // describe('office:taskpane')
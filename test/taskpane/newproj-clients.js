@@ -0,0 +1,86 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var helpers = require('yeoman-test');
+var Xml2Js = require('xml2js');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  var projectDisplayName = 'My Office Add-in';
+  var projectEscapedName = 'my-office-add-in';
+  var manifestFileName = 'manifest-' + projectEscapedName + '.xml';
+
+  beforeEach(function(done){
+    options = {
+      name: projectDisplayName,
+      rootPath: '',
+      tech: 'manifest-only',
+      startPage: 'https://localhost:8443/manifest-only/index.html'
+    };
+    done();
+  });
+
+  /**
+   * Test clients specified on the command line (comma separated & repeated).
+   */
+  describe('clients:command line', function(){
+
+    var manifest = {};
+
+    beforeEach(function(done){
+      options.clients = ['word', 'Excel, powerpoint'];
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', function(){
+          var parser = new Xml2Js.Parser();
+          fs.readFile(manifestFileName, 'utf8', function(err, manifestContent){
+            parser.parseString(manifestContent, function(err, manifestJson){
+              manifest = manifestJson;
+              done();
+            });
+          });
+        });
+    });
+
+    it('includes a host for each client', function(done){
+      expect(manifest.OfficeApp.Hosts[0].Host.map(function(host){
+        return host.$.Name;
+      })).to.deep.equal(['Document', 'Workbook', 'Presentation']);
+      done();
+    });
+
+  }); // describe('clients:command line')
+
+  /**
+   * Test unknown clients.
+   */
+  describe('clients:unknown', function(){
+
+    it('fails listing the valid clients', function(done){
+      options.clients = 'Word,Outlook';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('error', function(err){
+          expect(err.message).to.contain('Unknown Office client \'Outlook\'');
+          expect(err.message).to.contain('valid values: Document (word)');
+          done();
+        });
+    });
+
+  }); // describe('clients:unknown')
+
+}); // describe('office:taskpane')
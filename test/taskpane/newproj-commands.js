@@ -0,0 +1,186 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var _ = require('lodash');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var Xml2Js = require('xml2js');
+var chai = require('chai'),
+  expect = chai.expect;
+
+var util = require('./../_testUtils');
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  var projectDisplayName = 'My Office Add-in';
+  var projectEscapedName = 'my-office-add-in';
+  var manifestFileName = 'manifest-' + projectEscapedName + '.xml';
+
+  beforeEach(function(done){
+    options = {
+      name: projectDisplayName,
+      rootPath: '',
+      tech: 'html'
+    };
+    done();
+  });
+
+  /**
+   * Test addin when add-in commands are requested.
+   */
+  describe('add-in commands', function(){
+
+    describe('commands:true', function(){
+      var manifest = {};
+
+      beforeEach(function(done){
+        options.commands = true;
+        options.clients = ['Document', 'Workbook', 'Project'];
+
+        // run the generator
+        helpers.run(path.join(__dirname, '../../generators/taskpane'))
+          .withOptions(options)
+          .on('end', function(){
+            var parser = new Xml2Js.Parser();
+            fs.readFile(manifestFileName, 'utf8', function(err, manifestContent){
+              parser.parseString(manifestContent, function(err, manifestJson){
+                manifest = manifestJson;
+
+                done();
+              });
+            });
+          });
+      });
+
+      it('creates function file & icons', function(done){
+        assert.file([
+          'functions/functions.html',
+          'functions/functions.js',
+          'images/icon-16.png',
+          'images/icon-32.png',
+          'images/icon-80.png'
+        ]);
+        done();
+      });
+
+      it('copies the VersionOverrides schema of task pane add-ins', function(done){
+        assert.file('TaskPaneAppVersionOverridesV1_0.xsd');
+        assert.noFile('MailAppVersionOverridesV1_0.xsd');
+        done();
+      });
+
+      it('has <VersionOverrides> with basic types namespace', function(done){
+        expect(manifest.OfficeApp.$['xmlns:bt'])
+          .to.equal('http://schemas.microsoft.com/office/officeappbasictypes/1.0');
+        expect(manifest.OfficeApp.VersionOverrides).to.exist;
+        expect(manifest.OfficeApp.VersionOverrides[0].$['xsi:type']).to.equal('VersionOverridesV1_0');
+        done();
+      });
+
+      it('has a command host for each client supporting commands', function(done){
+        var hosts = _.map(manifest.OfficeApp.VersionOverrides[0].Hosts[0].Host, function(host){
+          return host.$['xsi:type'];
+        });
+
+        expect(hosts).to.eql(['Document', 'Workbook']);
+        done();
+      });
+
+      it('has ShowTaskpane & ExecuteFunction buttons on a custom tab', function(done){
+        var host = manifest.OfficeApp.VersionOverrides[0].Hosts[0].Host[0];
+        var extensionPoint = host.DesktopFormFactor[0].ExtensionPoint[0];
+        var controls = extensionPoint.CustomTab[0].Group[0].Control;
+
+        expect(host.DesktopFormFactor[0].FunctionFile[0].$.resid).to.equal('FunctionFile.Url');
+        expect(extensionPoint.$['xsi:type']).to.equal('PrimaryCommandSurface');
+        expect(controls[0].Action[0].$['xsi:type']).to.equal('ShowTaskpane');
+        expect(controls[1].Action[0].$['xsi:type']).to.equal('ExecuteFunction');
+        expect(controls[1].Action[0].FunctionName[0]).to.equal('writeToSelection');
+        done();
+      });
+
+      it('has resources for the function file & task pane', function(done){
+        var urls = manifest.OfficeApp.VersionOverrides[0].Resources[0]['bt:Urls'][0]['bt:Url'];
+        var found = {};
+        _.forEach(urls, function(url){
+          found[url.$.id] = url.$.DefaultValue;
+        });
+
+        expect(found['FunctionFile.Url']).to.equal('https://localhost:8443/functions/functions.html');
+        expect(found['Taskpane.Url']).to.equal('https://localhost:8443/app/home/home.html');
+        done();
+      });
+
+      it('creates a manifest valid against the schema', function(done){
+        this.timeout(30000);
+
+        util.runGulpTask('validate-xml', ['--json', 'report.json'], function(err, exitCode){
+          var report = JSON.parse(fs.readFileSync('report.json', 'utf8'));
+
+          expect(report.manifests[0].errors).to.eql([]);
+          expect(exitCode).to.equal(0);
+          done(err);
+        });
+      });
+
+    }); // describe('commands:true')
+
+    describe('commands:true with only non-supporting clients', function(){
+
+      beforeEach(function(done){
+        options.commands = true;
+        options.clients = ['Project'];
+
+        // run the generator
+        helpers.run(path.join(__dirname, '../../generators/taskpane'))
+          .withOptions(options)
+          .on('end', done);
+      });
+
+      it('does not include <VersionOverrides>', function(done){
+        assert.noFileContent(manifestFileName, '<VersionOverrides');
+        assert.noFileContent(manifestFileName, 'xmlns:bt=');
+        done();
+      });
+
+    }); // describe('commands:true with only non-supporting clients')
+
+    describe('commands:false', function(){
+
+      beforeEach(function(done){
+        options.commands = false;
+        options.clients = ['Document'];
+
+        // run the generator
+        helpers.run(path.join(__dirname, '../../generators/taskpane'))
+          .withOptions(options)
+          .on('end', done);
+      });
+
+      it('does not create function file', function(done){
+        assert.noFile('functions/functions.html');
+        assert.noFileContent(manifestFileName, '<VersionOverrides');
+        done();
+      });
+
+      it('does not copy the VersionOverrides schemas', function(done){
+        assert.file('manifest.xsd');
+        assert.noFile(['MailAppVersionOverridesV1_0.xsd', 'TaskPaneAppVersionOverridesV1_0.xsd']);
+        done();
+      });
+
+    }); // describe('commands:false')
+
+  }); // describe('add-in commands')
+
+});
@@ -0,0 +1,216 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+var util = require('./../_testUtils');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  beforeEach(function(done){
+    options = {
+      name: 'My Office Add-in',
+      'root-path': 'src',
+      clients: ['Document'],
+      commands: true,
+      'skip-install': true
+    };
+    done();
+  });
+
+  /**
+   * Test the address of the dev server when specified.
+   */
+  describe('host:addins.local port:9443', function(){
+
+    beforeEach(function(done){
+      options.tech = 'ng-adal';
+      options.host = 'addins.local';
+      options.port = 9443;
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('points the URLs of the manifest to the dev server', function(done){
+      var manifest = 'manifest-my-office-add-in.xml';
+      assert.fileContent(manifest, '<SourceLocation DefaultValue="https://addins.local:9443/index.html" />');
+      assert.fileContent(manifest, '<IconUrl DefaultValue="https://addins.local:9443/images/icon-32.png" />');
+      assert.fileContent(manifest,
+        '<bt:Image id="Icon.16x16" DefaultValue="https://addins.local:9443/images/icon-16.png" />');
+      assert.fileContent(manifest,
+        '<bt:Url id="FunctionFile.Url" DefaultValue="https://addins.local:9443/functions/functions.html" />');
+      assert.noFileContent(manifest, 'localhost:8443');
+      done();
+    });
+
+    it('serves the dev environment on the address', function(done){
+      var environments = JSON.parse(fs.readFileSync('environments.json', 'utf8'));
+      expect(environments.dev).to.deep.equal({url: 'https://addins.local:9443'});
+      assert.fileContent('gulpfile.js', 'server = url.parse(_devServerUrl());');
+      assert.fileContent('gulpfile.js', 'port: server.port,');
+      assert.fileContent('gulpfile.js', 'host: server.hostname,');
+      done();
+    });
+
+    it('reminds to register the new URL with Azure AD', function(done){
+      assert.fileContent('gulpfile.js', 'to the reply URLs of the application in Azure AD');
+      done();
+    });
+
+    it('saves the address of the dev server', function(done){
+      var config = JSON.parse(fs.readFileSync('.yo-rc.json', 'utf8'))['generator-office'];
+      expect(config.answers.host).to.equal('addins.local');
+      expect(config.answers.port).to.equal(9443);
+      done();
+    });
+
+  }); // describe('host:addins.local port:9443')
+
+  /**
+   * Test the default address of the dev server.
+   */
+  describe('default address', function(){
+
+    beforeEach(function(done){
+      options.tech = 'html';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('serves the add-in on https://localhost:8443', function(done){
+      assert.fileContent('manifest-my-office-add-in.xml',
+        '<SourceLocation DefaultValue="https://localhost:8443/app/home/home.html" />');
+      assert.fileContent('environments.json', '"url": "https://localhost:8443"');
+      assert.noFileContent('gulpfile.js', 'reply URLs');
+      done();
+    });
+
+  }); // describe('default address')
+
+  /**
+   * Test the port of the dev server parsed from the command line.
+   */
+  describe('command line --port', function(){
+
+    /**
+     * Runs the generator with --port on the command line.
+     *
+     * @param {string} port - Value of --port.
+     * @return {RunContext} The generator being run.
+     */
+    function runWithPort(port){
+      options.tech = 'html';
+
+      return helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .withArguments(['--port', port]);
+    }
+
+    it('serves the dev environment on the port', function(done){
+      runWithPort('9443').on('end', function(){
+        var config = JSON.parse(fs.readFileSync('.yo-rc.json', 'utf8'))['generator-office'];
+        assert.fileContent('environments.json', '"url": "https://localhost:9443"');
+        expect(config.answers.port).to.equal(9443);
+        done();
+      });
+    });
+
+    it('fails on port 0', function(done){
+      runWithPort('0').on('error', function(err){
+        expect(err.message).to.contain('Invalid port \'0\'');
+        done();
+      });
+    });
+
+    it('fails on a port that isn\'t a number', function(done){
+      runWithPort('abc').on('error', function(err){
+        expect(err.message).to.contain('Invalid port \'abc\'');
+        done();
+      });
+    });
+
+  }); // describe('command line --port')
+
+  /**
+   * Test the address serve-static listens on.
+   */
+  describe('serve-static', function(){
+
+    // certificate of the dev server: the server doesn't listen in the tests
+    var certificate = ['--cert', 'gulpfile.js', '--key', 'gulpfile.js'];
+
+    beforeEach(function(done){
+      options.tech = 'html';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('keeps the manifests & environments when the address is the same', function(done){
+      this.timeout(30000);
+      var manifest = 'manifest-my-office-add-in.xml';
+      fs.writeFileSync('environments.json',
+        fs.readFileSync('environments.json', 'utf8').replace('https://localhost:8443', 'https://localhost'));
+      fs.writeFileSync(manifest, fs.readFileSync(manifest, 'utf8').replace(/localhost:8443/g, 'localhost'));
+
+      util.runGulpTask('serve-static', certificate, function(err, exitCode, output){
+        expect(err).to.not.be.ok;
+        expect(exitCode).to.equal(0);
+        expect(output).to.not.contain('Moved');
+        assert.fileContent('environments.json', '"url": "https://localhost"');
+        assert.noFileContent(manifest, 'localhost:443');
+        done();
+      });
+    });
+
+    it('moves the manifests & environments to --port', function(done){
+      this.timeout(30000);
+      util.runGulpTask('serve-static', certificate.concat('--port', '9443'), function(err, exitCode, output){
+        expect(err).to.not.be.ok;
+        expect(output).to.contain('Moved manifest-my-office-add-in.xml to https://localhost:9443');
+        assert.fileContent('environments.json', '"url": "https://localhost:9443"');
+        assert.fileContent('manifest-my-office-add-in.xml',
+          '<SourceLocation DefaultValue="https://localhost:9443/app/home/home.html" />');
+        done();
+      });
+    });
+
+    it('reports an invalid --port to gulp', function(done){
+      this.timeout(30000);
+      util.runGulpTask('serve-static', certificate.concat('--port', 'https'), function(err){
+        expect(err.plugin).to.equal('serve-static');
+        expect(err.message).to.equal('Invalid --port https');
+        assert.fileContent('environments.json', '"url": "https://localhost:8443"');
+        done();
+      });
+    });
+
+    it('reports --cert without --key to gulp', function(done){
+      this.timeout(30000);
+      util.runGulpTask('serve-static', ['--cert', 'gulpfile.js'], function(err){
+        expect(err.plugin).to.equal('serve-static');
+        expect(err.message).to.equal('--cert & --key must be used together');
+        done();
+      });
+    });
+
+  }); // describe('serve-static')
+
+}); // describe('office:taskpane')
@@ -0,0 +1,142 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+var util = require('./../_testUtils');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  beforeEach(function(done){
+    options = {
+      name: 'My Office Add-in',
+      'root-path': 'src',
+      clients: ['Document'],
+      'skip-install': true
+    };
+    done();
+  });
+
+  /**
+   * Test the production build of a jQuery addin.
+   */
+  describe('dist tech:html', function(){
+
+    beforeEach(function(done){
+      options.tech = 'html';
+      options.commands = true;
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('marks the scripts & styles of the pages to bundle', function(done){
+      assert.fileContent('src/app/home/home.html', '<!-- build:css ../office.min.css -->');
+      assert.fileContent('src/app/home/home.html', '<!-- build:js ../vendor.min.js -->');
+      assert.fileContent('src/app/home/home.html', '<!-- build:css ../app.min.css -->');
+      assert.fileContent('src/app/home/home.html', '<!-- build:js ../app.min.js -->');
+      assert.fileContent('src/functions/functions.html', '<!-- build:js functions.min.js -->');
+      done();
+    });
+
+    it('loads the libraries from the site, office.js & Fabric from the CDN', function(done){
+      assert.noFileContent('src/app/home/home.html', 'ajax.aspnetcdn.com');
+      assert.fileContent('src/app/home/home.html', '//appsforoffice.microsoft.com/lib/1/hosted/office.js');
+      assert.fileContent('src/app/home/home.html', '//appsforoffice.microsoft.com/fabric/1.0/fabric.min.css');
+      done();
+    });
+
+    it('bundles, fingerprints & reports the size of the pages', function(done){
+      assert.fileContent('gulpfile.js',
+        'config.pages = [\n  \'app/home/home.html\',\n  \'functions/functions.html\'\n];');
+      assert.fileContent('gulpfile.js', 'gulp.task(\'dist-bundle\',');
+      assert.fileContent('gulpfile.js', '$.if(\'!*.html\', $.rev()),');
+      assert.fileContent('gulpfile.js', '$.revReplace(),\n    $.sourcemaps.write(\'.\'),');
+      assert.fileContent('gulpfile.js', 'gulp.task(\'dist-size\',');
+      assert.fileContent('gulpfile.js',
+        '[\'dist-copy-files\'],\n    [\'dist-bundle\', \'dist-manifests\'],\n    [\'dist-size\']');
+      assert.noFileContent('gulpfile.js', 'gulp.task(\'dist-minify\',');
+      done();
+    });
+
+    it('installs the gulp plugins of the build', function(done){
+      var packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+      expect(packageJson.devDependencies).to.include.keys(
+        'gulp-useref', 'gulp-if', 'gulp-rev', 'gulp-rev-replace', 'gulp-sourcemaps', 'lazypipe', 'merge-stream');
+      done();
+    });
+
+    it('writes the pages referencing the fingerprinted bundles', function(done){
+      this.timeout(30000);
+      // libraries installed by bower
+      fs.mkdirSync('src/bower_components/jquery', {recursive: true});
+      fs.mkdirSync('src/bower_components/microsoft.office.js/styles', {recursive: true});
+      fs.writeFileSync('src/bower_components/jquery/jquery.min.js', 'window.jQuery = function(){};\n');
+      fs.writeFileSync('src/bower_components/microsoft.office.js/styles/OfficeThemes.css', '.ms-font-l { }\n');
+
+      util.runGulpTask('dist-bundle', [], function(err){
+        expect(err).to.not.be.ok;
+        var home = fs.readFileSync('dist/src/app/home/home.html', 'utf8');
+        var functions = fs.readFileSync('dist/src/functions/functions.html', 'utf8');
+
+        expect(home).to.match(/<script src="\.\.\/app-[0-9a-f]{10}\.min\.js"><\/script>/);
+        expect(home).to.match(/<script src="\.\.\/vendor-[0-9a-f]{10}\.min\.js"><\/script>/);
+        expect(home).to.match(/<link rel="stylesheet" href="\.\.\/app-[0-9a-f]{10}\.min\.css">/);
+        expect(home).to.match(/<link rel="stylesheet" href="\.\.\/office-[0-9a-f]{10}\.min\.css">/);
+        expect(functions).to.match(/<script src="functions-[0-9a-f]{10}\.min\.js"><\/script>/);
+        expect(home + functions).to.not.contain('.map"');
+        assert.file([
+          'dist/src/app/' + /app-[0-9a-f]{10}\.min\.js/.exec(home)[0],
+          'dist/src/app/' + /app-[0-9a-f]{10}\.min\.js/.exec(home)[0] + '.map',
+          'dist/src/functions/' + /functions-[0-9a-f]{10}\.min\.js/.exec(functions)[0]
+        ]);
+        done();
+      });
+    });
+
+  }); // describe('dist tech:html')
+
+  /**
+   * Test the production build of an Angular addin.
+   */
+  describe('dist tech:ng', function(){
+
+    beforeEach(function(done){
+      options.tech = 'ng';
+      options.commands = false;
+      options['package-manager'] = 'npm';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('bundles the Angular libraries installed on the site', function(done){
+      assert.fileContent('src/index.html', '<!-- build:js app/vendor.min.js -->');
+      assert.fileContent('src/index.html', 'lib/angular/angular.min.js');
+      assert.fileContent('src/index.html', '<!-- build:js app/app.min.js -->');
+      assert.noFileContent('src/index.html', 'ajax.googleapis.com');
+      done();
+    });
+
+    it('bundles the start page only', function(done){
+      assert.fileContent('gulpfile.js', 'config.pages = [\n  \'index.html\'\n];');
+      done();
+    });
+
+  }); // describe('dist tech:ng')
+
+}); // describe('office:taskpane')
@@ -0,0 +1,62 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  beforeEach(function(done){
+    options = {
+      name: 'My Office Add-in',
+      'root-path': 'src',
+      tech: 'html',
+      clients: ['Document'],
+      'skip-install': true
+    };
+    done();
+  });
+
+  /**
+   * Test the environments of the manifests written by the dist task.
+   */
+  describe('environments', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('creates the dev, test & prod environments', function(done){
+      var environments = JSON.parse(fs.readFileSync('environments.json', 'utf8'));
+      expect(environments).to.have.keys('dev', 'test', 'prod');
+      expect(environments.dev).to.deep.equal({url: 'https://localhost:8443'});
+      expect(environments.test.displayNameSuffix).to.equal(' (Test)');
+      done();
+    });
+
+    it('writes the manifest of each environment to the dist folder', function(done){
+      assert.fileContent('gulpfile.js', 'environments: \'./environments.json\',');
+      assert.fileContent('gulpfile.js', 'gulp.task(\'dist-manifests\',');
+      assert.fileContent('gulpfile.js', 'manifest.replace(/\\.xml$/, \'.\' + name + \'.xml\')');
+      assert.fileContent('gulpfile.js', 'function _manifestForEnvironment(xml, devUrl, environment) {');
+      assert.noFileContent('gulpfile.js', '\n    \'./manifest-*.xml\',\n');
+      done();
+    });
+
+  }); // describe('environments')
+
+}); // describe('office:taskpane')
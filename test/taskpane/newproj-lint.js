@@ -0,0 +1,197 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+var util = require('./../_testUtils');
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  beforeEach(function(done){
+    options = {
+      name: 'My Office Add-in',
+      'root-path': 'src',
+      clients: ['Document'],
+      'skip-install': true
+    };
+    done();
+  });
+
+  /**
+   * Test the manifest linter of validate-xml.
+   */
+  describe('manifest linter tech:html', function(){
+
+    beforeEach(function(done){
+      options.tech = 'html';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('lints the manifest on top of the XSD schema', function(done){
+      assert.fileContent('gulpfile.js', 'result.lint = _lintManifest(xml.toString(), release);');
+      assert.fileContent('gulpfile.js', 'valid: result.errors === null && !result.lint.some(_isError),');
+      done();
+    });
+
+    it('checks the rules of the manifest', function(done){
+      assert.fileContent('gulpfile.js', '{ id: \'https-url\', severity: \'error\', check: _lintHttpsUrls },');
+      assert.fileContent('gulpfile.js',
+        '{ id: \'no-localhost\', severity: \'error\', check: _lintLocalhostUrls, release: true },');
+      assert.fileContent('gulpfile.js', '{ id: \'no-placeholder\', severity: \'error\', check: _lintPlaceholders },');
+      assert.fileContent('gulpfile.js', '{ id: \'version-format\', severity: \'error\', check: _lintVersion },');
+      assert.fileContent('gulpfile.js', '{ id: \'id-guid\', severity: \'error\', check: _lintId },');
+      assert.fileContent('gulpfile.js', '{ id: \'app-domains\', severity: \'warning\', check: _lintAppDomains },');
+      assert.fileContent('gulpfile.js', '{ id: \'mail-rule-form\', severity: \'error\', check: _lintMailRules }');
+      done();
+    });
+
+    it('reports the line of each problem', function(done){
+      assert.fileContent('gulpfile.js', 'line: xml.slice(0, problem.index).split(\'\\n\').length,');
+      done();
+    });
+
+    it('checks the manifests of the dist folder as release builds', function(done){
+      assert.fileContent('gulpfile.js',
+        'return _validationResult(xmlFilePath, options.release || _isReleaseManifest(xmlFilePath));');
+      assert.fileContent('gulpfile.js', '&& !/\\.dev\\.xml$/.test(xmlFilePath);');
+      done();
+    });
+
+    it('has no redirect hosts', function(done){
+      assert.fileContent('gulpfile.js', 'config.redirectHosts = [];');
+      done();
+    });
+
+  }); // describe('manifest linter tech:html')
+
+  /**
+   * Test the redirect hosts of an ADAL addin.
+   */
+  describe('manifest linter tech:ng-adal', function(){
+
+    beforeEach(function(done){
+      options.tech = 'ng-adal';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('checks the AppDomains list the sign-in hosts', function(done){
+      assert.fileContent('gulpfile.js',
+        'config.redirectHosts = [\'login.windows.net\', \'login.microsoftonline.com\'];');
+      assert.fileContent('manifest-my-office-add-in.xml', '<AppDomain>https://login.windows.net</AppDomain>');
+      assert.fileContent('manifest-my-office-add-in.xml', '<AppDomain>https://login.microsoftonline.com</AppDomain>');
+      done();
+    });
+
+  }); // describe('manifest linter tech:ng-adal')
+
+  /**
+   * Test the exit code of validate-xml.
+   */
+  describe('validate-xml', function(){
+    var manifestFileName = 'manifest-my-office-add-in.xml';
+
+    beforeEach(function(done){
+      options.tech = 'html';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('fails when the linter finds an error without being exited by xmllint', function(done){
+      this.timeout(30000);
+      var exit = process.exit;
+      var exited = false;
+
+      fs.writeFileSync(manifestFileName, fs.readFileSync(manifestFileName, 'utf8')
+        .replace('<IconUrl DefaultValue="https://', '<IconUrl DefaultValue="http://'));
+      process.exit = function(){
+        exited = true;
+      };
+      util.runGulpTask('validate-xml', ['--xmlfile', manifestFileName], function(err, exitCode, output){
+        // xmllint exits the process shortly after it ran
+        setTimeout(function(){
+          process.exit = exit;
+          expect(exited).to.be.false;
+          expect(exitCode).to.equal(1);
+          expect(output).to.contain('(https-url)');
+          done(err);
+        }, 1000);
+      });
+    });
+
+    it('checks the manifests of the dist folder but the dev one as release builds', function(done){
+      this.timeout(90000);
+      fs.mkdirSync('dist');
+      util.runGulpTask('dist-manifests', [], function(err){
+        expect(err).to.not.be.ok;
+        util.runGulpTask('validate-xml', [], function(err, exitCode, output){
+          expect(exitCode).to.equal(0);
+          expect(output).to.not.contain('(no-localhost)');
+
+          fs.writeFileSync('dist/manifest-my-office-add-in.prod.xml',
+            fs.readFileSync('dist/manifest-my-office-add-in.dev.xml', 'utf8'));
+          util.runGulpTask('validate-xml', [], function(err, exitCode, output){
+            expect(exitCode).to.equal(1);
+            expect(output).to.contain('(no-localhost)');
+            done(err);
+          });
+        });
+      });
+    });
+
+    it('accepts the Ids & versions of the schema', function(done){
+      this.timeout(30000);
+      var manifest = fs.readFileSync(manifestFileName, 'utf8');
+      var id = /<Id>([^<]*)<\/Id>/.exec(manifest)[1];
+
+      fs.writeFileSync(manifestFileName, manifest
+        .replace('<Id>' + id + '</Id>', '<Id>{' + id.toUpperCase() + '}</Id>')
+        .replace('<Version>1.0.0.0</Version>', '<Version>1.2</Version>'));
+      util.runGulpTask('validate-xml', ['--xmlfile', manifestFileName], function(err, exitCode, output){
+        expect(exitCode).to.equal(0);
+        expect(output).to.not.contain('(version-format)');
+        expect(output).to.not.contain('(id-guid)');
+
+        fs.writeFileSync(manifestFileName, manifest.replace('<Id>' + id + '</Id>', '<Id>urn:uuid:' + id + '</Id>'));
+        util.runGulpTask('validate-xml', ['--xmlfile', manifestFileName], function(err, exitCode, output){
+          expect(exitCode).to.equal(0);
+          expect(output).to.not.contain('(id-guid)');
+          done(err);
+        });
+      });
+    });
+
+    it('rejects a version of more than four numbers', function(done){
+      this.timeout(30000);
+      fs.writeFileSync(manifestFileName, fs.readFileSync(manifestFileName, 'utf8')
+        .replace('<Version>1.0.0.0</Version>', '<Version>1.0.0.0.0</Version>'));
+      util.runGulpTask('validate-xml', ['--xmlfile', manifestFileName], function(err, exitCode, output){
+        expect(exitCode).to.equal(1);
+        expect(output).to.contain('(version-format)');
+        done(err);
+      });
+    });
+
+  }); // describe('validate-xml')
+
+}); // describe('office:taskpane')
@@ -0,0 +1,190 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+var util = require('./../_testUtils');
+
+
+// sub:generator options
+var options = {};
+
+
+/**
+ * Starts serve-static with a certificate of the project: the server doesn't
+ * listen in the tests.
+ * @param {Function} done - Called with the error & the servers of the task.
+ */
+function serve(done){
+  util.runGulpTask('serve-static', ['--cert', 'gulpfile.js', '--key', 'gulpfile.js'],
+    function(err, exitCode, output, servers){
+      done(err, servers);
+    });
+}
+
+/**
+ * Sends a request for a page of the site to the middleware of the dev server.
+ * @param {Function} middleware - Middleware of the dev server.
+ * @param {string}   url        - URL of the page.
+ * @param {Function} done       - Called with the page sent by the middleware
+ *                                (null when it passes the request on).
+ */
+function request(middleware, url, done){
+  middleware({url: url}, {
+    setHeader: function(name, value){
+      expect(name).to.equal('Content-Type');
+      expect(value).to.equal('text/html; charset=UTF-8');
+    },
+    end: done
+  }, function(){
+    done(null);
+  });
+}
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  beforeEach(function(done){
+    options = {
+      name: 'My Office Add-in',
+      'root-path': 'src',
+      clients: ['Document'],
+      'skip-install': true
+    };
+    done();
+  });
+
+  /**
+   * Test the watch mode of the dev server of a jQuery addin.
+   */
+  describe('live reload tech:html', function(){
+
+    beforeEach(function(done){
+      options.tech = 'html';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('injects the live reload client into the pages of the app entry point', function(done){
+      this.timeout(30000);
+      fs.writeFileSync('src/index.html', '<html><body>Index</body></html>');
+      serve(function(err, servers){
+        var middleware = servers.webserver.middleware;
+        request(middleware, '/app/home/home.html?_host_Info=Word', function(page){
+          expect(page).to.contain('<script>\n(function () {');
+          expect(page).to.contain('\':35729/livereload\');');
+          expect(page).to.contain('(message.path === \'app\' || message.path === \'*\')');
+          expect(page).to.match(/<\/script>\n<\/body>/);
+          request(middleware, '/', function(page){
+            expect(page).to.match(/^<html><body>Index<script>[\s\S]*\/livereload[\s\S]*<\/script>\n<\/body><\/html>$/);
+            done(err);
+          });
+        });
+      });
+    });
+
+    it('passes the other requests to the next middleware', function(done){
+      this.timeout(30000);
+      fs.mkdirSync('src/other');
+      fs.writeFileSync('src/other/page.html', '<html><body>Other</body></html>');
+      serve(function(err, servers){
+        var middleware = servers.webserver.middleware;
+        request(middleware, '/app/home/missing.html', function(page){
+          expect(page).to.be.null;
+          request(middleware, '/app/home/home.js', function(page){
+            expect(page).to.be.null;
+            request(middleware, '/other/page.html', function(page){
+              expect(page).to.be.null;
+              request(middleware, '/app/../../gulpfile.html', function(page){
+                expect(page).to.be.null;
+                done(err);
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('doesn\'t inject the client into the pages of an entry point not reloaded', function(done){
+      this.timeout(30000);
+      fs.writeFileSync('gulpfile.js', fs.readFileSync('gulpfile.js', 'utf8')
+        .replace('config.reload = {\n  app: true\n};', 'config.reload = {\n  app: false\n};'));
+      serve(function(err, servers){
+        request(servers.webserver.middleware, '/app/home/home.html', function(page){
+          expect(page).to.be.null;
+          done(err);
+        });
+      });
+    });
+
+    it('reloads the pages of the entry point or all pages when the site changes', function(done){
+      this.timeout(30000);
+      serve(function(err, servers){
+        var watcher = servers.watchers.filter(function(watcher){
+          return Array.isArray(watcher.glob);
+        })[0];
+
+        expect(watcher.glob).to.include('./src/app*/**/*');
+        watcher.fn({type: 'changed', path: path.resolve('src/app/home/home.js')});
+        watcher.fn({type: 'changed', path: path.resolve('src/app/home/home.css')});
+        watcher.fn({type: 'changed', path: path.resolve('src/content/Office.css')});
+        expect(servers.reloads).to.be.empty;
+        setTimeout(function(){
+          expect(servers.reloads).to.deep.equal([['app', '*']]);
+          done(err);
+        }, 500);
+      });
+    });
+
+    it('validates the manifests again when they change', function(done){
+      assert.fileContent('gulpfile.js', 'gulp.watch(\'./manifest-*.xml\', function (event) {');
+      assert.fileContent('gulpfile.js', '_printValidation(_validationResult(event.path, false));');
+      done();
+    });
+
+    it('starts the dev server without compile step', function(done){
+      assert.fileContent('gulpfile.js', 'gulp.task(\'serve-static\', function (cb) {');
+      assert.noFileContent('gulpfile.js', '\'!\' + config.root + \'/**/*.jsx\'');
+      done();
+    });
+
+    it('installs the live reload server', function(done){
+      var packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+      expect(packageJson.devDependencies).to.include.keys('tiny-lr');
+      done();
+    });
+
+  }); // describe('live reload tech:html')
+
+  /**
+   * Test the watch mode of the dev server of a React addin.
+   */
+  describe('live reload tech:react', function(){
+
+    beforeEach(function(done){
+      options.tech = 'react';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('rebundles the pages before reloading them', function(done){
+      assert.fileContent('gulpfile.js', 'gulp.task(\'serve-static\', [\'watch\'], function (cb) {');
+      assert.fileContent('gulpfile.js', '\'!\' + config.root + \'/**/*.jsx\'');
+      done();
+    });
+
+  }); // describe('live reload tech:react')
+
+}); // describe('office:taskpane')
@@ -0,0 +1,215 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var Xml2Js = require('xml2js');
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  var projectDisplayName = 'My Office Add-in';
+  var projectEscapedName = 'my-office-add-in';
+  var manifestFileName = 'manifest-' + projectEscapedName + '.xml';
+
+  beforeEach(function(done){
+    options = {
+      name: projectDisplayName,
+      rootPath: '',
+      tech: 'html',
+      clients: ['Document']
+    };
+    done();
+  });
+
+  /**
+   * Runs the generator & loads the manifest it created.
+   *
+   * @param {function} done      - Called with the xml2js representation of the manifest.
+   * @param {string}   [gitUser] - Name of the git user (default: none).
+   */
+  function runGenerator(done, gitUser){
+    helpers.run(path.join(__dirname, '../../generators/taskpane'))
+      .withOptions(options)
+      .on('ready', function(gen){
+        // don't depend on the git config of the machine running the tests
+        gen.user = {git: {name: function(){
+          return gitUser || '';
+        }}};
+      })
+      .on('end', function(){
+        var parser = new Xml2Js.Parser();
+        fs.readFile(manifestFileName, 'utf8', function(err, manifestContent){
+          parser.parseString(manifestContent, function(err, manifestJson){
+            done(manifestJson);
+          });
+        });
+      });
+  }
+
+  /**
+   * Test the manifest metadata when none is specified.
+   */
+  describe('default metadata', function(){
+    var manifest = {};
+
+    beforeEach(function(done){
+      runGenerator(function(manifestJson){
+        manifest = manifestJson;
+        done();
+      });
+    });
+
+    it('creates the icons', function(done){
+      assert.file([
+        'images/icon-32.png',
+        'images/icon-80.png'
+      ]);
+      done();
+    });
+
+    it('has no placeholders', function(done){
+      assert.noFileContent(manifestFileName, /\[[^\]]+\]/);
+      done();
+    });
+
+    it('has provider (project without git user), description & version', function(done){
+      expect(manifest.OfficeApp.ProviderName[0]).to.equal(projectDisplayName);
+      expect(manifest.OfficeApp.Description[0].$.DefaultValue).to.equal('Task pane add-in for Office');
+      expect(manifest.OfficeApp.Version[0]).to.equal('1.0.0.0');
+      done();
+    });
+
+    it('has icons served by the project', function(done){
+      expect(manifest.OfficeApp.IconUrl[0].$.DefaultValue)
+        .to.equal('https://localhost:8443/images/icon-32.png');
+      expect(manifest.OfficeApp.HighResolutionIconUrl[0].$.DefaultValue)
+        .to.equal('https://localhost:8443/images/icon-80.png');
+      done();
+    });
+
+    it('has no support URL', function(done){
+      expect(manifest.OfficeApp.SupportUrl).to.be.undefined;
+      done();
+    });
+
+  }); // describe('default metadata')
+
+  /**
+   * Test the default provider of a git user.
+   */
+  describe('default metadata with a git user', function(){
+
+    it('has the git user as provider', function(done){
+      runGenerator(function(manifest){
+        expect(manifest.OfficeApp.ProviderName[0]).to.equal('Jane Doe');
+        done();
+      }, 'Jane Doe');
+    });
+
+  }); // describe('default metadata with a git user')
+
+  /**
+   * Test the manifest metadata specified with options.
+   */
+  describe('metadata options', function(){
+    var manifest = {};
+
+    beforeEach(function(done){
+      options.providerName = 'Fabrikam & Sons';
+      options.description = 'Inserts the weather forecast';
+      options.iconUrl = 'https://cdn.fabrikam.com/icon.png';
+      options.highResIconUrl = 'https://cdn.fabrikam.com/icon-hi.png';
+      options.supportUrl = 'https://fabrikam.com/support';
+      options.addinVersion = '2.1';
+
+      runGenerator(function(manifestJson){
+        manifest = manifestJson;
+        done();
+      });
+    });
+
+    it('has provider description & version', function(done){
+      expect(manifest.OfficeApp.ProviderName[0]).to.equal('Fabrikam & Sons');
+      expect(manifest.OfficeApp.Description[0].$.DefaultValue).to.equal('Inserts the weather forecast');
+      expect(manifest.OfficeApp.Version[0]).to.equal('2.1');
+      done();
+    });
+
+    it('has icon & support URLs', function(done){
+      expect(manifest.OfficeApp.IconUrl[0].$.DefaultValue).to.equal('https://cdn.fabrikam.com/icon.png');
+      expect(manifest.OfficeApp.HighResolutionIconUrl[0].$.DefaultValue)
+        .to.equal('https://cdn.fabrikam.com/icon-hi.png');
+      expect(manifest.OfficeApp.SupportUrl[0].$.DefaultValue).to.equal('https://fabrikam.com/support');
+      done();
+    });
+
+  }); // describe('metadata options')
+
+  /**
+   * Test the manifest metadata specified with options surrounded by spaces.
+   */
+  describe('metadata options surrounded by spaces', function(){
+    var manifest = {};
+
+    beforeEach(function(done){
+      options.providerName = ' Fabrikam ';
+      options.supportUrl = ' https://fabrikam.com/support ';
+      options.addinVersion = '2.1 ';
+
+      runGenerator(function(manifestJson){
+        manifest = manifestJson;
+        done();
+      });
+    });
+
+    it('has the trimmed provider, support URL & version', function(done){
+      expect(manifest.OfficeApp.ProviderName[0]).to.equal('Fabrikam');
+      expect(manifest.OfficeApp.SupportUrl[0].$.DefaultValue).to.equal('https://fabrikam.com/support');
+      expect(manifest.OfficeApp.Version[0]).to.equal('2.1');
+      done();
+    });
+
+  }); // describe('metadata options surrounded by spaces')
+
+  /**
+   * Test invalid metadata specified with options.
+   */
+  describe('invalid metadata options', function(){
+
+    it('fails on a http icon URL', function(done){
+      options.iconUrl = 'http://cdn.fabrikam.com/icon.png';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('error', function(err){
+          expect(err.message).to.contain('Icon URL must be an https:// URL');
+          done();
+        });
+    });
+
+    it('fails on an invalid version', function(done){
+      options.addinVersion = '1.0.0.0.0';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('error', function(err){
+          expect(err.message).to.contain('Version');
+          done();
+        });
+    });
+
+  }); // describe('invalid metadata options')
+
+});
@@ -0,0 +1,167 @@
+/* jshint expr:true */
+'use strict';
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var helpers = require('yeoman-test');
+var yauzl = require('yauzl');
+var util = require('./../_testUtils');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  /**
+   * Reads the entries of a zip.
+   *
+   * @param {string}   zipFile - Path of the zip.
+   * @param {Function} done    - Called with the error & the content of each entry, keyed by name.
+   */
+  function readZip(zipFile, done){
+    var entries = {};
+
+    yauzl.open(zipFile, {lazyEntries: true}, function(err, zip){
+      if (err) {
+        return done(err);
+      }
+      zip.on('entry', function(entry){
+        zip.openReadStream(entry, function(err, stream){
+          var chunks = [];
+          stream.on('data', function(chunk){
+            chunks.push(chunk);
+          }).on('end', function(){
+            entries[entry.fileName] = Buffer.concat(chunks).toString('utf8');
+            zip.readEntry();
+          });
+        });
+      }).on('end', function(){
+        done(null, entries);
+      });
+      zip.readEntry();
+    });
+  }
+
+  /**
+   * Parses a checksum report: the SHA-256 hash of each file, keyed by path.
+   *
+   * @param {string} checksums - Content of checksums.txt.
+   * @return {Object} The hashes, keyed by path.
+   */
+  function parseChecksums(checksums){
+    return checksums.trim().split('\n').reduce(function(hashes, line){
+      var match = /^([0-9a-f]{64})  (.+)$/.exec(line);
+      expect(match, line).to.be.ok;
+      expect(hashes).to.not.have.property(match[2]);
+      hashes[match[2]] = match[1];
+      return hashes;
+    }, {});
+  }
+
+  /**
+   * Test the package task of the store submission.
+   */
+  describe('package root-path:(empty)', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions({
+          name: 'pkg',
+          'root-path': '',
+          tech: 'html',
+          clients: ['Document'],
+          'skip-install': true
+        })
+        .on('end', function(){
+          util.runGulpTask('dist-copy-files', [], function(err){
+            if (err) {
+              return done(err);
+            }
+            util.runGulpTask('dist-manifests', [], done);
+          });
+        });
+    });
+
+    it('zips the prod manifest with the checksums of the site & manifest', function(done){
+      this.timeout(30000);
+      util.runGulpTask('package', [], function(err, exitCode, output){
+        expect(err).to.not.be.ok;
+        expect(exitCode).to.equal(0);
+        expect(output).to.contain('Packaging pkg.prod-1.0.0.0.zip');
+        expect(fs.readdirSync('dist').filter(function(file){
+          return /\.zip$/.test(file);
+        })).to.deep.equal(['pkg.prod-1.0.0.0.zip']);
+
+        readZip('dist/pkg.prod-1.0.0.0.zip', function(err, entries){
+          expect(err).to.not.be.ok;
+          expect(Object.keys(entries).sort()).to.deep.equal(['checksums.txt', 'manifest-pkg.prod.xml']);
+          expect(entries['manifest-pkg.prod.xml']).to.equal(fs.readFileSync('dist/manifest-pkg.prod.xml', 'utf8'));
+
+          var hashes = parseChecksums(entries['checksums.txt']);
+          expect(hashes).to.include.keys('manifest-pkg.prod.xml', 'app/home/home.html', 'images/icon-32.png');
+          expect(hashes).to.not.have.any.keys('manifest-pkg.dev.xml', 'manifest-pkg.test.xml', 'package.json',
+            'checksums.txt', 'pkg.prod-1.0.0.0.zip');
+          Object.keys(hashes).forEach(function(file){
+            expect(hashes[file], file).to.equal(
+              crypto.createHash('sha256').update(fs.readFileSync(path.join('dist', file))).digest('hex'));
+          });
+          done();
+        });
+      });
+    });
+
+    it('leaves the zips & checksums out of the checksums of the next package', function(done){
+      this.timeout(30000);
+      util.runGulpTask('package', [], function(err){
+        expect(err).to.not.be.ok;
+        var first = fs.readFileSync('dist/checksums.txt', 'utf8');
+
+        util.runGulpTask('package', [], function(err, exitCode){
+          expect(err).to.not.be.ok;
+          expect(exitCode).to.equal(0);
+          expect(fs.readFileSync('dist/checksums.txt', 'utf8')).to.equal(first);
+          done();
+        });
+      });
+    });
+
+    it('packages the manifests of --env', function(done){
+      this.timeout(30000);
+      util.runGulpTask('package', ['--env', 'test'], function(err, exitCode){
+        expect(err).to.not.be.ok;
+        expect(exitCode).to.equal(0);
+        readZip('dist/pkg.test-1.0.0.0.zip', function(err, entries){
+          expect(err).to.not.be.ok;
+          expect(Object.keys(entries).sort()).to.deep.equal(['checksums.txt', 'manifest-pkg.test.xml']);
+          expect(parseChecksums(entries['checksums.txt'])).to.not.have.any.keys('manifest-pkg.prod.xml');
+          done();
+        });
+      });
+    });
+
+    it('fails without writing a zip when an icon is missing', function(done){
+      this.timeout(30000);
+      fs.unlinkSync('dist/images/icon-80.png');
+      util.runGulpTask('package', [], function(err, exitCode, output){
+        expect(err).to.not.be.ok;
+        expect(exitCode).to.equal(1);
+        expect(output).to.contain('Missing icon');
+        expect(fs.existsSync('dist/pkg.prod-1.0.0.0.zip')).to.be.false;
+        done();
+      });
+    });
+
+    it('runs the task as an npm script', function(done){
+      var packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+      expect(packageJson.scripts.package).to.equal('gulp package');
+      expect(packageJson.devDependencies).to.include.keys('gulp-zip');
+      done();
+    });
+
+  }); // describe('package root-path:(empty)')
+
+}); // describe('office:taskpane')
@@ -0,0 +1,152 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  beforeEach(function(done){
+    options = {
+      name: 'My Office Add-in',
+      'root-path': 'src',
+      clients: ['Document'],
+      'skip-install': true
+    };
+    done();
+  });
+
+  /**
+   * Test the front-end libraries installed by bower (default).
+   */
+  describe('package-manager:bower', function(){
+
+    beforeEach(function(done){
+      options.tech = 'html';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('installs the libraries with bower & tsd', function(done){
+      assert.file(['bower.json', '.bowerrc', 'tsd.json']);
+      assert.jsonFileContent('package.json', {scripts: {postinstall: 'bower install'}});
+      assert.noFileContent('gulpfile.js', 'gulp.task(\'copy-libs\',');
+      assert.fileContent('src/app/home/home.html', '../../bower_components/jquery/jquery.min.js');
+      done();
+    });
+
+    it('saves the package manager', function(done){
+      assert.jsonFileContent('.yo-rc.json', {'generator-office': {answers: {'package-manager': 'bower'}}});
+      done();
+    });
+
+  }); // describe('package-manager:bower')
+
+  /**
+   * Test the front-end libraries of a jQuery addin installed by npm.
+   */
+  describe('package-manager:npm tech:html', function(){
+
+    beforeEach(function(done){
+      options.tech = 'html';
+      options['package-manager'] = 'npm';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('does not use bower & tsd', function(done){
+      assert.noFile(['bower.json', '.bowerrc', 'tsd.json']);
+      done();
+    });
+
+    it('installs the libraries & type definitions with npm', function(done){
+      var packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+      expect(packageJson.dependencies).to.deep.equal({jquery: '~1.9.1', 'office-ui-fabric': '^2.0.0'});
+      expect(packageJson.devDependencies).to.include.keys('@types/office-js', '@types/jquery');
+      expect(packageJson.scripts.postinstall).to.equal('gulp copy-libs');
+      done();
+    });
+
+    it('copies the libraries to the site', function(done){
+      assert.fileContent('gulpfile.js', 'libs: [\'jquery\', \'office-ui-fabric\'],');
+      assert.fileContent('gulpfile.js', 'gulp.task(\'copy-libs\',');
+      assert.noFileContent('gulpfile.js', 'bower_components');
+      done();
+    });
+
+    it('references the libraries copied to the site', function(done){
+      assert.fileContent('src/app/home/home.html', '../../lib/jquery/jquery.min.js');
+      assert.noFileContent('src/app/home/home.html', 'bower_components');
+      done();
+    });
+
+  }); // describe('package-manager:npm tech:html')
+
+  /**
+   * Test the front-end libraries of an Angular ADAL addin installed by npm.
+   */
+  describe('package-manager:npm tech:ng-adal', function(){
+
+    beforeEach(function(done){
+      options.tech = 'ng-adal';
+      options['package-manager'] = 'npm';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('installs the libraries & type definitions with npm', function(done){
+      var packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+      expect(packageJson.dependencies).to.have.keys(
+        'angular', 'angular-route', 'angular-sanitize', 'adal-angular', 'office-ui-fabric');
+      expect(packageJson.devDependencies).to.include.keys('@types/office-js', '@types/angular');
+      done();
+    });
+
+    it('references the libraries copied to the site', function(done){
+      assert.fileContent('gulpfile.js',
+        'libs: [\'angular\', \'angular-route\', \'angular-sanitize\', \'adal-angular\', \'office-ui-fabric\'],');
+      assert.fileContent('src/index.html', 'lib/adal-angular/dist/adal-angular.min.js');
+      assert.noFileContent('src/index.html', 'bower_components');
+      done();
+    });
+
+  }); // describe('package-manager:npm tech:ng-adal')
+
+  /**
+   * Test unknown package manager.
+   */
+  describe('package-manager:invalid', function(){
+
+    it('fails', function(done){
+      options.tech = 'html';
+      options['package-manager'] = 'yarn';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('error', function(err){
+          expect(err.message).to.contain('Invalid package manager \'yarn\'; valid values: bower, npm');
+          done();
+        });
+    });
+
+  }); // describe('package-manager:invalid')
+
+}); // describe('office:taskpane')
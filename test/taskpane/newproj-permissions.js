@@ -0,0 +1,135 @@
+/* jshint expr:true */
+'use strict';
+
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  var projectDisplayName = 'My Office Add-in';
+  var projectEscapedName = 'my-office-add-in';
+  var manifestFileName = 'manifest-' + projectEscapedName + '.xml';
+
+  beforeEach(function(done){
+    options = {
+      name: projectDisplayName,
+      rootPath: '',
+      tech: 'html',
+      clients: ['Document'],
+      commands: true
+    };
+    done();
+  });
+
+  /**
+   * Test addin requesting the default permissions.
+   */
+  describe('permissions:default', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('requests ReadWriteDocument', function(done){
+      assert.fileContent(manifestFileName, '<Permissions>ReadWriteDocument</Permissions>');
+      done();
+    });
+
+    it('reads & writes the selection', function(done){
+      assert.fileContent('app/home/home.js', 'getSelectedDataAsync');
+      assert.fileContent('app/home/home.js', 'setSelectedDataAsync');
+      assert.fileContent('app/home/home.html', 'id="get-data-from-selection"');
+      assert.fileContent('app/home/home.html', 'id="set-data-to-selection"');
+      done();
+    });
+
+  }); // describe('permissions:default')
+
+  /**
+   * Test addin requesting ReadDocument.
+   */
+  describe('permissions:ReadDocument', function(){
+
+    beforeEach(function(done){
+      options.permissions = 'ReadDocument';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('requests ReadDocument', function(done){
+      assert.fileContent(manifestFileName, '<Permissions>ReadDocument</Permissions>');
+      done();
+    });
+
+    it('only reads the selection', function(done){
+      assert.fileContent('app/home/home.js', 'getSelectedDataAsync');
+      assert.noFileContent('app/home/home.js', 'setSelectedDataAsync');
+      assert.noFileContent('app/home/home.html', 'set-data-to-selection');
+      done();
+    });
+
+    it('doesn\'t write to the selection from the add-in command', function(done){
+      assert.noFileContent('functions/functions.js', 'setSelectedDataAsync');
+      assert.fileContent('functions/functions.js', 'event.completed()');
+      done();
+    });
+
+  }); // describe('permissions:ReadDocument')
+
+  /**
+   * Test addin requesting Restricted.
+   */
+  describe('permissions:Restricted', function(){
+
+    beforeEach(function(done){
+      options.permissions = 'Restricted';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('doesn\'t access the document', function(done){
+      assert.noFileContent('app/home/home.js', 'Office.context.document');
+      assert.noFileContent('functions/functions.js', 'Office.context.document');
+      assert.fileContent('app/home/home.html', 'id="show-display-language"');
+      done();
+    });
+
+  }); // describe('permissions:Restricted')
+
+  /**
+   * Test addin requesting a permission not valid for task pane add-ins.
+   */
+  describe('permissions:ReadItem', function(){
+
+    it('fails with the valid permissions', function(done){
+      options.permissions = 'ReadItem';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('error', function(err){
+          expect(err.message).to.contain('Invalid permissions \'ReadItem\'');
+          expect(err.message).to.contain('ReadWriteDocument');
+          done();
+        });
+    });
+
+  }); // describe('permissions:ReadItem')
+
+});
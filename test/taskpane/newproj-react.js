@@ -0,0 +1,146 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  beforeEach(function(done){
+    options = {
+      name: 'My Office Add-in',
+      'root-path': 'src',
+      tech: 'react',
+      clients: ['Document'],
+      'skip-install': true
+    };
+    done();
+  });
+
+  /**
+   * Test addin when technology = react
+   */
+  describe('addin technology:react', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('creates the react sample code', function(done){
+      assert.file([
+        'src/app/index.html',
+        'src/app/app.css',
+        'src/app/app.jsx',
+        'src/app/components/App.jsx',
+        'src/app/components/Home.jsx',
+        'src/app/components/Notification.jsx'
+      ]);
+      assert.fileContent('src/app/index.html', '<script src="app.bundle.js"></script>');
+      assert.fileContent('src/app/app.jsx', 'ReactDOM.render(<App />, document.getElementById(\'container\'));');
+      done();
+    });
+
+    it('shows the notifications of the page', function(done){
+      assert.fileContent('src/app/components/App.jsx', '<Home showNotification={this.showNotification} />');
+      assert.fileContent('src/app/components/Home.jsx',
+        'showNotification(\'The selected text is:\', \'"\' + result.value + \'"\');');
+      done();
+    });
+
+    it('sets the start page', function(done){
+      assert.fileContent('manifest-my-office-add-in.xml',
+        '<SourceLocation DefaultValue="https://localhost:8443/app/index.html" />');
+      done();
+    });
+
+    it('installs react & the bundling tools with npm', function(done){
+      var packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+      expect(packageJson.dependencies).to.deep.equal({react: '^15.3.2', 'react-dom': '^15.3.2'});
+      expect(packageJson.devDependencies).to.include.keys(
+        'browserify', 'babelify', 'babel-preset-es2015', 'babel-preset-react', 'vinyl-source-stream', 'merge-stream');
+      assert.jsonFileContent('bower.json', {dependencies: {'microsoft.office.js': '*', 'office-ui-fabric': '*'}});
+      assert.noFileContent('bower.json', 'jquery');
+      done();
+    });
+
+    it('bundles the pages', function(done){
+      assert.fileContent('gulpfile.js', 'config.root + \'/app/app.jsx\'');
+      assert.fileContent('gulpfile.js', 'gulp.task(\'bundle\',');
+      assert.fileContent('gulpfile.js', 'gulp.task(\'serve-static\', [\'watch\'],');
+      assert.fileContent('gulpfile.js', '[\'dist-remove\', \'bundle\'],');
+      assert.noFileContent('gulpfile.js', 'compile-ts');
+      done();
+    });
+
+    it('fails to bundle the pages outside of the watch mode', function(done){
+      assert.fileContent('gulpfile.js', 'gulp.task(\'bundle\', function () {\n  return _bundle(false);\n});');
+      assert.fileContent('gulpfile.js', '    _bundle(true);\n  });\n  return _bundle(true);');
+      assert.fileContent('gulpfile.js',
+        'return bundles.emit(\'error\', new $.util.PluginError(\'bundle\', err.message));');
+      done();
+    });
+
+    it('keeps the bundles out of version control', function(done){
+      expect(fs.readFileSync('.gitignore', 'utf8')).to.equal('*.bundle.js\n');
+      done();
+    });
+
+  }); // describe('addin technology:react')
+
+  /**
+   * Test react addin in a project ignoring files.
+   */
+  describe('addin technology:react existing .gitignore', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('ready', function(gen){
+          gen.fs.write(gen.destinationPath('.gitignore'), 'node_modules');
+        })
+        .on('end', done);
+    });
+
+    it('adds the bundles to the files ignored', function(done){
+      expect(fs.readFileSync('.gitignore', 'utf8')).to.equal('node_modules\n*.bundle.js\n');
+      done();
+    });
+
+  }); // describe('addin technology:react existing .gitignore')
+
+  /**
+   * Test restricted addin when technology = react
+   */
+  describe('addin technology:react permissions:Restricted', function(){
+
+    beforeEach(function(done){
+      options.permissions = 'Restricted';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('only calls the APIs the permissions allow', function(done){
+      assert.fileContent('src/app/components/Home.jsx', 'onClick={this.showDisplayLanguage}');
+      assert.noFileContent('src/app/components/Home.jsx', 'getSelectedDataAsync');
+      done();
+    });
+
+  }); // describe('addin technology:react permissions:Restricted')
+
+}); // describe('office:taskpane')
@@ -0,0 +1,131 @@
+/* jshint expr:true */
+'use strict';
+
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  var projectDisplayName = 'My Office Add-in';
+  var projectEscapedName = 'my-office-add-in';
+  var manifestFileName = 'manifest-' + projectEscapedName + '.xml';
+
+  beforeEach(function(done){
+    options = {
+      name: projectDisplayName,
+      rootPath: '',
+      tech: 'html',
+      clients: ['Document', 'Workbook'],
+      commands: true
+    };
+    done();
+  });
+
+  /**
+   * Test addin without requirements.
+   */
+  describe('requirements:default', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('has no requirements', function(done){
+      assert.noFileContent(manifestFileName, '<Requirements>');
+      done();
+    });
+
+    it('checks the host supports TextCoercion', function(done){
+      assert.fileContent('app/home/home.js', 'isSetSupported(\'TextCoercion\', \'1.1\')');
+      assert.fileContent('functions/functions.js', 'isSetSupported(\'TextCoercion\', \'1.1\')');
+      done();
+    });
+
+  }); // describe('requirements:default')
+
+  /**
+   * Test addin with requirements selected in the prompts.
+   */
+  describe('requirements:prompts', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .withPrompts({
+          requirementSets: ['ExcelApi', 'DialogApi'],
+          minVersionExcelApi: '1.2',
+          methods: 'Document.getSelectedDataAsync'
+        })
+        .on('end', done);
+    });
+
+    it('writes the sets & methods after the hosts', function(done){
+      assert.fileContent(manifestFileName, /<\/Hosts>\s*<Requirements>\s*<Sets>/);
+      assert.fileContent(manifestFileName, '<Set Name="ExcelApi" MinVersion="1.2" />');
+      assert.fileContent(manifestFileName, '<Set Name="DialogApi" MinVersion="1.1" />');
+      assert.fileContent(manifestFileName,
+        /<\/Sets>\s*<Methods>\s*<Method Name="Document.getSelectedDataAsync" \/>\s*<\/Methods>/);
+      done();
+    });
+
+  }); // describe('requirements:prompts')
+
+  /**
+   * Test addin requiring TextCoercion.
+   */
+  describe('requirements:TextCoercion', function(){
+
+    beforeEach(function(done){
+      options.requirements = 'TextCoercion';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('only writes the sets', function(done){
+      assert.fileContent(manifestFileName, '<Set Name="TextCoercion" />');
+      assert.noFileContent(manifestFileName, '<Methods>');
+      done();
+    });
+
+    it('doesn\'t check the host supports TextCoercion', function(done){
+      assert.noFileContent('app/home/home.js', 'isSetSupported');
+      assert.noFileContent('functions/functions.js', 'isSetSupported');
+      done();
+    });
+
+  }); // describe('requirements:TextCoercion')
+
+  /**
+   * Test addin with an invalid requirement set.
+   */
+  describe('requirements:invalid', function(){
+
+    it('fails with the validation error', function(done){
+      options.requirements = 'ExcelApi:1';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('error', function(err){
+          expect(err.message).to.contain('Invalid version \'1\' of requirement set ExcelApi');
+          done();
+        });
+    });
+
+  }); // describe('requirements:invalid')
+
+});
@@ -0,0 +1,141 @@
+/* jshint expr:true */
+'use strict';
+
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  var projectDisplayName = 'My Office Add-in';
+  var projectEscapedName = 'my-office-add-in';
+  var manifestFileName = 'manifest-' + projectEscapedName + '.xml';
+
+  beforeEach(function(done){
+    options = {
+      name: projectDisplayName,
+      tech: 'html',
+      clients: ['Document'],
+      commands: true,
+      'skip-install': true
+    };
+    done();
+  });
+
+  /**
+   * Test addin created in a nested folder of the project.
+   */
+  describe('root-path:nested', function(){
+
+    beforeEach(function(done){
+      options['root-path'] = './src/public/';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('creates the site in the root path', function(done){
+      assert.file([
+        'src/public/app/home/home.html',
+        'src/public/functions/functions.html',
+        'src/public/images/icon-32.png',
+        'package.json',
+        'gulpfile.js',
+        manifestFileName
+      ]);
+      done();
+    });
+
+    it('serves & distributes the root path', function(done){
+      assert.fileContent('gulpfile.js', 'root: \'./src/public\'');
+      assert.fileContent('gulpfile.js', 'gulp.src(config.root)');
+      assert.fileContent('gulpfile.js', 'config.root + \'/app*/**/*\'');
+      assert.jsonFileContent('.bowerrc', {directory: 'src/public/bower_components'});
+      done();
+    });
+
+    it('uses URLs relative to the root path', function(done){
+      assert.fileContent(manifestFileName,
+        '<SourceLocation DefaultValue="https://localhost:8443/app/home/home.html" />');
+      assert.fileContent(manifestFileName, 'https://localhost:8443/functions/functions.html');
+      done();
+    });
+
+  }); // describe('root-path:nested')
+
+  /**
+   * Test addin created in an absolute path inside the project.
+   */
+  describe('root-path:absolute', function(){
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .inTmpDir(function(dir){
+          this.withOptions({'root-path': path.join(dir, 'public')});
+        })
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('makes the root path relative to the project', function(done){
+      assert.file('public/app/home/home.html');
+      assert.fileContent('gulpfile.js', 'root: \'./public\'');
+      assert.jsonFileContent('.bowerrc', {directory: 'public/bower_components'});
+      assert.jsonFileContent('.yo-rc.json', {'generator-office': {answers: {'root-path': 'public'}}});
+      done();
+    });
+
+  }); // describe('root-path:absolute')
+
+  /**
+   * Test addin created in the project root.
+   */
+  describe('root-path:blank', function(){
+
+    beforeEach(function(done){
+      options['root-path'] = '';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('serves the project root', function(done){
+      assert.file('app/home/home.html');
+      assert.fileContent('gulpfile.js', 'root: \'.\'');
+      assert.jsonFileContent('.bowerrc', {directory: 'bower_components'});
+      done();
+    });
+
+  }); // describe('root-path:blank')
+
+  /**
+   * Test root path outside the project.
+   */
+  describe('root-path:outside project', function(){
+
+    it('fails', function(done){
+      options['root-path'] = '../public';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('error', function(err){
+          expect(err.message).to.contain('the root path must be inside the project');
+          done();
+        });
+    });
+
+  }); // describe('root-path:outside project')
+
+}); // describe('office:taskpane')
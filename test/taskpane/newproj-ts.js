@@ -0,0 +1,130 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var assert = require('yeoman-assert');
+var helpers = require('yeoman-test');
+
+var chai = require('chai'),
+  expect = chai.expect;
+
+
+// sub:generator options
+var options = {};
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  beforeEach(function(done){
+    options = {
+      name: 'My Office Add-in',
+      'root-path': 'src',
+      clients: ['Document'],
+      'skip-install': true
+    };
+    done();
+  });
+
+  /**
+   * Test addin when technology = html & typescript
+   */
+  describe('addin technology:ts', function(){
+
+    beforeEach(function(done){
+      options.tech = 'ts';
+      options.commands = true;
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('creates the typescript sample code', function(done){
+      assert.file([
+        'src/app/app.ts',
+        'src/app/app.css',
+        'src/app/home/home.ts',
+        'src/app/home/home.html',
+        'src/app/home/home.css',
+        'src/functions/functions.ts',
+        'src/functions/functions.html'
+      ]);
+      assert.noFile(['src/app/app.js', 'src/app/home/home.js', 'src/functions/functions.js']);
+      assert.fileContent('src/app/home/home.ts', 'app.initialize();');
+      done();
+    });
+
+    it('installs the jQuery libraries & the typescript compiler', function(done){
+      var packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+      expect(packageJson.devDependencies).to.include.keys('typescript', 'gulp-typescript', 'tsd');
+      expect(packageJson.scripts.postinstall).to.equal('bower install && tsd install');
+      assert.jsonFileContent('bower.json', {dependencies: {jquery: '~1.9.1'}});
+      assert.file('tsd.json');
+      done();
+    });
+
+    it('compiles the site into the build folder', function(done){
+      assert.fileContent('gulpfile.js', 'source: \'./src\',');
+      assert.fileContent('gulpfile.js', 'root: \'./build\',');
+      assert.fileContent('gulpfile.js', 'gulp.task(\'compile-ts\',');
+      assert.fileContent('gulpfile.js', 'gulp.task(\'serve-static\', [\'watch\'],');
+      assert.fileContent('gulpfile.js', '[\'dist-remove\', \'compile\'],');
+      done();
+    });
+
+    it('saves the technology', function(done){
+      assert.jsonFileContent('.yo-rc.json', {'generator-office': {answers: {tech: 'ts'}}});
+      done();
+    });
+
+  }); // describe('addin technology:ts')
+
+  /**
+   * Test addin when technology = angular & typescript
+   */
+  describe('addin technology:ng-ts', function(){
+
+    beforeEach(function(done){
+      options.tech = 'ng-ts';
+      options['package-manager'] = 'npm';
+
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions(options)
+        .on('end', done);
+    });
+
+    it('creates the typescript sample code', function(done){
+      assert.file([
+        'src/index.html',
+        'src/app/app.module.ts',
+        'src/app/app.routes.ts',
+        'src/app/home/home.controller.ts',
+        'src/app/home/home.html',
+        'src/app/services/data.service.ts'
+      ]);
+      assert.noFile(['src/app/app.module.js', 'src/app/services/data.service.js']);
+      assert.fileContent('src/app/services/data.service.ts', 'interface IDataService {');
+      done();
+    });
+
+    it('installs the Angular libraries, type definitions & the typescript compiler', function(done){
+      var packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+      expect(packageJson.dependencies).to.include.keys('angular', 'angular-route', 'angular-sanitize');
+      expect(packageJson.devDependencies).to.include.keys('typescript', 'gulp-typescript', '@types/angular');
+      expect(packageJson.devDependencies).to.not.have.property('tsd');
+      done();
+    });
+
+    it('compiles the site without the type definitions of tsd', function(done){
+      assert.fileContent('gulpfile.js', 'gulp.task(\'compile-ts\',');
+      assert.noFileContent('gulpfile.js', 'typings');
+      assert.fileContent('src/index.html', 'app/app.module.js');
+      done();
+    });
+
+  }); // describe('addin technology:ng-ts')
+
+}); // describe('office:taskpane')
@@ -0,0 +1,111 @@
+/* jshint expr:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var helpers = require('yeoman-test');
+var Xml2Js = require('xml2js');
+var chai = require('chai'),
+  expect = chai.expect;
+
+var util = require('./../_testUtils');
+
+
+/**
+ * Reads the test cases of a JUnit XML report.
+ * @param {string}   reportFileName - Path of the report.
+ * @param {Function} done           - Called with the error & the <testcase> elements.
+ */
+function readTestCases(reportFileName, done){
+  var parser = new Xml2Js.Parser();
+  parser.parseString(fs.readFileSync(reportFileName, 'utf8'), function(err, report){
+    done(err, err ? null : report.testsuites.testsuite[0].testcase);
+  });
+}
+
+
+/* +-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+-+ */
+
+describe('office:taskpane', function(){
+
+  /**
+   * Test the validation of the manifests of the project.
+   */
+  describe('validate-xml', function(){
+    var manifestFileName = 'manifest-my-office-add-in.xml';
+
+    beforeEach(function(done){
+      helpers.run(path.join(__dirname, '../../generators/taskpane'))
+        .withOptions({
+          name: 'My Office Add-in',
+          'root-path': 'src',
+          tech: 'html',
+          clients: ['Document'],
+          'skip-install': true
+        })
+        .on('end', done);
+    });
+
+    it('reports one test case per manifest of the project & dist folder', function(done){
+      this.timeout(30000);
+      fs.mkdirSync('dist');
+      fs.writeFileSync('dist/manifest-my-office-add-in.dev.xml', fs.readFileSync(manifestFileName));
+
+      util.runGulpTask('validate-xml', ['--junit', 'report.xml'], function(err, exitCode){
+        expect(exitCode).to.equal(0);
+        readTestCases('report.xml', function(parseErr, testCases){
+          expect(testCases.map(function(testCase){
+            return testCase.$.name;
+          })).to.deep.equal([manifestFileName, path.join('dist', 'manifest-my-office-add-in.dev.xml')]);
+          testCases.forEach(function(testCase){
+            expect(testCase.failure).to.be.undefined;
+          });
+          done(err || parseErr);
+        });
+      });
+    });
+
+    it('reports a failure for an invalid manifest', function(done){
+      this.timeout(30000);
+      fs.writeFileSync('manifest-invalid.xml', fs.readFileSync(manifestFileName, 'utf8')
+        .replace(/<Id>[^<]*<\/Id>/, ''));
+
+      util.runGulpTask('validate-xml', ['--junit', 'report.xml'], function(err, exitCode){
+        expect(exitCode).to.equal(1);
+        readTestCases('report.xml', function(parseErr, testCases){
+          expect(testCases).to.have.length(2);
+          expect(testCases[0].$.name).to.equal('manifest-invalid.xml');
+          expect(testCases[0].failure).to.have.length(1);
+          expect(testCases[0].failure[0].$.message).to.contain('Id');
+          expect(testCases[1].$.name).to.equal(manifestFileName);
+          expect(testCases[1].failure).to.be.undefined;
+          done(err || parseErr);
+        });
+      });
+    });
+
+    it('writes the JSON report', function(done){
+      this.timeout(30000);
+      util.runGulpTask('validate-xml', ['--xmlfile', manifestFileName, '--json', 'report.json'], function(err){
+        var report = JSON.parse(fs.readFileSync('report.json', 'utf8'));
+        expect(report.valid).to.be.true;
+        expect(report.manifests).to.have.length(1);
+        expect(report.manifests[0].file).to.equal(manifestFileName);
+        done(err);
+      });
+    });
+
+    it('fails on missing manifests instead of failing to read them', function(done){
+      this.timeout(30000);
+      util.runGulpTask('validate-xml', ['--xmlfile', 'manifest-missing.xml', '--junit', 'report.xml'],
+        function(err, exitCode, output){
+          expect(exitCode).to.equal(1);
+          expect(output).to.contain('Missing manifest manifest-missing.xml');
+          expect(fs.existsSync('report.xml')).to.be.false;
+          done(err);
+        });
+    });
+
+  }); // describe('validate-xml')
+
+}); // describe('office:taskpane')